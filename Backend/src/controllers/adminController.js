@@ -0,0 +1,736 @@
+const Admin = require("../models/admin");
+const Teacher = require("../models/teacher");
+const Classroom = require("../models/classroom");
+const School = require("../models/school");
+const AcademicYear = require("../models/academicYear");
+const CalendarEvent = require("../models/calendarEvent");
+const mongoose = require("mongoose");
+const tokenService = require("../services/tokenService");
+const passwordResetService = require("../services/passwordResetService");
+const promotionService = require("../services/promotionService");
+const mediaStore = require("../services/mediaStore");
+const {
+  toAttendanceDate,
+  EXCUSED_POLICIES,
+} = require("../services/attendanceService");
+
+// Admin login
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      throw new Error("Email and password are required");
+    }
+
+    const admin = await Admin.findOne({ email }).select("+password");
+    if (!admin) {
+      throw new Error("Invalid credentials");
+    }
+
+    const isMatch = await admin.comparePassword(password);
+    if (!isMatch) {
+      throw new Error("Invalid credentials");
+    }
+
+    const { token, refreshToken } = await tokenService.issueTokens(
+      admin,
+      "Admin",
+      req
+    );
+    await admin.populate("school", "name code timezone settings");
+
+    res.status(200).json({
+      success: true,
+      message: "Logged in successfully",
+      token,
+      refreshToken,
+      user: admin,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token
+exports.refreshToken = async (req, res) => {
+  try {
+    const { token, refreshToken, user } = await tokenService.rotateRefreshToken(
+      req.body.refreshToken,
+      "Admin",
+      Admin
+    );
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user,
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Logout from the current device
+exports.logout = async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Logout from every device
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessionsRevoked = await tokenService.revokeAllSessions(
+      req.user._id,
+      "Admin"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      sessionsRevoked,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Send a password reset code
+exports.requestPasswordReset = async (req, res) => {
+  try {
+    await passwordResetService.requestReset(Admin, "Admin", req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "If the account exists, a reset code has been sent",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Verify a password reset code
+exports.verifyResetCode = async (req, res) => {
+  try {
+    const resetToken = await passwordResetService.verifyCode(
+      Admin,
+      "Admin",
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Code verified",
+      resetToken,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Set a new password after verifying the reset code
+exports.resetPassword = async (req, res) => {
+  try {
+    await passwordResetService.resetPassword(Admin, "Admin", req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully, please login again",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get admin profile with school
+exports.getProfile = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id).populate("school");
+
+    res.status(200).json({
+      success: true,
+      admin,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Update the school's name, address and logo used on report cards.
+// The logo is uploaded as `logo` and kept in the media store.
+exports.updateSchool = async (req, res) => {
+  try {
+    const school = await School.findById(req.user.school);
+    const {
+      name,
+      address,
+      excusedAttendance,
+      absenceAlertCutoff,
+      weeklyOffDays,
+    } = req.body;
+
+    if (excusedAttendance && !EXCUSED_POLICIES.includes(excusedAttendance)) {
+      return res.status(400).json({
+        success: false,
+        message: `excusedAttendance must be one of ${EXCUSED_POLICIES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (name) school.name = name;
+    if (address !== undefined) school.settings.address = address;
+    if (excusedAttendance) {
+      school.settings.excusedAttendance = excusedAttendance;
+    }
+    if (absenceAlertCutoff) {
+      school.settings.absenceAlertCutoff = absenceAlertCutoff;
+    }
+    if (Array.isArray(weeklyOffDays)) {
+      school.settings.weeklyOffDays = weeklyOffDays;
+    }
+
+    const previousLogoKey = school.settings.logoKey;
+    let logoKey;
+    if (req.files && req.files.logo) {
+      const logo = req.files.logo;
+      if (!["image/png", "image/jpeg"].includes(logo.mimetype)) {
+        return res.status(400).json({
+          success: false,
+          message: "Logo must be a PNG or JPEG image",
+        });
+      }
+      logoKey = await mediaStore.put(
+        logo.data,
+        "logos",
+        mediaStore.extensionOf(logo.mimetype)
+      );
+      school.settings.logoKey = logoKey;
+      school.settings.logo = undefined;
+    }
+
+    try {
+      await school.save();
+    } catch (error) {
+      if (logoKey) await mediaStore.remove(logoKey);
+      throw error;
+    }
+    // The new logo replaces the old one
+    if (logoKey && previousLogoKey) {
+      await mediaStore.remove(previousLogoKey);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "School updated successfully",
+      school,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// School calendar
+
+// Holidays and make-up working days, optionally limited to ?from=&to=
+exports.getCalendarEvents = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid from and to date",
+      });
+    }
+
+    const events = await CalendarEvent.find({
+      school: req.user.school,
+      ...(from ? { endDate: { $gte: new Date(from) } } : {}),
+      ...(to ? { startDate: { $lte: new Date(to) } } : {}),
+    }).sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      events,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Declare a holiday or working day: { name, type, startDate, endDate }.
+// endDate defaults to startDate for single days.
+exports.addCalendarEvent = async (req, res) => {
+  try {
+    const { name, type, startDate, endDate } = req.body;
+
+    if (!startDate || isNaN(new Date(startDate))) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid startDate",
+      });
+    }
+
+    const event = await CalendarEvent.create({
+      school: req.user.school,
+      name,
+      type,
+      startDate: toAttendanceDate(startDate),
+      endDate: toAttendanceDate(endDate || startDate),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Calendar updated successfully",
+      event,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+exports.deleteCalendarEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid calendar entry ID format",
+      });
+    }
+
+    const event = await CalendarEvent.findOneAndDelete({
+      _id: req.params.id,
+      school: req.user.school,
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Calendar entry not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Calendar entry deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Teachers
+
+// List teachers of the admin's school, optionally filtered by status
+exports.getTeachers = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { school: req.user.school };
+    if (status) {
+      filter.status = status;
+    }
+
+    const teachers = await Teacher.find(filter)
+      .populate("classrooms", "grade section subject classTeacher")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      teachers,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+const findSchoolTeacher = async (req, res, teacherId) => {
+  if (!mongoose.Types.ObjectId.isValid(teacherId)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid teacher ID format",
+    });
+    return null;
+  }
+
+  const teacher = await Teacher.findById(teacherId);
+
+  if (!teacher || !teacher.school.equals(req.user.school)) {
+    res.status(404).json({
+      success: false,
+      message: "Teacher not found",
+    });
+    return null;
+  }
+
+  return teacher;
+};
+
+// Approve a pending teacher, or reactivate a deactivated one
+exports.approveTeacher = async (req, res) => {
+  try {
+    const teacher = await findSchoolTeacher(req, res, req.params.id);
+    if (!teacher) return;
+
+    teacher.status = "active";
+    await teacher.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Teacher approved successfully",
+      teacher,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Deactivate a teacher and sign them out of every device
+exports.deactivateTeacher = async (req, res) => {
+  try {
+    const teacher = await findSchoolTeacher(req, res, req.params.id);
+    if (!teacher) return;
+
+    teacher.status = "deactivated";
+    await teacher.save();
+    await tokenService.revokeAllSessions(teacher._id, "Teacher");
+
+    res.status(200).json({
+      success: true,
+      message: "Teacher deactivated successfully",
+      teacher,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Classrooms
+
+// Classrooms in the admin's school, for the current year unless
+// ?academicYear=<id> is given
+exports.getClassrooms = async (req, res) => {
+  try {
+    const { grade, section, academicYear } = req.query;
+    const filter = { school: req.user.school };
+    if (grade) filter.grade = grade;
+    if (section) filter.section = section;
+    if (academicYear) {
+      if (!mongoose.isValidObjectId(academicYear)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid academic year ID format",
+        });
+      }
+      filter.academicYear = academicYear;
+    } else {
+      filter.archived = false;
+    }
+
+    const classrooms = await Classroom.find(filter)
+      .select(
+        "grade section subject teacher staff classTeacher students academicYear archived createdAt"
+      )
+      .populate("teacher", "name email status")
+      .populate("staff.teacher", "name email status")
+      .sort({ grade: 1, section: 1, subject: 1 });
+
+    res.status(200).json({
+      success: true,
+      classrooms,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+const findSchoolClassroom = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid classroom ID format",
+    });
+    return null;
+  }
+
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom || !classroom.school.equals(req.user.school)) {
+    res.status(404).json({
+      success: false,
+      message: "Classroom not found",
+    });
+    return null;
+  }
+
+  return classroom;
+};
+
+// Hand a classroom over to another teacher of the same school
+exports.reassignClassroom = async (req, res) => {
+  try {
+    const classroom = await findSchoolClassroom(req, res);
+    if (!classroom) return;
+
+    const teacher = await findSchoolTeacher(req, res, req.body.teacherId);
+    if (!teacher) return;
+
+    if (teacher.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: "Classroom can only be assigned to an active teacher",
+      });
+    }
+
+    const previousTeacherId = classroom.teacher;
+
+    classroom.teacher = teacher._id;
+    // The new owner no longer needs a separate staff entry
+    classroom.staff = classroom.staff.filter(
+      (member) => !member.teacher.equals(teacher._id)
+    );
+    await classroom.save();
+
+    await Teacher.findByIdAndUpdate(previousTeacherId, {
+      $pull: { classrooms: classroom._id },
+    });
+    await Teacher.findByIdAndUpdate(teacher._id, {
+      $addToSet: { classrooms: classroom._id },
+    });
+
+    await classroom.populate("teacher", "name email status");
+
+    res.status(200).json({
+      success: true,
+      message: "Classroom reassigned successfully",
+      classroom,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Make a classroom the class teacher's room for its grade and section
+exports.assignClassTeacher = async (req, res) => {
+  try {
+    const classroom = await findSchoolClassroom(req, res);
+    if (!classroom) return;
+
+    // Only one class teacher room per grade and section
+    await Classroom.updateMany(
+      {
+        school: classroom.school,
+        academicYear: classroom.academicYear,
+        grade: classroom.grade,
+        section: classroom.section,
+        classTeacher: true,
+        _id: { $ne: classroom._id },
+      },
+      { classTeacher: false }
+    );
+
+    classroom.classTeacher = true;
+    await classroom.save();
+
+    await classroom.populate("teacher", "name email status");
+
+    res.status(200).json({
+      success: true,
+      message: "Class teacher assigned successfully",
+      classroom,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Academic years
+
+exports.getAcademicYears = async (req, res) => {
+  try {
+    const academicYears = await AcademicYear.find({
+      school: req.user.school,
+    }).sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      academicYears,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Set up next year ahead of promotion
+exports.createAcademicYear = async (req, res) => {
+  try {
+    const { name, startDate, endDate, terms } = req.body;
+
+    const academicYear = await AcademicYear.create({
+      school: req.user.school,
+      name,
+      startDate,
+      endDate,
+      terms,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Academic year created successfully",
+      academicYear,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Replace the terms of a year that hasn't been archived
+exports.updateTerms = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid academic year ID format",
+      });
+    }
+
+    const academicYear = await AcademicYear.findOne({
+      _id: req.params.id,
+      school: req.user.school,
+    });
+
+    if (!academicYear) {
+      return res.status(404).json({
+        success: false,
+        message: "Academic year not found",
+      });
+    }
+
+    if (academicYear.status === "archived") {
+      return res.status(400).json({
+        success: false,
+        message: "Terms of an archived year cannot be changed",
+      });
+    }
+
+    academicYear.terms = req.body.terms || [];
+    await academicYear.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Terms updated successfully",
+      academicYear,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// End the year: archive its classrooms and move students up a grade
+exports.promoteAcademicYear = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid academic year ID format",
+      });
+    }
+
+    const { repeatStudentIds } = req.body;
+    if (repeatStudentIds !== undefined && !Array.isArray(repeatStudentIds)) {
+      return res.status(400).json({
+        success: false,
+        message: "repeatStudentIds must be an array of student IDs",
+      });
+    }
+
+    const result = await promotionService.promote(
+      req.user.school,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Students promoted successfully",
+      ...result,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
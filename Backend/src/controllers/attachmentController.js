@@ -0,0 +1,51 @@
+const Classroom = require("../models/classroom");
+const attachmentService = require("../services/attachmentService");
+
+// Download an attachment of one of the classroom's assignments or
+// announcements. ?thumbnail=true sends the image preview instead. The
+// routes check that the teacher or parent can view the classroom.
+const downloadFrom = (list, param, label) => async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id).select(list);
+    const item = classroom[list].id(req.params[param]);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`,
+      });
+    }
+
+    const attachment = item.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      });
+    }
+
+    await attachmentService.sendAttachment(
+      req,
+      res,
+      attachment,
+      req.query.thumbnail === "true"
+    );
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+exports.getAssignmentAttachment = downloadFrom(
+  "assignments",
+  "assignmentId",
+  "Assignment"
+);
+
+exports.getAnnouncementAttachment = downloadFrom(
+  "announcements",
+  "announcementId",
+  "Announcement"
+);
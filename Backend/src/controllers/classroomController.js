@@ -1,25 +1,54 @@
+const mongoose = require("mongoose");
 const Classroom = require("../models/classroom");
 const Teacher = require("../models/teacher");
 const Student = require("../models/student");
+const AcademicYear = require("../models/academicYear");
+const Exam = require("../models/exam");
+const Mark = require("../models/mark");
+const Attendance = require("../models/attendance");
+const Submission = require("../models/submission");
+const School = require("../models/school");
 const notificationService = require("../services/notificationService");
 const translateBatch = require("../utils/translateBatch");
+const exportService = require("../services/exportService");
+const reportTables = require("../services/reportTables");
+const reportCardService = require("../services/reportCardService");
+const gradingService = require("../services/gradingService");
+const analyticsService = require("../services/analyticsService");
+const attendanceService = require("../services/attendanceService");
+const absenceAlertService = require("../services/absenceAlertService");
+const leaveService = require("../services/leaveService");
+const calendarService = require("../services/calendarService");
+const attachmentService = require("../services/attachmentService");
+const timetableService = require("../services/timetableService");
+const mediaStore = require("../services/mediaStore");
+const { teacherClassroomsFilter, getStaffRole } = require("../utils/policy");
+
+// Delete submissions along with their uploaded files
+const deleteSubmissions = async (filter) => {
+  const submissions = await Submission.find(filter).select("files.key");
+  await Submission.deleteMany(filter);
+  for (const file of submissions.flatMap((submission) => submission.files)) {
+    await mediaStore.remove(file.key);
+  }
+};
 
 exports.createClassroom = async (req, res) => {
   try {
     const { grade, section, subject, classTeacher } = req.body;
+    const academicYear = await AcademicYear.ensureCurrent(req.user.school);
 
     // If creating as class teacher, check if one already exists
     if (classTeacher) {
       const existingClassTeacher = await Classroom.findOne({
         grade,
         section,
+        school: req.user.school,
+        academicYear: academicYear._id,
         classTeacher: true,
-      }).populate("teacher", "school");
+      });
 
-      if (
-        existingClassTeacher &&
-        existingClassTeacher.teacher.school === req.user.school
-      ) {
+      if (existingClassTeacher) {
         return res.status(400).json({
           success: false,
           message: "A class teacher already exists for this class and section",
@@ -30,13 +59,12 @@ exports.createClassroom = async (req, res) => {
       const classTeacherRoom = await Classroom.findOne({
         grade,
         section,
+        school: req.user.school,
+        academicYear: academicYear._id,
         classTeacher: true,
-      }).populate("teacher", "school");
+      });
 
-      if (
-        classTeacherRoom &&
-        classTeacherRoom.teacher.school === req.user.school
-      ) {
+      if (classTeacherRoom) {
         // Create classroom with class teacher's students
         const classroom = await Classroom.create({
           grade,
@@ -44,6 +72,8 @@ exports.createClassroom = async (req, res) => {
           subject,
           classTeacher: false,
           teacher: req.user.id,
+          school: req.user.school,
+          academicYear: academicYear._id,
           students: classTeacherRoom.students,
         });
 
@@ -74,6 +104,8 @@ exports.createClassroom = async (req, res) => {
       subject,
       classTeacher: classTeacher || false,
       teacher: req.user.id,
+      school: req.user.school,
+      academicYear: academicYear._id,
     });
 
     // Add to teacher's classrooms
@@ -93,13 +125,41 @@ exports.createClassroom = async (req, res) => {
   }
 };
 
+// Classrooms the teacher owns or shares as co-teacher or substitute.
+// Defaults to the current year; ?academicYear=<id> looks at a past one.
 exports.getTeacherClassrooms = async (req, res) => {
   try {
-    const classrooms = await Classroom.find({ teacher: req.user.id });
+    const { academicYear } = req.query;
+
+    if (academicYear && !mongoose.Types.ObjectId.isValid(academicYear)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid academic year ID format",
+      });
+    }
+
+    const classrooms = await Classroom.find({
+      ...teacherClassroomsFilter(req.user.id),
+      ...(academicYear ? { academicYear } : { archived: false }),
+    })
+      .populate("teacher", "name")
+      .populate("academicYear", "name status");
 
     res.status(200).json({
       success: true,
-      classrooms,
+      classrooms: classrooms.map((classroom) => {
+        const myRole = getStaffRole(req.user.id, classroom);
+        const staffEntry = classroom.staff.find((member) =>
+          member.teacher.equals(req.user.id)
+        );
+
+        return {
+          ...classroom.toObject(),
+          myRole,
+          accessExpiresAt:
+            myRole === "substitute" ? staffEntry.expiresAt : undefined,
+        };
+      }),
     });
   } catch (error) {
     res.status(500).json({
@@ -113,7 +173,10 @@ exports.getTeacherClassrooms = async (req, res) => {
 exports.getClassroomDetails = async (req, res) => {
   try {
     const classroom = await Classroom.findById(req.params.id)
-      .populate("teacher", "name email school")
+      .populate("teacher", "name email")
+      .populate("staff.teacher", "name email")
+      .populate("school", "name code timezone")
+      .populate("academicYear", "name startDate endDate terms status")
       .populate("students", "name admissionNumber");
 
     if (!classroom) {
@@ -123,14 +186,6 @@ exports.getClassroomDetails = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher._id.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to access this classroom",
-      });
-    }
-
     res.status(200).json({
       success: true,
       classroom,
@@ -155,23 +210,178 @@ exports.deleteClassroom = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
+    await Teacher.updateMany(
+      { classrooms: classroom._id },
+      { $pull: { classrooms: classroom._id } }
+    );
+
+    await Exam.deleteMany({ classroom: classroom._id });
+    await Mark.deleteMany({ classroom: classroom._id });
+    await Attendance.deleteMany({ classroom: classroom._id });
+    await deleteSubmissions({ classroom: classroom._id });
+    await classroom.deleteOne();
+    await attachmentService.removeAttachments(
+      [...classroom.assignments, ...classroom.announcements].flatMap(
+        (item) => item.attachments
+      )
+    );
+    if (classroom.timetable && classroom.timetable.imageKey) {
+      await mediaStore.remove(classroom.timetable.imageKey);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Classroom deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Staff
+
+// Owner and everyone the classroom is shared with
+exports.getStaff = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .select("teacher staff")
+      .populate("teacher", "name email")
+      .populate("staff.teacher", "name email");
+
+    const now = new Date();
+    const staff = classroom.staff.filter(
+      (member) =>
+        member.role !== "substitute" ||
+        (member.expiresAt && member.expiresAt > now)
+    );
+
+    res.status(200).json({
+      success: true,
+      owner: classroom.teacher,
+      staff,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Share the classroom with another teacher of the school, or change their role
+exports.addStaff = async (req, res) => {
+  try {
+    const { teacherId, email, role, expiresAt } = req.body;
+
+    if (!["owner", "co-teacher", "substitute"].includes(role)) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to delete this classroom",
+        message: "Role must be owner, co-teacher or substitute",
       });
     }
 
-    const teacher = await Teacher.findById(req.user.id);
-    teacher.classrooms.pull(req.params.id);
-    await teacher.save();
+    let expiry;
+    if (role === "substitute") {
+      expiry = new Date(expiresAt);
+      if (!expiresAt || isNaN(expiry) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Substitutes need an expiry date in the future",
+        });
+      }
+    }
+
+    if (teacherId && !mongoose.Types.ObjectId.isValid(teacherId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid teacher ID format",
+      });
+    }
 
-    await classroom.deleteOne();
+    const teacher = teacherId
+      ? await Teacher.findById(teacherId)
+      : email
+      ? await Teacher.findOne({ email })
+      : null;
+
+    if (!teacher || !teacher.school.equals(req.classroom.school)) {
+      return res.status(404).json({
+        success: false,
+        message: "Teacher not found in this school",
+      });
+    }
+
+    if (teacher.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: "Classroom can only be shared with an active teacher",
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (classroom.teacher.equals(teacher._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Teacher already owns this classroom",
+      });
+    }
+
+    const existing = classroom.staff.find((member) =>
+      member.teacher.equals(teacher._id)
+    );
+    if (existing) {
+      existing.role = role;
+      existing.expiresAt = expiry;
+    } else {
+      classroom.staff.push({
+        teacher: teacher._id,
+        role,
+        expiresAt: expiry,
+        addedBy: req.user._id,
+      });
+    }
+    await classroom.save();
+
+    await classroom.populate("staff.teacher", "name email");
 
     res.status(200).json({
       success: true,
-      message: "Classroom deleted successfully",
+      message: "Classroom shared successfully",
+      staff: classroom.staff,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Stop sharing the classroom with a teacher
+exports.removeStaff = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    const staffEntry = classroom.staff.find(
+      (member) => member.teacher.toString() === req.params.teacherId
+    );
+    if (!staffEntry) {
+      return res.status(404).json({
+        success: false,
+        message: "Teacher is not on the staff of this classroom",
+      });
+    }
+
+    classroom.staff.pull(staffEntry._id);
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Teacher removed from classroom",
     });
   } catch (error) {
     res.status(500).json({
@@ -181,11 +391,21 @@ exports.deleteClassroom = async (req, res) => {
   }
 };
 
-// Add assignments
+// Add assignments: { title, description, dueDate }, sent as multipart
+// form data with up to five "attachments"
 exports.addAssignment = async (req, res) => {
   try {
     const { title, description, dueDate } = req.body;
 
+    const uploads = attachmentService.uploadsOf(req);
+    const uploadError = attachmentService.validationError(uploads);
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError,
+      });
+    }
+
     const classroom = await Classroom.findById(req.params.id).populate({
       path: "students",
       populate: {
@@ -201,19 +421,19 @@ exports.addAssignment = async (req, res) => {
       });
     }
 
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to add assignments",
-      });
-    }
-
+    const attachments = await attachmentService.saveAttachments(uploads);
     classroom.assignments.push({
       title,
       description,
       dueDate,
+      attachments,
     });
-    await classroom.save();
+    try {
+      await classroom.save();
+    } catch (error) {
+      await attachmentService.removeAttachments(attachments);
+      throw error;
+    }
 
     const uniqueParents = new Map();
 
@@ -317,17 +537,22 @@ exports.getAssignments = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view assignments",
-      });
-    }
+    // How many students have handed in each assignment
+    const counts = await Submission.aggregate([
+      { $match: { classroom: classroom._id } },
+      { $group: { _id: "$assignment", count: { $sum: 1 } } },
+    ]);
+    const submissionCounts = new Map(
+      counts.map((count) => [count._id.toString(), count.count])
+    );
 
     res.status(200).json({
       success: true,
-      assignments: classroom.assignments,
+      assignments: classroom.assignments.map((assignment) => ({
+        ...assignment.toObject(),
+        submissionCount: submissionCounts.get(assignment._id.toString()) || 0,
+      })),
+      studentCount: classroom.students.length,
     });
   } catch (error) {
     res.status(500).json({
@@ -337,6 +562,117 @@ exports.getAssignments = async (req, res) => {
   }
 };
 
+// Edit an assignment or announcement. Only the given fields change, each
+// edit is kept in the item's history, and parents are notified when one of
+// notifyFields changes (not for a fixed typo in the text).
+const editPost =
+  ({ list, param, label, type, fields, notifyFields }) =>
+  async (req, res) => {
+    try {
+      const classroom = await Classroom.findById(req.params.id);
+      const item = classroom && classroom[list].id(req.params[param]);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`,
+        });
+      }
+
+      const before = fields.map((field) => item[field]);
+      fields.forEach((field) => {
+        if (req.body[field] !== undefined) item[field] = req.body[field];
+      });
+      await classroom.validate();
+
+      const changes = fields
+        .map((field, index) => ({
+          field,
+          from: before[index],
+          to: item[field],
+        }))
+        .filter(
+          (change) =>
+            String(change.from?.valueOf()) !== String(change.to?.valueOf())
+        );
+      if (changes.length === 0) {
+        return res.status(200).json({
+          success: true,
+          message: "Nothing to update",
+          [type]: item,
+        });
+      }
+
+      item.editedAt = new Date();
+      item.history.push({
+        editedBy: req.user.id,
+        editedAt: item.editedAt,
+        changes,
+      });
+      await classroom.save();
+
+      const notified = changes.filter((change) =>
+        notifyFields.includes(change.field)
+      );
+      if (notified.length > 0) {
+        try {
+          const school = await School.findById(classroom.school).select(
+            "timezone"
+          );
+          const timeZone = school?.timezone || "Asia/Kolkata";
+          await notificationService.sendTranslatedClassroomNotification(
+            classroom,
+            `${label} updated: ${item.title}`,
+            notified
+              .map((change) => describeChange(change, timeZone))
+              .join("\n"),
+            type
+          );
+        } catch (error) {
+          console.error(`Error notifying parents of ${type} edit:`, error);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `${label} updated successfully`,
+        [type]: item,
+      });
+    } catch (error) {
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  };
+
+// Due dates are shown as the school sees them, not in the server's timezone
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    timeZone,
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+// e.g. "Due date changed from 3 Mar 2025 to 5 Mar 2025"
+const describeChange = ({ field, from, to }, timeZone) => {
+  if (field !== "dueDate") return `Title changed from "${from}" to "${to}"`;
+
+  const [before, after] = [from, to].map((date) => formatDate(date, timeZone));
+  return `Due date changed from ${before} to ${after}`;
+};
+
+// Edit an assignment: { title, description, dueDate }, any of them
+exports.updateAssignment = editPost({
+  list: "assignments",
+  param: "assignmentId",
+  label: "Assignment",
+  type: "assignment",
+  fields: ["title", "description", "dueDate"],
+  notifyFields: ["title", "dueDate"],
+});
+
 // Delete assignment
 exports.deleteAssignment = async (req, res) => {
   try {
@@ -349,19 +685,19 @@ exports.deleteAssignment = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete assignments",
-      });
-    }
-
+    const removed = classroom.assignments.id(req.params.assignmentId);
     classroom.assignments = classroom.assignments.filter(
       (assignment) => assignment._id.toString() !== req.params.assignmentId
     );
 
     await classroom.save();
+    if (removed) {
+      await attachmentService.removeAttachments(removed.attachments);
+    }
+    await deleteSubmissions({
+      classroom: classroom._id,
+      assignment: req.params.assignmentId,
+    });
 
     res.status(200).json({
       success: true,
@@ -375,10 +711,21 @@ exports.deleteAssignment = async (req, res) => {
   }
 };
 
+// Add an announcement: { title, content }, sent as multipart form data
+// with up to five "attachments"
 exports.addAnnouncement = async (req, res) => {
   try {
     const { title, content } = req.body;
 
+    const uploads = attachmentService.uploadsOf(req);
+    const uploadError = attachmentService.validationError(uploads);
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError,
+      });
+    }
+
     const classroom = await Classroom.findById(req.params.id).populate({
       path: "students",
       populate: {
@@ -394,16 +741,15 @@ exports.addAnnouncement = async (req, res) => {
       });
     }
 
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to add announcements",
-      });
+    const attachments = await attachmentService.saveAttachments(uploads);
+    classroom.announcements.push({ title, content, attachments });
+    try {
+      await classroom.save();
+    } catch (error) {
+      await attachmentService.removeAttachments(attachments);
+      throw error;
     }
 
-    classroom.announcements.push({ title, content });
-    await classroom.save();
-
     const uniqueParents = new Map();
 
     classroom.students.forEach((student) => {
@@ -498,13 +844,6 @@ exports.getAnnouncements = async (req, res) => {
       });
     }
 
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view announcements",
-      });
-    }
-
     res.status(200).json({
       success: true,
       announcements: classroom.announcements,
@@ -517,6 +856,16 @@ exports.getAnnouncements = async (req, res) => {
   }
 };
 
+// Edit an announcement: { title, content }, either of them
+exports.updateAnnouncement = editPost({
+  list: "announcements",
+  param: "announcementId",
+  label: "Announcement",
+  type: "announcement",
+  fields: ["title", "content"],
+  notifyFields: ["title"],
+});
+
 // Delete announcement
 exports.deleteAnnouncement = async (req, res) => {
   try {
@@ -529,20 +878,16 @@ exports.deleteAnnouncement = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete announcements",
-      });
-    }
-
+    const removed = classroom.announcements.id(req.params.announcementId);
     classroom.announcements = classroom.announcements.filter(
       (announcement) =>
         announcement._id.toString() !== req.params.announcementId
     );
 
     await classroom.save();
+    if (removed) {
+      await attachmentService.removeAttachments(removed.attachments);
+    }
 
     res.status(200).json({
       success: true,
@@ -557,9 +902,15 @@ exports.deleteAnnouncement = async (req, res) => {
 };
 
 //Marks
+// Every mark of a classroom, oldest exam first
+const classroomMarks = (classroomId) =>
+  Mark.find({ classroom: classroomId })
+    .populate("student", "name admissionNumber")
+    .sort({ date: 1, _id: 1 });
+
 exports.addMarks = async (req, res) => {
   try {
-    const { marks } = req.body; // Array of marks
+    const { examId, marks } = req.body; // Array of { student, marksObtained }
     const classroom = await Classroom.findById(req.params.id);
 
     if (!classroom) {
@@ -569,40 +920,88 @@ exports.addMarks = async (req, res) => {
       });
     }
 
-    // Verify teacher belongs to classroom
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
+    if (!Array.isArray(marks) || marks.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to add marks",
+        message: "Please provide marks",
       });
     }
 
-    // Calculate highest and average marks
-    const highestMarks = Math.max(...marks.map((mark) => mark.marksObtained));
-    const averageMarks =
-      marks.reduce((sum, mark) => sum + mark.marksObtained, 0) / marks.length;
+    if (!mongoose.Types.ObjectId.isValid(examId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid exam ID format",
+      });
+    }
 
-    // Add classroom's subject and stats to each mark entry
-    const marksWithStats = marks.map((mark) => ({
-      ...mark,
-      subject: classroom.subject,
-      highestMarks,
-      averageMarks,
-    }));
+    // Marks are kept per student, so they must all be in this classroom
+    if (!marks.every((mark) => classroom.students.includes(mark.student))) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more students not found in this classroom",
+      });
+    }
 
-    // Add marks to classroom
-    classroom.marks.push(...marksWithStats);
-    await classroom.save();
+    if (
+      new Set(marks.map((mark) => String(mark.student))).size !== marks.length
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Each student can only have one mark per exam",
+      });
+    }
+
+    const exam = await Exam.findOne({ _id: examId, classroom: classroom._id });
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: "Exam not found",
+      });
+    }
 
-    // Populate student details in response
-    await classroom.populate("marks.student", "name admissionNumber");
+    // Re-entering a student's marks replaces them; name, category, total
+    // and date come from the exam
+    const existing = await Mark.find({
+      examId: exam._id,
+      student: { $in: marks.map((mark) => mark.student) },
+    });
+    const entries = marks.map(({ student, marksObtained }) => {
+      const mark =
+        existing.find((item) => item.student.equals(student)) ||
+        new Mark({
+          classroom: classroom._id,
+          student,
+          examId: exam._id,
+          exam: exam.name,
+          category: exam.category,
+          subject: classroom.subject,
+          totalMarks: exam.maxMarks,
+          date: exam.date,
+        });
+      mark.marksObtained = marksObtained;
+      return mark;
+    });
+
+    // Nothing is saved unless the whole batch is valid
+    await Promise.all(entries.map((mark) => mark.validate()));
+    await Mark.bulkSave(entries);
+
+    // Stats cover every mark of the exam, not just this batch
+    await gradingService.refreshExamStats([exam._id]);
 
     res.status(200).json({
       success: true,
-      marks: classroom.marks,
+      marks: await classroomMarks(classroom._id),
     });
   } catch (error) {
-    res.status(500).json({
+    // Another teacher entered marks for the same students first
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Marks were just entered from another device, please refresh",
+      });
+    }
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
       success: false,
       message: error.message,
     });
@@ -613,7 +1012,7 @@ exports.addMarks = async (req, res) => {
 exports.getMarks = async (req, res) => {
   try {
     const classroom = await Classroom.findById(req.params.id)
-      .populate("marks.student", "name admissionNumber")
+      .select("students")
       .populate("students", "name admissionNumber");
 
     if (!classroom) {
@@ -625,7 +1024,7 @@ exports.getMarks = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      marks: classroom.marks,
+      marks: await classroomMarks(classroom._id),
       students: classroom.students,
     });
   } catch (error) {
@@ -640,18 +1039,9 @@ exports.getMarks = async (req, res) => {
 exports.updateMarks = async (req, res) => {
   try {
     const { markId } = req.params;
-    const { marksObtained, totalMarks } = req.body;
-
-    const classroom = await Classroom.findById(req.params.id);
-
-    if (!classroom) {
-      return res.status(404).json({
-        success: false,
-        message: "Classroom not found",
-      });
-    }
+    const { marksObtained } = req.body;
 
-    const mark = classroom.marks.id(markId);
+    const mark = await Mark.findOne({ _id: markId, classroom: req.params.id });
     if (!mark) {
       return res.status(404).json({
         success: false,
@@ -659,29 +1049,16 @@ exports.updateMarks = async (req, res) => {
       });
     }
 
-    // Get all marks for this exam to recalculate stats
-    const examMarks = classroom.marks.filter((m) => m.exam === mark.exam);
-
-    // Update current mark
+    // The total is the exam's maximum marks, changed through the exam
     mark.marksObtained = marksObtained;
-    mark.totalMarks = totalMarks;
+    await mark.save();
 
     // Recalculate highest and average for all marks in this exam
-    const highestMarks = Math.max(...examMarks.map((m) => m.marksObtained));
-    const averageMarks =
-      examMarks.reduce((sum, m) => sum + m.marksObtained, 0) / examMarks.length;
-
-    // Update stats for all marks in this exam
-    examMarks.forEach((m) => {
-      m.highestMarks = highestMarks;
-      m.averageMarks = averageMarks;
-    });
-
-    await classroom.save();
+    await gradingService.refreshExamStats([mark.examId]);
 
     res.status(200).json({
       success: true,
-      mark,
+      mark: await Mark.findById(mark._id),
     });
   } catch (error) {
     res.status(500).json({
@@ -691,52 +1068,55 @@ exports.updateMarks = async (req, res) => {
   }
 };
 
-// Attendance
-// Get attendance for a specific date
-exports.getAttendance = async (req, res) => {
+// e.g. "maths-8a-unit-test-1"
+const exportFilename = (classroom, suffix) =>
+  `${classroom.subject}-${classroom.grade}${classroom.section}-${suffix}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Export marks as csv, xlsx or pdf: ?format=&examId= (all exams if omitted)
+exports.exportMarks = async (req, res) => {
   try {
-    const { date } = req.params;
-    const classroom = await Classroom.findById(req.params.id)
-      .populate("students", "name admissionNumber")
-      .populate("attendance.studentId", "name admissionNumber");
+    const { format = "csv", examId } = req.query;
 
-    if (!classroom) {
-      return res.status(404).json({
+    if (!exportService.isFormat(format)) {
+      return res.status(400).json({
         success: false,
-        message: "Classroom not found",
+        message: "Format must be csv, xlsx or pdf",
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
+    if (examId && !mongoose.Types.ObjectId.isValid(examId)) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to view attendance",
+        message: "Invalid exam ID format",
       });
     }
 
-    // Convert date string to IST Date object
-    const attendanceDate = new Date(date);
-    // Add IST offset (5 hours and 30 minutes)
-    attendanceDate.setHours(5, 30, 0, 0);
+    const classroom = await Classroom.findById(req.params.id).populate(
+      "students",
+      "name admissionNumber"
+    );
 
-    // Find attendance records for this date
-    const dateAttendance = classroom.attendance.filter((record) => {
-      const recordDate = new Date(record.date);
-      return recordDate.toDateString() === attendanceDate.toDateString();
-    });
+    const exam = examId
+      ? await Exam.findOne({ _id: examId, classroom: classroom._id })
+      : null;
+    if (examId && !exam) {
+      return res.status(404).json({
+        success: false,
+        message: "Exam not found",
+      });
+    }
 
-    // Create a map of student attendance status
-    const attendanceMap = {};
-    dateAttendance.forEach((record) => {
-      attendanceMap[record.studentId.toString()] = record.status;
-    });
+    const table = reportTables.marksTable(
+      classroom,
+      await classroomMarks(classroom._id),
+      { exam }
+    );
+    const filename = exportFilename(classroom, exam ? exam.name : "marks");
 
-    res.status(200).json({
-      success: true,
-      attendance: dateAttendance,
-      attendanceMap,
-    });
+    await exportService.send(res, table, format, filename);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -745,13 +1125,12 @@ exports.getAttendance = async (req, res) => {
   }
 };
 
-// Get attendance report for a date range
-exports.getAttendanceReport = async (req, res) => {
+// Attendance
+// Get attendance for a specific date
+exports.getAttendance = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-    const classroom = await Classroom.findById(req.params.id)
-      .populate("students", "name admissionNumber")
-      .populate("attendance.studentId", "name admissionNumber");
+    const { date } = req.params;
+    const classroom = await Classroom.findById(req.params.id).select("_id");
 
     if (!classroom) {
       return res.status(404).json({
@@ -760,33 +1139,139 @@ exports.getAttendanceReport = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
+    // Convert date string to IST Date object
+    const attendanceDate = new Date(date);
+    // Add IST offset (5 hours and 30 minutes)
+    attendanceDate.setHours(5, 30, 0, 0);
+
+    // Find attendance records for this date: the daily roll call, or one
+    // period with ?period=
+    const period = req.query.period ? Number(req.query.period) : null;
+    const dayAttendance = await Attendance.find({
+      classroom: classroom._id,
+      date: attendanceService.dayRange(attendanceDate),
+    }).populate("studentId", "name admissionNumber");
+    const dateAttendance = dayAttendance.filter(
+      (record) => (record.period || null) === period
+    );
+
+    // Create a map of student attendance status
+    const attendanceMap = {};
+    dateAttendance.forEach((record) => {
+      attendanceMap[String(record.studentId?._id || record.studentId)] =
+        record.status;
+    });
+
+    // Students on approved leave, so the roll call can mark them excused
+    const leaves =
+      period === null
+        ? await leaveService.approvedLeaveOn(classroom._id, attendanceDate)
+        : [];
+
+    res.status(200).json({
+      success: true,
+      attendance: dateAttendance,
+      attendanceMap,
+      leaves,
+      // Periods already marked on this date
+      periods: [
+        ...new Set(
+          dayAttendance
+            .filter((record) => !attendanceService.isDaily(record))
+            .map((record) => record.period)
+        ),
+      ].sort((a, b) => a - b),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Periods each student missed on a date, across every subject classroom of
+// the class teacher's section
+exports.getPeriodAttendance = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id).populate(
+      "students",
+      "name admissionNumber"
+    );
+
+    if (!classroom.classTeacher) {
+      return res.status(400).json({
+        success: false,
+        message: "Period roll-up is only available in the class teacher's room",
+      });
+    }
+
+    const date = new Date(req.params.date);
+    date.setHours(5, 30, 0, 0);
+
+    const rollup = await attendanceService.periodRollup(classroom, date);
+
+    res.status(200).json({
+      success: true,
+      ...rollup,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get attendance report for a date range
+exports.getAttendanceReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const classroom = await Classroom.findById(req.params.id)
+      .select("school students")
+      .populate("students", "name admissionNumber");
+
+    if (!classroom) {
+      return res.status(404).json({
         success: false,
-        message: "Not authorized to view attendance report",
+        message: "Classroom not found",
       });
     }
 
     const start = new Date(startDate);
     const end = new Date(endDate);
 
-    // Filter attendance records within the date range
-    const attendanceRecords = classroom.attendance.filter(
-      (record) => record.date >= start && record.date <= end
+    // Filter daily attendance records within the date range, leaving out
+    // days the school calendar has as closed
+    const calendar = await calendarService.loadCalendar(
+      classroom.school,
+      start,
+      end
+    );
+    const attendanceRecords = (
+      await Attendance.find({
+        classroom: classroom._id,
+        period: null,
+        date: { $gte: start, $lte: end },
+      })
+    ).filter((record) => calendar.isWorkingDay(record.date));
+
+    const excusedPolicy = await attendanceService.excusedPolicyFor(
+      classroom.school
     );
 
-    // Calculate attendance statistics for each student
+    // Calculate attendance statistics for each student. Holidays (and
+    // excused days, unless the school counts them) don't count as school days.
     const report = classroom.students.map((student) => {
       const studentId = student._id.toString();
       const studentAttendance = attendanceRecords.filter(
         (record) => record.studentId.toString() === studentId
       );
 
-      const totalDays = studentAttendance.length;
-      const presentDays = studentAttendance.filter(
-        (record) => record.status === "present"
-      ).length;
+      const summary = attendanceService.summarize(
+        studentAttendance.map((record) => record.status),
+        excusedPolicy
+      );
 
       return {
         student: {
@@ -794,17 +1279,19 @@ exports.getAttendanceReport = async (req, res) => {
           name: student.name,
           admissionNumber: student.admissionNumber,
         },
-        totalDays,
-        presentDays,
-        absentDays: totalDays - presentDays,
-        attendancePercentage:
-          totalDays > 0 ? (presentDays / totalDays) * 100 : 0,
+        totalDays: summary.total,
+        presentDays: summary.attended,
+        absentDays: summary.total - summary.attended,
+        statusCounts: summary.counts,
+        attendancePercentage: summary.percentage,
       };
     });
 
     res.status(200).json({
       success: true,
       report,
+      excusedPolicy,
+      holidays: calendarService.holidaysBetween(calendar, start, end),
       dateRange: {
         start,
         end,
@@ -818,10 +1305,226 @@ exports.getAttendanceReport = async (req, res) => {
   }
 };
 
+// Export attendance between two dates as csv, xlsx or pdf:
+// ?format=&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+exports.exportAttendance = async (req, res) => {
+  try {
+    const { format = "csv", startDate, endDate } = req.query;
+
+    if (!exportService.isFormat(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv, xlsx or pdf",
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start) || isNaN(end) || start > end) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid startDate and endDate",
+      });
+    }
+    // Include the whole of the last day
+    end.setUTCHours(23, 59, 59, 999);
+
+    const classroom = await Classroom.findById(req.params.id).populate(
+      "students",
+      "name admissionNumber"
+    );
+    const records = await Attendance.find({
+      classroom: classroom._id,
+      period: null,
+      date: { $gte: start, $lte: end },
+    });
+
+    const excusedPolicy = await attendanceService.excusedPolicyFor(
+      classroom.school
+    );
+    const calendar = await calendarService.loadCalendar(
+      classroom.school,
+      start,
+      end
+    );
+    const table = reportTables.attendanceTable(
+      classroom,
+      records,
+      { start, end },
+      excusedPolicy,
+      calendar
+    );
+    const filename = exportFilename(
+      classroom,
+      `attendance-${startDate}-to-${endDate}`
+    );
+
+    await exportService.send(res, table, format, filename);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Grading scheme
+
+exports.getGradingScheme = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id).select(
+      "gradingScheme"
+    );
+
+    res.status(200).json({
+      success: true,
+      gradingScheme: classroom.gradingScheme,
+      bands: gradingService.bandsFor(classroom.gradingScheme),
+      presets: {
+        bands: gradingService.PRESET_BANDS,
+        categories: gradingService.DEFAULT_CATEGORIES,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Replace the grading scheme: { type, categories: [{ name, weight }],
+// bands: [{ grade, minPercentage, gradePoint }] }
+exports.updateGradingScheme = async (req, res) => {
+  try {
+    let gradingScheme;
+    try {
+      gradingScheme = gradingService.validateScheme(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+    classroom.gradingScheme = gradingScheme;
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Grading scheme updated successfully",
+      gradingScheme: classroom.gradingScheme,
+      bands: gradingService.bandsFor(classroom.gradingScheme),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Computed term grade of every student: ?term=<termId> (whole academic year
+// if omitted)
+exports.getGrades = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .select("academicYear students gradingScheme")
+      .populate({
+        path: "students",
+        select: "name admissionNumber",
+        options: { sort: { name: 1 } },
+      })
+      .populate("academicYear", "name startDate endDate terms");
+
+    let period;
+    try {
+      period = classroom.academicYear.period(req.query.term);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      period,
+      terms: classroom.academicYear.terms,
+      gradingScheme: classroom.gradingScheme,
+      grades: gradingService.termGrades(
+        classroom,
+        await Mark.find({
+          classroom: classroom._id,
+          date: { $gte: period.startDate, $lte: period.endDate },
+        }),
+        period
+      ),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Exam spreads, class distribution and each student's trend and percentile
+exports.getAnalytics = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .select("students gradingScheme")
+      .populate({
+        path: "students",
+        select: "name admissionNumber",
+        options: { sort: { name: 1 } },
+      });
+
+    res.status(200).json({
+      success: true,
+      analytics: await analyticsService.classAnalytics(classroom),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Report cards for the whole section in one printable PDF: ?term=<termId>
+// (the whole academic year if omitted)
+exports.getSectionReportCards = async (req, res) => {
+  try {
+    const { buffer } = await reportCardService.sectionReportCards(
+      req.params.id,
+      { term: req.query.term }
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${exportFilename(
+        req.classroom,
+        "report-cards"
+      )}.pdf"`
+    );
+    res.status(200).send(buffer);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // bulk attendance
 exports.markBulkAttendance = async (req, res) => {
   try {
-    const { attendance } = req.body; // Array of { studentId, date, status }
+    const { attendance } = req.body; // Array of { studentId, date, status, reason }
+    // Leave period out for the daily roll call
+    const period = req.body.period ? Number(req.body.period) : null;
     const classroom = await Classroom.findById(req.params.id);
 
     if (!classroom) {
@@ -831,17 +1534,29 @@ exports.markBulkAttendance = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
+    // Convert date string to IST Date object for all records
+    const attendanceDate = new Date(attendance[0].date);
+    attendanceDate.setHours(5, 30, 0, 0);
+
+    if (period !== null && !(Number.isInteger(period) && period > 0)) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to mark attendance",
+        message: "Period must be a positive whole number",
       });
     }
 
-    // Convert date string to IST Date object for all records
-    const attendanceDate = new Date(attendance[0].date);
-    attendanceDate.setHours(5, 30, 0, 0);
+    if (
+      !attendance.every((record) =>
+        attendanceService.STATUSES.includes(record.status)
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${attendanceService.STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
 
     // Validate all students exist in classroom
     const validStudents = attendance.every((record) =>
@@ -855,27 +1570,81 @@ exports.markBulkAttendance = async (req, res) => {
       });
     }
 
-    // Remove existing attendance for this date
-    classroom.attendance = classroom.attendance.filter((record) => {
-      const recordDate = new Date(record.date);
-      return recordDate.toDateString() !== attendanceDate.toDateString();
-    });
+    const studentIds = attendance.map((record) => String(record.studentId));
+    if (new Set(studentIds).size !== studentIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Each student can only be marked once",
+      });
+    }
+
+    // Existing attendance for this date and period is replaced
+    const replaced = {
+      classroom: classroom._id,
+      date: attendanceService.dayRange(attendanceDate),
+      period,
+    };
+    const previousRecords = await Attendance.find(replaced);
 
     // Add new attendance records
     const newAttendanceRecords = attendance.map((record) => ({
+      classroom: classroom._id,
       studentId: record.studentId,
       date: attendanceDate,
+      period: period || undefined,
       status: record.status,
+      reason: record.reason || undefined,
     }));
 
-    classroom.attendance.push(...newAttendanceRecords);
-    await classroom.save();
+    // Absences covered by approved leave are excused
+    if (period === null) {
+      await leaveService.excuseApprovedLeave(
+        classroom._id,
+        attendanceDate,
+        newAttendanceRecords
+      );
+    }
+
+    // Parents hear about absences from the daily roll call only
+    const alerts =
+      period === null
+        ? await absenceAlertService.planAlerts(
+            classroom,
+            new Date(attendance[0].date).toISOString().split("T")[0],
+            previousRecords,
+            newAttendanceRecords
+          )
+        : { absent: [], corrected: [] };
+
+    const records = newAttendanceRecords.map(
+      (record) => new Attendance(record)
+    );
+    await Promise.all(records.map((record) => record.validate()));
+    // Together, so a failed insert doesn't lose the day's roll call
+    await mongoose.connection.transaction(async (session) => {
+      await Attendance.deleteMany(replaced, { session });
+      await Attendance.insertMany(records, { session });
+    });
+
+    await absenceAlertService.sendAlerts(classroom, alerts);
 
     res.status(200).json({
       success: true,
       message: "Attendance marked successfully",
+      alerts: {
+        sent: alerts.absent.length,
+        corrected: alerts.corrected.length,
+      },
     });
   } catch (error) {
+    // Another submission of the same roll call got there first
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Attendance was just submitted from another device, please refresh",
+      });
+    }
     res.status(500).json({
       success: false,
       message: error.message,
@@ -884,54 +1653,97 @@ exports.markBulkAttendance = async (req, res) => {
 };
 
 //timetable
-exports.uploadTimetable = async (req, res) => {
+
+// The timetable's periods with their teachers' names
+const timetablePeriods = (classroomId) =>
+  Classroom.findById(classroomId)
+    .select("timetable")
+    .populate("timetable.periods.teacher", "name");
+
+// Replace the timetable's periods: { periods: [{ day, period, startTime,
+// endTime, subject, teacher, room }] }. Teachers must be from the school.
+exports.updateTimetablePeriods = async (req, res) => {
   try {
-    const { image } = req.body;
-    const classId = req.params.id; // Get ID from route params
+    const { periods } = req.body;
+    const classroom = await Classroom.findById(req.params.id);
 
-    if (!image) {
+    if (!Array.isArray(periods)) {
       return res.status(400).json({
         success: false,
-        message: "No image provided",
+        message: "periods must be a list",
       });
     }
 
-    // Find the classroom
-    const classroom = await Classroom.findById(classId);
-
-    if (!classroom) {
-      return res.status(404).json({
+    const teacherIds = [
+      ...new Set(
+        periods
+          .map((period) => period.teacher)
+          .filter(Boolean)
+          .map(String)
+      ),
+    ];
+    if (
+      teacherIds.some(
+        (teacherId) => !mongoose.Types.ObjectId.isValid(teacherId)
+      )
+    ) {
+      return res.status(400).json({
         success: false,
-        message: "Classroom not found",
+        message: "Invalid teacher ID format",
       });
     }
-
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
+    const teacherCount = await Teacher.countDocuments({
+      _id: { $in: teacherIds },
+      school: classroom.school,
+    });
+    if (teacherCount !== teacherIds.length) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to update timetable for this classroom",
+        message: "Periods can only be given to teachers of your school",
       });
     }
 
-    // Strip the data:image/jpeg;base64, prefix if present
-    const base64Image = image.includes("base64,")
-      ? image.split("base64,")[1]
-      : image;
+    classroom.set("timetable.periods", periods);
+    classroom.set("timetable.lastUpdated", Date.now());
+    await classroom.validate();
 
-    // Update the timetable
-    classroom.timetable = {
-      image: base64Image,
-      lastUpdated: Date.now(),
-    };
+    const error = timetableService.validationError(classroom.timetable.periods);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
     await classroom.save();
 
+    const timetable = await timetablePeriods(classroom._id);
     res.status(200).json({
       success: true,
-      message: "Timetable uploaded successfully",
-      image: base64Image,
-      lastUpdated: classroom.timetable.lastUpdated,
+      message: "Timetable saved successfully",
+      ...timetableService.forResponse(req, timetable.timetable),
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Teachers of the school who can be given periods
+exports.getTimetableTeachers = async (req, res) => {
+  try {
+    const teachers = await Teacher.find({
+      school: req.classroom.school,
+      status: "active",
+    })
+      .select("name")
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      teachers,
     });
   } catch (error) {
     res.status(500).json({
@@ -941,14 +1753,21 @@ exports.uploadTimetable = async (req, res) => {
   }
 };
 
-// Get timetable image
-exports.getTimetable = async (req, res) => {
+// Upload a photo of the printed timetable: { image } as base64. The
+// photo is optional and shown alongside the periods.
+exports.uploadTimetable = async (req, res) => {
   try {
-    const classId = req.params.id;
+    const { image } = req.body;
+    const classId = req.params.id; // Get ID from route params
 
-    //console.log("Received Classroom ID:", classId);
-    //console.log("Logged in User ID:", req.user.id);
+    if (!image) {
+      return res.status(400).json({
+        success: false,
+        message: "No image provided",
+      });
+    }
 
+    // Find the classroom
     const classroom = await Classroom.findById(classId);
 
     if (!classroom) {
@@ -958,25 +1777,55 @@ exports.getTimetable = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view timetable for this classroom",
-      });
+    // Replace the previous photo, if any
+    const previousKey = classroom.timetable && classroom.timetable.imageKey;
+    const imageKey = await timetableService.saveImage(image);
+
+    classroom.set("timetable.imageKey", imageKey);
+    classroom.set("timetable.lastUpdated", Date.now());
+
+    try {
+      await classroom.save();
+    } catch (error) {
+      await mediaStore.remove(imageKey);
+      throw error;
+    }
+    if (previousKey) {
+      await mediaStore.remove(previousKey);
     }
 
-    if (!classroom.timetable || !classroom.timetable.image) {
+    res.status(200).json({
+      success: true,
+      message: "Timetable uploaded successfully",
+      ...timetableService.forResponse(req, classroom.timetable),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get the timetable: its periods and the photo, if any. An empty
+// timetable has no periods and a null imageUrl.
+exports.getTimetable = async (req, res) => {
+  try {
+    const classroom = await timetablePeriods(req.params.id);
+
+    if (!classroom) {
       return res.status(404).json({
         success: false,
-        message: "No timetable found for this classroom",
+        message: "Classroom not found",
       });
     }
 
     res.status(200).json({
       success: true,
-      image: classroom.timetable.image,
-      lastUpdated: classroom.timetable.lastUpdated,
+      periods: [],
+      imageUrl: null,
+      lastUpdated: null,
+      ...timetableService.forResponse(req, classroom.timetable),
     });
   } catch (error) {
     res.status(500).json({
@@ -986,12 +1835,10 @@ exports.getTimetable = async (req, res) => {
   }
 };
 
-// Delete timetable
-exports.deleteTimetable = async (req, res) => {
+// Remove the timetable photo, keeping the periods
+exports.deleteTimetableImage = async (req, res) => {
   try {
-    const { classId } = req.params;
-
-    const classroom = await Classroom.findById(classId);
+    const classroom = await Classroom.findById(req.params.id);
 
     if (!classroom) {
       return res.status(404).json({
@@ -1000,21 +1847,47 @@ exports.deleteTimetable = async (req, res) => {
       });
     }
 
-    // Check if the classroom belongs to the logged-in teacher
-    if (classroom.teacher.toString() !== req.user.id) {
-      return res.status(403).json({
+    const imageKey = classroom.timetable && classroom.timetable.imageKey;
+    if (!imageKey) {
+      return res.status(404).json({
         success: false,
-        message: "Not authorized to delete timetable for this classroom",
+        message: "No timetable photo found for this classroom",
       });
     }
 
-    // Remove the timetable
-    classroom.timetable = undefined;
+    classroom.set("timetable.imageKey", undefined);
+    classroom.set("timetable.lastUpdated", Date.now());
     await classroom.save();
+    await mediaStore.remove(imageKey);
+
+    res.status(200).json({
+      success: true,
+      message: "Timetable photo deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// The teacher's week across the school's current classrooms: periods given
+// to them, and the periods they take in classrooms they own or share
+exports.getTeacherSchedule = async (req, res) => {
+  try {
+    const classrooms = await Classroom.find({
+      school: req.user.school,
+      archived: false,
+      $or: [
+        { "timetable.periods.teacher": req.user.id },
+        teacherClassroomsFilter(req.user.id),
+      ],
+    }).select("grade section subject teacher staff timetable.periods");
 
     res.status(200).json({
       success: true,
-      message: "Timetable deleted successfully",
+      periods: timetableService.teacherWeek(req.user.id, classrooms),
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,287 @@
+const mongoose = require("mongoose");
+const Exam = require("../models/exam");
+const Classroom = require("../models/classroom");
+const Mark = require("../models/mark");
+const notificationService = require("../services/notificationService");
+
+// The category has to be one of the classroom's grading scheme categories
+// when it has any
+const checkCategory = (classroom, category) => {
+  const { categories } = classroom.gradingScheme;
+  if (categories.length === 0) return null;
+
+  const match = categories.find(
+    (option) =>
+      option.name.toLowerCase() === (category || "").trim().toLowerCase()
+  );
+  if (!match) {
+    throw new Error(
+      `Exam category must be one of: ${categories
+        .map((option) => option.name)
+        .join(", ")}`
+    );
+  }
+
+  return match.name;
+};
+
+const duplicateName = (error) =>
+  error.code === 11000 ? "An exam with this name already exists" : null;
+
+// List the classroom's exams with how many students have marks
+exports.getExams = async (req, res) => {
+  try {
+    const [exams, examCounts] = await Promise.all([
+      Exam.find({ classroom: req.params.id }).sort({ date: 1 }),
+      Mark.aggregate([
+        {
+          $match: {
+            classroom: new mongoose.Types.ObjectId(req.params.id),
+          },
+        },
+        { $group: { _id: "$examId", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const counts = new Map(
+      examCounts.map((group) => [String(group._id), group.count])
+    );
+
+    res.status(200).json({
+      success: true,
+      exams: exams.map((exam) => ({
+        ...exam.toObject(),
+        marksCount: counts.get(exam._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Create a draft exam: { name, date, maxMarks, category }
+exports.createExam = async (req, res) => {
+  try {
+    const { name, date, maxMarks } = req.body;
+    const classroom = await Classroom.findById(req.params.id).select(
+      "gradingScheme"
+    );
+
+    let category;
+    try {
+      category = checkCategory(classroom, req.body.category);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const exam = await Exam.create({
+      classroom: classroom._id,
+      name,
+      date,
+      maxMarks,
+      category: category || undefined,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      exam,
+    });
+  } catch (error) {
+    res.status(duplicateName(error) ? 400 : 500).json({
+      success: false,
+      message: duplicateName(error) || error.message,
+    });
+  }
+};
+
+// Rename or reschedule an exam. Its marks follow the new name, date,
+// category and maximum marks, in the same transaction as the exam.
+exports.updateExam = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.examId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid exam ID format",
+      });
+    }
+
+    const { name, date, maxMarks } = req.body;
+    const [exam, classroom] = await Promise.all([
+      Exam.findOne({ _id: req.params.examId, classroom: req.params.id }),
+      Classroom.findById(req.params.id).select("gradingScheme"),
+    ]);
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: "Exam not found",
+      });
+    }
+
+    if (name) exam.name = name;
+    if (date) exam.date = date;
+    if (maxMarks) exam.maxMarks = maxMarks;
+    if (req.body.category !== undefined) {
+      try {
+        exam.category =
+          checkCategory(classroom, req.body.category) || undefined;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+    await exam.validate();
+
+    if (
+      await Mark.exists({
+        examId: exam._id,
+        marksObtained: { $gt: exam.maxMarks },
+      })
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Marks obtained cannot be more than the total marks",
+      });
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+      await exam.save({ session });
+      await Mark.updateMany(
+        { examId: exam._id },
+        {
+          $set: {
+            exam: exam.name,
+            date: exam.date,
+            totalMarks: exam.maxMarks,
+            ...(exam.category ? { category: exam.category } : {}),
+          },
+          ...(exam.category ? {} : { $unset: { category: "" } }),
+        },
+        { session }
+      );
+    });
+
+    res.status(200).json({
+      success: true,
+      exam,
+    });
+  } catch (error) {
+    const status =
+      duplicateName(error) || error.name === "ValidationError" ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: duplicateName(error) || error.message,
+    });
+  }
+};
+
+// Publish an exam to parents, or take it back to draft: { status }
+exports.setExamStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.examId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid exam ID format",
+      });
+    }
+
+    const { status } = req.body;
+    if (!["draft", "published"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be draft or published",
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.examId,
+      classroom: req.params.id,
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: "Exam not found",
+      });
+    }
+
+    // Parents are only told the first time results come out
+    const firstPublish = status === "published" && !exam.publishedAt;
+
+    exam.status = status;
+    if (firstPublish) exam.publishedAt = new Date();
+    await exam.save();
+
+    if (firstPublish) {
+      try {
+        const classroom = await Classroom.findById(req.params.id).select(
+          "subject students"
+        );
+        await notificationService.sendClassroomNotification(
+          classroom,
+          `${classroom.subject}: ${exam.name} results`,
+          `Marks for ${exam.name} are now available`,
+          "mark"
+        );
+      } catch (error) {
+        console.error("Error sending results notification:", error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      exam,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete an exam along with its marks
+exports.deleteExam = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.examId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid exam ID format",
+      });
+    }
+
+    const exam = await Exam.findOne({
+      _id: req.params.examId,
+      classroom: req.params.id,
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: "Exam not found",
+      });
+    }
+
+    await Mark.deleteMany({ examId: exam._id });
+    await exam.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Exam deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
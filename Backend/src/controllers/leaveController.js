@@ -0,0 +1,319 @@
+const LeaveRequest = require("../models/leaveRequest");
+const Classroom = require("../models/classroom");
+const Student = require("../models/student");
+const notificationService = require("../services/notificationService");
+const leaveService = require("../services/leaveService");
+const mediaStore = require("../services/mediaStore");
+const { toAttendanceDate } = require("../services/attendanceService");
+
+const ATTACHMENT_TYPES = ["image/png", "image/jpeg", "application/pdf"];
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+const leaveDays = (leave) =>
+  leave.startDate.toDateString() === leave.endDate.toDateString()
+    ? formatDay(leave.startDate)
+    : `${formatDay(leave.startDate)} - ${formatDay(leave.endDate)}`;
+
+// Owners and co-teachers of the classroom review leave
+const reviewersOf = (classroom) => [
+  classroom.teacher,
+  ...classroom.staff
+    .filter((member) => member.role !== "substitute")
+    .map((member) => member.teacher),
+];
+
+// Parents
+
+// Apply for leave for a child: { startDate, endDate, reason } and an
+// optional attachment file (PNG, JPEG or PDF)
+exports.applyForLeave = async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+
+    if (!startDate || !endDate || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide startDate, endDate and reason",
+      });
+    }
+
+    const classroom = await leaveService.homeRoomOf(req.params.id);
+    if (!classroom) {
+      return res.status(400).json({
+        success: false,
+        message: "Your child has no class teacher to send the request to",
+      });
+    }
+
+    let attachment;
+    if (req.files && req.files.attachment) {
+      const file = req.files.attachment;
+      if (!ATTACHMENT_TYPES.includes(file.mimetype)) {
+        return res.status(400).json({
+          success: false,
+          message: "Attachment must be a PNG, JPEG or PDF file",
+        });
+      }
+      if (file.size > MAX_ATTACHMENT_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: "Attachment must be smaller than 5MB",
+        });
+      }
+      attachment = {
+        name: file.name,
+        mimetype: file.mimetype,
+        size: file.size,
+        key: await mediaStore.put(
+          file.data,
+          "leave",
+          mediaStore.extensionOf(file.mimetype)
+        ),
+      };
+    }
+
+    let leave;
+    try {
+      leave = await LeaveRequest.create({
+        student: req.params.id,
+        parent: req.user._id,
+        classroom: classroom._id,
+        startDate: toAttendanceDate(startDate),
+        endDate: toAttendanceDate(endDate),
+        reason,
+        attachment,
+      });
+    } catch (error) {
+      if (attachment) await mediaStore.remove(attachment.key);
+      throw error;
+    }
+
+    const student = await Student.findById(req.params.id).select("name");
+    try {
+      await notificationService.sendToTeachers(
+        reviewersOf(classroom),
+        "Leave Request",
+        `${student.name} (Class ${classroom.grade} - ${
+          classroom.section
+        }): ${leaveDays(leave)}. ${reason}`,
+        { type: "leave", classroomId: classroom._id.toString() }
+      );
+    } catch (error) {
+      console.error("Error notifying teachers of leave request:", error);
+    }
+
+    res.status(201).json({
+      success: true,
+      leaveRequest: leave,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// A child's leave requests, newest first
+exports.getStudentLeaveRequests = async (req, res) => {
+  try {
+    const leaveRequests = await LeaveRequest.find({ student: req.params.id })
+      .select("-attachment.key")
+      .populate("reviewedBy", "name")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      leaveRequests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Withdraw a request the teacher hasn't reviewed yet
+exports.cancelLeaveRequest = async (req, res) => {
+  try {
+    const leave = await LeaveRequest.findOne({
+      _id: req.params.leaveId,
+      student: req.params.id,
+    });
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: "Leave request not found",
+      });
+    }
+
+    if (leave.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: "Only pending requests can be cancelled",
+      });
+    }
+
+    leave.status = "cancelled";
+    await leave.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Leave request cancelled",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Teachers
+
+// Leave requests sent to the classroom: ?status=pending|approved|rejected
+exports.getLeaveRequests = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const leaveRequests = await LeaveRequest.find({
+      classroom: req.params.id,
+      ...(status ? { status } : { status: { $ne: "cancelled" } }),
+    })
+      .select("-attachment.key")
+      .populate("student", "name admissionNumber")
+      .populate("parent", "name phone")
+      .populate("reviewedBy", "name")
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      leaveRequests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Approve or reject a pending request: { status, note }. Approved days are
+// recorded as excused in the classroom's attendance.
+exports.reviewLeaveRequest = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!["approved", "rejected"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be approved or rejected",
+      });
+    }
+
+    const leave = await LeaveRequest.findOne({
+      _id: req.params.leaveId,
+      classroom: req.params.id,
+    });
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: "Leave request not found",
+      });
+    }
+
+    if (leave.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `This request is already ${leave.status}`,
+      });
+    }
+
+    leave.status = status;
+    leave.reviewNote = note;
+    leave.reviewedBy = req.user._id;
+    leave.reviewedAt = new Date();
+    await leave.save();
+
+    const classroom = await Classroom.findById(req.params.id);
+    const daysExcused =
+      status === "approved"
+        ? await leaveService.recordLeave(classroom._id, leave)
+        : 0;
+
+    const student = await Student.findById(leave.student)
+      .select("name parents")
+      .populate({
+        path: "parents.parent",
+        select: "pushToken language",
+      });
+    try {
+      await notificationService.sendStudentNotification(
+        classroom,
+        student,
+        status === "approved" ? "Leave Approved" : "Leave Rejected",
+        status === "approved"
+          ? "Leave request approved"
+          : "Leave request rejected",
+        "leave",
+        (message) =>
+          `${student.name}: ${message} (${leaveDays(leave)})${
+            note ? `\n${note}` : ""
+          }`
+      );
+    } catch (error) {
+      console.error("Error notifying parents of leave review:", error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Leave request ${status}`,
+      daysExcused,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Both
+
+// Download the attachment of a request. Parents pass the student id as
+// :id, teachers the classroom id.
+exports.getLeaveAttachment = async (req, res) => {
+  try {
+    const leave = await LeaveRequest.findOne({
+      _id: req.params.leaveId,
+      [req.userRole === "parent" ? "student" : "classroom"]: req.params.id,
+    }).select("attachment");
+
+    if (!leave || !leave.attachment || !leave.attachment.key) {
+      return res.status(404).json({
+        success: false,
+        message: "No attachment found for this request",
+      });
+    }
+
+    await mediaStore.send(req, res, leave.attachment.key, {
+      contentType: leave.attachment.mimetype,
+      filename: leave.attachment.name,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,29 @@
+const mediaStore = require("../services/mediaStore");
+
+// A stored file behind a signed link from mediaStore.signedUrl(). The
+// signature is the only check, so these links are short-lived.
+exports.getSignedMedia = async (req, res) => {
+  try {
+    const key = `${req.params.folder}/${req.params.name}`;
+    const { expires, signature } = req.query;
+
+    if (!mediaStore.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "This link has expired or is invalid",
+      });
+    }
+
+    await mediaStore.send(req, res, key, {
+      cacheControl: `private, max-age=${Math.max(
+        0,
+        Number(expires) - Math.floor(Date.now() / 1000)
+      )}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,9 +1,43 @@
 const Parent = require("../models/parent");
 const Student = require("../models/student");
 const Classroom = require("../models/classroom");
+const School = require("../models/school");
+const Exam = require("../models/exam");
+const Mark = require("../models/mark");
+const Attendance = require("../models/attendance");
 const bcrypt = require("bcrypt");
 const mongoose = require("mongoose");
 const translateBatch = require("../utils/translateBatch");
+const tokenService = require("../services/tokenService");
+const passwordResetService = require("../services/passwordResetService");
+const reportCardService = require("../services/reportCardService");
+const analyticsService = require("../services/analyticsService");
+const timetableService = require("../services/timetableService");
+const calendarService = require("../services/calendarService");
+const leaveService = require("../services/leaveService");
+
+// Parents only see marks of published exams. Marks entered before exams
+// existed have no examId and stay visible.
+const publishedExamIds = async (classroomIds) =>
+  new Set(
+    (
+      await Exam.distinct("_id", {
+        classroom: { $in: classroomIds },
+        status: "published",
+      })
+    ).map(String)
+  );
+
+const isPublished = (mark, examIds) =>
+  !mark.examId || examIds.has(mark.examId.toString());
+
+// Assignments and announcements without their edit history; editedAt is
+// enough to show that one was changed
+const withoutHistory = (items = []) =>
+  items.map((item) => {
+    const { history, ...rest } = item.toObject ? item.toObject() : item;
+    return rest;
+  });
 
 // Register parent
 exports.register = async (req, res) => {
@@ -36,11 +70,21 @@ exports.register = async (req, res) => {
     }
 
     // First verify all children exist in the database
+    const schoolIds = [];
     for (const child of children) {
       const { school, admissionNumber, name } = child;
 
+      const schoolDoc = await School.resolve(school);
+      if (!schoolDoc) {
+        return res.status(404).json({
+          success: false,
+          message: `School ${school} not found`,
+        });
+      }
+      schoolIds.push(schoolDoc._id);
+
       const existingStudent = await Student.findOne({
-        school: school.trim(),
+        school: schoolDoc._id,
         admissionNumber: admissionNumber.trim(),
         name: name.trim(),
       }).collation({ locale: "en", strength: 2 });
@@ -78,12 +122,10 @@ exports.register = async (req, res) => {
 
     // Now link all children to parent
     const linkedStudents = [];
-    for (const child of children) {
-      const { school, admissionNumber } = child;
-
+    for (const [index, child] of children.entries()) {
       const student = await Student.findOne({
-        school,
-        admissionNumber,
+        school: schoolIds[index],
+        admissionNumber: child.admissionNumber.trim(),
       });
 
       // Add parent to student's parents array
@@ -100,13 +142,18 @@ exports.register = async (req, res) => {
 
     await parent.save();
 
-    // Generate token
-    const token = parent.generateToken();
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueTokens(
+      parent,
+      "Parent",
+      req
+    );
 
     res.status(201).json({
       success: true,
       message: "Registration successful",
       token,
+      refreshToken,
       user: parent,
       linkedStudents,
     });
@@ -146,12 +193,17 @@ exports.login = async (req, res) => {
       });
     }
 
-    const token = parent.generateToken();
+    const { token, refreshToken } = await tokenService.issueTokens(
+      parent,
+      "Parent",
+      req
+    );
 
     res.status(200).json({
       success: true,
       message: "Logged in successfully",
       token,
+      refreshToken,
       user: parent,
     });
   } catch (error) {
@@ -162,27 +214,156 @@ exports.login = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token
+exports.refreshToken = async (req, res) => {
+  try {
+    const { token, refreshToken, user } = await tokenService.rotateRefreshToken(
+      req.body.refreshToken,
+      "Parent",
+      Parent
+    );
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user,
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Logout from the current device
+exports.logout = async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Logout from every device
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessionsRevoked = await tokenService.revokeAllSessions(
+      req.user._id,
+      "Parent"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      sessionsRevoked,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Send a password reset code
+exports.requestPasswordReset = async (req, res) => {
+  try {
+    await passwordResetService.requestReset(Parent, "Parent", req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "If the account exists, a reset code has been sent",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Verify a password reset code
+exports.verifyResetCode = async (req, res) => {
+  try {
+    const resetToken = await passwordResetService.verifyCode(
+      Parent,
+      "Parent",
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Code verified",
+      resetToken,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Set a new password after verifying the reset code
+exports.resetPassword = async (req, res) => {
+  try {
+    await passwordResetService.resetPassword(Parent, "Parent", req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully, please login again",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // Get parent profile with populated students
 exports.getProfile = async (req, res) => {
   try {
     const parent = await Parent.findById(req.user.id).populate({
       path: "students",
-      select: "name school admissionNumber classrooms",
-      populate: {
-        path: "classrooms",
-        select:
-          "grade section subject teacher classTeacher attendance announcements timetable",
-        populate: [
-          {
+      select: "name school admissionNumber classrooms history status",
+      populate: [
+        {
+          path: "school",
+          select: "name code timezone settings.excusedAttendance",
+        },
+        {
+          path: "history.academicYear",
+          select: "name startDate endDate",
+        },
+        {
+          path: "history.classrooms",
+          select: "grade section subject teacher classTeacher",
+          populate: {
             path: "teacher",
-            select: "name email",
+            select: "name",
           },
-          {
-            path: "attendance.studentId",
-            select: "name admissionNumber",
+        },
+        {
+          path: "classrooms",
+          select:
+            "grade section subject teacher classTeacher announcements timetable",
+          populate: {
+            path: "teacher",
+            select: "name email",
           },
-        ],
-      },
+        },
+      ],
     });
 
     if (!parent) {
@@ -192,9 +373,36 @@ exports.getProfile = async (req, res) => {
       });
     }
 
+    // Each child's own attendance in each of their classrooms
+    const profile = parent.toObject();
+    await Promise.all(
+      profile.students.map(async (student) => {
+        const records = await Attendance.find({
+          classroom: {
+            $in: student.classrooms.map((classroom) => classroom._id),
+          },
+          studentId: student._id,
+        })
+          .select("classroom studentId date period status reason")
+          .sort({ date: 1 })
+          .lean();
+
+        student.classrooms.forEach((classroom) => {
+          classroom.attendance = records.filter((record) =>
+            record.classroom.equals(classroom._id)
+          );
+          classroom.timetable = timetableService.forResponse(
+            req,
+            classroom.timetable
+          );
+          classroom.announcements = withoutHistory(classroom.announcements);
+        });
+      })
+    );
+
     res.status(200).json({
       success: true,
-      parent,
+      parent: profile,
     });
   } catch (error) {
     res.status(500).json({
@@ -272,17 +480,12 @@ exports.getClassroomDetails = async (req, res) => {
       });
     }
 
+    // Never load the roster: parents only see their own children
     const classroom = await Classroom.findById(classroomId)
+      .select("subject grade section teacher announcements assignments")
       .populate("teacher", "name email")
       .populate("announcements")
-      .populate("assignments")
-      .populate({
-        path: "marks",
-        populate: {
-          path: "student",
-          select: "name admissionNumber",
-        },
-      });
+      .populate("assignments");
 
     if (!classroom) {
       return res.status(404).json({
@@ -291,37 +494,27 @@ exports.getClassroomDetails = async (req, res) => {
       });
     }
 
-    const hasChildInClassroom = parent.students.some((student) =>
-      student.classrooms.map((c) => c.toString()).includes(classroomId)
-    );
-
-    if (!hasChildInClassroom) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view this classroom",
-      });
-    }
-
-    const studentIds = parent.students.map((student) => student._id.toString());
-    const filteredMarks = classroom.marks.filter((mark) =>
-      studentIds.includes(mark.student._id.toString())
-    );
+    const examIds = await publishedExamIds([classroom._id]);
+    const filteredMarks = (
+      await Mark.find({
+        classroom: classroom._id,
+        student: { $in: parent.students.map((student) => student._id) },
+      })
+        .populate("student", "name admissionNumber")
+        .sort({ date: 1 })
+    ).filter((mark) => isPublished(mark, examIds));
 
     const relevantStudents = parent.students.filter((student) =>
       student.classrooms.map((c) => c.toString()).includes(classroomId)
     );
 
-    let announcements = classroom.announcements;
-    let assignments = classroom.assignments;
+    let announcements = withoutHistory(classroom.announcements);
+    let assignments = withoutHistory(classroom.assignments);
 
     if (parent.language && parent.language !== "en") {
       try {
-        let translatedAnnouncements = JSON.parse(
-          JSON.stringify(classroom.announcements)
-        );
-        let translatedAssignments = JSON.parse(
-          JSON.stringify(classroom.assignments)
-        );
+        let translatedAnnouncements = JSON.parse(JSON.stringify(announcements));
+        let translatedAssignments = JSON.parse(JSON.stringify(assignments));
 
         const textsToTranslate = [];
         const textMappings = [];
@@ -411,11 +604,10 @@ exports.getAllAssignments = async (req, res) => {
   try {
     const parent = await Parent.findById(req.user.id).populate({
       path: "students",
+      select: "name classrooms",
       populate: {
         path: "classrooms",
-        populate: {
-          path: "assignments",
-        },
+        select: "subject grade section assignments",
       },
     });
 
@@ -429,9 +621,9 @@ exports.getAllAssignments = async (req, res) => {
     const assignments = [];
     parent.students.forEach((student) => {
       student.classrooms.forEach((classroom) => {
-        classroom.assignments.forEach((assignment) => {
+        withoutHistory(classroom.assignments).forEach((assignment) => {
           assignments.push({
-            ...assignment.toObject(),
+            ...assignment,
             studentName: student.name,
             subject: classroom.subject,
             grade: classroom.grade,
@@ -462,16 +654,11 @@ exports.getAllMarks = async (req, res) => {
       path: "students",
       populate: {
         path: "classrooms",
-        populate: [
-          {
-            path: "marks",
-            match: { student: { $in: "$students" } },
-          },
-          {
-            path: "teacher",
-            select: "name",
-          },
-        ],
+        select: "subject grade section teacher",
+        populate: {
+          path: "teacher",
+          select: "name",
+        },
       },
     });
 
@@ -482,11 +669,25 @@ exports.getAllMarks = async (req, res) => {
       });
     }
 
+    const classroomIds = parent.students.flatMap((student) =>
+      student.classrooms.map((classroom) => classroom._id)
+    );
+    const examIds = await publishedExamIds(classroomIds);
+    const childMarks = await Mark.find({
+      classroom: { $in: classroomIds },
+      student: { $in: parent.students.map((student) => student._id) },
+    }).sort({ date: 1 });
+
     const marks = [];
     parent.students.forEach((student) => {
       student.classrooms.forEach((classroom) => {
-        classroom.marks
-          .filter((mark) => mark.student.toString() === student._id.toString())
+        childMarks
+          .filter(
+            (mark) =>
+              mark.classroom.equals(classroom._id) &&
+              mark.student.equals(student._id) &&
+              isPublished(mark, examIds)
+          )
           .forEach((mark) => {
             marks.push({
               ...mark.toObject(),
@@ -516,42 +717,11 @@ exports.getAllMarks = async (req, res) => {
 exports.getClassroomTimetable = async (req, res) => {
   try {
     const classroomId = req.params.id;
-    const parentId = req.user.id;
-
-    if (!mongoose.Types.ObjectId.isValid(classroomId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid classroom ID format",
-      });
-    }
-
-    const parent = await Parent.findById(parentId).populate({
-      path: "students",
-      select: "name admissionNumber classrooms",
-    });
-
-    if (!parent) {
-      return res.status(404).json({
-        success: false,
-        message: "Parent not found",
-      });
-    }
-
-    // Check if any of the parent's children are in this classroom
-    const hasChildInClassroom = parent.students.some((student) =>
-      student.classrooms.map((c) => c.toString()).includes(classroomId)
-    );
-
-    if (!hasChildInClassroom) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view this classroom's timetable",
-      });
-    }
 
     const classroom = await Classroom.findById(classroomId)
       .select("grade section subject timetable")
-      .populate("teacher", "name");
+      .populate("teacher", "name")
+      .populate("timetable.periods.teacher", "name");
 
     if (!classroom) {
       return res.status(404).json({
@@ -560,7 +730,8 @@ exports.getClassroomTimetable = async (req, res) => {
       });
     }
 
-    if (!classroom.timetable || !classroom.timetable.image) {
+    const timetable = timetableService.forResponse(req, classroom.timetable);
+    if (!timetable) {
       return res.status(404).json({
         success: false,
         message: "No timetable found for this classroom",
@@ -570,8 +741,7 @@ exports.getClassroomTimetable = async (req, res) => {
     res.status(200).json({
       success: true,
       timetable: {
-        image: classroom.timetable.image,
-        lastUpdated: classroom.timetable.lastUpdated,
+        ...timetable,
         classInfo: {
           grade: classroom.grade,
           section: classroom.section,
@@ -588,6 +758,116 @@ exports.getClassroomTimetable = async (req, res) => {
   }
 };
 
+// A child's periods today from their class timetable, each marked done,
+// current or upcoming. On holidays there are no periods and holiday says
+// why.
+exports.getTodaySchedule = async (req, res) => {
+  try {
+    const classroom = await leaveService
+      .homeRoomOf(req.params.id)
+      .select("grade section school timetable.periods")
+      .populate("timetable.periods.teacher", "name");
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: "Your child has no class timetable yet",
+      });
+    }
+
+    const now = new Date();
+    const calendar = await calendarService.loadCalendar(
+      classroom.school,
+      now,
+      now
+    );
+    const holiday = calendar.holidayOn(now);
+
+    res.status(200).json({
+      success: true,
+      date: calendarService.dayKey(now, calendar.timeZone),
+      classroom: {
+        _id: classroom._id,
+        grade: classroom.grade,
+        section: classroom.section,
+      },
+      holiday,
+      periods: holiday
+        ? []
+        : timetableService.daySchedule(
+            classroom.timetable.periods,
+            now,
+            calendar.timeZone
+          ),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Academic years and terms a child has report cards for
+exports.getReportCardPeriods = async (req, res) => {
+  try {
+    const academicYears = await reportCardService.availablePeriods(
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      academicYears,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Download a child's report card: ?academicYear=&term=
+exports.downloadReportCard = async (req, res) => {
+  try {
+    const { card, buffer } = await reportCardService.studentReportCard(
+      req.params.id,
+      { academicYear: req.query.academicYear, term: req.query.term }
+    );
+
+    const filename = `report-card-${card.student.name}-${card.period}`
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-");
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.pdf"`
+    );
+    res.status(200).send(buffer);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// A child's performance across published exams
+exports.getStudentAnalytics = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      analytics: await analyticsService.studentAnalytics(req.params.id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // notifications
 exports.updatePushToken = async (req, res) => {
   try {
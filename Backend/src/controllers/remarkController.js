@@ -5,6 +5,32 @@ const Parent = require("../models/parent");
 const mongoose = require("mongoose");
 const notificationService = require("../services/notificationService");
 const translateBatch = require("../utils/translateBatch");
+const mediaStore = require("../services/mediaStore");
+
+// Store a voice recording and return the message fields pointing at it
+const saveVoice = async (buffer, mimetype) => ({
+  mediaKey: await mediaStore.put(
+    buffer,
+    "voice",
+    mediaStore.extensionOf(mimetype) || "m4a"
+  ),
+  mimetype,
+});
+
+// The remark as sent to the app: voice messages carry a short-lived link
+// to the recording in content
+const withVoiceLinks = (req, remark) => {
+  if (!remark) return remark;
+
+  const result = remark.toObject();
+  result.messages.forEach((message) => {
+    if (message.type === "voice" && message.mediaKey) {
+      message.content = mediaStore.signedUrl(req, message.mediaKey);
+    }
+    delete message.mediaKey;
+  });
+  return result;
+};
 
 exports.addMessage = async (req, res) => {
   try {
@@ -39,6 +65,7 @@ exports.addMessage = async (req, res) => {
     }
 
     let content;
+    let voice;
     if (type === "voice") {
       if (!req.files || !req.files.file) {
         return res
@@ -46,8 +73,7 @@ exports.addMessage = async (req, res) => {
           .json({ success: false, message: "Voice file is required" });
       }
       const voiceFile = req.files.file;
-      const base64Audio = voiceFile.data.toString("base64");
-      content = `data:${voiceFile.mimetype};base64,${base64Audio}`;
+      voice = await saveVoice(voiceFile.data, voiceFile.mimetype);
     } else {
       if (!req.body.content) {
         return res.status(400).json({
@@ -70,7 +96,7 @@ exports.addMessage = async (req, res) => {
       });
     }
 
-    remark.messages.push({ type, content, sender: "teacher" });
+    remark.messages.push({ type, content, ...voice, sender: "teacher" });
     await remark.save();
 
     // Collect unique parents and their languages
@@ -141,7 +167,9 @@ exports.addMessage = async (req, res) => {
       }
     }
 
-    res.status(200).json({ success: true, remark });
+    res
+      .status(200)
+      .json({ success: true, remark: withVoiceLinks(req, remark) });
   } catch (error) {
     console.error("Server error:", error);
     res.status(500).json({ success: false, message: error.message });
@@ -160,7 +188,7 @@ exports.getStudentRemark = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      remark,
+      remark: withVoiceLinks(req, remark),
     });
   } catch (error) {
     console.error("Error getting student remark:", error);
@@ -373,7 +401,7 @@ exports.getParentChildRemarks = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      remark,
+      remark: withVoiceLinks(req, remark),
       student: {
         _id: studentInClassroom._id,
         name: studentInClassroom.name,
@@ -404,9 +432,10 @@ exports.addParentReply = async (req, res) => {
     }
 
     let messageContent;
+    let voice;
 
     if (type === "voice") {
-      // For voice messages sent as JSON
+      // For voice messages sent as JSON, base64 encoded
       if (!content) {
         return res.status(400).json({
           success: false,
@@ -415,8 +444,10 @@ exports.addParentReply = async (req, res) => {
       }
 
       try {
-        const actualMimeType = mimeType || "audio/m4a";
-        messageContent = `data:${actualMimeType};base64,${content}`;
+        voice = await saveVoice(
+          Buffer.from(content, "base64"),
+          mimeType || "audio/m4a"
+        );
       } catch (fileError) {
         console.error("Error processing voice data:", fileError);
         return res.status(400).json({
@@ -481,6 +512,7 @@ exports.addParentReply = async (req, res) => {
     remark.messages.push({
       type,
       content: messageContent,
+      ...voice,
       sender: "parent",
     });
 
@@ -489,7 +521,7 @@ exports.addParentReply = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Reply sent successfully",
-      remark,
+      remark: withVoiceLinks(req, remark),
     });
   } catch (error) {
     console.error("Error adding parent reply:", error);
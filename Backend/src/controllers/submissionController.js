@@ -0,0 +1,360 @@
+const Submission = require("../models/submission");
+const Classroom = require("../models/classroom");
+const Student = require("../models/student");
+const School = require("../models/school");
+const notificationService = require("../services/notificationService");
+const mediaStore = require("../services/mediaStore");
+const { dayKey } = require("../services/calendarService");
+
+const FILE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "application/pdf",
+  "audio/mpeg",
+  "audio/mp4",
+  "audio/x-m4a",
+  "audio/aac",
+  "audio/wav",
+];
+const MAX_FILES = 5;
+// Per submission, across all files
+const MAX_TOTAL_SIZE = 10 * 1024 * 1024;
+
+const isChildOf = (parent, studentId) =>
+  parent.students.some((child) => child.toString() === String(studentId));
+
+// Work handed in after the due date, by the school's calendar day
+const isLate = (assignment, submittedAt, timeZone) =>
+  dayKey(submittedAt, timeZone) > dayKey(assignment.dueDate, timeZone);
+
+// Files are downloaded one at a time by id
+const withoutFileKeys = (submission) => {
+  const result = submission.toObject();
+  result.files.forEach((file) => delete file.key);
+  return result;
+};
+
+const removeFiles = async (files) => {
+  for (const file of files) {
+    await mediaStore.remove(file.key);
+  }
+};
+
+// Parents
+
+// Hand in a child's work for an assignment: { studentId } and up to five
+// files (photos, PDFs or audio). Replaces an earlier submission until the
+// teacher has graded it.
+exports.submitAssignment = async (req, res) => {
+  try {
+    const { studentId } = req.body;
+
+    if (
+      !isChildOf(req.user, studentId) ||
+      !req.classroom.students.some((id) => id.toString() === studentId)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "This student is not your child in this classroom",
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id).select(
+      "school assignments"
+    );
+    const assignment = classroom.assignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      });
+    }
+
+    const uploads = [].concat((req.files && req.files.files) || []);
+    if (uploads.length === 0 || uploads.length > MAX_FILES) {
+      return res.status(400).json({
+        success: false,
+        message: `Please attach between 1 and ${MAX_FILES} files`,
+      });
+    }
+    if (uploads.some((file) => !FILE_TYPES.includes(file.mimetype))) {
+      return res.status(400).json({
+        success: false,
+        message: "Files must be photos (PNG, JPEG), PDFs or audio recordings",
+      });
+    }
+    if (
+      uploads.reduce((total, file) => total + file.size, 0) > MAX_TOTAL_SIZE
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Files must be smaller than 10MB in total",
+      });
+    }
+
+    let submission = await Submission.findOne({
+      assignment: assignment._id,
+      student: studentId,
+    });
+    if (submission && submission.status === "graded") {
+      return res.status(400).json({
+        success: false,
+        message: "This work has already been graded",
+      });
+    }
+
+    const school = await School.findById(classroom.school).select("timezone");
+    const submittedAt = new Date();
+
+    if (!submission) {
+      submission = new Submission({
+        classroom: classroom._id,
+        assignment: assignment._id,
+        student: studentId,
+      });
+    }
+
+    const files = [];
+    const previousFiles = submission.files.map((file) => file.toObject());
+    try {
+      for (const file of uploads) {
+        files.push({
+          name: file.name,
+          mimetype: file.mimetype,
+          size: file.size,
+          key: await mediaStore.put(
+            file.data,
+            "submissions",
+            mediaStore.extensionOf(file.mimetype)
+          ),
+        });
+      }
+
+      submission.set({
+        submittedBy: req.user._id,
+        files,
+        submittedAt,
+        late: isLate(
+          assignment,
+          submittedAt,
+          school?.timezone || "Asia/Kolkata"
+        ),
+      });
+      await submission.save();
+    } catch (error) {
+      await removeFiles(files);
+      throw error;
+    }
+    // A resubmission replaces the earlier files
+    await removeFiles(previousFiles);
+
+    res.status(201).json({
+      success: true,
+      submission: withoutFileKeys(submission),
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// A child's submissions in the classroom: ?studentId=
+exports.getStudentSubmissions = async (req, res) => {
+  try {
+    const { studentId } = req.query;
+
+    if (!isChildOf(req.user, studentId)) {
+      return res.status(403).json({
+        success: false,
+        message: "This student is not your child",
+      });
+    }
+
+    const submissions = await Submission.find({
+      classroom: req.params.id,
+      student: studentId,
+    })
+      .select("-files.key")
+      .populate("gradedBy", "name");
+
+    res.status(200).json({
+      success: true,
+      submissions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Teachers
+
+// The class roster for an assignment, each student with their submission
+// (or null when they haven't handed anything in)
+exports.getSubmissions = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .select("assignments students")
+      .populate("students", "name admissionNumber");
+
+    const assignment = classroom.assignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      });
+    }
+
+    const submissions = await Submission.find({ assignment: assignment._id })
+      .select("-files.key")
+      .populate("gradedBy", "name");
+    const byStudent = new Map(
+      submissions.map((submission) => [
+        submission.student.toString(),
+        submission,
+      ])
+    );
+
+    const students = classroom.students
+      .map((student) => ({
+        _id: student._id,
+        name: student.name,
+        admissionNumber: student.admissionNumber,
+        submission: byStudent.get(student._id.toString()) || null,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    // Students who have left the classroom don't count
+    const handedIn = students
+      .map((student) => student.submission)
+      .filter(Boolean);
+
+    res.status(200).json({
+      success: true,
+      assignment,
+      summary: {
+        total: students.length,
+        submitted: handedIn.length,
+        late: handedIn.filter((submission) => submission.late).length,
+        graded: handedIn.filter((submission) => submission.status === "graded")
+          .length,
+      },
+      students,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Grade a submission and leave feedback: { grade, feedback }. Regrading is
+// allowed; the child's parents are notified.
+exports.gradeSubmission = async (req, res) => {
+  try {
+    const { grade, feedback } = req.body;
+
+    if (!grade && !feedback) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a grade or feedback",
+      });
+    }
+
+    const submission = await Submission.findOne({
+      _id: req.params.submissionId,
+      classroom: req.params.id,
+    }).select("-files.key");
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "Submission not found",
+      });
+    }
+
+    submission.set({
+      status: "graded",
+      grade,
+      feedback,
+      gradedBy: req.user._id,
+      gradedAt: new Date(),
+    });
+    await submission.save();
+
+    const classroom = await Classroom.findById(req.params.id).select(
+      "grade section subject assignments"
+    );
+    const assignment = classroom.assignments.id(submission.assignment);
+    const student = await Student.findById(submission.student)
+      .select("name parents")
+      .populate({
+        path: "parents.parent",
+        select: "pushToken language",
+      });
+    try {
+      await notificationService.sendStudentNotification(
+        classroom,
+        student,
+        "Assignment Graded",
+        "The teacher has checked the submitted work",
+        "assignment",
+        (message) =>
+          `${student.name} - ${assignment ? assignment.title : ""}: ${message}${
+            grade ? ` (${grade})` : ""
+          }`
+      );
+    } catch (error) {
+      console.error("Error notifying parents of graded work:", error);
+    }
+
+    res.status(200).json({
+      success: true,
+      submission,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Both
+
+// Download one file of a submission. Parents can only open their own
+// children's work.
+exports.getSubmissionFile = async (req, res) => {
+  try {
+    const submission = await Submission.findOne({
+      _id: req.params.submissionId,
+      classroom: req.params.id,
+      ...(req.userRole === "parent"
+        ? { student: { $in: req.user.students } }
+        : {}),
+    });
+    const file = submission && submission.files.id(req.params.fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    await mediaStore.send(req, res, file.key, {
+      contentType: file.mimetype,
+      filename: file.name,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,5 +1,8 @@
 const Teacher = require("../models/teacher");
+const School = require("../models/school");
 const bcrypt = require("bcrypt");
+const tokenService = require("../services/tokenService");
+const passwordResetService = require("../services/passwordResetService");
 
 // Register teacher
 exports.register = async (req, res) => {
@@ -25,21 +28,43 @@ exports.register = async (req, res) => {
       throw new Error("Email already registered");
     }
 
+    const schoolDoc = await School.resolve(school);
+    if (!schoolDoc) {
+      throw new Error("School not found");
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
 
     const newTeacher = await Teacher.create({
       name,
       email,
       password: passwordHash,
-      school,
+      school: schoolDoc._id,
+      status: schoolDoc.settings.requireTeacherApproval ? "pending" : "active",
     });
 
-    const token = newTeacher.generateToken();
+    // Pending teachers can't login until the school admin approves them
+    if (newTeacher.status === "pending") {
+      return res.status(201).json({
+        success: true,
+        message:
+          "Registration successful. Your account is awaiting approval by the school administrator",
+        pendingApproval: true,
+      });
+    }
+
+    const { token, refreshToken } = await tokenService.issueTokens(
+      newTeacher,
+      "Teacher",
+      req
+    );
+    await newTeacher.populate("school", "name code timezone");
 
     res.status(201).json({
       success: true,
       message: "Teacher registered successfully",
       token,
+      refreshToken,
       user: newTeacher,
     });
   } catch (error) {
@@ -68,12 +93,28 @@ exports.login = async (req, res) => {
       throw new Error("Invalid credentials");
     }
 
-    const token = teacher.generateToken();
+    if (teacher.status === "pending") {
+      throw new Error(
+        "Your account is awaiting approval by the school administrator"
+      );
+    }
+
+    if (teacher.status === "deactivated") {
+      throw new Error("Your account has been deactivated");
+    }
+
+    const { token, refreshToken } = await tokenService.issueTokens(
+      teacher,
+      "Teacher",
+      req
+    );
+    await teacher.populate("school", "name code timezone");
 
     res.status(200).json({
       success: true,
       message: "Logged in successfully",
       token,
+      refreshToken,
       user: teacher,
     });
   } catch (error) {
@@ -84,6 +125,123 @@ exports.login = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token
+exports.refreshToken = async (req, res) => {
+  try {
+    const { token, refreshToken, user } = await tokenService.rotateRefreshToken(
+      req.body.refreshToken,
+      "Teacher",
+      Teacher
+    );
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user,
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Logout from the current device
+exports.logout = async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Logout from every device
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessionsRevoked = await tokenService.revokeAllSessions(
+      req.user._id,
+      "Teacher"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      sessionsRevoked,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Send a password reset code
+exports.requestPasswordReset = async (req, res) => {
+  try {
+    await passwordResetService.requestReset(Teacher, "Teacher", req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "If the account exists, a reset code has been sent",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Verify a password reset code
+exports.verifyResetCode = async (req, res) => {
+  try {
+    const resetToken = await passwordResetService.verifyCode(
+      Teacher,
+      "Teacher",
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Code verified",
+      resetToken,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Set a new password after verifying the reset code
+exports.resetPassword = async (req, res) => {
+  try {
+    await passwordResetService.resetPassword(Teacher, "Teacher", req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully, please login again",
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // Get teacher profile
 exports.getProfile = async (req, res) => {
   try {
@@ -111,13 +269,20 @@ exports.getProfile = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     const { name, school } = req.body;
+
+    const update = { name };
+    if (school) {
+      const schoolDoc = await School.resolve(school);
+      if (!schoolDoc) {
+        throw new Error("School not found");
+      }
+      update.school = schoolDoc._id;
+    }
+
     const updatedTeacher = await Teacher.findByIdAndUpdate(
       req.teacher._id,
       {
-        $set: {
-          name,
-          school,
-        },
+        $set: update,
       },
       { new: true }
     );
@@ -134,3 +299,27 @@ exports.updateProfile = async (req, res) => {
     });
   }
 };
+
+// Save or clear the device's push token
+exports.updatePushToken = async (req, res) => {
+  try {
+    const { pushToken } = req.body;
+
+    const updateData =
+      pushToken === null ? { $unset: { pushToken: "" } } : { pushToken };
+    await Teacher.findByIdAndUpdate(req.user._id, updateData);
+
+    res.status(200).json({
+      success: true,
+      message:
+        pushToken === null
+          ? "Push token removed successfully"
+          : "Push token updated successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
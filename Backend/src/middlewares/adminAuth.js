@@ -0,0 +1,61 @@
+const jwt = require("jsonwebtoken");
+const Admin = require("../models/admin");
+const { isSessionActive } = require("../services/tokenService");
+
+exports.isAdminAuthenticated = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return res.status(401).json({
+        success: false,
+        message: "Please login first",
+      });
+    }
+
+    const token = authHeader.split(" ")[1];
+
+    const data = jwt.verify(token, process.env.JWT_SECRET);
+    const { id, sid } = data;
+
+    if (!(await isSessionActive(sid, id))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired, please login again",
+      });
+    }
+
+    const admin = await Admin.findById(id).select("+password");
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: "Admin not found",
+      });
+    }
+
+    req.user = admin;
+    req.sessionId = sid;
+    req.userRole = "admin";
+    next();
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token",
+      });
+    }
+
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({
+        success: false,
+        message: "Token has expired",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+const Classroom = require("../models/classroom");
+const Student = require("../models/student");
+const { can, canAccessStudent } = require("../utils/policy");
+
+// Run after isTeacherAuthenticated / isParentAuthenticated
+const toActor = (req) => ({
+  id: req.user._id,
+  role: req.userRole,
+  school: req.user.school,
+  students: req.user.students,
+});
+
+// Load the classroom named by a route param and check `action` against the
+// policy. The loaded classroom is left on req.classroom.
+exports.authorizeClassroom =
+  (action, param = "id") =>
+  async (req, res, next) => {
+    try {
+      const classroomId = req.params[param];
+
+      if (!mongoose.Types.ObjectId.isValid(classroomId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid classroom ID format",
+        });
+      }
+
+      const classroom = await Classroom.findById(classroomId).select(
+        "teacher staff school academicYear archived grade section subject classTeacher students"
+      );
+
+      if (!classroom) {
+        return res.status(404).json({
+          success: false,
+          message: "Classroom not found",
+        });
+      }
+
+      if (!(await can(toActor(req), action, classroom))) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to perform this action on this classroom",
+        });
+      }
+
+      req.classroom = classroom;
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  };
+
+// Run after authorizeClassroom on /:id/student/:studentId routes: the
+// student must be enrolled in req.classroom
+exports.requireEnrolled =
+  (param = "studentId") =>
+  (req, res, next) => {
+    const studentId = req.params[param];
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid student ID format",
+      });
+    }
+
+    if (!req.classroom.students.some((student) => student.equals(studentId))) {
+      return res.status(404).json({
+        success: false,
+        message: "Student not found in this classroom",
+      });
+    }
+
+    next();
+  };
+
+// Same as authorizeClassroom for /api/student/:id routes
+exports.authorizeStudent =
+  (action, param = "id") =>
+  async (req, res, next) => {
+    try {
+      const studentId = req.params[param];
+
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid student ID format",
+        });
+      }
+
+      const student = await Student.findById(studentId).select(
+        "school classrooms"
+      );
+
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: "Student not found",
+        });
+      }
+
+      if (!(await canAccessStudent(toActor(req), action, student))) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to perform this action on this student",
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  };
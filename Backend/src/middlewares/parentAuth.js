@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const Parent = require("../models/parent");
+const { isSessionActive } = require("../services/tokenService");
 
 exports.isParentAuthenticated = async (req, res, next) => {
   try {
@@ -15,7 +16,14 @@ exports.isParentAuthenticated = async (req, res, next) => {
     const token = authHeader.split(" ")[1];
 
     const data = jwt.verify(token, process.env.JWT_SECRET);
-    const { id } = data;
+    const { id, sid } = data;
+
+    if (!(await isSessionActive(sid, id))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired, please login again",
+      });
+    }
 
     const parent = await Parent.findById(id).select("+password");
 
@@ -27,6 +35,8 @@ exports.isParentAuthenticated = async (req, res, next) => {
     }
 
     req.user = parent;
+    req.sessionId = sid;
+    req.userRole = "parent";
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
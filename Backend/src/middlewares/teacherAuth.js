@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const Teacher = require("../models/teacher");
+const { isSessionActive } = require("../services/tokenService");
 
 exports.isTeacherAuthenticated = async (req, res, next) => {
   try {
@@ -15,7 +16,14 @@ exports.isTeacherAuthenticated = async (req, res, next) => {
     const token = authHeader.split(" ")[1];
 
     const data = jwt.verify(token, process.env.JWT_SECRET);
-    const { id } = data;
+    const { id, sid } = data;
+
+    if (!(await isSessionActive(sid, id))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired, please login again",
+      });
+    }
 
     const teacher = await Teacher.findById(id).select("+password");
 
@@ -26,7 +34,19 @@ exports.isTeacherAuthenticated = async (req, res, next) => {
       });
     }
 
+    if (teacher.status !== "active") {
+      return res.status(403).json({
+        success: false,
+        message:
+          teacher.status === "pending"
+            ? "Your account is awaiting approval by the school administrator"
+            : "Your account has been deactivated",
+      });
+    }
+
     req.user = teacher;
+    req.sessionId = sid;
+    req.userRole = "teacher";
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please enter the term name"],
+    trim: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+});
+
+const academicYearSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "School",
+    required: true,
+  },
+  // e.g. "2025-26"
+  name: {
+    type: String,
+    required: [true, "Please enter the academic year name"],
+    trim: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  terms: [termSchema],
+  // Only one active year per school; archived years are read-only
+  status: {
+    type: String,
+    enum: ["upcoming", "active", "archived"],
+    default: "upcoming",
+  },
+  promotedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicYear",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+academicYearSchema.index({ school: 1, name: 1 }, { unique: true });
+
+academicYearSchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+    return next(new Error("Academic year must end after it starts"));
+  }
+
+  const outside = this.terms.find(
+    (term) =>
+      term.startDate >= term.endDate ||
+      term.startDate < this.startDate ||
+      term.endDate > this.endDate
+  );
+  if (outside) {
+    return next(
+      new Error(`Term ${outside.name} must fall within the academic year`)
+    );
+  }
+
+  next();
+});
+
+// Term covering the given date, if any
+academicYearSchema.methods.termFor = function (date = new Date()) {
+  return this.terms.find(
+    (term) => term.startDate <= date && term.endDate >= date
+  );
+};
+
+// Dates covered by a term, or the whole year when termId is omitted
+academicYearSchema.methods.period = function (termId) {
+  if (!termId) {
+    return {
+      name: this.name,
+      startDate: this.startDate,
+      endDate: this.endDate,
+    };
+  }
+
+  const term = this.terms.id(termId);
+  if (!term) {
+    throw new Error("Term not found");
+  }
+
+  return { name: term.name, startDate: term.startDate, endDate: term.endDate };
+};
+
+// The school's active year. Schools that have never set one up get an
+// April to March year covering today, which is how most Indian schools run.
+academicYearSchema.statics.ensureCurrent = async function (schoolId) {
+  const current = await this.findOne({ school: schoolId, status: "active" });
+  if (current) {
+    return current;
+  }
+
+  const today = new Date();
+  const startYear =
+    today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+  const name = `${startYear}-${String(startYear + 1).slice(-2)}`;
+
+  return this.findOneAndUpdate(
+    { school: schoolId, name },
+    {
+      $set: { status: "active" },
+      $setOnInsert: {
+        startDate: new Date(startYear, 3, 1),
+        endDate: new Date(startYear + 1, 2, 31),
+      },
+    },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model("AcademicYear", academicYearSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// One student's attendance on one day, or in one timetable period. Kept out
+// of the Classroom document so a year of roll calls doesn't grow it.
+const attendanceSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  // Timetable period, starting at 1. Unset for the class teacher's daily
+  // roll call.
+  period: {
+    type: Number,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: ["present", "absent", "late", "excused", "half-day", "holiday"],
+    required: true,
+  },
+  // Optional note, e.g. "Medical leave"
+  reason: {
+    type: String,
+    trim: true,
+  },
+  // When the parents were alerted about this absence
+  alertedAt: {
+    type: Date,
+  },
+});
+
+attendanceSchema.index({ classroom: 1, date: 1, period: 1 });
+// One record per student for each roll call
+attendanceSchema.index(
+  { classroom: 1, studentId: 1, date: 1, period: 1 },
+  { unique: true }
+);
+attendanceSchema.index({ studentId: 1, date: 1 });
+
+module.exports = mongoose.model("Attendance", attendanceSchema);
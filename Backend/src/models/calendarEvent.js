@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// A day or range of days in the school calendar: a holiday (festival, exam
+// break) or a working day that overrides a weekly off, e.g. a Saturday
+// making up for a lost day
+const calendarEventSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "School",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Please enter a name for the day"],
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ["holiday", "working"],
+    default: "holiday",
+  },
+  // Stored like attendance dates; endDate is the last day, inclusive
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+calendarEventSchema.index({ school: 1, startDate: 1 });
+
+calendarEventSchema.pre("validate", function (next) {
+  if (this.startDate && !this.endDate) {
+    this.endDate = this.startDate;
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "A calendar entry cannot end before it starts");
+  }
+  next();
+});
+
+module.exports = mongoose.model("CalendarEvent", calendarEventSchema);
@@ -1,58 +1,169 @@
 const mongoose = require("mongoose");
 
-const attendanceSchema = new mongoose.Schema({
-  studentId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "Student",
+// Exam categories and how much each counts towards the term grade
+const gradingCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please enter the category name"],
+    trim: true,
+  },
+  weight: {
+    type: Number,
     required: true,
+    min: [1, "Category weight must be at least 1"],
   },
-  date: {
-    type: Date,
+});
+
+// Lowest percentage that earns a grade
+const gradeBandSchema = new mongoose.Schema(
+  {
+    grade: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    minPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    gradePoint: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+// percentage: no grades, letter: A+ to F, cbse: A1 to E with grade points.
+// Custom bands replace the preset ones of the chosen type.
+const gradingSchemeSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["percentage", "letter", "cbse"],
+      default: "percentage",
+    },
+    categories: [gradingCategorySchema],
+    bands: [gradeBandSchema],
+  },
+  { _id: false }
+);
+
+// Teachers who share a classroom with its owner. Substitutes only have
+// access until expiresAt.
+const staffSchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
     required: true,
   },
-  status: {
+  role: {
     type: String,
-    enum: ["present", "absent"],
+    enum: ["owner", "co-teacher", "substitute"],
     required: true,
   },
+  expiresAt: {
+    type: Date,
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
-const markSchema = new mongoose.Schema({
-  student: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "Student",
+// A file attached to an assignment or announcement. The file itself is in
+// the media store; images also get a small JPEG thumbnail there.
+const attachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
     required: true,
   },
-  exam: {
+  mimetype: {
     type: String,
     required: true,
-    trim: true,
   },
-  subject: {
+  size: {
+    type: Number,
+    required: true,
+  },
+  key: {
     type: String,
     required: true,
-    trim: true,
   },
-  marksObtained: {
+  thumbnailKey: {
+    type: String,
+  },
+});
+
+// A field changed by an edit, with its value before and after
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// One edit of an assignment or announcement
+const editSchema = new mongoose.Schema({
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  changes: [changeSchema],
+});
+
+// One period of the class timetable. day is 0 (Sunday) to 6, like the
+// school's weekly offs, and times are "HH:mm" in the school's timezone.
+// Without a teacher the period is taken by the classroom's teacher and its
+// co-teachers.
+const periodSchema = new mongoose.Schema({
+  day: {
     type: Number,
     required: true,
     min: 0,
-    max: 100,
+    max: 6,
   },
-  totalMarks: {
+  period: {
     type: Number,
+    required: [true, "Please enter the period number"],
+    min: 1,
+  },
+  startTime: {
+    type: String,
     required: true,
-    min: 0,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Period times must be like 09:30"],
   },
-  highestMarks: {
-    type: Number,
+  endTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Period times must be like 09:30"],
   },
-  averageMarks: {
-    type: Number,
+  subject: {
+    type: String,
+    required: [true, "Please enter the subject"],
+    trim: true,
   },
-  date: {
-    type: Date,
-    default: Date.now,
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+  },
+  room: {
+    type: String,
+    trim: true,
   },
 });
 
@@ -77,6 +188,27 @@ const classroomSchema = new mongoose.Schema({
     ref: "Teacher",
     required: true,
   },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "School",
+    required: true,
+  },
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicYear",
+    required: true,
+  },
+  // Set when the year is promoted; archived classrooms are read-only
+  archived: {
+    type: Boolean,
+    default: false,
+  },
+  // Last year's classroom this one was carried over from
+  promotedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+  },
+  staff: [staffSchema],
   classTeacher: {
     type: Boolean,
     required: true,
@@ -88,8 +220,10 @@ const classroomSchema = new mongoose.Schema({
       ref: "Student",
     },
   ],
-  attendance: [attendanceSchema],
-  marks: [markSchema],
+  gradingScheme: {
+    type: gradingSchemeSchema,
+    default: () => ({}),
+  },
   assignments: [
     {
       title: {
@@ -108,6 +242,12 @@ const classroomSchema = new mongoose.Schema({
         type: Date,
         default: Date.now,
       },
+      attachments: [attachmentSchema],
+      // Set by edits, oldest first in history
+      editedAt: {
+        type: Date,
+      },
+      history: [editSchema],
     },
   ],
   announcements: [
@@ -124,12 +264,23 @@ const classroomSchema = new mongoose.Schema({
         type: Date,
         default: Date.now,
       },
+      attachments: [attachmentSchema],
+      // Set by edits, oldest first in history
+      editedAt: {
+        type: Date,
+      },
+      history: [editSchema],
     },
   ],
   timetable: {
-    image: {
+    periods: [periodSchema],
+    // Optional photo of the printed timetable in the media store
+    imageKey: {
       type: String,
     },
+    lastUpdated: {
+      type: Date,
+    },
   },
   createdAt: {
     type: Date,
@@ -141,6 +292,9 @@ const classroomSchema = new mongoose.Schema({
   },
 });
 
+classroomSchema.index({ "staff.teacher": 1 });
+classroomSchema.index({ school: 1, academicYear: 1, grade: 1, section: 1 });
+
 // Middleware to update the updatedAt field on save
 classroomSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// Exam names compared without case, spaces or punctuation, so "Mid Term"
+// and "Midterm" are the same exam
+const examKey = (name) =>
+  (name || "").toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, "");
+
+const examSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Please enter the exam name"],
+    trim: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  // One of the classroom's grading scheme categories
+  category: {
+    type: String,
+    trim: true,
+  },
+  date: {
+    type: Date,
+    required: [true, "Please enter the exam date"],
+  },
+  maxMarks: {
+    type: Number,
+    required: [true, "Please enter the maximum marks"],
+    min: [1, "Maximum marks must be at least 1"],
+  },
+  // Parents only see marks of published exams
+  status: {
+    type: String,
+    enum: ["draft", "published"],
+    default: "draft",
+  },
+  publishedAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+examSchema.index({ classroom: 1, key: 1 }, { unique: true });
+
+examSchema.pre("validate", function (next) {
+  this.key = examKey(this.name);
+  next();
+});
+
+examSchema.statics.keyFor = examKey;
+
+module.exports = mongoose.model("Exam", examSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// A parent's request for a child to be excused from school. Approved days
+// are recorded as "excused" in the class teacher's attendance.
+const leaveRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Parent",
+    required: true,
+  },
+  // The class teacher's classroom, which reviews the request
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  // Stored like attendance dates, so they compare by day
+  startDate: {
+    type: Date,
+    required: [true, "Please enter the first day of leave"],
+  },
+  endDate: {
+    type: Date,
+    required: [true, "Please enter the last day of leave"],
+  },
+  reason: {
+    type: String,
+    required: [true, "Please enter the reason for leave"],
+    trim: true,
+  },
+  // Optional medical certificate or letter, kept in the media store
+  attachment: {
+    name: String,
+    mimetype: String,
+    size: Number,
+    key: String,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected", "cancelled"],
+    default: "pending",
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  // Teacher's note to the parent, e.g. why it was rejected
+  reviewNote: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+leaveRequestSchema.index({ classroom: 1, status: 1, startDate: 1 });
+leaveRequestSchema.index({ student: 1, createdAt: -1 });
+
+leaveRequestSchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "Leave cannot end before it starts");
+  }
+  next();
+});
+
+module.exports = mongoose.model("LeaveRequest", leaveRequestSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// One student's marks in one exam of a classroom
+const markSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Exam",
+  },
+  // Name, category, total and date are copied from the exam
+  exam: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // One of the classroom's grading scheme categories, e.g. "Unit Test"
+  category: {
+    type: String,
+    trim: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  marksObtained: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function (value) {
+        return value <= this.totalMarks;
+      },
+      message: "Marks obtained cannot be more than the total marks",
+    },
+  },
+  totalMarks: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  highestMarks: {
+    type: Number,
+  },
+  averageMarks: {
+    type: Number,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One mark per student for each exam
+markSchema.index({ classroom: 1, examId: 1, student: 1 }, { unique: true });
+markSchema.index({ student: 1, date: 1 });
+
+module.exports = mongoose.model("Mark", markSchema);
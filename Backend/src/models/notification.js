@@ -11,7 +11,15 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["announcement", "assignment", "remark", "assignment_reminder"],
+    enum: [
+      "announcement",
+      "assignment",
+      "remark",
+      "mark",
+      "attendance",
+      "leave",
+      "assignment_reminder",
+    ],
     required: true,
   },
   classroom: {
@@ -19,6 +27,11 @@ const notificationSchema = new mongoose.Schema({
     ref: "Classroom",
     required: true,
   },
+  // Set when the notification is about one student, e.g. an absence alert
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+  },
   recipients: [
     {
       type: mongoose.Schema.Types.ObjectId,
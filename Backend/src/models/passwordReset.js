@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// A one-time password reset code. Only hashes of the code and of the
+// follow-up reset token are stored.
+const passwordResetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "userModel",
+    required: true,
+  },
+  userModel: {
+    type: String,
+    enum: ["Teacher", "Parent", "Admin"],
+    required: true,
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ["email", "sms"],
+    default: "email",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  verifiedAt: {
+    type: Date,
+  },
+  resetTokenHash: {
+    type: String,
+  },
+  usedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+passwordResetSchema.index({ user: 1, userModel: 1 });
+passwordResetSchema.index({ resetTokenHash: 1 });
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
@@ -7,9 +7,23 @@ const messageSchema = new mongoose.Schema({
     enum: ["text", "voice"],
     required: true,
   },
+  // Text of a text message. Voice messages are sent back with a signed
+  // link to the recording here.
   content: {
-    type: String, // For text messages or voice file URL
-    required: true,
+    type: String,
+    required: function () {
+      return this.type === "text";
+    },
+  },
+  // Voice recording in the media store
+  mediaKey: {
+    type: String,
+    required: function () {
+      return this.type === "voice";
+    },
+  },
+  mimetype: {
+    type: String,
   },
   sender: {
     type: String,
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const schoolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please enter the school name"],
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: [true, "Please enter the school code"],
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  timezone: {
+    type: String,
+    default: "Asia/Kolkata",
+  },
+  settings: {
+    // URL of the logo, or a data URI from before the media store
+    logo: {
+      type: String,
+    },
+    // Uploaded logo in the media store
+    logoKey: {
+      type: String,
+    },
+    address: {
+      type: String,
+    },
+    requireTeacherApproval: {
+      type: Boolean,
+      default: true,
+    },
+    // How excused days count towards attendance percentages: left out of
+    // the total, counted as present, or counted as absent
+    excusedAttendance: {
+      type: String,
+      enum: ["exclude", "present", "absent"],
+      default: "exclude",
+    },
+    // Absence alerts go out only for today's roll call submitted before
+    // this time ("HH:mm", school timezone). Corrections are always sent.
+    absenceAlertCutoff: {
+      type: String,
+      default: "11:00",
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Cut-off must be a time like 10:30"],
+    },
+    // Days of the week the school is closed, 0 = Sunday. Holidays and
+    // make-up working days are CalendarEvents.
+    weeklyOffDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [0],
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Look a school up by id, code or exact name. Never creates one, so a
+// misspelt school at registration is rejected instead of becoming a new school.
+schoolSchema.statics.resolve = async function (value) {
+  if (!value) {
+    return null;
+  }
+
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    const school = await this.findById(value);
+    if (school) {
+      return school;
+    }
+  }
+
+  const trimmed = value.toString().trim();
+
+  return (
+    (await this.findOne({ code: trimmed.toUpperCase() })) ||
+    (await this.findOne({ name: trimmed }).collation({
+      locale: "en",
+      strength: 2,
+    }))
+  );
+};
+
+module.exports = mongoose.model("School", schoolSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// One document per logged-in device. The refresh token itself is never
+// stored, only its hash; rotated-out hashes are kept to detect reuse.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "userModel",
+    required: true,
+  },
+  userModel: {
+    type: String,
+    enum: ["Teacher", "Parent", "Admin"],
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  usedTokenHashes: [
+    {
+      type: String,
+    },
+  ],
+  userAgent: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.index({ user: 1, userModel: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -6,13 +6,13 @@ const studentSchema = new mongoose.Schema({
     required: [true, "Please enter student's name"],
   },
   school: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "School",
     required: [true, "Please select student's school"],
   },
   admissionNumber: {
     type: String,
     required: [true, "Please enter admission number"],
-    unique: true,
     trim: true,
   },
   classrooms: [
@@ -21,6 +21,38 @@ const studentSchema = new mongoose.Schema({
       ref: "Classroom",
     },
   ],
+  // Classrooms of earlier academic years, kept so parents can still look
+  // back at them after promotion
+  history: [
+    {
+      academicYear: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AcademicYear",
+        required: true,
+      },
+      grade: {
+        type: String,
+      },
+      section: {
+        type: String,
+      },
+      classrooms: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Classroom",
+        },
+      ],
+      outcome: {
+        type: String,
+        enum: ["promoted", "repeated", "graduated"],
+      },
+    },
+  ],
+  status: {
+    type: String,
+    enum: ["active", "graduated"],
+    default: "active",
+  },
   parents: [
     {
       parent: {
@@ -41,4 +73,7 @@ const studentSchema = new mongoose.Schema({
   },
 });
 
+// Admission numbers are only unique within a school
+studentSchema.index({ school: 1, admissionNumber: 1 }, { unique: true });
+
 module.exports = mongoose.model("Student", studentSchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// A file of the child's work: a photo, PDF or voice recording, kept in the
+// media store under key
+const submissionFileSchema = new mongoose.Schema({
+  name: String,
+  mimetype: String,
+  size: Number,
+  key: String,
+});
+
+// A student's work for one of a classroom's assignments, uploaded by a
+// parent. Parents can resubmit until the teacher grades it.
+const submissionSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  // _id of the assignment in Classroom.assignments
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Parent",
+    required: true,
+  },
+  files: {
+    type: [submissionFileSchema],
+    validate: {
+      validator: (files) => files.length > 0,
+      message: "Please attach at least one file",
+    },
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Submitted after the due date
+  late: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ["submitted", "graded"],
+    default: "submitted",
+  },
+  // Free text, e.g. "A" or "8/10"
+  grade: {
+    type: String,
+    trim: true,
+  },
+  feedback: {
+    type: String,
+    trim: true,
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+  },
+  gradedAt: {
+    type: Date,
+  },
+});
+
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+submissionSchema.index({ classroom: 1, student: 1 });
+
+module.exports = mongoose.model("Submission", submissionSchema);
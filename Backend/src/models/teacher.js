@@ -21,8 +21,9 @@ const teacherSchema = new mongoose.Schema({
     select: false,
   },
   school: {
-    type: String,
-    required: [true, "Please enter your school name"],
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "School",
+    required: [true, "Please select your school"],
   },
   classrooms: [
     {
@@ -30,6 +31,15 @@ const teacherSchema = new mongoose.Schema({
       ref: "Classroom",
     },
   ],
+  // New registrations wait for the school admin when the school requires it
+  status: {
+    type: String,
+    enum: ["pending", "active", "deactivated"],
+    default: "active",
+  },
+  pushToken: {
+    type: String,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -41,10 +51,10 @@ teacherSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-teacherSchema.methods.generateToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+// Generate short-lived JWT access token bound to a login session
+teacherSchema.methods.generateToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
   });
 };
 
@@ -0,0 +1,74 @@
+const express = require("express");
+const {
+  login,
+  refreshToken,
+  logout,
+  logoutAll,
+  requestPasswordReset,
+  verifyResetCode,
+  resetPassword,
+  getProfile,
+  updateSchool,
+  getCalendarEvents,
+  addCalendarEvent,
+  deleteCalendarEvent,
+  getTeachers,
+  approveTeacher,
+  deactivateTeacher,
+  getClassrooms,
+  reassignClassroom,
+  assignClassTeacher,
+  getAcademicYears,
+  createAcademicYear,
+  updateTerms,
+  promoteAcademicYear,
+} = require("../controllers/adminController");
+const { isAdminAuthenticated } = require("../middlewares/adminAuth");
+
+const router = express.Router();
+
+// Auth routes
+router.post("/login", login);
+router.post("/refresh", refreshToken);
+router.post("/logout", isAdminAuthenticated, logout);
+router.post("/logout-all", isAdminAuthenticated, logoutAll);
+
+// Password reset routes
+router.post("/password-reset/request", requestPasswordReset);
+router.post("/password-reset/verify", verifyResetCode);
+router.post("/password-reset/confirm", resetPassword);
+
+// Profile routes
+router.get("/profile", isAdminAuthenticated, getProfile);
+router.put("/school", isAdminAuthenticated, updateSchool);
+
+// School calendar routes
+router.get("/calendar", isAdminAuthenticated, getCalendarEvents);
+router.post("/calendar", isAdminAuthenticated, addCalendarEvent);
+router.delete("/calendar/:id", isAdminAuthenticated, deleteCalendarEvent);
+
+// Teacher management routes
+router.get("/teachers", isAdminAuthenticated, getTeachers);
+router.put("/teacher/:id/approve", isAdminAuthenticated, approveTeacher);
+router.put("/teacher/:id/deactivate", isAdminAuthenticated, deactivateTeacher);
+
+// Classroom management routes
+router.get("/classrooms", isAdminAuthenticated, getClassrooms);
+router.put("/classroom/:id/teacher", isAdminAuthenticated, reassignClassroom);
+router.put(
+  "/classroom/:id/class-teacher",
+  isAdminAuthenticated,
+  assignClassTeacher
+);
+
+// Academic year routes
+router.get("/academic-years", isAdminAuthenticated, getAcademicYears);
+router.post("/academic-years", isAdminAuthenticated, createAcademicYear);
+router.put("/academic-years/:id/terms", isAdminAuthenticated, updateTerms);
+router.post(
+  "/academic-years/:id/promote",
+  isAdminAuthenticated,
+  promoteAcademicYear
+);
+
+module.exports = router;
@@ -6,91 +6,410 @@ const {
   deleteClassroom,
   addAssignment,
   getAssignments,
+  updateAssignment,
   deleteAssignment,
   addAnnouncement,
   getAnnouncements,
+  updateAnnouncement,
   deleteAnnouncement,
   addMarks,
   getMarks,
   updateMarks,
+  exportMarks,
   getAttendance,
+  getPeriodAttendance,
   getAttendanceReport,
   markBulkAttendance,
+  exportAttendance,
+  getSectionReportCards,
+  getGradingScheme,
+  updateGradingScheme,
+  getGrades,
+  getAnalytics,
   uploadTimetable,
   getTimetable,
+  updateTimetablePeriods,
+  getTimetableTeachers,
+  deleteTimetableImage,
+  getTeacherSchedule,
+  getStaff,
+  addStaff,
+  removeStaff,
 } = require("../controllers/classroomController");
 const {
   addStudent,
   removeFromClassroom,
+  previewRosterImport,
+  importRoster,
 } = require("../controllers/studentController");
 const {
   addMessage,
   getStudentRemark,
 } = require("../controllers/remarkController");
+const {
+  getExams,
+  createExam,
+  updateExam,
+  setExamStatus,
+  deleteExam,
+} = require("../controllers/examController");
+const {
+  getLeaveRequests,
+  reviewLeaveRequest,
+  getLeaveAttachment,
+} = require("../controllers/leaveController");
+const {
+  getSubmissions,
+  gradeSubmission,
+  getSubmissionFile,
+} = require("../controllers/submissionController");
+const {
+  getAssignmentAttachment,
+  getAnnouncementAttachment,
+} = require("../controllers/attachmentController");
 const { isTeacherAuthenticated } = require("../middlewares/teacherAuth");
+const {
+  authorizeClassroom,
+  requireEnrolled,
+} = require("../middlewares/authorize");
 
 const router = express.Router();
 
 // Classroom routes
 router.post("/create", isTeacherAuthenticated, createClassroom);
 router.get("/all", isTeacherAuthenticated, getTeacherClassrooms);
-router.get("/:id", isTeacherAuthenticated, getClassroomDetails);
-router.delete("/:id", isTeacherAuthenticated, deleteClassroom);
+router.get("/schedule", isTeacherAuthenticated, getTeacherSchedule);
+router.get(
+  "/:id",
+  isTeacherAuthenticated,
+  authorizeClassroom("classroom:view"),
+  getClassroomDetails
+);
+router.delete(
+  "/:id",
+  isTeacherAuthenticated,
+  authorizeClassroom("classroom:delete"),
+  deleteClassroom
+);
+
+// Staff routes
+router.get(
+  "/:id/staff",
+  isTeacherAuthenticated,
+  authorizeClassroom("classroom:view"),
+  getStaff
+);
+router.post(
+  "/:id/staff",
+  isTeacherAuthenticated,
+  authorizeClassroom("staff:manage"),
+  addStaff
+);
+router.delete(
+  "/:id/staff/:teacherId",
+  isTeacherAuthenticated,
+  authorizeClassroom("staff:manage"),
+  removeStaff
+);
 
 // Assignment routes
-router.post("/:id/assignment", isTeacherAuthenticated, addAssignment);
-router.get("/:id/assignments", isTeacherAuthenticated, getAssignments);
+router.post(
+  "/:id/assignment",
+  isTeacherAuthenticated,
+  authorizeClassroom("assignment:create"),
+  addAssignment
+);
+router.get(
+  "/:id/assignments",
+  isTeacherAuthenticated,
+  authorizeClassroom("assignment:view"),
+  getAssignments
+);
+router.put(
+  "/:id/assignment/:assignmentId",
+  isTeacherAuthenticated,
+  authorizeClassroom("assignment:edit"),
+  updateAssignment
+);
 router.delete(
   "/:id/assignment/:assignmentId",
   isTeacherAuthenticated,
+  authorizeClassroom("assignment:delete"),
   deleteAssignment
 );
+router.get(
+  "/:id/assignment/:assignmentId/attachments/:attachmentId",
+  isTeacherAuthenticated,
+  authorizeClassroom("assignment:view"),
+  getAssignmentAttachment
+);
+router.get(
+  "/:id/assignment/:assignmentId/submissions",
+  isTeacherAuthenticated,
+  authorizeClassroom("assignment:view"),
+  getSubmissions
+);
+router.put(
+  "/:id/submissions/:submissionId",
+  isTeacherAuthenticated,
+  authorizeClassroom("assignment:grade"),
+  gradeSubmission
+);
+router.get(
+  "/:id/submissions/:submissionId/files/:fileId",
+  isTeacherAuthenticated,
+  authorizeClassroom("assignment:view"),
+  getSubmissionFile
+);
 
 // Announcement routes
-router.post("/:id/announcement", isTeacherAuthenticated, addAnnouncement);
-router.get("/:id/announcements", isTeacherAuthenticated, getAnnouncements);
+router.post(
+  "/:id/announcement",
+  isTeacherAuthenticated,
+  authorizeClassroom("announcement:create"),
+  addAnnouncement
+);
+router.get(
+  "/:id/announcements",
+  isTeacherAuthenticated,
+  authorizeClassroom("announcement:view"),
+  getAnnouncements
+);
+router.put(
+  "/:id/announcement/:announcementId",
+  isTeacherAuthenticated,
+  authorizeClassroom("announcement:edit"),
+  updateAnnouncement
+);
 router.delete(
   "/:id/announcement/:announcementId",
   isTeacherAuthenticated,
+  authorizeClassroom("announcement:delete"),
   deleteAnnouncement
 );
+router.get(
+  "/:id/announcement/:announcementId/attachments/:attachmentId",
+  isTeacherAuthenticated,
+  authorizeClassroom("announcement:view"),
+  getAnnouncementAttachment
+);
 
 // Classroom-student management routes
-router.post("/:id/student", isTeacherAuthenticated, addStudent);
+router.post(
+  "/:id/student",
+  isTeacherAuthenticated,
+  authorizeClassroom("student:add"),
+  addStudent
+);
+router.post(
+  "/:id/students/import/preview",
+  isTeacherAuthenticated,
+  authorizeClassroom("student:add"),
+  previewRosterImport
+);
+router.post(
+  "/:id/students/import",
+  isTeacherAuthenticated,
+  authorizeClassroom("student:add"),
+  importRoster
+);
 router.delete(
   "/:id/student/:studentId",
   isTeacherAuthenticated,
+  authorizeClassroom("student:remove"),
   removeFromClassroom
 );
 
+// Exam routes
+router.get(
+  "/:id/exams",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:view"),
+  getExams
+);
+router.post(
+  "/:id/exams",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:edit"),
+  createExam
+);
+router.put(
+  "/:id/exams/:examId",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:edit"),
+  updateExam
+);
+router.put(
+  "/:id/exams/:examId/status",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:edit"),
+  setExamStatus
+);
+router.delete(
+  "/:id/exams/:examId",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:edit"),
+  deleteExam
+);
+
 // Marks routes
-router.post("/:id/marks", isTeacherAuthenticated, addMarks);
-router.get("/:id/marks", isTeacherAuthenticated, getMarks);
-router.put("/:id/marks/:markId", isTeacherAuthenticated, updateMarks);
+router.post(
+  "/:id/marks",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:edit"),
+  addMarks
+);
+router.get(
+  "/:id/marks",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:view"),
+  getMarks
+);
+router.get(
+  "/:id/marks/export",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:view"),
+  exportMarks
+);
+router.put(
+  "/:id/marks/:markId",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:edit"),
+  updateMarks
+);
+
+// Grading routes
+router.get(
+  "/:id/grading-scheme",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:view"),
+  getGradingScheme
+);
+router.put(
+  "/:id/grading-scheme",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:edit"),
+  updateGradingScheme
+);
+router.get(
+  "/:id/grades",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:view"),
+  getGrades
+);
+router.get(
+  "/:id/analytics",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:view"),
+  getAnalytics
+);
 
 // Attendance routes
-router.get("/:id/attendance/:date", isTeacherAuthenticated, getAttendance);
+router.get(
+  "/:id/attendance/export",
+  isTeacherAuthenticated,
+  authorizeClassroom("attendance:view"),
+  exportAttendance
+);
+router.get(
+  "/:id/attendance/:date",
+  isTeacherAuthenticated,
+  authorizeClassroom("attendance:view"),
+  getAttendance
+);
+router.get(
+  "/:id/attendance/:date/periods",
+  isTeacherAuthenticated,
+  authorizeClassroom("attendance:view"),
+  getPeriodAttendance
+);
 router.get(
   "/:id/attendance-report",
   isTeacherAuthenticated,
+  authorizeClassroom("attendance:view"),
   getAttendanceReport
 );
-router.post("/:id/attendance/bulk", isTeacherAuthenticated, markBulkAttendance);
+router.post(
+  "/:id/attendance/bulk",
+  isTeacherAuthenticated,
+  authorizeClassroom("attendance:mark"),
+  markBulkAttendance
+);
+
+// Leave routes
+router.get(
+  "/:id/leave-requests",
+  isTeacherAuthenticated,
+  authorizeClassroom("attendance:view"),
+  getLeaveRequests
+);
+router.put(
+  "/:id/leave-requests/:leaveId",
+  isTeacherAuthenticated,
+  authorizeClassroom("leave:review"),
+  reviewLeaveRequest
+);
+router.get(
+  "/:id/leave-requests/:leaveId/attachment",
+  isTeacherAuthenticated,
+  authorizeClassroom("attendance:view"),
+  getLeaveAttachment
+);
+
+// Report card routes
+router.get(
+  "/:id/report-cards",
+  isTeacherAuthenticated,
+  authorizeClassroom("marks:view"),
+  getSectionReportCards
+);
 
 // Remark routes
 router.post(
   "/:id/student/:studentId/remark",
   isTeacherAuthenticated,
+  authorizeClassroom("remark:write"),
+  requireEnrolled(),
   addMessage
 );
 router.get(
   "/:id/student/:studentId/remark",
   isTeacherAuthenticated,
+  authorizeClassroom("remark:view"),
+  requireEnrolled(),
   getStudentRemark
 );
 
 // Timetable routes
-router.post("/:id/timetable", isTeacherAuthenticated, uploadTimetable);
-router.get("/:id/timetable", isTeacherAuthenticated, getTimetable);
+router.post(
+  "/:id/timetable",
+  isTeacherAuthenticated,
+  authorizeClassroom("timetable:edit"),
+  uploadTimetable
+);
+router.get(
+  "/:id/timetable",
+  isTeacherAuthenticated,
+  authorizeClassroom("timetable:view"),
+  getTimetable
+);
+router.put(
+  "/:id/timetable/periods",
+  isTeacherAuthenticated,
+  authorizeClassroom("timetable:edit"),
+  updateTimetablePeriods
+);
+router.delete(
+  "/:id/timetable/image",
+  isTeacherAuthenticated,
+  authorizeClassroom("timetable:edit"),
+  deleteTimetableImage
+);
+router.get(
+  "/:id/timetable/teachers",
+  isTeacherAuthenticated,
+  authorizeClassroom("timetable:edit"),
+  getTimetableTeachers
+);
 
 module.exports = router;
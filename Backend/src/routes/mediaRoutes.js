@@ -0,0 +1,9 @@
+const express = require("express");
+const { getSignedMedia } = require("../controllers/mediaController");
+
+const router = express.Router();
+
+// Signed links, no login (GET also answers HEAD)
+router.get("/:folder/:name", getSignedMedia);
+
+module.exports = router;
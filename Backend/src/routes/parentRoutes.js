@@ -2,45 +2,121 @@ const express = require("express");
 const {
   register,
   login,
+  refreshToken,
+  logout,
+  logoutAll,
+  requestPasswordReset,
+  verifyResetCode,
+  resetPassword,
   getProfile,
   getClassroomDetails,
   getAllAssignments,
   getAllMarks,
   getClassroomTimetable,
+  getTodaySchedule,
   updatePushToken,
   updateLanguage,
+  getReportCardPeriods,
+  downloadReportCard,
+  getStudentAnalytics,
 } = require("../controllers/parentController");
 const { isParentAuthenticated } = require("../middlewares/parentAuth");
+const {
+  authorizeClassroom,
+  authorizeStudent,
+} = require("../middlewares/authorize");
 const {
   getParentChildRemarks,
   addParentReply,
 } = require("../controllers/remarkController");
+const {
+  applyForLeave,
+  getStudentLeaveRequests,
+  cancelLeaveRequest,
+  getLeaveAttachment,
+} = require("../controllers/leaveController");
+const {
+  submitAssignment,
+  getStudentSubmissions,
+  getSubmissionFile,
+} = require("../controllers/submissionController");
+const {
+  getAssignmentAttachment,
+  getAnnouncementAttachment,
+} = require("../controllers/attachmentController");
 
 const router = express.Router();
 
 // Auth routes
 router.post("/register", register);
 router.post("/login", login);
+router.post("/refresh", refreshToken);
+router.post("/logout", isParentAuthenticated, logout);
+router.post("/logout-all", isParentAuthenticated, logoutAll);
+
+// Password reset routes
+router.post("/password-reset/request", requestPasswordReset);
+router.post("/password-reset/verify", verifyResetCode);
+router.post("/password-reset/confirm", resetPassword);
 
 // Profile routes
 router.get("/profile", isParentAuthenticated, getProfile);
 router.put("/update-language", isParentAuthenticated, updateLanguage);
 
 // Classroom routes
-router.get("/classroom/:id", isParentAuthenticated, getClassroomDetails);
+router.get(
+  "/classroom/:id",
+  isParentAuthenticated,
+  authorizeClassroom("classroom:view"),
+  getClassroomDetails
+);
 router.get("/assignments", isParentAuthenticated, getAllAssignments);
+router.get(
+  "/classroom/:id/assignment/:assignmentId/attachments/:attachmentId",
+  isParentAuthenticated,
+  authorizeClassroom("assignment:view"),
+  getAssignmentAttachment
+);
+router.get(
+  "/classroom/:id/announcement/:announcementId/attachments/:attachmentId",
+  isParentAuthenticated,
+  authorizeClassroom("announcement:view"),
+  getAnnouncementAttachment
+);
+
+// Submission routes
+router.get(
+  "/classroom/:id/submissions",
+  isParentAuthenticated,
+  authorizeClassroom("assignment:view"),
+  getStudentSubmissions
+);
+router.post(
+  "/classroom/:id/assignment/:assignmentId/submission",
+  isParentAuthenticated,
+  authorizeClassroom("assignment:submit"),
+  submitAssignment
+);
+router.get(
+  "/classroom/:id/submissions/:submissionId/files/:fileId",
+  isParentAuthenticated,
+  authorizeClassroom("assignment:view"),
+  getSubmissionFile
+);
 router.get("/marks", isParentAuthenticated, getAllMarks);
 
 // Remarks routes
 router.get(
   "/classroom/:classroomId/remarks",
   isParentAuthenticated,
+  authorizeClassroom("remark:view", "classroomId"),
   getParentChildRemarks
 );
 
 router.post(
   "/classroom/:classroomId/reply",
   isParentAuthenticated,
+  authorizeClassroom("remark:write", "classroomId"),
   addParentReply
 );
 
@@ -48,8 +124,61 @@ router.post(
 router.get(
   "/classroom/:id/timetable",
   isParentAuthenticated,
+  authorizeClassroom("timetable:view"),
   getClassroomTimetable
 );
+router.get(
+  "/student/:id/schedule/today",
+  isParentAuthenticated,
+  authorizeStudent("student:view"),
+  getTodaySchedule
+);
+
+// Report card routes
+router.get(
+  "/student/:id/report-cards",
+  isParentAuthenticated,
+  authorizeStudent("student:view"),
+  getReportCardPeriods
+);
+router.get(
+  "/student/:id/report-card",
+  isParentAuthenticated,
+  authorizeStudent("student:view"),
+  downloadReportCard
+);
+router.get(
+  "/student/:id/analytics",
+  isParentAuthenticated,
+  authorizeStudent("student:view"),
+  getStudentAnalytics
+);
+
+// Leave routes
+router.get(
+  "/student/:id/leave",
+  isParentAuthenticated,
+  authorizeStudent("student:view"),
+  getStudentLeaveRequests
+);
+router.post(
+  "/student/:id/leave",
+  isParentAuthenticated,
+  authorizeStudent("leave:apply"),
+  applyForLeave
+);
+router.put(
+  "/student/:id/leave/:leaveId/cancel",
+  isParentAuthenticated,
+  authorizeStudent("leave:apply"),
+  cancelLeaveRequest
+);
+router.get(
+  "/student/:id/leave/:leaveId/attachment",
+  isParentAuthenticated,
+  authorizeStudent("student:view"),
+  getLeaveAttachment
+);
 
 // Update push token
 router.put("/push-token", isParentAuthenticated, updatePushToken);
@@ -0,0 +1,17 @@
+const express = require("express");
+const {
+  getSchools,
+  getSchool,
+  getCalendar,
+  getCalendarFeed,
+} = require("../controllers/schoolController");
+
+const router = express.Router();
+
+// School routes
+router.get("/", getSchools);
+router.get("/:id", getSchool);
+router.get("/:id/calendar", getCalendar);
+router.get("/:id/calendar.ics", getCalendarFeed);
+
+module.exports = router;
@@ -6,13 +6,29 @@ const {
   deleteStudent,
 } = require("../controllers/studentController");
 const { isTeacherAuthenticated } = require("../middlewares/teacherAuth");
+const { authorizeStudent } = require("../middlewares/authorize");
 
 const router = express.Router();
 
 // student routes
 router.get("/school", isTeacherAuthenticated, getSchoolStudents);
-router.get("/:id", isTeacherAuthenticated, getStudent);
-router.put("/:id", isTeacherAuthenticated, updateStudent);
-router.delete("/:id", isTeacherAuthenticated, deleteStudent);
+router.get(
+  "/:id",
+  isTeacherAuthenticated,
+  authorizeStudent("student:view"),
+  getStudent
+);
+router.put(
+  "/:id",
+  isTeacherAuthenticated,
+  authorizeStudent("student:edit"),
+  updateStudent
+);
+router.delete(
+  "/:id",
+  isTeacherAuthenticated,
+  authorizeStudent("student:delete"),
+  deleteStudent
+);
 
 module.exports = router;
@@ -1,10 +1,31 @@
 const express = require("express");
-const { register, login } = require("../controllers/teacherController");
+const {
+  register,
+  login,
+  refreshToken,
+  logout,
+  logoutAll,
+  requestPasswordReset,
+  verifyResetCode,
+  resetPassword,
+  updatePushToken,
+} = require("../controllers/teacherController");
 const { isTeacherAuthenticated } = require("../middlewares/teacherAuth");
 
 const router = express.Router();
 
 router.post("/register", register);
 router.post("/login", login);
+router.post("/refresh", refreshToken);
+router.post("/logout", isTeacherAuthenticated, logout);
+router.post("/logout-all", isTeacherAuthenticated, logoutAll);
+
+// Password reset routes
+router.post("/password-reset/request", requestPasswordReset);
+router.post("/password-reset/verify", verifyResetCode);
+router.post("/password-reset/confirm", resetPassword);
+
+// Update push token
+router.put("/push-token", isTeacherAuthenticated, updatePushToken);
 
 module.exports = router;
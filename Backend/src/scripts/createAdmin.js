@@ -0,0 +1,64 @@
+// Create a school administrator, creating the school first if needed.
+//
+// Usage:
+//   npm run create:admin -- --school KVRPD --name "Asha Rao" \
+//     --email admin@school.in --password secret123 \
+//     [--school-name "Kendriya Vidyalaya, RK Puram, Delhi"]
+require("dotenv").config();
+const bcrypt = require("bcrypt");
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/database");
+const Admin = require("../models/admin");
+const School = require("../models/school");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const createAdmin = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.school || !args.name || !args.email || !args.password) {
+    throw new Error("--school, --name, --email and --password are required");
+  }
+
+  if (args.password.length < 8) {
+    throw new Error("Password must be at least 8 characters long");
+  }
+
+  await connectDB();
+
+  let school = await School.resolve(args.school);
+  if (!school) {
+    if (!args["school-name"]) {
+      throw new Error(
+        `School ${args.school} not found. Pass --school-name to create it`
+      );
+    }
+    school = await School.create({
+      name: args["school-name"],
+      code: args.school,
+    });
+    console.log(`Created school ${school.code}: ${school.name}`);
+  }
+
+  const admin = await Admin.create({
+    name: args.name,
+    email: args.email,
+    password: await bcrypt.hash(args.password, 10),
+    school: school._id,
+  });
+
+  console.log(`Created admin ${admin.email} for ${school.name}`);
+};
+
+createAdmin()
+  .catch((error) => {
+    console.error("Could not create admin:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+// One-off migration: put every existing classroom into its school's current
+// academic year so marks, attendance and assignments can be archived by year.
+//
+// Usage: npm run migrate:academic-years
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/database");
+const AcademicYear = require("../models/academicYear");
+const School = require("../models/school");
+
+const migrate = async () => {
+  await connectDB();
+  const classrooms = mongoose.connection.db.collection("classrooms");
+
+  const schools = await School.find();
+  for (const school of schools) {
+    const academicYear = await AcademicYear.ensureCurrent(school._id);
+    const { modifiedCount } = await classrooms.updateMany(
+      { school: school._id, academicYear: { $exists: false } },
+      { $set: { academicYear: academicYear._id, archived: false } }
+    );
+    console.log(
+      `${school.code}: ${modifiedCount} classrooms added to ${academicYear.name}`
+    );
+  }
+
+  const orphaned = await classrooms.countDocuments({
+    academicYear: { $exists: false },
+  });
+  if (orphaned > 0) {
+    console.warn(
+      `${orphaned} classrooms have no school; run migrate:schools first`
+    );
+  }
+
+  console.log("Academic year migration complete");
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Academic year migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
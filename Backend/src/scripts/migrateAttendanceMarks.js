@@ -0,0 +1,83 @@
+// One-off migration: move the attendance and marks embedded in each
+// classroom into the Attendance and Mark collections, keeping their ids, and
+// remove them from the classroom. Safe to run again if interrupted. Run
+// migrate:exams first so the marks are linked to their exams.
+//
+// Usage: npm run migrate:attendance-marks
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/database");
+const Attendance = require("../models/attendance");
+const Mark = require("../models/mark");
+
+// Insert the documents, skipping any a previous run already moved. A second
+// record of a student for the same roll call or exam is skipped too.
+const insertAll = async (collection, documents) => {
+  if (documents.length === 0) return 0;
+
+  try {
+    const result = await collection.insertMany(documents, { ordered: false });
+    return result.insertedCount;
+  } catch (error) {
+    if (
+      !error.writeErrors ||
+      error.writeErrors.some((writeError) => writeError.code !== 11000)
+    ) {
+      throw error;
+    }
+    return error.insertedCount;
+  }
+};
+
+const migrate = async () => {
+  await connectDB();
+  // Raw collection, as the Classroom model no longer has these fields
+  const classrooms = mongoose.connection.db.collection("classrooms");
+
+  // Create the indexes before filling the collections
+  await Attendance.init();
+  await Mark.init();
+
+  let attendanceMoved = 0;
+  let marksMoved = 0;
+  let classroomsDone = 0;
+
+  const cursor = classrooms.find(
+    { $or: [{ attendance: { $exists: true } }, { marks: { $exists: true } }] },
+    { projection: { attendance: 1, marks: 1 } }
+  );
+  for await (const classroom of cursor) {
+    attendanceMoved += await insertAll(
+      Attendance.collection,
+      (classroom.attendance || []).map((record) => ({
+        ...record,
+        classroom: classroom._id,
+      }))
+    );
+    marksMoved += await insertAll(
+      Mark.collection,
+      (classroom.marks || []).map((mark) => ({
+        ...mark,
+        classroom: classroom._id,
+      }))
+    );
+
+    await classrooms.updateOne(
+      { _id: classroom._id },
+      { $unset: { attendance: "", marks: "" } }
+    );
+    classroomsDone += 1;
+  }
+
+  console.log(
+    `Moved ${attendanceMoved} attendance records and ${marksMoved} marks out of ${classroomsDone} classrooms`
+  );
+  console.log("Attendance and marks migration complete");
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Attendance and marks migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,84 @@
+// One-off migration: create an Exam for every exam name already used on a
+// classroom's marks and link the marks to it. Names that differ only in case,
+// spacing or punctuation ("Mid Term", "Midterm") become one exam. Existing
+// results were already visible to parents, so their exams start published.
+//
+// Usage: npm run migrate:exams
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/database");
+const Exam = require("../models/exam");
+
+const migrate = async () => {
+  await connectDB();
+  // Raw collection so marks saved before validation was tightened still load
+  const classrooms = mongoose.connection.db.collection("classrooms");
+
+  let examsCreated = 0;
+  let marksLinked = 0;
+
+  const cursor = classrooms.find({
+    marks: { $elemMatch: { examId: { $exists: false } } },
+  });
+  for await (const classroom of cursor) {
+    const groups = new Map();
+    classroom.marks.forEach((mark) => {
+      if (mark.examId) return;
+      const key = Exam.keyFor(mark.exam);
+      groups.set(key, [...(groups.get(key) || []), mark]);
+    });
+
+    for (const [key, marks] of groups) {
+      let exam = await Exam.findOne({ classroom: classroom._id, key });
+      if (!exam) {
+        const date = new Date(
+          Math.min(...marks.map((mark) => new Date(mark.date).getTime()))
+        );
+        exam = await Exam.create({
+          classroom: classroom._id,
+          name: marks[0].exam,
+          category: marks.find((mark) => mark.category)?.category,
+          date,
+          maxMarks: Math.max(...marks.map((mark) => mark.totalMarks)),
+          status: "published",
+          publishedAt: date,
+          createdBy: classroom.teacher,
+        });
+        examsCreated += 1;
+      }
+
+      // Merged names had their stats worked out separately
+      const highestMarks = Math.max(...marks.map((mark) => mark.marksObtained));
+      const averageMarks =
+        Math.round(
+          (marks.reduce((sum, mark) => sum + mark.marksObtained, 0) /
+            marks.length) *
+            10
+        ) / 10;
+      marks.forEach((mark) => {
+        mark.examId = exam._id;
+        mark.exam = exam.name;
+        mark.highestMarks = highestMarks;
+        mark.averageMarks = averageMarks;
+      });
+      marksLinked += marks.length;
+    }
+
+    await classrooms.updateOne(
+      { _id: classroom._id },
+      { $set: { marks: classroom.marks } }
+    );
+  }
+
+  console.log(
+    `Created ${examsCreated} exams and linked ${marksLinked} marks to them`
+  );
+  console.log("Exam migration complete");
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Exam migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,173 @@
+// One-off migration: move files stored inside documents as base64 (voice
+// remarks, timetable photos, leave attachments, submitted work and school
+// logos) into the media store chosen by MEDIA_STORE, keeping only their
+// keys. Safe to run again if interrupted; a file stored just before an
+// interruption is stored again on the next run.
+//
+// Usage: npm run migrate:media
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/database");
+const mediaStore = require("../services/mediaStore");
+const timetableService = require("../services/timetableService");
+
+const isDataUri = (value) =>
+  typeof value === "string" && value.startsWith("data:");
+
+// Store a "data:<type>;base64,<data>" string and return its key and type
+const storeDataUri = async (dataUri, folder) => {
+  const comma = dataUri.indexOf(",");
+  const mimetype = dataUri.slice(5, comma).split(";")[0];
+  const data = Buffer.from(dataUri.slice(comma + 1), "base64");
+  return {
+    key: await mediaStore.put(data, folder, mediaStore.extensionOf(mimetype)),
+    mimetype,
+    size: data.length,
+  };
+};
+
+const migrateRemarks = async (db) => {
+  const remarks = db.collection("remarks");
+  let moved = 0;
+
+  const cursor = remarks.find(
+    { messages: { $elemMatch: { type: "voice", content: /^data:/ } } },
+    { projection: { messages: 1 } }
+  );
+  for await (const remark of cursor) {
+    for (const message of remark.messages) {
+      if (message.type !== "voice" || !isDataUri(message.content)) continue;
+
+      const { key, mimetype } = await storeDataUri(message.content, "voice");
+      message.mediaKey = key;
+      message.mimetype = mimetype;
+      delete message.content;
+      moved += 1;
+    }
+    await remarks.updateOne(
+      { _id: remark._id },
+      { $set: { messages: remark.messages } }
+    );
+  }
+  return moved;
+};
+
+const migrateTimetables = async (db) => {
+  const classrooms = db.collection("classrooms");
+  let moved = 0;
+
+  const cursor = classrooms.find(
+    { "timetable.image": { $exists: true } },
+    { projection: { timetable: 1 } }
+  );
+  for await (const classroom of cursor) {
+    const { image } = classroom.timetable;
+    if (image) {
+      const imageKey = await timetableService.saveImage(image);
+      await classrooms.updateOne(
+        { _id: classroom._id },
+        {
+          $set: { "timetable.imageKey": imageKey },
+          $unset: { "timetable.image": "" },
+        }
+      );
+      moved += 1;
+    } else {
+      await classrooms.updateOne(
+        { _id: classroom._id },
+        { $unset: { "timetable.image": "" } }
+      );
+    }
+  }
+  return moved;
+};
+
+const migrateLeaveAttachments = async (db) => {
+  const leaveRequests = db.collection("leaverequests");
+  let moved = 0;
+
+  const cursor = leaveRequests.find(
+    { "attachment.data": /^data:/ },
+    { projection: { attachment: 1 } }
+  );
+  for await (const leave of cursor) {
+    const { key, size } = await storeDataUri(leave.attachment.data, "leave");
+    await leaveRequests.updateOne(
+      { _id: leave._id },
+      {
+        $set: { "attachment.key": key, "attachment.size": size },
+        $unset: { "attachment.data": "" },
+      }
+    );
+    moved += 1;
+  }
+  return moved;
+};
+
+const migrateSubmissions = async (db) => {
+  const submissions = db.collection("submissions");
+  let moved = 0;
+
+  const cursor = submissions.find(
+    { "files.data": /^data:/ },
+    { projection: { files: 1 } }
+  );
+  for await (const submission of cursor) {
+    for (const file of submission.files) {
+      if (!isDataUri(file.data)) continue;
+
+      file.key = (await storeDataUri(file.data, "submissions")).key;
+      delete file.data;
+      moved += 1;
+    }
+    await submissions.updateOne(
+      { _id: submission._id },
+      { $set: { files: submission.files } }
+    );
+  }
+  return moved;
+};
+
+const migrateLogos = async (db) => {
+  const schools = db.collection("schools");
+  let moved = 0;
+
+  const cursor = schools.find(
+    { "settings.logo": /^data:/ },
+    { projection: { settings: 1 } }
+  );
+  for await (const school of cursor) {
+    const { key } = await storeDataUri(school.settings.logo, "logos");
+    await schools.updateOne(
+      { _id: school._id },
+      {
+        $set: { "settings.logoKey": key },
+        $unset: { "settings.logo": "" },
+      }
+    );
+    moved += 1;
+  }
+  return moved;
+};
+
+const migrate = async () => {
+  await connectDB();
+  // Raw collections, as the models no longer have the base64 fields
+  const { db } = mongoose.connection;
+
+  console.log(`Moved ${await migrateRemarks(db)} voice remarks`);
+  console.log(`Moved ${await migrateTimetables(db)} timetable photos`);
+  console.log(`Moved ${await migrateLeaveAttachments(db)} leave attachments`);
+  console.log(`Moved ${await migrateSubmissions(db)} submitted files`);
+  console.log(`Moved ${await migrateLogos(db)} school logos`);
+  console.log(
+    `Media migration complete (store: ${process.env.MEDIA_STORE || "disk"})`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Media migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,123 @@
+// One-off migration: turn the free-text `school` strings on teachers and
+// students into School documents and reference them by id.
+//
+// Usage: npm run migrate:schools
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/database");
+const School = require("../models/school");
+const Student = require("../models/student");
+
+// "Kendriya Vidyalaya, RK Puram, Delhi" -> "KVRPD"
+const baseCode = (name) =>
+  name
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((word) => word[0])
+    .join("")
+    .replace(/[^a-z0-9]/gi, "")
+    .toUpperCase()
+    .slice(0, 8) || "SCHOOL";
+
+const uniqueCode = async (name) => {
+  const base = baseCode(name);
+  let code = base;
+  let suffix = 1;
+
+  while (await School.exists({ code })) {
+    suffix += 1;
+    code = `${base}${suffix}`;
+  }
+
+  return code;
+};
+
+// Collapse case and whitespace differences so "Kendriya  vidyalaya" and
+// "Kendriya Vidyalaya" end up as one school
+const normalize = (name) => name.trim().replace(/\s+/g, " ").toLowerCase();
+
+const migrate = async () => {
+  await connectDB();
+  const db = mongoose.connection.db;
+  const teachers = db.collection("teachers");
+  const students = db.collection("students");
+  const classrooms = db.collection("classrooms");
+
+  const legacyNames = [
+    ...(await teachers.distinct("school", { school: { $type: "string" } })),
+    ...(await students.distinct("school", { school: { $type: "string" } })),
+  ];
+
+  const schoolsByName = new Map();
+  for (const legacyName of legacyNames) {
+    const key = normalize(legacyName);
+    if (schoolsByName.has(key)) {
+      continue;
+    }
+
+    const name = legacyName.trim().replace(/\s+/g, " ");
+    let school = await School.resolve(name);
+    if (!school) {
+      school = await School.create({ name, code: await uniqueCode(name) });
+      console.log(`Created school ${school.code}: ${school.name}`);
+    }
+    schoolsByName.set(key, school);
+  }
+
+  for (const collection of [teachers, students]) {
+    const cursor = collection.find({ school: { $type: "string" } });
+    let updated = 0;
+
+    for await (const doc of cursor) {
+      const school = schoolsByName.get(normalize(doc.school));
+      await collection.updateOne(
+        { _id: doc._id },
+        { $set: { school: school._id } }
+      );
+      updated += 1;
+    }
+
+    console.log(`Updated ${updated} ${collection.collectionName}`);
+  }
+
+  // Classrooms inherit the school of the teacher who created them
+  const classroomCursor = classrooms.find({ school: { $exists: false } });
+  let classroomsUpdated = 0;
+  for await (const classroom of classroomCursor) {
+    const teacher = await teachers.findOne({ _id: classroom.teacher });
+    if (!teacher) {
+      console.warn(`Classroom ${classroom._id} has no teacher, skipping`);
+      continue;
+    }
+    await classrooms.updateOne(
+      { _id: classroom._id },
+      { $set: { school: teacher.school } }
+    );
+    classroomsUpdated += 1;
+  }
+  console.log(`Updated ${classroomsUpdated} classrooms`);
+
+  // Teachers registered before admin approval existed are already trusted
+  const { modifiedCount: activated } = await teachers.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "active" } }
+  );
+  console.log(`Marked ${activated} existing teachers as active`);
+
+  // Admission numbers used to be unique across all schools
+  const indexes = await students.indexes();
+  if (indexes.some((index) => index.name === "admissionNumber_1")) {
+    await students.dropIndex("admissionNumber_1");
+    console.log("Dropped global admissionNumber index");
+  }
+  await Student.createIndexes();
+
+  console.log("School migration complete");
+};
+
+migrate()
+  .catch((error) => {
+    console.error("School migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
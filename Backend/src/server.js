@@ -6,10 +6,13 @@ const teacherRoutes = require("./routes/teacherRoutes");
 const classroomRoutes = require("./routes/classroomRoutes");
 const studentRoutes = require("./routes/studentRoutes");
 const parentRoutes = require("./routes/parentRoutes");
+const schoolRoutes = require("./routes/schoolRoutes");
+const adminRoutes = require("./routes/adminRoutes");
 require("./models/student");
 const fileUpload = require("express-fileupload");
 const path = require("path");
 const notificationRoutes = require("./routes/notificationRoutes");
+const mediaRoutes = require("./routes/mediaRoutes");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -51,7 +54,10 @@ app.use("/api/teacher", teacherRoutes);
 app.use("/api/classroom", classroomRoutes);
 app.use("/api/student", studentRoutes);
 app.use("/api/parent", parentRoutes);
+app.use("/api/school", schoolRoutes);
+app.use("/api/admin", adminRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/media", mediaRoutes);
 
 // Cron job to keep server alive (every 14 minutes)
 setInterval(async () => {
@@ -0,0 +1,137 @@
+const School = require("../models/school");
+const Student = require("../models/student");
+const notificationService = require("./notificationService");
+
+// Push notifications to parents when the daily roll call marks their child
+// absent, and a correction when the teacher changes it back.
+
+const ALERT = {
+  title: "Absence Alert",
+  message:
+    "was marked absent today. Please contact the class teacher if this is a mistake.",
+};
+
+// Statuses that take back an earlier absence alert, as told to parents
+const CORRECTED_STATUSES = {
+  present: "present",
+  late: "late",
+  "half-day": "present for half the day",
+};
+
+// "16 Oct 2026" for a roll call's "YYYY-MM-DD"
+const formatDay = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-IN", {
+    timeZone: "UTC",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+// Corrections can be for any earlier roll call, so they name the day and
+// the new status
+const correctionFor = (dateString, status) => ({
+  title: "Attendance Correction",
+  message: `was marked ${CORRECTED_STATUSES[status]} on ${formatDay(
+    dateString
+  )}. Please ignore the earlier absence alert.`,
+});
+
+// Whether absences for a roll call of dateString ("YYYY-MM-DD") should be
+// alerted now: only for today, before the school's cut-off time
+const withinCutoff = (school, dateString, now = new Date()) => {
+  const timeZone = school.timezone || "Asia/Kolkata";
+  const today = now.toLocaleDateString("en-CA", { timeZone });
+  const time = now.toLocaleTimeString("en-GB", {
+    timeZone,
+    hour12: false,
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  return (
+    today === dateString &&
+    time < (school.settings?.absenceAlertCutoff || "11:00")
+  );
+};
+
+// Work out which students to alert and which to send a correction (with
+// their new status), and stamp alertedAt on the new records. previous holds
+// the records being replaced; records are the new ones for the same day.
+const planAlerts = async (classroom, dateString, previous, records) => {
+  const school = await School.findById(classroom.school).select(
+    "timezone settings"
+  );
+  const canAlert = school ? withinCutoff(school, dateString) : false;
+  const alertedBefore = new Map(
+    previous
+      .filter((record) => record.alertedAt)
+      .map((record) => [record.studentId.toString(), record.alertedAt])
+  );
+
+  const absent = [];
+  const corrected = [];
+
+  records.forEach((record) => {
+    const studentId = record.studentId.toString();
+    const alertedAt = alertedBefore.get(studentId);
+
+    if (alertedAt && CORRECTED_STATUSES[record.status]) {
+      corrected.push({ studentId, status: record.status });
+    } else if (alertedAt) {
+      record.alertedAt = alertedAt;
+    } else if (record.status === "absent" && canAlert) {
+      record.alertedAt = new Date();
+      absent.push(studentId);
+    }
+  });
+
+  return { date: dateString, absent, corrected };
+};
+
+// Notify the parents of each student in their own language
+const notifyStudents = async (classroom, studentIds, texts) => {
+  if (studentIds.length === 0) return;
+
+  const students = await Student.find({ _id: { $in: studentIds } })
+    .select("name parents")
+    .populate({
+      path: "parents.parent",
+      select: "pushToken language",
+    });
+
+  for (const student of students) {
+    await notificationService.sendStudentNotification(
+      classroom,
+      student,
+      texts.title,
+      texts.message,
+      "attendance",
+      (message) => `${student.name} ${message}`
+    );
+  }
+};
+
+// Send the alerts planned by planAlerts. Failures are logged, not thrown,
+// so they never undo a saved roll call.
+const sendAlerts = async (classroom, { date, absent, corrected }) => {
+  try {
+    await notifyStudents(classroom, absent, ALERT);
+    for (const status of Object.keys(CORRECTED_STATUSES)) {
+      await notifyStudents(
+        classroom,
+        corrected
+          .filter((correction) => correction.status === status)
+          .map((correction) => correction.studentId),
+        correctionFor(date, status)
+      );
+    }
+  } catch (error) {
+    console.error("Error sending absence alerts:", error);
+  }
+};
+
+module.exports = {
+  withinCutoff,
+  planAlerts,
+  sendAlerts,
+};
@@ -0,0 +1,249 @@
+const Classroom = require("../models/classroom");
+const Exam = require("../models/exam");
+const Mark = require("../models/mark");
+const Student = require("../models/student");
+const { subjectResult, gradeFor } = require("./gradingService");
+
+// Performance analytics for the teacher's marks screen and the parent
+// dashboard. Every score is a percentage so exams with different maximum
+// marks can be compared.
+
+const BUCKET_LABELS = [
+  "0-9",
+  "10-19",
+  "20-29",
+  "30-39",
+  "40-49",
+  "50-59",
+  "60-69",
+  "70-79",
+  "80-89",
+  "90-100",
+];
+
+const percentage = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const average = (values) =>
+  values.length > 0
+    ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+// How many scores fall in each 10% band
+const histogram = (values) => {
+  const counts = BUCKET_LABELS.map(() => 0);
+  values.forEach((value) => {
+    counts[Math.min(Math.floor(value / 10), 9)] += 1;
+  });
+
+  return { labels: BUCKET_LABELS, counts };
+};
+
+// Share of the class scoring below the value, counting ties as half
+const percentileRank = (value, values) => {
+  if (values.length === 0) return null;
+
+  const below = values.filter((other) => other < value).length;
+  const equal = values.filter((other) => other === value).length;
+  return Math.round(((below + equal / 2) / values.length) * 100);
+};
+
+// Marks of the given classrooms' exams, plus marks from before exams existed
+const marksOf = (classroomIds, exams) =>
+  Mark.find({
+    classroom: { $in: classroomIds },
+    $or: [{ examId: null }, { examId: { $in: exams.map((exam) => exam._id) } }],
+  });
+
+// Subject result of every student in the classroom who has marks
+const resultsByStudent = (classroom, marks) => {
+  const results = new Map();
+  classroom.students.forEach((student) => {
+    const id = idOf(student);
+    const own = marks.filter((mark) => idOf(mark.student) === id);
+    if (own.length > 0) {
+      results.set(id, subjectResult(own, classroom.gradingScheme));
+    }
+  });
+
+  return results;
+};
+
+const examPercentages = (exam, marks) =>
+  marks
+    .filter((mark) => mark.examId && mark.examId.equals(exam._id))
+    .map((mark) => ({
+      student: idOf(mark.student),
+      percentage: percentage(mark.marksObtained, mark.totalMarks),
+    }));
+
+// Class view for teachers: every exam's spread, the distribution of term
+// results and each student's trend and percentile. Expects
+// classroom.students to be populated.
+const classAnalytics = async (classroom) => {
+  const exams = await Exam.find({ classroom: classroom._id }).sort({
+    date: 1,
+  });
+  const marks = await marksOf([classroom._id], exams);
+  const results = resultsByStudent(classroom, marks);
+  const overall = [...results.values()].map((result) => result.percentage);
+
+  const examScores = exams.map((exam) => ({
+    exam,
+    scores: examPercentages(exam, marks),
+  }));
+
+  return {
+    exams: examScores.map(({ exam, scores }) => {
+      const values = scores.map((score) => score.percentage);
+      return {
+        _id: exam._id,
+        name: exam.name,
+        date: exam.date,
+        category: exam.category,
+        status: exam.status,
+        maxMarks: exam.maxMarks,
+        count: values.length,
+        average: average(values),
+        highest: values.length > 0 ? Math.max(...values) : null,
+        lowest: values.length > 0 ? Math.min(...values) : null,
+        histogram: histogram(values),
+      };
+    }),
+    average: average(overall),
+    distribution: histogram(overall),
+    students: classroom.students.map((student) => {
+      const result = results.get(idOf(student));
+      return {
+        student: {
+          _id: student._id,
+          name: student.name,
+          admissionNumber: student.admissionNumber,
+        },
+        percentage: result ? result.percentage : null,
+        grade: result ? result.grade : undefined,
+        percentile: result ? percentileRank(result.percentage, overall) : null,
+        trend: examScores
+          .map(({ exam, scores }) => ({
+            examId: exam._id,
+            exam: exam.name,
+            date: exam.date,
+            percentage: scores.find((score) => score.student === idOf(student))
+              ?.percentage,
+          }))
+          .filter((point) => point.percentage !== undefined),
+      };
+    }),
+  };
+};
+
+// One student's view for parents, built only from published exams: trend
+// across exams against the class average, subject-wise percentages and
+// percentiles, and where the student sits in the section overall
+const studentAnalytics = async (studentId) => {
+  const student = await Student.findById(studentId).select("name classrooms");
+
+  const classrooms = await Classroom.find({
+    _id: { $in: student.classrooms },
+    archived: false,
+  })
+    .select("subject grade section classTeacher students gradingScheme")
+    .sort({ subject: 1 });
+
+  const classroomIds = classrooms.map((classroom) => classroom._id);
+  const exams = await Exam.find({
+    classroom: { $in: classroomIds },
+    status: "published",
+  }).sort({ date: 1 });
+  const allMarks = await marksOf(classroomIds, exams);
+
+  const id = idOf(student);
+  const classmateSubjects = new Map();
+  const trend = [];
+
+  const subjects = classrooms.map((classroom) => {
+    const classroomExams = exams.filter((exam) =>
+      exam.classroom.equals(classroom._id)
+    );
+    const marks = allMarks.filter((mark) =>
+      mark.classroom.equals(classroom._id)
+    );
+    const results = resultsByStudent(classroom, marks);
+    const classScores = [...results.values()].map((r) => r.percentage);
+
+    // Collect every classmate's subject results for the overall percentile
+    results.forEach((result, classmate) => {
+      classmateSubjects.set(classmate, [
+        ...(classmateSubjects.get(classmate) || []),
+        result.percentage,
+      ]);
+    });
+
+    classroomExams.forEach((exam) => {
+      const scores = examPercentages(exam, marks);
+      const own = scores.find((score) => score.student === id);
+      if (!own) return;
+
+      trend.push({
+        examId: exam._id,
+        exam: exam.name,
+        subject: classroom.subject,
+        date: exam.date,
+        percentage: own.percentage,
+        classAverage: average(scores.map((score) => score.percentage)),
+      });
+    });
+
+    const result = results.get(id);
+    return {
+      classroomId: classroom._id,
+      subject: classroom.subject,
+      percentage: result ? result.percentage : null,
+      grade: result ? result.grade : undefined,
+      classAverage: average(classScores),
+      percentile: result
+        ? percentileRank(result.percentage, classScores)
+        : null,
+    };
+  });
+
+  // Overall result is the average of the subjects, as on the report card
+  const overallScores = new Map(
+    [...classmateSubjects].map(([classmate, scores]) => [
+      classmate,
+      average(scores),
+    ])
+  );
+  const classOverall = [...overallScores.values()];
+  const ownOverall = overallScores.get(id);
+  const homeRoom = classrooms.find((classroom) => classroom.classTeacher);
+
+  return {
+    student: { _id: student._id, name: student.name },
+    subjects,
+    trend: trend.sort((a, b) => a.date - b.date),
+    overall: {
+      percentage: ownOverall ?? null,
+      ...(ownOverall !== undefined && homeRoom
+        ? gradeFor(ownOverall, homeRoom.gradingScheme)
+        : null),
+      classAverage: average(classOverall),
+      percentile:
+        ownOverall !== undefined
+          ? percentileRank(ownOverall, classOverall)
+          : null,
+    },
+    distribution: histogram(classOverall),
+  };
+};
+
+module.exports = {
+  histogram,
+  percentileRank,
+  classAnalytics,
+  studentAnalytics,
+};
@@ -1,5 +1,7 @@
 const Classroom = require("../models/classroom");
+const Submission = require("../models/submission");
 const notificationService = require("./notificationService");
+const calendarService = require("./calendarService");
 const translateBatch = require("../utils/translateBatch");
 
 const sendAssignmentReminders = async () => {
@@ -24,7 +26,23 @@ const sendAssignmentReminders = async () => {
       return;
     }
 
+    // Don't send reminders on days the school is closed
+    const schoolOpen = new Map();
     for (const classroom of classrooms) {
+      const schoolId = String(classroom.school);
+      if (!schoolOpen.has(schoolId)) {
+        const calendar = await calendarService.loadCalendar(
+          classroom.school,
+          now,
+          now
+        );
+        schoolOpen.set(schoolId, calendar.isWorkingDay(now));
+      }
+      if (!schoolOpen.get(schoolId)) {
+        console.log(`Skipping classroom ${classroom._id}: school holiday`);
+        continue;
+      }
+
       const assignmentsDue = classroom.assignments.filter(
         (assignment) =>
           new Date(assignment.dueDate) >= now &&
@@ -38,7 +56,14 @@ const sendAssignmentReminders = async () => {
       for (const assignment of assignmentsDue) {
         const uniqueParents = new Map();
 
+        // Only remind the parents of students who haven't handed it in
+        const submitted = (
+          await Submission.distinct("student", { assignment: assignment._id })
+        ).map(String);
+
         classroom.students.forEach((student) => {
+          if (submitted.includes(student._id.toString())) return;
+
           student.parents.forEach((parentInfo) => {
             if (parentInfo.parent && parentInfo.parent._id) {
               const parentId = parentInfo.parent._id.toString();
@@ -92,23 +117,17 @@ const sendAssignmentReminders = async () => {
             }
           }
 
-          const pushTokens = parents
-            .map((parent) => parent.pushToken)
-            .filter(Boolean);
-
           console.log(
-            `Sending notifications to ${pushTokens.length} devices for classroom ${classroom._id}`
+            `Sending reminders to ${parents.length} parents for classroom ${classroom._id}`
           );
 
-          if (pushTokens.length > 0) {
-            await notificationService.sendClassroomNotification(
-              classroom,
-              reminderTitle,
-              reminderContent,
-              "assignment_reminder",
-              pushTokens
-            );
-          }
+          await notificationService.sendToParents(
+            classroom,
+            parents,
+            reminderTitle,
+            reminderContent,
+            "assignment_reminder"
+          );
         }
       }
     }
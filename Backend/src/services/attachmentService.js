@@ -0,0 +1,122 @@
+const sharp = require("sharp");
+const mediaStore = require("./mediaStore");
+
+// Files teachers can attach to assignments and announcements: worksheets,
+// photos of the blackboard and PDFs. Values are the stored file extension.
+const ATTACHMENT_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "application/pdf": "pdf",
+  "application/msword": "doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+};
+const MAX_FILES = 5;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// Uploaded files of a multipart request, sent as "attachments"
+const uploadsOf = (req) =>
+  [].concat((req.files && req.files.attachments) || []);
+
+// Why the uploads can't be attached, or null when they can
+const validationError = (files) => {
+  if (files.length > MAX_FILES) {
+    return `You can attach up to ${MAX_FILES} files`;
+  }
+  const badType = files.find((file) => !ATTACHMENT_TYPES[file.mimetype]);
+  if (badType) {
+    return `${badType.name} is not a PNG, JPEG, PDF or Word file`;
+  }
+  const tooLarge = files.find(
+    (file) => file.truncated || file.size > MAX_FILE_SIZE
+  );
+  if (tooLarge) {
+    return `${tooLarge.name} is larger than 10MB`;
+  }
+  return null;
+};
+
+// Small JPEG preview of an image, or null if it can't be read
+const thumbnailOf = async (file) => {
+  try {
+    return await sharp(file.data)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (error) {
+    console.error(`Could not make a thumbnail of ${file.name}:`, error);
+    return null;
+  }
+};
+
+// Remove the stored files of attachments, e.g. when their assignment is
+// deleted
+const removeAttachments = async (attachments) => {
+  for (const attachment of attachments) {
+    await mediaStore.remove(attachment.key);
+    if (attachment.thumbnailKey) {
+      await mediaStore.remove(attachment.thumbnailKey);
+    }
+  }
+};
+
+// Put validated uploads in the media store and return them as attachment
+// subdocuments. Nothing is left behind if storing one of them fails.
+const saveAttachments = async (files) => {
+  const attachments = [];
+  try {
+    for (const file of files) {
+      const attachment = {
+        name: file.name,
+        mimetype: file.mimetype,
+        size: file.size,
+        key: await mediaStore.put(
+          file.data,
+          "attachments",
+          ATTACHMENT_TYPES[file.mimetype]
+        ),
+      };
+      attachments.push(attachment);
+
+      if (file.mimetype.startsWith("image/")) {
+        const thumbnail = await thumbnailOf(file);
+        if (thumbnail) {
+          attachment.thumbnailKey = await mediaStore.put(
+            thumbnail,
+            "thumbnails",
+            "jpg"
+          );
+        }
+      }
+    }
+    return attachments;
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+};
+
+// Send an attachment (or its thumbnail) as the response
+const sendAttachment = (req, res, attachment, thumbnail) =>
+  thumbnail && attachment.thumbnailKey
+    ? mediaStore.send(req, res, attachment.thumbnailKey, {
+        contentType: "image/jpeg",
+        filename: attachment.name,
+      })
+    : mediaStore.send(req, res, attachment.key, {
+        contentType: attachment.mimetype,
+        filename: attachment.name,
+      });
+
+module.exports = {
+  uploadsOf,
+  validationError,
+  saveAttachments,
+  removeAttachments,
+  sendAttachment,
+};
@@ -0,0 +1,166 @@
+const Classroom = require("../models/classroom");
+const Attendance = require("../models/attendance");
+const School = require("../models/school");
+
+// Attendance statuses and how much of a day each one counts as attended
+const STATUSES = [
+  "present",
+  "absent",
+  "late",
+  "excused",
+  "half-day",
+  "holiday",
+];
+
+// What an excused day does to the percentage: left out of the total,
+// counted as attended, or counted as missed
+const EXCUSED_POLICIES = ["exclude", "present", "absent"];
+
+const STATUS_CREDIT = {
+  present: 1,
+  late: 1,
+  "half-day": 0.5,
+  absent: 0,
+};
+
+// Period statuses that mean the student wasn't in class
+const MISSED_STATUSES = ["absent", "excused"];
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+// Daily roll call records have no period; subject teachers mark periods
+const isDaily = (record) => record.period == null;
+
+// Attendance dates are stored at 05:30 (IST midnight) so they compare by
+// day; leave and calendar dates are stored the same way
+const toAttendanceDate = (value) => {
+  const date = new Date(value);
+  date.setHours(5, 30, 0, 0);
+  return date;
+};
+
+// Query matching every record of the day a date falls on
+const dayRange = (value) => {
+  const start = new Date(value);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { $gte: start, $lt: end };
+};
+
+// Share of a day attended, or null when the day isn't counted at all.
+// Holidays are never counted.
+const creditFor = (status, excusedPolicy = "exclude") => {
+  if (status === "excused") {
+    if (excusedPolicy === "present") return 1;
+    if (excusedPolicy === "absent") return 0;
+    return null;
+  }
+
+  return status in STATUS_CREDIT ? STATUS_CREDIT[status] : null;
+};
+
+// Count each status and work out the attendance percentage
+const summarize = (statuses, excusedPolicy = "exclude") => {
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  let attended = 0;
+  let total = 0;
+
+  statuses.forEach((status) => {
+    if (status in counts) counts[status] += 1;
+
+    const credit = creditFor(status, excusedPolicy);
+    if (credit === null) return;
+    attended += credit;
+    total += 1;
+  });
+
+  return {
+    counts,
+    attended,
+    total,
+    percentage: total > 0 ? Math.round((attended / total) * 1000) / 10 : 0,
+  };
+};
+
+// The school's excused-day policy, from a school document or id
+const excusedPolicyFor = async (school) => {
+  if (school && school.settings) {
+    return school.settings.excusedAttendance || "exclude";
+  }
+
+  const doc = await School.findById(school).select("settings");
+  return doc?.settings?.excusedAttendance || "exclude";
+};
+
+// Every period marked for a class teacher's section on a day, across all of
+// the section's subject classrooms, with the periods each student missed.
+// Expects classroom.students to be populated.
+const periodRollup = async (classroom, date) => {
+  const rooms = await Classroom.find({
+    school: classroom.school,
+    academicYear: classroom.academicYear,
+    grade: classroom.grade,
+    section: classroom.section,
+    archived: false,
+  }).select("subject teacher");
+
+  const subjects = new Map(rooms.map((room) => [idOf(room), room.subject]));
+  const records = (
+    await Attendance.find({
+      classroom: { $in: rooms.map((room) => room._id) },
+      date: dayRange(date),
+      period: { $ne: null },
+    })
+  ).map((record) => ({
+    student: idOf(record.studentId),
+    period: record.period,
+    classroomId: record.classroom,
+    subject: subjects.get(idOf(record.classroom)),
+    status: record.status,
+    reason: record.reason,
+  }));
+
+  const periods = [...new Set(records.map((record) => record.period))].sort(
+    (a, b) => a - b
+  );
+
+  return {
+    periods,
+    students: classroom.students.map((student) => {
+      const own = records
+        .filter((record) => record.student === idOf(student))
+        .map((record) => ({
+          period: record.period,
+          classroomId: record.classroomId,
+          subject: record.subject,
+          status: record.status,
+          reason: record.reason,
+        }))
+        .sort((a, b) => a.period - b.period);
+
+      return {
+        student: {
+          _id: student._id,
+          name: student.name,
+          admissionNumber: student.admissionNumber,
+        },
+        periods: own,
+        missed: own.filter((record) => MISSED_STATUSES.includes(record.status)),
+      };
+    }),
+  };
+};
+
+module.exports = {
+  STATUSES,
+  EXCUSED_POLICIES,
+  MISSED_STATUSES,
+  isDaily,
+  toAttendanceDate,
+  dayRange,
+  creditFor,
+  summarize,
+  excusedPolicyFor,
+  periodRollup,
+};
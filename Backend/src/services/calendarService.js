@@ -0,0 +1,186 @@
+const School = require("../models/school");
+const AcademicYear = require("../models/academicYear");
+const CalendarEvent = require("../models/calendarEvent");
+
+// Which days a school is open. A day is a working day unless it falls on a
+// weekly off or a holiday; "working" events override both, for make-up days.
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest from..to range the calendar routes will walk day by day
+const MAX_RANGE_DAYS = 366;
+
+// "YYYY-MM-DD" of a date in the school's timezone
+const dayKey = (date, timeZone) =>
+  new Date(date).toLocaleDateString("en-CA", { timeZone });
+
+const weekdayOf = (date, timeZone) =>
+  WEEKDAYS.indexOf(
+    new Date(date).toLocaleDateString("en-US", { timeZone, weekday: "short" })
+  );
+
+const covers = (event, key, timeZone) =>
+  dayKey(event.startDate, timeZone) <= key &&
+  key <= dayKey(event.endDate, timeZone);
+
+const schoolDoc = (school) =>
+  school && school.settings && school.timezone
+    ? school
+    : School.findById(school).select("name timezone settings.weeklyOffDays");
+
+// Load a school's calendar, limited to events overlapping from..to when
+// given (a day either side, as events are matched by day afterwards).
+// school is a school document or id.
+const loadCalendar = async (school, from, to) => {
+  const doc = await schoolDoc(school);
+  const timeZone = doc?.timezone || "Asia/Kolkata";
+  const weeklyOffDays = doc?.settings?.weeklyOffDays || [0];
+
+  const events = doc
+    ? await CalendarEvent.find({
+        school: doc._id,
+        ...(from
+          ? { endDate: { $gte: new Date(new Date(from).getTime() - DAY_MS) } }
+          : {}),
+        ...(to
+          ? { startDate: { $lte: new Date(new Date(to).getTime() + DAY_MS) } }
+          : {}),
+      }).sort({ startDate: 1 })
+    : [];
+
+  const eventOn = (date, type) => {
+    const key = dayKey(date, timeZone);
+    return events.find(
+      (event) => event.type === type && covers(event, key, timeZone)
+    );
+  };
+
+  // The holiday (or weekly off) a date falls on, or null on working days
+  const holidayOn = (date) => {
+    if (eventOn(date, "working")) return null;
+
+    const holiday = eventOn(date, "holiday");
+    if (holiday) return { name: holiday.name, date: dayKey(date, timeZone) };
+
+    return weeklyOffDays.includes(weekdayOf(date, timeZone))
+      ? { name: "Weekly off", date: dayKey(date, timeZone) }
+      : null;
+  };
+
+  return {
+    school: doc,
+    timeZone,
+    weeklyOffDays,
+    events,
+    holidayOn,
+    isWorkingDay: (date) => !holidayOn(date),
+  };
+};
+
+// Every day from..to that the school is closed, as { date, name }
+const holidaysBetween = (calendar, from, to) => {
+  const days = [];
+  for (
+    let time = new Date(from).getTime();
+    time <= new Date(to).getTime();
+    time += DAY_MS
+  ) {
+    const holiday = calendar.holidayOn(new Date(time));
+    if (holiday) days.push(holiday);
+  }
+  return days;
+};
+
+// The school's active academic year, or the last twelve months when it
+// hasn't set one up
+const defaultRange = async (schoolId) => {
+  const year = await AcademicYear.findOne({
+    school: schoolId,
+    status: "active",
+  }).select("startDate endDate");
+  if (year) {
+    return { from: year.startDate, to: year.endDate };
+  }
+
+  const to = new Date();
+  return { from: new Date(to.getTime() - 365 * DAY_MS), to };
+};
+
+// iCalendar (RFC 5545)
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 characters continue on the next line after a space
+const fold = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push((i ? " " : "") + line.slice(i, i + 74));
+  }
+  return parts.join("\r\n");
+};
+
+const icalDate = (key) => key.replace(/-/g, "");
+
+const nextDay = (key) =>
+  new Date(new Date(`${key}T00:00:00Z`).getTime() + DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+const icalStamp = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// The calendar's holidays and make-up working days as all-day events
+const toICal = (calendar) => {
+  const { school, timeZone, events } = calendar;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//InvokED//School Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`${school?.name || "School"} Holidays`)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+
+  events.forEach((event) => {
+    const start = dayKey(event.startDate, timeZone);
+    const end = dayKey(event.endDate, timeZone);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event._id}@invoked`,
+      `DTSTAMP:${icalStamp(event.createdAt || new Date())}`,
+      `DTSTART;VALUE=DATE:${icalDate(start)}`,
+      `DTEND;VALUE=DATE:${icalDate(nextDay(end))}`,
+      `SUMMARY:${escapeText(
+        event.type === "working" ? `Working day: ${event.name}` : event.name
+      )}`,
+      `CATEGORIES:${event.type === "working" ? "Working Day" : "Holiday"}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  WEEKDAYS,
+  dayKey,
+  weekdayOf,
+  loadCalendar,
+  holidaysBetween,
+  MAX_RANGE_DAYS,
+  defaultRange,
+  toICal,
+};
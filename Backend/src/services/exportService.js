@@ -0,0 +1,206 @@
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+
+// Turns a table into a downloadable CSV, XLSX or PDF file.
+//
+// table = {
+//   title, subtitle,
+//   columns: [{ header, key, width, pdf }],  // pdf: false hides it in PDFs
+//   rows: [{ [key]: value }],
+// }
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+
+const cellValue = (value) =>
+  value === undefined || value === null ? "" : value;
+
+// Spreadsheet apps run text starting with these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  let text = String(cellValue(value));
+  // Names typed by teachers must not run as formulas in the office's Excel
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = ({ columns, rows }) => {
+  const lines = [
+    columns.map((column) => escapeCsv(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsv(row[column.key])).join(",")
+    ),
+  ];
+  // BOM so Excel opens non-English names correctly
+  return Buffer.from(`\uFEFF${lines.join("\r\n")}\r\n`, "utf8");
+};
+
+// Excel sheet names are at most 31 characters, without * ? : \ / [ ] or a
+// quote at either end; titles come from exam names typed by teachers
+const sheetName = (title) =>
+  title
+    .replace(/[*?:\\/[\]]/g, "-")
+    .slice(0, 31)
+    .replace(/^'+|'+$/g, "") || "Sheet1";
+
+const toXlsx = async ({ title, columns, rows }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName(title));
+
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 12,
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach((row) => worksheet.addRow(row));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// The built-in PDF fonts can't draw Indian scripts. Point PDF_FONT (and
+// optionally PDF_BOLD_FONT) at a TTF such as Noto Sans to print those names.
+const createPdf = (options = {}) => {
+  const doc = new PDFDocument({ size: "A4", margin: 36, ...options });
+
+  doc.registerFont("Regular", process.env.PDF_FONT || "Helvetica");
+  doc.registerFont(
+    "Bold",
+    process.env.PDF_BOLD_FONT || process.env.PDF_FONT || "Helvetica-Bold"
+  );
+  doc.font("Regular");
+
+  return doc;
+};
+
+// Finish the document and collect it into a buffer
+const pdfToBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+
+const toPdf = ({ title, subtitle, columns, rows }) => {
+  const pdfColumns = columns.filter((column) => column.pdf !== false);
+  const doc = createPdf({
+    layout: pdfColumns.length > 6 ? "landscape" : "portrait",
+  });
+
+  doc.font("Bold").fontSize(16).text(title);
+  if (subtitle) {
+    doc.font("Regular").fontSize(10).fillColor("#555555").text(subtitle);
+  }
+  doc.moveDown();
+
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - left - doc.page.margins.right;
+  const totalWeight = pdfColumns.reduce(
+    (sum, column) => sum + (column.width || 12),
+    0
+  );
+  const widths = pdfColumns.map(
+    (column) => ((column.width || 12) / totalWeight) * usableWidth
+  );
+
+  const drawRow = (values, bold) => {
+    const y = doc.y;
+    doc
+      .font(bold ? "Bold" : "Regular")
+      .fontSize(9)
+      .fillColor("#000000");
+
+    let x = left;
+    let height = 0;
+    values.forEach((value, index) => {
+      const text = String(cellValue(value));
+      doc.text(text, x + 2, y, { width: widths[index] - 4 });
+      height = Math.max(
+        height,
+        doc.heightOfString(text, { width: widths[index] - 4 })
+      );
+      x += widths[index];
+    });
+
+    doc
+      .moveTo(left, y + height + 3)
+      .lineTo(left + usableWidth, y + height + 3)
+      .strokeColor("#dddddd")
+      .stroke();
+    doc.x = left;
+    doc.y = y + height + 6;
+  };
+
+  const drawHeader = () =>
+    drawRow(
+      pdfColumns.map((column) => column.header),
+      true
+    );
+
+  drawHeader();
+  rows.forEach((row) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(
+      pdfColumns.map((column) => row[column.key]),
+      false
+    );
+  });
+
+  return pdfToBuffer(doc);
+};
+
+// Whether format is one of FORMATS, not an inherited key like "constructor"
+const isFormat = (format) => Object.hasOwn(FORMATS, format);
+
+const render = async (table, format) => {
+  if (!isFormat(format)) {
+    throw new Error("Format must be csv, xlsx or pdf");
+  }
+
+  let buffer;
+  if (format === "csv") {
+    buffer = toCsv(table);
+  } else if (format === "xlsx") {
+    buffer = await toXlsx(table);
+  } else {
+    buffer = await toPdf(table);
+  }
+
+  return { buffer, ...FORMATS[format] };
+};
+
+// Send a rendered table as a file download
+const send = async (res, table, format, filename) => {
+  const { buffer, contentType, extension } = await render(table, format);
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${extension}"`
+  );
+  res.status(200).send(buffer);
+};
+
+module.exports = {
+  FORMATS,
+  isFormat,
+  createPdf,
+  pdfToBuffer,
+  render,
+  send,
+};
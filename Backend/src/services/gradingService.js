@@ -0,0 +1,227 @@
+// Grading schemes: weighted exam categories and grade bands, and the term
+// grades computed from them
+
+const Mark = require("../models/mark");
+
+const PRESET_BANDS = {
+  letter: [
+    { grade: "A+", minPercentage: 90 },
+    { grade: "A", minPercentage: 80 },
+    { grade: "B+", minPercentage: 70 },
+    { grade: "B", minPercentage: 60 },
+    { grade: "C", minPercentage: 50 },
+    { grade: "D", minPercentage: 40 },
+    { grade: "F", minPercentage: 0 },
+  ],
+  // CBSE nine-point scale
+  cbse: [
+    { grade: "A1", minPercentage: 91, gradePoint: 10 },
+    { grade: "A2", minPercentage: 81, gradePoint: 9 },
+    { grade: "B1", minPercentage: 71, gradePoint: 8 },
+    { grade: "B2", minPercentage: 61, gradePoint: 7 },
+    { grade: "C1", minPercentage: 51, gradePoint: 6 },
+    { grade: "C2", minPercentage: 41, gradePoint: 5 },
+    { grade: "D", minPercentage: 33, gradePoint: 4 },
+    { grade: "E", minPercentage: 0, gradePoint: 0 },
+  ],
+};
+
+const DEFAULT_CATEGORIES = [
+  { name: "Unit Test", weight: 20 },
+  { name: "Midterm", weight: 30 },
+  { name: "Final", weight: 50 },
+];
+
+const percentage = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const sameName = (a, b) =>
+  (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+
+// Bands of a scheme, highest first. Empty for percentage-only schemes.
+const bandsFor = (scheme = {}) => {
+  if (!scheme.type || scheme.type === "percentage") return [];
+
+  const bands =
+    scheme.bands && scheme.bands.length > 0
+      ? scheme.bands
+      : PRESET_BANDS[scheme.type];
+
+  return [...bands].sort((a, b) => b.minPercentage - a.minPercentage);
+};
+
+// { grade, gradePoint } for a percentage, or null without grade bands
+const gradeFor = (value, scheme) => {
+  const band = bandsFor(scheme).find((band) => value >= band.minPercentage);
+  if (!band) return null;
+
+  return { grade: band.grade, gradePoint: band.gradePoint };
+};
+
+// Check a scheme sent by a teacher and return it cleaned up
+const validateScheme = ({
+  type = "percentage",
+  categories = [],
+  bands = [],
+}) => {
+  if (!["percentage", "letter", "cbse"].includes(type)) {
+    throw new Error("Grading scheme must be percentage, letter or cbse");
+  }
+
+  const cleanCategories = categories.map((category) => ({
+    name: (category.name || "").trim(),
+    weight: Number(category.weight),
+  }));
+  cleanCategories.forEach((category, index) => {
+    if (!category.name) {
+      throw new Error("Every category needs a name");
+    }
+    if (!(category.weight > 0)) {
+      throw new Error(`Weight of ${category.name} must be more than 0`);
+    }
+    if (
+      cleanCategories.findIndex((other) =>
+        sameName(other.name, category.name)
+      ) !== index
+    ) {
+      throw new Error(`Category ${category.name} is listed twice`);
+    }
+  });
+
+  const cleanBands = bands.map((band) => ({
+    grade: (band.grade || "").trim(),
+    minPercentage: Number(band.minPercentage),
+    gradePoint:
+      band.gradePoint === undefined || band.gradePoint === ""
+        ? undefined
+        : Number(band.gradePoint),
+  }));
+  if (cleanBands.length > 0) {
+    if (type === "percentage") {
+      throw new Error("Percentage schemes do not use grade bands");
+    }
+    cleanBands.forEach((band) => {
+      if (!band.grade) {
+        throw new Error("Every grade band needs a grade");
+      }
+      if (!(band.minPercentage >= 0 && band.minPercentage <= 100)) {
+        throw new Error(`Minimum for ${band.grade} must be between 0 and 100`);
+      }
+    });
+    if (!cleanBands.some((band) => band.minPercentage === 0)) {
+      throw new Error("The lowest grade band must start at 0");
+    }
+    if (
+      new Set(cleanBands.map((band) => band.minPercentage)).size !==
+      cleanBands.length
+    ) {
+      throw new Error("Two grade bands cannot start at the same percentage");
+    }
+  }
+
+  return { type, categories: cleanCategories, bands: cleanBands };
+};
+
+// Highest and average marks of every exam, from all of the exam's marks
+// rather than just the ones in a request
+const refreshExamStats = async (examIds) => {
+  for (const examId of examIds.filter(Boolean)) {
+    const examMarks = await Mark.find({ examId }).select("marksObtained");
+    if (examMarks.length === 0) continue;
+
+    const highestMarks = Math.max(
+      ...examMarks.map((mark) => mark.marksObtained)
+    );
+    const averageMarks = round(
+      examMarks.reduce((sum, mark) => sum + mark.marksObtained, 0) /
+        examMarks.length
+    );
+
+    await Mark.updateMany({ examId }, { $set: { highestMarks, averageMarks } });
+  }
+};
+
+// Term result of one student's marks in one subject. With categories, each
+// category's percentage counts by its weight; categories without marks yet
+// are left out and the rest re-weighted. Marks outside every category only
+// count when no category has marks.
+const subjectResult = (marks, scheme = {}) => {
+  const obtained = marks.reduce((sum, mark) => sum + mark.marksObtained, 0);
+  const total = marks.reduce((sum, mark) => sum + mark.totalMarks, 0);
+
+  const categories = (scheme.categories || [])
+    .map((category) => {
+      const categoryMarks = marks.filter((mark) =>
+        sameName(mark.category, category.name)
+      );
+      const categoryObtained = categoryMarks.reduce(
+        (sum, mark) => sum + mark.marksObtained,
+        0
+      );
+      const categoryTotal = categoryMarks.reduce(
+        (sum, mark) => sum + mark.totalMarks,
+        0
+      );
+
+      return {
+        name: category.name,
+        weight: category.weight,
+        exams: categoryMarks.length,
+        percentage: percentage(categoryObtained, categoryTotal),
+      };
+    })
+    .filter((category) => category.exams > 0);
+
+  let result = percentage(obtained, total);
+  if (categories.length > 0) {
+    const weights = categories.reduce((sum, c) => sum + c.weight, 0);
+    result = round(
+      categories.reduce((sum, c) => sum + c.percentage * c.weight, 0) / weights
+    );
+  }
+
+  return {
+    obtained,
+    total,
+    categories,
+    percentage: result,
+    ...(total > 0 ? gradeFor(result, scheme) : null),
+  };
+};
+
+// Computed term grade of every student in a classroom from its marks.
+// Expects classroom.students to be populated; period is
+// { startDate, endDate } or undefined for every mark.
+const termGrades = (classroom, classroomMarks, period) => {
+  const inPeriod = (mark) =>
+    !period || (mark.date >= period.startDate && mark.date <= period.endDate);
+
+  return classroom.students.map((student) => {
+    const marks = classroomMarks.filter(
+      (mark) =>
+        (mark.student._id || mark.student).equals(student._id) && inPeriod(mark)
+    );
+
+    return {
+      student: {
+        _id: student._id,
+        name: student.name,
+        admissionNumber: student.admissionNumber,
+      },
+      ...subjectResult(marks, classroom.gradingScheme),
+    };
+  });
+};
+
+module.exports = {
+  PRESET_BANDS,
+  DEFAULT_CATEGORIES,
+  bandsFor,
+  gradeFor,
+  validateScheme,
+  refreshExamStats,
+  subjectResult,
+  termGrades,
+};
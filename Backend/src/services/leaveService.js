@@ -0,0 +1,95 @@
+const Classroom = require("../models/classroom");
+const LeaveRequest = require("../models/leaveRequest");
+const Attendance = require("../models/attendance");
+
+// The class teacher's classroom a student currently belongs to
+const homeRoomOf = (studentId) =>
+  Classroom.findOne({
+    students: studentId,
+    classTeacher: true,
+    archived: false,
+  });
+
+// Approved leave covering a day in a class teacher's classroom
+const approvedLeaveOn = (classroomId, date) =>
+  LeaveRequest.find({
+    classroom: classroomId,
+    status: "approved",
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  }).select("student reason");
+
+// Turn absences of students on approved leave into excused days. Used on
+// roll call records before they are saved.
+const excuseApprovedLeave = async (classroomId, date, records) => {
+  const leaves = await approvedLeaveOn(classroomId, date);
+
+  records.forEach((record) => {
+    const leave = leaves.find((item) => item.student.equals(record.studentId));
+    if (leave && record.status === "absent") {
+      record.status = "excused";
+      record.reason = record.reason || leave.reason;
+    }
+  });
+};
+
+// Record an approved leave in roll calls already taken: absent or missing
+// days become excused. Roll calls taken later pick it up through
+// excuseApprovedLeave. Returns how many days changed.
+const recordLeave = async (classroomId, leave) => {
+  const records = await Attendance.find({
+    classroom: classroomId,
+    period: null,
+    date: { $gte: leave.startDate, $lte: leave.endDate },
+  });
+
+  const rollCalls = new Map();
+  records.forEach((record) => {
+    const day = record.date.toDateString();
+    if (!rollCalls.has(day)) rollCalls.set(day, { date: record.date });
+    if (record.studentId.equals(leave.student)) {
+      rollCalls.get(day).record = record;
+    }
+  });
+
+  const changes = [];
+  rollCalls.forEach(({ date, record }) => {
+    if (!record) {
+      changes.push({
+        insertOne: {
+          document: {
+            classroom: classroomId,
+            studentId: leave.student,
+            date,
+            status: "excused",
+            reason: leave.reason,
+          },
+        },
+      });
+    } else if (record.status === "absent") {
+      changes.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: {
+            $set: {
+              status: "excused",
+              reason: record.reason || leave.reason,
+            },
+          },
+        },
+      });
+    }
+  });
+
+  if (changes.length > 0) {
+    await Attendance.bulkWrite(changes);
+  }
+  return changes.length;
+};
+
+module.exports = {
+  homeRoomOf,
+  approvedLeaveOn,
+  excuseApprovedLeave,
+  recordLeave,
+};
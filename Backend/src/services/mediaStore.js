@@ -0,0 +1,365 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Uploaded files (attachments, voice remarks, timetables, logos) live in a
+// media store, not inside MongoDB documents. Documents keep the key
+// returned by put(). MEDIA_STORE picks the backend: disk (default), gridfs
+// or s3.
+
+// "<folder>/<32 hex chars>.<extension>"
+const KEY_PATTERN = /^[a-z0-9-]+\/[0-9a-f]{32}(\.[a-z0-9]+)?$/;
+
+const CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  m4a: "audio/mp4",
+  mp3: "audio/mpeg",
+  aac: "audio/aac",
+  wav: "audio/wav",
+  webm: "audio/webm",
+  "3gp": "audio/3gpp",
+};
+
+// Stored file extension for a content type, e.g. "audio/m4a" -> "m4a"
+const EXTENSIONS = {
+  ...Object.fromEntries(
+    Object.entries(CONTENT_TYPES).map(([extension, type]) => [type, extension])
+  ),
+  "audio/m4a": "m4a",
+  "audio/x-m4a": "m4a",
+};
+
+const checkKey = (key) => {
+  if (!KEY_PATTERN.test(key)) {
+    throw new Error("Invalid media key");
+  }
+  return key;
+};
+
+const extensionOf = (contentType) => EXTENSIONS[contentType];
+
+const contentTypeOf = (key) =>
+  CONTENT_TYPES[path.extname(key).slice(1)] || "application/octet-stream";
+
+// Backends store buffers by key. stream() takes an optional inclusive
+// { start, end } byte range; stat() returns { size } or null when missing.
+const backends = {
+  disk: {
+    dir: () =>
+      process.env.MEDIA_DIR || path.join(__dirname, "..", "..", "uploads"),
+
+    async put(key, buffer) {
+      const file = path.join(this.dir(), key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(path.join(this.dir(), key));
+        return { size: stats.size };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async stream(key, range) {
+      return fs.createReadStream(path.join(this.dir(), key), range);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(path.join(this.dir(), key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  },
+
+  // Files in the app's own database, split into chunks, for deployments
+  // without a writable disk
+  gridfs: {
+    bucket: () =>
+      new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+        bucketName: "media",
+      }),
+
+    async put(key, buffer) {
+      await new Promise((resolve, reject) => {
+        this.bucket()
+          .openUploadStream(key, { contentType: contentTypeOf(key) })
+          .on("finish", resolve)
+          .on("error", reject)
+          .end(buffer);
+      });
+    },
+
+    async stat(key) {
+      const [file] = await this.bucket()
+        .find({ filename: key })
+        .sort({ uploadDate: -1 })
+        .limit(1)
+        .toArray();
+      return file ? { size: file.length } : null;
+    },
+
+    async stream(key, range) {
+      // GridFS ranges end exclusive
+      return this.bucket().openDownloadStreamByName(
+        key,
+        range ? { start: range.start, end: range.end + 1 } : undefined
+      );
+    },
+
+    async remove(key) {
+      const files = await this.bucket().find({ filename: key }).toArray();
+      for (const file of files) {
+        await this.bucket().delete(file._id);
+      }
+    },
+  },
+
+  // Amazon S3 or any S3-compatible service. Point S3_ENDPOINT at a local
+  // stand-in such as MinIO for development.
+  s3: {
+    client() {
+      if (!this.cachedClient) {
+        const { S3Client } = require("@aws-sdk/client-s3");
+        this.cachedClient = new S3Client({
+          region: process.env.S3_REGION || "us-east-1",
+          endpoint: process.env.S3_ENDPOINT || undefined,
+          // Local stand-ins serve buckets by path, not subdomain
+          forcePathStyle: !!process.env.S3_ENDPOINT,
+          credentials: process.env.S3_ACCESS_KEY_ID
+            ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+              }
+            : undefined,
+        });
+      }
+      return this.cachedClient;
+    },
+
+    bucket() {
+      if (!process.env.S3_BUCKET) {
+        throw new Error("S3_BUCKET is not set");
+      }
+      return process.env.S3_BUCKET;
+    },
+
+    async put(key, buffer) {
+      const { PutObjectCommand } = require("@aws-sdk/client-s3");
+      await this.client().send(
+        new PutObjectCommand({
+          Bucket: this.bucket(),
+          Key: key,
+          Body: buffer,
+          ContentType: contentTypeOf(key),
+        })
+      );
+    },
+
+    async stat(key) {
+      const { HeadObjectCommand } = require("@aws-sdk/client-s3");
+      try {
+        const head = await this.client().send(
+          new HeadObjectCommand({ Bucket: this.bucket(), Key: key })
+        );
+        return { size: head.ContentLength };
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async stream(key, range) {
+      const { GetObjectCommand } = require("@aws-sdk/client-s3");
+      const object = await this.client().send(
+        new GetObjectCommand({
+          Bucket: this.bucket(),
+          Key: key,
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        })
+      );
+      return object.Body;
+    },
+
+    async remove(key) {
+      const { DeleteObjectCommand } = require("@aws-sdk/client-s3");
+      await this.client().send(
+        new DeleteObjectCommand({ Bucket: this.bucket(), Key: key })
+      );
+    },
+  },
+};
+
+const registerBackend = (name, backend) => {
+  const missing = ["put", "stat", "stream", "remove"].filter(
+    (method) => !backend || typeof backend[method] !== "function"
+  );
+  if (missing.length) {
+    throw new Error(`Media backend "${name}" must implement ${missing}`);
+  }
+  backends[name] = backend;
+};
+
+const backend = () => {
+  const name = process.env.MEDIA_STORE || "disk";
+  if (!backends[name]) {
+    throw new Error(`Unknown media store "${name}"`);
+  }
+  return backends[name];
+};
+
+// Store a buffer and return its key, e.g. put(buffer, "attachments", "pdf")
+const put = async (buffer, folder, extension) => {
+  const key = `${folder}/${crypto.randomBytes(16).toString("hex")}${
+    extension ? `.${extension.toLowerCase()}` : ""
+  }`;
+  await backend().put(checkKey(key), buffer);
+  return key;
+};
+
+const stat = (key) => backend().stat(checkKey(key));
+
+const stream = (key, range) => backend().stream(checkKey(key), range);
+
+const get = async (key) => {
+  const chunks = [];
+  for await (const chunk of await stream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Size in bytes, or null if the file is missing
+const size = async (key) => {
+  const stats = await stat(key);
+  return stats ? stats.size : null;
+};
+
+// Missing files are ignored, so removing twice is harmless
+const remove = (key) => backend().remove(checkKey(key));
+
+// { start, end } of a "Range: bytes=..." header, null for the whole file
+// and false when it can't be satisfied. Only single ranges are supported;
+// others get the whole file.
+const parseRange = (header, fileSize) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || "");
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Last n bytes
+    start = Math.max(0, fileSize - Number(match[2]));
+    end = fileSize - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), fileSize - 1) : fileSize - 1;
+  }
+
+  return start <= end && start < fileSize ? { start, end } : false;
+};
+
+// Send a stored file as the response, honouring Range requests so audio
+// can be seeked and large files resumed
+const send = async (req, res, key, options = {}) => {
+  const stats = await stat(key);
+  if (!stats) {
+    return res.status(404).json({
+      success: false,
+      message: "File not found",
+    });
+  }
+
+  const range = parseRange(req.headers.range, stats.size);
+  if (range === false) {
+    return res.status(416).set("Content-Range", `bytes */${stats.size}`).end();
+  }
+
+  res.set({
+    "Content-Type": options.contentType || contentTypeOf(key),
+    "Content-Length": range ? range.end - range.start + 1 : stats.size,
+    "Accept-Ranges": "bytes",
+    "Cache-Control": options.cacheControl || "private, max-age=86400",
+  });
+  if (options.filename) {
+    res.set(
+      "Content-Disposition",
+      `inline; filename="${encodeURIComponent(options.filename)}"`
+    );
+  }
+  if (range) {
+    res
+      .status(206)
+      .set("Content-Range", `bytes ${range.start}-${range.end}/${stats.size}`);
+  }
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  (await stream(key, range || undefined))
+    .on("error", (error) => {
+      console.error("Error streaming media:", error);
+      res.destroy(error);
+    })
+    .pipe(res);
+};
+
+// Signed links let clients fetch a file without an Authorization header,
+// e.g. an audio player. They stop working after expiresIn seconds.
+
+const DEFAULT_URL_LIFETIME = 15 * 60;
+
+const signatureOf = (key, expires) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET || ""
+    )
+    .update(`${key}:${expires}`)
+    .digest("base64url");
+
+const signedUrl = (req, key, expiresIn = DEFAULT_URL_LIFETIME) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const base =
+    process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+  return `${base}/api/media/${checkKey(
+    key
+  )}?expires=${expires}&signature=${signatureOf(key, expires)}`;
+};
+
+const verifySignedUrl = (key, expires, signature) => {
+  if (!KEY_PATTERN.test(key) || !/^\d+$/.test(expires || "")) return false;
+  if (Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(signatureOf(key, expires));
+  const given = Buffer.from(String(signature || ""));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+module.exports = {
+  put,
+  get,
+  stat,
+  stream,
+  size,
+  remove,
+  send,
+  signedUrl,
+  verifySignedUrl,
+  extensionOf,
+  contentTypeOf,
+  registerBackend,
+};
@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+
+// Outgoing email/SMS delivery. Real providers register themselves as a
+// transport; the console and file transports are for local development.
+const transports = {
+  console: {
+    async send({ channel, to, subject, text }) {
+      console.log(
+        `[${channel}] to: ${to}${
+          subject ? ` | subject: ${subject}` : ""
+        }\n${text}`
+      );
+    },
+  },
+
+  file: {
+    async send(message) {
+      const outbox =
+        process.env.MESSAGE_OUTBOX_FILE ||
+        path.join(process.cwd(), "logs", "outbox.log");
+
+      await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+      await fs.promises.appendFile(
+        outbox,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+      );
+    },
+  },
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`Transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+// Send a message through the transport configured for its channel, e.g.
+// EMAIL_TRANSPORT=smtp, SMS_TRANSPORT=file, or MESSAGE_TRANSPORT for both
+const send = async ({ channel = "email", to, subject, text }) => {
+  const name =
+    process.env[`${channel.toUpperCase()}_TRANSPORT`] ||
+    process.env.MESSAGE_TRANSPORT ||
+    "console";
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown message transport "${name}"`);
+  }
+
+  await transport.send({ channel, to, subject, text });
+};
+
+module.exports = { send, registerTransport };
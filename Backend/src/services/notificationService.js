@@ -1,11 +1,60 @@
 const Notification = require("../models/notification");
 const Student = require("../models/student");
 const Parent = require("../models/parent");
+const Teacher = require("../models/teacher");
 const { Expo } = require("expo-server-sdk");
+const translateBatch = require("../utils/translateBatch");
 
 // Create a new Expo SDK client
 const expo = new Expo();
 
+// Parents grouped by language, as { parentId, pushToken } lists. parentInfos
+// are student.parents entries with parent populated; each parent is listed
+// once even with several children.
+const groupByLanguage = (parentInfos) => {
+  const seen = new Set();
+  const languageGroups = new Map();
+  parentInfos.forEach((parentInfo) => {
+    if (!parentInfo.parent || !parentInfo.parent._id) return;
+
+    const parentId = parentInfo.parent._id.toString();
+    if (seen.has(parentId)) return;
+    seen.add(parentId);
+
+    const language = parentInfo.parent.language || "en";
+    if (!languageGroups.has(language)) {
+      languageGroups.set(language, []);
+    }
+    languageGroups.get(language).push({
+      parentId,
+      pushToken: parentInfo.parent.pushToken,
+    });
+  });
+  return languageGroups;
+};
+
+// Title and message in language, or in English if translation fails
+const translateNotification = async (title, message, language) => {
+  if (language === "en") return { title, message };
+
+  try {
+    const translationResponse = await translateBatch(
+      [{ source: title }, { source: message }],
+      "en",
+      language
+    );
+    if (translationResponse.output && translationResponse.output.length > 1) {
+      return {
+        title: translationResponse.output[0].target,
+        message: translationResponse.output[1].target,
+      };
+    }
+  } catch (error) {
+    console.error(`Translation error for language ${language}:`, error);
+  }
+  return { title, message };
+};
+
 const notificationService = {
   // Send notification to parents of students in a classroom
   async sendClassroomNotification(classroom, title, message, type) {
@@ -131,10 +180,148 @@ const notificationService = {
     }
   },
 
+  // Send notification to some parents only, e.g. the parents of one
+  // student. parents is a list of { parentId, pushToken }.
+  async sendToParents(classroom, parents, title, message, type, student) {
+    try {
+      if (parents.length === 0) {
+        return null;
+      }
+
+      const notification = await Notification.create({
+        title,
+        message,
+        type,
+        classroom: classroom._id,
+        student,
+        recipients: parents.map((parent) => parent.parentId),
+      });
+
+      const messages = parents
+        .map((parent) => parent.pushToken)
+        .filter((token) => token && Expo.isExpoPushToken(token))
+        .map((token) => ({
+          to: token,
+          sound: "default",
+          title: title,
+          body: message,
+          data: {
+            type,
+            classroomId: classroom._id.toString(),
+            studentId: student ? student.toString() : undefined,
+            notificationId: notification._id.toString(),
+          },
+        }));
+
+      // Send notifications in chunks to avoid Expo limits
+      for (const chunk of expo.chunkPushNotifications(messages)) {
+        const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
+        ticketChunk.forEach((ticket) => {
+          if (ticket.status === "error") {
+            console.error(`Push notification error: ${ticket.message}`);
+            console.error(`Details: ${JSON.stringify(ticket.details)}`);
+          }
+        });
+      }
+
+      return notification;
+    } catch (error) {
+      console.error("Error sending notification:", error);
+      throw error;
+    }
+  },
+
+  // Send a notification to the parents of one student, translated into
+  // each parent's language. student needs parents.parent populated with
+  // pushToken and language; format builds the final message from the
+  // translated one, e.g. to add the student's name.
+  async sendStudentNotification(
+    classroom,
+    student,
+    title,
+    message,
+    type,
+    format = (translated) => translated
+  ) {
+    for (const [language, parents] of groupByLanguage(student.parents)) {
+      const translated = await translateNotification(title, message, language);
+
+      await this.sendToParents(
+        classroom,
+        parents,
+        translated.title,
+        format(translated.message),
+        type,
+        student._id
+      );
+    }
+  },
+
+  // Send a notification to every parent of the classroom's students,
+  // translated into each parent's language
+  async sendTranslatedClassroomNotification(classroom, title, message, type) {
+    const students = await Student.find({
+      _id: { $in: classroom.students },
+    })
+      .select("parents")
+      .populate("parents.parent", "pushToken language");
+
+    const languageGroups = groupByLanguage(
+      students.flatMap((student) => student.parents)
+    );
+    for (const [language, parents] of languageGroups) {
+      const translated = await translateNotification(title, message, language);
+
+      await this.sendToParents(
+        classroom,
+        parents,
+        translated.title,
+        translated.message,
+        type
+      );
+    }
+  },
+
+  // Push a notification to teachers' devices. Teachers have no in-app
+  // notification list, so nothing is stored.
+  async sendToTeachers(teacherIds, title, message, data = {}) {
+    try {
+      const teachers = await Teacher.find({
+        _id: { $in: teacherIds },
+        pushToken: { $exists: true },
+      }).select("pushToken");
+
+      const messages = teachers
+        .filter((teacher) => Expo.isExpoPushToken(teacher.pushToken))
+        .map((teacher) => ({
+          to: teacher.pushToken,
+          sound: "default",
+          title,
+          body: message,
+          data,
+        }));
+
+      for (const chunk of expo.chunkPushNotifications(messages)) {
+        const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
+        ticketChunk.forEach((ticket) => {
+          if (ticket.status === "error") {
+            console.error(`Push notification error: ${ticket.message}`);
+          }
+        });
+      }
+    } catch (error) {
+      console.error("Error sending teacher notification:", error);
+      throw error;
+    }
+  },
+
   // Mark notification as read
   async markAsRead(notificationId, parentId) {
     try {
-      const notification = await Notification.findById(notificationId);
+      const notification = await Notification.findOne({
+        _id: notificationId,
+        recipients: parentId,
+      });
 
       if (!notification) {
         throw new Error("Notification not found");
@@ -153,13 +340,23 @@ const notificationService = {
         await notification.save();
       }
 
-      return notification;
+      return this.forParent(notification, parentId);
     } catch (error) {
       console.error("Error marking notification as read:", error);
       throw error;
     }
   },
 
+  // A notification as one parent sees it: whether they have read it, but
+  // not who else it went to or who else has read it
+  forParent(notification, parentId) {
+    const { recipients, read, ...rest } = notification.toObject();
+    return {
+      ...rest,
+      isRead: read.some((item) => item.parent.toString() === parentId),
+    };
+  },
+
   // Get notifications for a parent
   async getParentNotifications(parentId, limit = 20, skip = 0) {
     try {
@@ -177,19 +374,9 @@ const notificationService = {
 
       //console.log(`Found ${notifications.length} notifications for parent`);
 
-      // Add read status for each notification
-      const notificationsWithReadStatus = notifications.map((notification) => {
-        const isRead = notification.read.some(
-          (item) => item.parent.toString() === parentId
-        );
-
-        return {
-          ...notification.toObject(),
-          isRead,
-        };
-      });
-
-      return notificationsWithReadStatus;
+      return notifications.map((notification) =>
+        this.forParent(notification, parentId)
+      );
     } catch (error) {
       console.error("Error getting parent notifications:", error);
       throw error;
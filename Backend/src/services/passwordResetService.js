@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const PasswordReset = require("../models/passwordReset");
+const messageSender = require("./messageSender");
+const { revokeAllSessions } = require("./tokenService");
+
+const CODE_TTL_MINUTES = 15;
+const MAX_ATTEMPTS = 5;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Send a one-time code to the user. Unknown emails succeed silently so the
+// endpoint can't be used to find out who is registered.
+const requestReset = async (Model, userModel, { email, channel }) => {
+  if (!email) {
+    throw new Error("Email is required");
+  }
+
+  const user = await Model.findOne({ email: email.trim().toLowerCase() });
+  if (!user) {
+    return;
+  }
+
+  const deliveryChannel = channel === "sms" && user.phone ? "sms" : "email";
+
+  // Only the most recent code is valid
+  await PasswordReset.deleteMany({
+    user: user._id,
+    userModel,
+    usedAt: null,
+  });
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  await PasswordReset.create({
+    user: user._id,
+    userModel,
+    codeHash: await bcrypt.hash(code, 10),
+    channel: deliveryChannel,
+    expiresAt: minutesFromNow(CODE_TTL_MINUTES),
+  });
+
+  await messageSender.send({
+    channel: deliveryChannel,
+    to: deliveryChannel === "sms" ? user.phone : user.email,
+    subject: "Password reset code",
+    text: `Your password reset code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. If you did not request this, you can ignore this message.`,
+  });
+};
+
+// Check the code and hand back a single-use token for setting the password
+const verifyCode = async (Model, userModel, { email, code }) => {
+  if (!email || !code) {
+    throw new Error("Email and code are required");
+  }
+
+  const user = await Model.findOne({ email: email.trim().toLowerCase() });
+  const reset =
+    user &&
+    (await PasswordReset.findOne({
+      user: user._id,
+      userModel,
+      usedAt: null,
+      verifiedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 }));
+
+  if (!reset) {
+    throw new Error("Invalid or expired code");
+  }
+
+  if (reset.attempts >= MAX_ATTEMPTS) {
+    throw new Error("Too many attempts, please request a new code");
+  }
+
+  const isMatch = await bcrypt.compare(code.toString().trim(), reset.codeHash);
+  if (!isMatch) {
+    reset.attempts += 1;
+    await reset.save();
+    throw new Error("Invalid or expired code");
+  }
+
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  reset.verifiedAt = new Date();
+  reset.resetTokenHash = hashToken(resetToken);
+  reset.expiresAt = minutesFromNow(CODE_TTL_MINUTES);
+  await reset.save();
+
+  return resetToken;
+};
+
+// Set the new password and sign the user out everywhere
+const resetPassword = async (Model, userModel, { resetToken, password }) => {
+  if (!resetToken || !password) {
+    throw new Error("Reset token and password are required");
+  }
+
+  if (password.length < 8) {
+    throw new Error("Password must be at least 8 characters long");
+  }
+
+  const reset = await PasswordReset.findOne({
+    resetTokenHash: hashToken(resetToken),
+    userModel,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!reset) {
+    throw new Error("Reset link has expired, please request a new code");
+  }
+
+  const user = await Model.findById(reset.user);
+  if (!user) {
+    throw new Error("Reset link has expired, please request a new code");
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  await user.save();
+
+  reset.usedAt = new Date();
+  await reset.save();
+
+  await revokeAllSessions(user._id, userModel);
+};
+
+module.exports = { requestReset, verifyCode, resetPassword };
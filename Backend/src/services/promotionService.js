@@ -0,0 +1,251 @@
+const mongoose = require("mongoose");
+const AcademicYear = require("../models/academicYear");
+const Classroom = require("../models/classroom");
+const Student = require("../models/student");
+const Teacher = require("../models/teacher");
+
+const PRE_PRIMARY = ["Nursery", "LKG", "UKG"];
+const DEFAULT_FINAL_GRADE = 12;
+
+// Grade a student moves up to, or null once they finish school.
+// Nursery -> LKG -> UKG -> 1 -> ... -> finalGrade
+const nextGrade = (grade, finalGrade) => {
+  const preIndex = PRE_PRIMARY.findIndex(
+    (name) => name.toLowerCase() === grade.toLowerCase()
+  );
+  if (preIndex !== -1) {
+    return PRE_PRIMARY[preIndex + 1] || "1";
+  }
+
+  const number = Number(grade);
+  if (!Number.isInteger(number)) {
+    throw new Error(`Cannot work out the grade after "${grade}"`);
+  }
+
+  return number >= finalGrade ? null : String(number + 1);
+};
+
+const sectionKey = (grade, section) =>
+  `${grade.toLowerCase()}|${section.toLowerCase()}`;
+
+// Find or create the year being promoted into
+const resolveNextYear = async (schoolId, { nextYearId, nextYear }, session) => {
+  let toYear;
+
+  if (nextYearId) {
+    toYear = await AcademicYear.findOne({
+      _id: nextYearId,
+      school: schoolId,
+    }).session(session);
+  } else if (nextYear && nextYear.name) {
+    toYear = await AcademicYear.findOne({
+      school: schoolId,
+      name: nextYear.name,
+    }).session(session);
+    if (!toYear) {
+      [toYear] = await AcademicYear.create(
+        [{ ...nextYear, school: schoolId }],
+        {
+          session,
+        }
+      );
+    }
+  }
+
+  if (!toYear) {
+    throw new Error("Next academic year not found");
+  }
+
+  if (toYear.status !== "upcoming") {
+    throw new Error("Students can only be promoted into an upcoming year");
+  }
+
+  return toYear;
+};
+
+// Every read and write of a promotion, run inside promote's transaction
+const promoteInSession = async (
+  schoolId,
+  fromYearId,
+  {
+    nextYearId,
+    nextYear,
+    finalGrade = DEFAULT_FINAL_GRADE,
+    repeatStudentIds = [],
+  },
+  session
+) => {
+  const fromYear = await AcademicYear.findOne({
+    _id: fromYearId,
+    school: schoolId,
+  }).session(session);
+
+  if (!fromYear) {
+    throw new Error("Academic year not found");
+  }
+
+  if (fromYear.status !== "active") {
+    throw new Error("Only the active academic year can be promoted");
+  }
+
+  const classrooms = await Classroom.find({
+    academicYear: fromYear._id,
+    archived: false,
+  }).session(session);
+
+  // Fail before writing anything if a grade can't be promoted
+  classrooms.forEach((classroom) => nextGrade(classroom.grade, finalGrade));
+
+  const toYear = await resolveNextYear(
+    schoolId,
+    { nextYearId, nextYear },
+    session
+  );
+
+  // Next year's classrooms, grouped by grade and section
+  const nextClassrooms = new Map();
+  const created = [];
+  for (const classroom of classrooms) {
+    const [copy] = await Classroom.create(
+      [
+        {
+          grade: classroom.grade,
+          section: classroom.section,
+          subject: classroom.subject,
+          teacher: classroom.teacher,
+          school: classroom.school,
+          classTeacher: classroom.classTeacher,
+          academicYear: toYear._id,
+          promotedFrom: classroom._id,
+          // Substitutes were only covering for this year
+          staff: classroom.staff
+            .filter((member) => member.role !== "substitute")
+            .map(({ teacher, role, addedBy }) => ({ teacher, role, addedBy })),
+        },
+      ],
+      { session }
+    );
+
+    const key = sectionKey(copy.grade, copy.section);
+    nextClassrooms.set(key, [...(nextClassrooms.get(key) || []), copy]);
+    created.push(copy);
+  }
+
+  const oldClassroomIds = classrooms.map((classroom) => classroom._id);
+  const oldIds = oldClassroomIds.map(String);
+  const repeating = new Set(repeatStudentIds.map(String));
+  const summary = {
+    promoted: 0,
+    repeated: 0,
+    graduated: 0,
+    unplaced: [],
+  };
+
+  const students = await Student.find({
+    school: schoolId,
+    classrooms: { $in: oldClassroomIds },
+  }).session(session);
+
+  for (const student of students) {
+    const current = classrooms.filter((classroom) =>
+      student.classrooms.some((id) => id.equals(classroom._id))
+    );
+    // The class teacher's room decides which grade and section the student is in
+    const homeRoom =
+      current.find((classroom) => classroom.classTeacher) || current[0];
+
+    let outcome = "promoted";
+    let targetGrade = nextGrade(homeRoom.grade, finalGrade);
+    if (repeating.has(student._id.toString())) {
+      outcome = "repeated";
+      targetGrade = homeRoom.grade;
+    } else if (!targetGrade) {
+      outcome = "graduated";
+    }
+
+    const targets = targetGrade
+      ? nextClassrooms.get(sectionKey(targetGrade, homeRoom.section)) || []
+      : [];
+
+    student.history.push({
+      academicYear: fromYear._id,
+      grade: homeRoom.grade,
+      section: homeRoom.section,
+      classrooms: current.map((classroom) => classroom._id),
+      outcome,
+    });
+    student.classrooms = [
+      ...student.classrooms.filter((id) => !oldIds.includes(id.toString())),
+      ...targets.map((classroom) => classroom._id),
+    ];
+    if (outcome === "graduated") {
+      student.status = "graduated";
+    }
+    await student.save({ session });
+
+    if (targets.length > 0) {
+      await Classroom.updateMany(
+        { _id: { $in: targets.map((classroom) => classroom._id) } },
+        { $addToSet: { students: student._id } },
+        { session }
+      );
+    } else if (outcome !== "graduated") {
+      summary.unplaced.push({
+        _id: student._id,
+        name: student.name,
+        grade: targetGrade,
+        section: homeRoom.section,
+      });
+    }
+
+    summary[outcome] += 1;
+  }
+
+  // Teachers' classroom lists only hold the current year
+  await Teacher.updateMany(
+    { classrooms: { $in: oldClassroomIds } },
+    { $pull: { classrooms: { $in: oldClassroomIds } } },
+    { session }
+  );
+  for (const copy of created) {
+    await Teacher.findByIdAndUpdate(
+      copy.teacher,
+      { $addToSet: { classrooms: copy._id } },
+      { session }
+    );
+  }
+
+  await Classroom.updateMany(
+    { _id: { $in: oldClassroomIds } },
+    { archived: true },
+    { session }
+  );
+
+  fromYear.status = "archived";
+  fromYear.promotedTo = toYear._id;
+  await fromYear.save({ session });
+
+  toYear.status = "active";
+  await toYear.save({ session });
+
+  return {
+    academicYear: toYear,
+    classroomsCreated: created.length,
+    ...summary,
+  };
+};
+
+// End the school's academic year: archive its classrooms, open the same
+// grade/section/subject classrooms in the next year with the same teachers,
+// and move every student up a grade. Students listed in repeatStudentIds stay
+// in their grade; students in finalGrade graduate. Runs as one transaction,
+// so a promotion that fails part way leaves both years untouched.
+const promote = (schoolId, fromYearId, options) =>
+  mongoose.connection.transaction((session) =>
+    promoteInSession(schoolId, fromYearId, options, session)
+  );
+
+module.exports = {
+  nextGrade,
+  promote,
+};
@@ -0,0 +1,425 @@
+const AcademicYear = require("../models/academicYear");
+const Classroom = require("../models/classroom");
+const Exam = require("../models/exam");
+const Mark = require("../models/mark");
+const Attendance = require("../models/attendance");
+const Remark = require("../models/remark");
+const Student = require("../models/student");
+const { createPdf, pdfToBuffer } = require("./exportService");
+const mediaStore = require("./mediaStore");
+const { subjectResult, gradeFor } = require("./gradingService");
+const { creditFor, summarize } = require("./attendanceService");
+
+const MAX_REMARKS = 3;
+
+const percentage = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+const dayKey = (date) => new Date(date).toISOString().split("T")[0];
+
+const inPeriod = (date, period) =>
+  date >= period.startDate && date <= period.endDate;
+
+// The academic year to report on: the one asked for, or the school's
+// active year
+const findAcademicYear = async (schoolId, academicYearId) => {
+  const academicYear = academicYearId
+    ? await AcademicYear.findOne({ _id: academicYearId, school: schoolId })
+    : await AcademicYear.findOne({ school: schoolId, status: "active" });
+
+  if (!academicYear) {
+    throw new Error("Academic year not found");
+  }
+
+  return academicYear;
+};
+
+// Gather one student's marks from every subject classroom of the year,
+// their attendance and the class teacher's remarks for the period
+const buildReportCard = async (
+  student,
+  academicYear,
+  period,
+  excusedPolicy
+) => {
+  const classrooms = await Classroom.find({
+    students: student._id,
+    academicYear: academicYear._id,
+  })
+    .select("subject grade section classTeacher teacher gradingScheme")
+    .populate("teacher", "name")
+    .sort({ subject: 1 });
+  const dates = { $gte: period.startDate, $lte: period.endDate };
+
+  const homeRoom =
+    classrooms.find((classroom) => classroom.classTeacher) || classrooms[0];
+
+  // Draft exams stay off report cards until the teacher publishes them
+  const publishedExamIds = (
+    await Exam.distinct("_id", {
+      classroom: { $in: classrooms.map((classroom) => classroom._id) },
+      status: "published",
+    })
+  ).map(String);
+  const studentMarks = await Mark.find({
+    classroom: { $in: classrooms.map((classroom) => classroom._id) },
+    student: student._id,
+    date: dates,
+  }).sort({ date: 1 });
+
+  // The class teacher's room counts as a subject too
+  const subjects = classrooms.map((classroom) => {
+    const marks = studentMarks.filter(
+      (mark) =>
+        mark.classroom.equals(classroom._id) &&
+        (!mark.examId || publishedExamIds.includes(mark.examId.toString()))
+    );
+    const result = subjectResult(marks, classroom.gradingScheme);
+
+    return {
+      subject: classroom.subject,
+      teacher: classroom.teacher?.name,
+      exams: marks.map((mark) => ({
+        exam: mark.exam,
+        category: mark.category,
+        marksObtained: mark.marksObtained,
+        totalMarks: mark.totalMarks,
+        percentage: percentage(mark.marksObtained, mark.totalMarks),
+      })),
+      obtained: result.obtained,
+      total: result.total,
+      // Weighted by the classroom's grading scheme
+      percentage: result.percentage,
+      grade: result.grade,
+      gradePoint: result.gradePoint,
+    };
+  });
+
+  // Attendance is taken in the class teacher's room; fall back to every
+  // classroom, counting each day once at its best status
+  const attendanceRooms = homeRoom?.classTeacher ? [homeRoom] : classrooms;
+  const days = new Map();
+  const records = await Attendance.find({
+    classroom: { $in: attendanceRooms.map((classroom) => classroom._id) },
+    studentId: student._id,
+    period: null,
+    date: dates,
+  });
+  records.forEach((record) => {
+    const day = dayKey(record.date);
+    if (
+      !days.has(day) ||
+      creditFor(record.status, excusedPolicy) >
+        creditFor(days.get(day), excusedPolicy)
+    ) {
+      days.set(day, record.status);
+    }
+  });
+  const attendance = summarize([...days.values()], excusedPolicy);
+
+  let remarks = [];
+  if (homeRoom?.classTeacher) {
+    const remark = await Remark.findOne({
+      student: student._id,
+      classroom: homeRoom._id,
+    });
+    remarks = (remark?.messages || [])
+      .filter(
+        (message) =>
+          message.sender === "teacher" &&
+          message.type === "text" &&
+          inPeriod(message.createdAt, period)
+      )
+      .slice(-MAX_REMARKS)
+      .map((message) => message.content);
+  }
+
+  // Overall result is the average of the subjects that have marks, graded
+  // on the class teacher's scheme
+  const graded = subjects.filter((subject) => subject.total > 0);
+  const obtained = graded.reduce((sum, subject) => sum + subject.obtained, 0);
+  const total = graded.reduce((sum, subject) => sum + subject.total, 0);
+  const overallPercentage =
+    graded.length > 0
+      ? Math.round(
+          (graded.reduce((sum, subject) => sum + subject.percentage, 0) /
+            graded.length) *
+            10
+        ) / 10
+      : 0;
+
+  return {
+    student: {
+      _id: student._id,
+      name: student.name,
+      admissionNumber: student.admissionNumber,
+    },
+    academicYear: academicYear.name,
+    period: period.name,
+    grade: homeRoom?.grade,
+    section: homeRoom?.section,
+    classTeacher: homeRoom?.classTeacher ? homeRoom.teacher?.name : undefined,
+    subjects,
+    overall: {
+      obtained,
+      total,
+      percentage: overallPercentage,
+      ...(graded.length > 0
+        ? gradeFor(overallPercentage, homeRoom.gradingScheme)
+        : null),
+    },
+    attendance: {
+      present: attendance.attended,
+      total: attendance.total,
+      percentage: attendance.percentage,
+    },
+    remarks,
+  };
+};
+
+// Uploaded logos are in the media store; older ones are data URIs or URLs
+const loadLogo = async (settings) => {
+  const { logo, logoKey } = settings || {};
+
+  try {
+    if (logoKey) {
+      return await mediaStore.get(logoKey);
+    }
+    if (!logo) return null;
+    if (logo.startsWith("data:")) {
+      return Buffer.from(logo.split(",")[1], "base64");
+    }
+    if (/^https?:\/\//.test(logo)) {
+      const response = await fetch(logo);
+      return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+    }
+  } catch (error) {
+    console.error("Could not load school logo:", error.message);
+  }
+
+  return null;
+};
+
+const drawReportCard = (doc, card, school, logo) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Letterhead
+  if (logo) {
+    try {
+      doc.image(logo, left, doc.y, { fit: [60, 60] });
+    } catch (error) {
+      console.error("Could not draw school logo:", error.message);
+    }
+  }
+  doc
+    .font("Bold")
+    .fontSize(18)
+    .fillColor("#1e3a8a")
+    .text(school.name, left, doc.page.margins.top, { width, align: "center" });
+  if (school.settings?.address) {
+    doc
+      .font("Regular")
+      .fontSize(9)
+      .fillColor("#555555")
+      .text(school.settings.address, { width, align: "center" });
+  }
+  doc
+    .font("Bold")
+    .fontSize(13)
+    .fillColor("#000000")
+    .text(`Report Card - ${card.period} (${card.academicYear})`, {
+      width,
+      align: "center",
+    });
+  doc.y = Math.max(doc.y, doc.page.margins.top + 64);
+  doc.moveDown();
+
+  // Student details
+  doc.font("Regular").fontSize(10);
+  doc.text(`Name: ${card.student.name}`, left);
+  doc.text(`Admission No: ${card.student.admissionNumber}`);
+  if (card.grade) {
+    doc.text(`Class: ${card.grade} - ${card.section}`);
+  }
+  if (card.classTeacher) {
+    doc.text(`Class Teacher: ${card.classTeacher}`);
+  }
+  doc.moveDown();
+
+  // Marks
+  const columns = [
+    { header: "Subject", width: 0.22 },
+    { header: "Exams", width: 0.42 },
+    { header: "Total", width: 0.12 },
+    { header: "%", width: 0.12 },
+    { header: "Grade", width: 0.12 },
+  ];
+  const drawRow = (values, bold) => {
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+    doc.font(bold ? "Bold" : "Regular").fontSize(9);
+    values.forEach((value, index) => {
+      const cellWidth = columns[index].width * width - 4;
+      doc.text(String(value), x + 2, y, { width: cellWidth });
+      height = Math.max(
+        height,
+        doc.heightOfString(String(value), { width: cellWidth })
+      );
+      x += columns[index].width * width;
+    });
+    doc
+      .moveTo(left, y + height + 3)
+      .lineTo(left + width, y + height + 3)
+      .strokeColor("#dddddd")
+      .stroke();
+    doc.x = left;
+    doc.y = y + height + 6;
+  };
+
+  drawRow(
+    columns.map((column) => column.header),
+    true
+  );
+  card.subjects.forEach((subject) =>
+    drawRow(
+      [
+        subject.subject,
+        subject.exams
+          .map(
+            (exam) => `${exam.exam}: ${exam.marksObtained}/${exam.totalMarks}`
+          )
+          .join("\n") || "-",
+        subject.total ? `${subject.obtained}/${subject.total}` : "-",
+        subject.total ? subject.percentage : "-",
+        subject.grade || "-",
+      ],
+      false
+    )
+  );
+  drawRow(
+    [
+      "Overall",
+      "",
+      card.overall.total
+        ? `${card.overall.obtained}/${card.overall.total}`
+        : "-",
+      card.overall.total ? card.overall.percentage : "-",
+      card.overall.grade || "-",
+    ],
+    true
+  );
+  doc.moveDown();
+
+  // Attendance and remarks
+  doc
+    .font("Bold")
+    .fontSize(10)
+    .text("Attendance: ", left, doc.y, { continued: true })
+    .font("Regular")
+    .text(
+      card.attendance.total
+        ? `${card.attendance.present} of ${card.attendance.total} days (${card.attendance.percentage}%)`
+        : "Not recorded"
+    );
+  doc.moveDown(0.5);
+
+  doc.font("Bold").text("Class Teacher's Remarks");
+  doc.font("Regular").text(card.remarks.join("\n\n") || "-", { width });
+};
+
+// One page per report card
+const renderReportCards = async (cards, school) => {
+  const doc = createPdf();
+  const logo = await loadLogo(school.settings);
+
+  cards.forEach((card, index) => {
+    if (index > 0) doc.addPage();
+    drawReportCard(doc, card, school, logo);
+  });
+
+  return pdfToBuffer(doc);
+};
+
+// Report card for a single student
+const studentReportCard = async (studentId, { academicYear, term }) => {
+  const student = await Student.findById(studentId)
+    .select("name admissionNumber school")
+    .populate("school", "name settings");
+
+  const year = await findAcademicYear(student.school._id, academicYear);
+  const period = year.period(term);
+  const card = await buildReportCard(
+    student,
+    year,
+    period,
+    student.school.settings?.excusedAttendance
+  );
+
+  return {
+    card,
+    buffer: await renderReportCards([card], student.school),
+  };
+};
+
+// Report cards for everyone in a class teacher's classroom, in one PDF
+const sectionReportCards = async (classroomId, { term }) => {
+  const classroom = await Classroom.findById(classroomId)
+    .select("academicYear school students classTeacher")
+    .populate("school", "name settings")
+    .populate({
+      path: "students",
+      select: "name admissionNumber",
+      options: { sort: { name: 1 } },
+    });
+
+  if (!classroom.classTeacher) {
+    throw new Error(
+      "Report cards are generated from the class teacher's classroom"
+    );
+  }
+
+  const year = await AcademicYear.findById(classroom.academicYear);
+  const period = year.period(term);
+
+  const cards = [];
+  for (const student of classroom.students) {
+    cards.push(
+      await buildReportCard(
+        student,
+        year,
+        period,
+        classroom.school.settings?.excusedAttendance
+      )
+    );
+  }
+
+  if (cards.length === 0) {
+    throw new Error("There are no students in this classroom");
+  }
+
+  return {
+    cards,
+    buffer: await renderReportCards(cards, classroom.school),
+  };
+};
+
+// Years and terms a student has report cards for
+const availablePeriods = async (studentId) => {
+  const academicYearIds = await Classroom.distinct("academicYear", {
+    students: studentId,
+  });
+
+  return AcademicYear.find({ _id: { $in: academicYearIds } })
+    .select("name startDate endDate status terms")
+    .sort({ startDate: -1 });
+};
+
+module.exports = {
+  buildReportCard,
+  renderReportCards,
+  studentReportCard,
+  sectionReportCards,
+  availablePeriods,
+};
@@ -0,0 +1,150 @@
+// Tables built from a classroom's marks and attendance, ready for
+// exportService.render
+
+const { gradeFor } = require("./gradingService");
+const { isDaily, summarize } = require("./attendanceService");
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const dayKey = (date) => new Date(date).toISOString().split("T")[0];
+
+const percentage = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+const classLabel = (classroom) =>
+  `${classroom.subject} - Class ${classroom.grade} ${classroom.section}`;
+
+// Expects classroom.students and the marks' student to be populated.
+// Pass an Exam to export a single exam, otherwise every exam is included.
+const marksTable = (classroom, classroomMarks, { exam } = {}) => {
+  const marks = classroomMarks
+    .filter((mark) => !exam || (mark.examId && mark.examId.equals(exam._id)))
+    .sort(
+      (a, b) =>
+        new Date(a.date) - new Date(b.date) ||
+        (a.student?.name || "").localeCompare(b.student?.name || "")
+    );
+
+  return {
+    title: exam ? `${exam.name} Marks` : "Marks",
+    subtitle: classLabel(classroom),
+    columns: [
+      { header: "Admission No", key: "admissionNumber", width: 14 },
+      { header: "Name", key: "name", width: 24 },
+      { header: "Exam", key: "exam", width: 18 },
+      { header: "Category", key: "category", width: 14 },
+      { header: "Marks", key: "marksObtained", width: 10 },
+      { header: "Total", key: "totalMarks", width: 10 },
+      { header: "Percentage", key: "percentage", width: 12 },
+      { header: "Grade", key: "grade", width: 8 },
+      { header: "Date", key: "date", width: 12 },
+    ],
+    rows: marks.map((mark) => {
+      const markPercentage = percentage(mark.marksObtained, mark.totalMarks);
+
+      return {
+        admissionNumber: mark.student?.admissionNumber,
+        name: mark.student?.name,
+        exam: mark.exam,
+        category: mark.category,
+        marksObtained: mark.marksObtained,
+        totalMarks: mark.totalMarks,
+        percentage: markPercentage,
+        grade: gradeFor(markPercentage, classroom.gradingScheme)?.grade,
+        date: dayKey(mark.date),
+      };
+    }),
+  };
+};
+
+// Code shown in the attendance table's day columns for each status
+const STATUS_CODES = {
+  present: "P",
+  absent: "A",
+  late: "L",
+  excused: "E",
+  "half-day": "HD",
+  holiday: "H",
+};
+
+// Expects classroom.students to be populated. One row per student with a
+// status code column for each day attendance was taken (left out of PDFs)
+// and totals. Excused days count as the school's policy says; days the
+// school calendar has as closed are left out.
+const attendanceTable = (
+  classroom,
+  attendance,
+  { start, end },
+  excusedPolicy,
+  calendar
+) => {
+  const records = attendance.filter(
+    (record) =>
+      isDaily(record) &&
+      record.date >= start &&
+      record.date <= end &&
+      (!calendar || calendar.isWorkingDay(record.date))
+  );
+  const days = [
+    ...new Set(records.map((record) => dayKey(record.date))),
+  ].sort();
+
+  const statusByStudentDay = new Map();
+  records.forEach((record) => {
+    statusByStudentDay.set(
+      `${idOf(record.studentId)}|${dayKey(record.date)}`,
+      record.status
+    );
+  });
+
+  const rows = classroom.students.map((student) => {
+    const row = {
+      admissionNumber: student.admissionNumber,
+      name: student.name,
+    };
+    const statuses = [];
+
+    days.forEach((day) => {
+      const status = statusByStudentDay.get(`${student._id}|${day}`);
+      if (!status) return;
+      statuses.push(status);
+      row[day] = STATUS_CODES[status];
+    });
+
+    const summary = summarize(statuses, excusedPolicy);
+    return {
+      ...row,
+      present: summary.counts.present,
+      late: summary.counts.late,
+      halfDay: summary.counts["half-day"],
+      excused: summary.counts.excused,
+      absent: summary.counts.absent,
+      total: summary.total,
+      percentage: summary.percentage,
+    };
+  });
+
+  return {
+    title: "Attendance",
+    subtitle: `${classLabel(classroom)}, ${dayKey(start)} to ${dayKey(end)}`,
+    columns: [
+      { header: "Admission No", key: "admissionNumber", width: 14 },
+      { header: "Name", key: "name", width: 24 },
+      ...days.map((day) => ({ header: day, key: day, width: 11, pdf: false })),
+      { header: "Present", key: "present", width: 10 },
+      { header: "Late", key: "late", width: 8 },
+      { header: "Half Day", key: "halfDay", width: 10 },
+      { header: "Excused", key: "excused", width: 10 },
+      { header: "Absent", key: "absent", width: 10 },
+      { header: "Days", key: "total", width: 8 },
+      { header: "Percentage", key: "percentage", width: 12 },
+    ],
+    rows,
+  };
+};
+
+module.exports = {
+  classLabel,
+  marksTable,
+  attendanceTable,
+};
@@ -0,0 +1,232 @@
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const mongoose = require("mongoose");
+const Classroom = require("../models/classroom");
+const Student = require("../models/student");
+
+const MAX_ROWS = 500;
+
+// Accepted spellings of the two required columns, compared without case,
+// spaces or punctuation
+const NAME_HEADERS = ["name", "studentname", "fullname"];
+const ADMISSION_HEADERS = [
+  "admissionnumber",
+  "admissionno",
+  "admno",
+  "admission",
+];
+
+const normalizeHeader = (value) => value.toLowerCase().replace(/[^a-z]/g, "");
+
+// Subject classrooms of the same grade and section that a class teacher's
+// students are added to as well
+const findRelatedClassrooms = (classroom) =>
+  Classroom.find({
+    grade: classroom.grade,
+    section: classroom.section,
+    school: classroom.school,
+    academicYear: classroom.academicYear,
+    _id: { $ne: classroom._id },
+  });
+
+const readWorksheet = async (file) => {
+  const extension = path.extname(file.name || "").toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  if (extension === ".csv") {
+    // Keep every value as text so admission numbers like 007 survive
+    return workbook.csv.read(Readable.from(file.data), { map: (v) => v });
+  }
+
+  if (extension === ".xlsx") {
+    await workbook.xlsx.load(file.data);
+    return workbook.worksheets[0];
+  }
+
+  throw new Error("Please upload a .csv or .xlsx file");
+};
+
+// Turn an uploaded roster into [{ row, name, admissionNumber }]
+const parseRoster = async (file) => {
+  const worksheet = await readWorksheet(file);
+  if (!worksheet) {
+    throw new Error("The file has no sheets");
+  }
+
+  let nameColumn;
+  let admissionColumn;
+  const rows = [];
+
+  worksheet.eachRow((row, rowNumber) => {
+    const cellText = (column) => row.getCell(column).text.trim();
+
+    if (!nameColumn) {
+      row.eachCell((cell, column) => {
+        const header = normalizeHeader(cell.text);
+        if (NAME_HEADERS.includes(header)) nameColumn = column;
+        if (ADMISSION_HEADERS.includes(header)) admissionColumn = column;
+      });
+
+      if (!nameColumn || !admissionColumn) {
+        throw new Error(
+          "The first row must have Name and Admission Number columns"
+        );
+      }
+      return;
+    }
+
+    const name = cellText(nameColumn);
+    const admissionNumber = cellText(admissionColumn);
+    if (name || admissionNumber) {
+      rows.push({ row: rowNumber, name, admissionNumber });
+    }
+  });
+
+  if (rows.length === 0) {
+    throw new Error("The file has no students");
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`A roster can have at most ${MAX_ROWS} students`);
+  }
+
+  return rows;
+};
+
+// Work out what importing each row would do, without writing anything.
+// Row status is one of:
+//   new       - student will be created
+//   existing  - student already in the school, will be added to the class
+//   enrolled  - already in this classroom, skipped
+//   invalid   - missing name or admission number
+//   duplicate - admission number repeated in the file
+const previewRoster = async (classroom, rows) => {
+  const existingStudents = await Student.find({
+    school: classroom.school,
+    admissionNumber: { $in: rows.map((row) => row.admissionNumber) },
+  }).select("name admissionNumber classrooms");
+
+  const byAdmission = new Map(
+    existingStudents.map((student) => [student.admissionNumber, student])
+  );
+  const seen = new Set();
+
+  const preview = rows.map((row) => {
+    if (!row.name || !row.admissionNumber) {
+      return {
+        ...row,
+        status: "invalid",
+        message: "Name and admission number are required",
+      };
+    }
+
+    if (seen.has(row.admissionNumber)) {
+      return {
+        ...row,
+        status: "duplicate",
+        message: "Admission number appears more than once in the file",
+      };
+    }
+    seen.add(row.admissionNumber);
+
+    const student = byAdmission.get(row.admissionNumber);
+    if (!student) {
+      return { ...row, status: "new" };
+    }
+
+    if (student.classrooms.some((id) => id.equals(classroom._id))) {
+      return { ...row, status: "enrolled", studentId: student._id };
+    }
+
+    return {
+      ...row,
+      status: "existing",
+      studentId: student._id,
+      // addStudent keeps the existing record's name, so flag any difference
+      message:
+        student.name.toLowerCase() !== row.name.toLowerCase()
+          ? `Already registered as ${student.name}`
+          : undefined,
+    };
+  });
+
+  const count = (status) =>
+    preview.filter((row) => row.status === status).length;
+
+  return {
+    rows: preview,
+    summary: {
+      total: preview.length,
+      new: count("new"),
+      existing: count("existing"),
+      enrolled: count("enrolled"),
+      errors: count("invalid") + count("duplicate"),
+    },
+  };
+};
+
+// Create the new students and add everyone to the classroom and its related
+// subject classrooms in a single transaction, so a failed import leaves
+// nothing behind. Refuses to run while the preview has errors.
+const commitRoster = async (classroom, rows) => {
+  const { rows: preview, summary } = await previewRoster(classroom, rows);
+
+  if (summary.errors > 0) {
+    const error = new Error("Fix the errors in the file before importing");
+    error.preview = { rows: preview, summary };
+    throw error;
+  }
+
+  const relatedClassrooms = await findRelatedClassrooms(classroom);
+  const classroomIds = [
+    classroom._id,
+    ...relatedClassrooms.map((related) => related._id),
+  ];
+
+  const newStudents = preview
+    .filter((row) => row.status === "new")
+    .map((row) => ({
+      _id: new mongoose.Types.ObjectId(),
+      name: row.name,
+      admissionNumber: row.admissionNumber,
+      school: classroom.school,
+      classrooms: [],
+    }));
+  const studentIds = [
+    ...newStudents.map((student) => student._id),
+    ...preview
+      .filter((row) => row.status === "existing")
+      .map((row) => row.studentId),
+  ];
+
+  await mongoose.connection.transaction(async (session) => {
+    if (newStudents.length > 0) {
+      await Student.insertMany(newStudents, { session });
+    }
+
+    await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { $addToSet: { classrooms: { $each: classroomIds } } },
+      { session }
+    );
+
+    await Classroom.updateMany(
+      { _id: { $in: classroomIds } },
+      { $addToSet: { students: { $each: studentIds } } },
+      { session }
+    );
+  });
+
+  return {
+    rows: preview,
+    summary: { ...summary, subjectClassrooms: relatedClassrooms.length },
+  };
+};
+
+module.exports = {
+  findRelatedClassrooms,
+  parseRoster,
+  previewRoster,
+  commitRoster,
+};
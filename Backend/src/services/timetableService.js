@@ -0,0 +1,172 @@
+const mediaStore = require("./mediaStore");
+const { getStaffRole } = require("../utils/policy");
+const { WEEKDAYS, weekdayOf } = require("./calendarService");
+
+// A classroom's timetable is a list of periods (day, period number, times,
+// subject, teacher and room), with an optional photo of the printed one.
+
+const plain = (period) => (period.toObject ? period.toObject() : period);
+
+// By day, then start time
+const sortPeriods = (periods) =>
+  periods
+    .map(plain)
+    .sort((a, b) => a.day - b.day || a.startTime.localeCompare(b.startTime));
+
+// Why the periods can't be saved, or null when they can. Field formats are
+// checked by the schema; this checks how the periods fit together.
+const validationError = (periods) => {
+  if (!Array.isArray(periods)) {
+    return "periods must be a list";
+  }
+
+  const sorted = sortPeriods(periods);
+  for (let index = 0; index < sorted.length; index++) {
+    const period = sorted[index];
+    const previous = sorted[index - 1];
+    const day = WEEKDAYS[period.day] || period.day;
+
+    if (period.startTime >= period.endTime) {
+      return `Period ${period.period} on ${day} must end after it starts`;
+    }
+    if (
+      sorted.some(
+        (other) =>
+          other !== period &&
+          other.day === period.day &&
+          other.period === period.period
+      )
+    ) {
+      return `Period ${period.period} is on ${day} more than once`;
+    }
+    if (
+      previous &&
+      previous.day === period.day &&
+      period.startTime < previous.endTime
+    ) {
+      return `Periods ${previous.period} and ${period.period} on ${day} overlap`;
+    }
+  }
+  return null;
+};
+
+// "HH:mm" of a date in the school's timezone
+const timeOf = (date, timeZone) =>
+  new Date(date).toLocaleTimeString("en-GB", {
+    timeZone,
+    hour12: false,
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// The periods on the day of now, each marked done, current or upcoming
+const daySchedule = (periods, now, timeZone) => {
+  const day = weekdayOf(now, timeZone);
+  const time = timeOf(now, timeZone);
+
+  return sortPeriods(periods.filter((period) => period.day === day)).map(
+    (period) => ({
+      ...period,
+      status:
+        time >= period.endTime
+          ? "done"
+          : time >= period.startTime
+          ? "current"
+          : "upcoming",
+    })
+  );
+};
+
+// Whether a period is the teacher's to take. Periods without a teacher are
+// taken by the owner and co-teachers; an active substitute covers whatever
+// the owner would take.
+const takesPeriod = (teacherId, classroom, period) => {
+  if (period.teacher && period.teacher.equals(teacherId)) return true;
+
+  const role = getStaffRole(teacherId, classroom);
+  if (!period.teacher) return role !== null;
+  return role === "substitute" && period.teacher.equals(classroom.teacher);
+};
+
+// A teacher's week across classrooms: periods assigned to them, and the
+// periods they take as owner, co-teacher or substitute. Periods that
+// overlap another are marked clash.
+const teacherWeek = (teacherId, classrooms) => {
+  const periods = sortPeriods(
+    classrooms.flatMap((classroom) =>
+      classroom.timetable.periods
+        .filter((period) => takesPeriod(teacherId, classroom, period))
+        .map((period) => ({
+          ...plain(period),
+          classroom: {
+            _id: classroom._id,
+            grade: classroom.grade,
+            section: classroom.section,
+            subject: classroom.subject,
+          },
+        }))
+    )
+  );
+
+  return periods.map((period) => ({
+    ...period,
+    clash: periods.some(
+      (other) =>
+        other !== period &&
+        other.day === period.day &&
+        other.startTime < period.endTime &&
+        period.startTime < other.endTime
+    ),
+  }));
+};
+
+// Timetable photos are sent as base64, with or without a data URI prefix
+const decodeImage = (image) => {
+  const match = /^data:(image\/[a-z]+);base64,/.exec(image);
+  const data = Buffer.from(
+    match ? image.slice(match[0].length) : image,
+    "base64"
+  );
+
+  // Without a prefix, tell PNG from JPEG by its first bytes
+  const isPng = match
+    ? match[1] === "image/png"
+    : data.subarray(0, 4).toString("hex") === "89504e47";
+  return { data, extension: isPng ? "png" : "jpg" };
+};
+
+// Store a timetable photo and return its media key
+const saveImage = async (image) => {
+  const { data, extension } = decodeImage(image);
+  if (data.length === 0) {
+    throw new Error("Timetable image is empty");
+  }
+  return mediaStore.put(data, "timetables", extension);
+};
+
+// The timetable as sent to the app, with a short-lived link to the photo
+// in place of its key. null when there is neither periods nor a photo.
+const forResponse = (req, timetable) => {
+  const periods = (timetable && timetable.periods) || [];
+  if (!timetable || (!timetable.imageKey && periods.length === 0)) {
+    return null;
+  }
+
+  return {
+    periods: sortPeriods(periods),
+    imageUrl: timetable.imageKey
+      ? mediaStore.signedUrl(req, timetable.imageKey)
+      : null,
+    lastUpdated: timetable.lastUpdated,
+  };
+};
+
+module.exports = {
+  sortPeriods,
+  validationError,
+  daySchedule,
+  teacherWeek,
+  decodeImage,
+  saveImage,
+  forResponse,
+};
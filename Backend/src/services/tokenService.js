@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const Session = require("../models/session");
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_EXPIRES_DAYS || "30"
+);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Create a new session for a teacher or parent and return the token pair
+const issueTokens = async (user, userModel, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    userModel,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req && req.headers ? req.headers["user-agent"] : undefined,
+    expiresAt: refreshTokenExpiry(),
+  });
+
+  return {
+    token: user.generateToken(session._id),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new token pair. The presented token is
+// retired; presenting it again revokes the whole session.
+const rotateRefreshToken = async (refreshToken, userModel, Model) => {
+  if (!refreshToken) {
+    throw new Error("Refresh token is required");
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({
+    refreshTokenHash: tokenHash,
+    userModel,
+  });
+
+  if (!session) {
+    // An already-rotated token being replayed means it has leaked
+    const reusedSession = await Session.findOne({
+      usedTokenHashes: tokenHash,
+      userModel,
+    });
+    if (reusedSession && !reusedSession.revokedAt) {
+      reusedSession.revokedAt = new Date();
+      await reusedSession.save();
+    }
+    throw new Error("Invalid refresh token");
+  }
+
+  if (!session.isActive()) {
+    throw new Error("Session has expired, please login again");
+  }
+
+  const user = await Model.findById(session.user);
+  if (!user) {
+    throw new Error("Invalid refresh token");
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  session.usedTokenHashes.push(tokenHash);
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshTokenExpiry();
+  await session.save();
+
+  return {
+    token: user.generateToken(session._id),
+    refreshToken: newRefreshToken,
+    user,
+  };
+};
+
+// Used by the auth middlewares so a revoked session stops working immediately
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await Session.findById(sessionId);
+  return (
+    !!session &&
+    session.user.toString() === userId.toString() &&
+    session.isActive()
+  );
+};
+
+const revokeSession = async (sessionId) => {
+  await Session.findByIdAndUpdate(sessionId, { revokedAt: new Date() });
+};
+
+const revokeAllSessions = async (userId, userModel) => {
+  const result = await Session.updateMany(
+    { user: userId, userModel, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,251 @@
+const Classroom = require("../models/classroom");
+
+// Who may do what to a classroom. Every classroom, student and remark route
+// is checked against this table by the authorize middlewares, so ownership
+// rules live here instead of inside each controller.
+const CLASSROOM_PERMISSIONS = {
+  // Teacher who created the classroom
+  owner: [
+    "classroom:view",
+    "classroom:delete",
+    "assignment:view",
+    "assignment:create",
+    "assignment:edit",
+    "assignment:delete",
+    "assignment:grade",
+    "announcement:view",
+    "announcement:create",
+    "announcement:edit",
+    "announcement:delete",
+    "student:add",
+    "student:remove",
+    "marks:view",
+    "marks:edit",
+    "attendance:view",
+    "attendance:mark",
+    "leave:review",
+    "remark:view",
+    "remark:write",
+    "timetable:view",
+    "timetable:edit",
+    "staff:manage",
+  ],
+  // Teaches the classroom alongside the owner
+  coTeacher: [
+    "classroom:view",
+    "assignment:view",
+    "assignment:create",
+    "assignment:edit",
+    "assignment:delete",
+    "assignment:grade",
+    "announcement:view",
+    "announcement:create",
+    "announcement:edit",
+    "announcement:delete",
+    "marks:view",
+    "marks:edit",
+    "attendance:view",
+    "attendance:mark",
+    "leave:review",
+    "remark:view",
+    "remark:write",
+    "timetable:view",
+    "timetable:edit",
+  ],
+  // Covers for the owner for a limited time
+  substitute: [
+    "classroom:view",
+    "assignment:view",
+    "assignment:create",
+    "assignment:edit",
+    "announcement:view",
+    "announcement:create",
+    "announcement:edit",
+    "marks:view",
+    "attendance:view",
+    "attendance:mark",
+    "remark:view",
+    "timetable:view",
+  ],
+  // Class teacher of the same grade and section looking at a subject classroom
+  classTeacher: [
+    "classroom:view",
+    "assignment:view",
+    "announcement:view",
+    "marks:view",
+    "attendance:view",
+    "remark:view",
+    "remark:write",
+    "timetable:view",
+  ],
+  // Parent of a student enrolled in the classroom
+  parent: [
+    "classroom:view",
+    "assignment:view",
+    "assignment:submit",
+    "announcement:view",
+    "marks:view",
+    "attendance:view",
+    "remark:view",
+    "remark:write",
+    "timetable:view",
+  ],
+};
+
+// Student records are managed by the class teacher; other teachers of the
+// school can only look them up.
+const STUDENT_PERMISSIONS = {
+  classTeacher: ["student:view", "student:edit", "student:delete"],
+  schoolTeacher: ["student:view"],
+  parent: ["student:view", "leave:apply"],
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Query matching classrooms the teacher owns or is on the staff of.
+// Expired substitutes are left out; pass includeSubstitutes: false to
+// leave out substitutes altogether.
+const teacherClassroomsFilter = (
+  teacherId,
+  { includeSubstitutes = true } = {}
+) => ({
+  $or: [
+    { teacher: teacherId },
+    {
+      staff: {
+        $elemMatch: {
+          teacher: teacherId,
+          $or: [
+            { role: { $ne: "substitute" } },
+            ...(includeSubstitutes
+              ? [{ role: "substitute", expiresAt: { $gt: new Date() } }]
+              : []),
+          ],
+        },
+      },
+    },
+  ],
+});
+
+// The teacher's role in a classroom they can already see: "owner",
+// "co-teacher", "substitute" or null
+const getStaffRole = (teacherId, classroom) => {
+  if (sameId(idOf(classroom.teacher), teacherId)) {
+    return "owner";
+  }
+
+  const staffEntry = (classroom.staff || []).find((member) =>
+    sameId(idOf(member.teacher), teacherId)
+  );
+  if (!staffEntry) {
+    return null;
+  }
+
+  if (
+    staffEntry.role === "substitute" &&
+    (!staffEntry.expiresAt || new Date(staffEntry.expiresAt) <= new Date())
+  ) {
+    return null;
+  }
+
+  return staffEntry.role;
+};
+
+// Work out the actor's relationship to a classroom.
+// `actor` is { id, role: "teacher" | "parent", school, students }.
+const getClassroomRole = async (actor, classroom) => {
+  if (!actor || !classroom) {
+    return null;
+  }
+
+  if (actor.role === "parent") {
+    const enrolled = (classroom.students || []).map((s) => idOf(s).toString());
+    const hasChild = (actor.students || []).some((child) =>
+      enrolled.includes(idOf(child).toString())
+    );
+    return hasChild ? "parent" : null;
+  }
+
+  if (actor.role !== "teacher") {
+    return null;
+  }
+
+  const staffRole = getStaffRole(actor.id, classroom);
+  if (staffRole === "owner" || staffRole === "substitute") {
+    return staffRole;
+  }
+  if (staffRole === "co-teacher") {
+    return "coTeacher";
+  }
+
+  if (
+    sameId(idOf(classroom.school), actor.school) &&
+    (await Classroom.exists({
+      school: idOf(classroom.school),
+      academicYear: classroom.academicYear,
+      grade: classroom.grade,
+      section: classroom.section,
+      classTeacher: true,
+      ...teacherClassroomsFilter(actor.id, { includeSubstitutes: false }),
+    }))
+  ) {
+    return "classTeacher";
+  }
+
+  return null;
+};
+
+// can(actor, "marks:edit", classroom) -> true / false
+const can = async (actor, action, classroom) => {
+  // Classrooms of past academic years can only be looked at
+  if (classroom && classroom.archived && !action.endsWith(":view")) {
+    return false;
+  }
+
+  const role = await getClassroomRole(actor, classroom);
+  return !!role && CLASSROOM_PERMISSIONS[role].includes(action);
+};
+
+const getStudentRole = async (actor, student) => {
+  if (!actor || !student) {
+    return null;
+  }
+
+  if (actor.role === "parent") {
+    return (actor.students || []).some((child) =>
+      sameId(idOf(child), student._id)
+    )
+      ? "parent"
+      : null;
+  }
+
+  if (actor.role !== "teacher" || !sameId(idOf(student.school), actor.school)) {
+    return null;
+  }
+
+  const isClassTeacher = await Classroom.exists({
+    _id: { $in: (student.classrooms || []).map(idOf) },
+    classTeacher: true,
+    ...teacherClassroomsFilter(actor.id, { includeSubstitutes: false }),
+  });
+
+  return isClassTeacher ? "classTeacher" : "schoolTeacher";
+};
+
+const canAccessStudent = async (actor, action, student) => {
+  const role = await getStudentRole(actor, student);
+  return !!role && STUDENT_PERMISSIONS[role].includes(action);
+};
+
+module.exports = {
+  CLASSROOM_PERMISSIONS,
+  STUDENT_PERMISSIONS,
+  teacherClassroomsFilter,
+  getStaffRole,
+  getClassroomRole,
+  can,
+  getStudentRole,
+  canAccessStudent,
+};
@@ -0,0 +1,85 @@
+const { describe, it, before, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const memoryDb = require("./helpers/memoryDb");
+const School = require("../src/models/school");
+const Student = require("../src/models/student");
+const notificationService = require("../src/services/notificationService");
+const absenceAlertService = require("../src/services/absenceAlertService");
+
+describe("absenceAlertService", () => {
+  const classroom = { _id: new mongoose.Types.ObjectId() };
+  let students;
+
+  before(async () => {
+    memoryDb.connect();
+
+    const school = new School({ name: "Kendriya Vidyalaya", code: "KV1" });
+    classroom.school = school._id;
+    students = ["Asha", "Ravi", "Meena"].map(
+      (name, index) =>
+        new Student({ name, school: school._id, admissionNumber: `A${index}` })
+    );
+    await memoryDb.seed(school, ...students);
+  });
+
+  it("sends corrections for a past roll call with the day and new status", async () => {
+    const alertedAt = new Date("2026-10-12T04:00:00Z");
+    const previous = students.map((student) => ({
+      studentId: student._id,
+      status: "absent",
+      alertedAt,
+    }));
+    const records = ["late", "half-day", "absent"].map((status, index) => ({
+      studentId: students[index]._id,
+      status,
+    }));
+
+    const alerts = await absenceAlertService.planAlerts(
+      classroom,
+      "2026-10-12",
+      previous,
+      records
+    );
+    assert.deepEqual(alerts.absent, []);
+    assert.equal(alerts.corrected.length, 2);
+    // Still absent: the earlier alert stands
+    assert.equal(records[2].alertedAt, alertedAt);
+
+    const send = mock.method(
+      notificationService,
+      "sendStudentNotification",
+      async () => {}
+    );
+    await absenceAlertService.sendAlerts(classroom, alerts);
+
+    const sent = send.mock.calls.map(({ arguments: args }) => [
+      args[1].name,
+      args[2],
+      args[3],
+    ]);
+    assert.deepEqual(sent, [
+      [
+        "Asha",
+        "Attendance Correction",
+        "was marked late on 12 Oct 2026. Please ignore the earlier absence alert.",
+      ],
+      [
+        "Ravi",
+        "Attendance Correction",
+        "was marked present for half the day on 12 Oct 2026. Please ignore the earlier absence alert.",
+      ],
+    ]);
+    send.mock.restore();
+  });
+
+  it("doesn't alert absences of a past roll call", async () => {
+    const alerts = await absenceAlertService.planAlerts(
+      classroom,
+      "2026-10-12",
+      [],
+      [{ studentId: students[0]._id, status: "absent" }]
+    );
+    assert.deepEqual(alerts.absent, []);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { render } = require("../src/services/exportService");
+
+const csvOf = async (rows) => {
+  const { buffer } = await render(
+    {
+      title: "Marks",
+      columns: [
+        { header: "Name", key: "name" },
+        { header: "Marks", key: "marks" },
+      ],
+      rows,
+    },
+    "csv"
+  );
+  return buffer
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .split("\r\n");
+};
+
+describe("exportService csv", () => {
+  it("quotes cells with commas, quotes and line breaks", async () => {
+    const [, row] = await csvOf([{ name: 'Asha "A", K', marks: 42 }]);
+    assert.equal(row, '"Asha ""A"", K",42');
+  });
+
+  it("neutralises cells that spreadsheets would run as formulas", async () => {
+    const lines = await csvOf([
+      { name: '=HYPERLINK("http://x")', marks: 1 },
+      { name: "+91 Ravi", marks: 2 },
+      { name: "-Meena", marks: 3 },
+      { name: "@SUM(A1)", marks: 4 },
+      { name: "\tTab", marks: 5 },
+      { name: "\rReturn", marks: 6 },
+    ]);
+    assert.deepEqual(lines.slice(1, 7), [
+      `"'=HYPERLINK(""http://x"")",1`,
+      "'+91 Ravi,2",
+      "'-Meena,3",
+      "'@SUM(A1),4",
+      "'\tTab,5",
+      `"'\rReturn",6`,
+    ]);
+  });
+
+  it("leaves numbers alone", async () => {
+    const [, row] = await csvOf([{ name: "Asha", marks: -1 }]);
+    assert.equal(row, "Asha,-1");
+  });
+});
+
+describe("exportService render", () => {
+  const table = (title) => ({
+    title,
+    columns: [{ header: "Name", key: "name" }],
+    rows: [{ name: "Asha" }],
+  });
+
+  it("builds xlsx sheets for exam names Excel would reject", async () => {
+    const { buffer, contentType } = await render(
+      table("Unit Test 1/2 [Term: I] Marks?"),
+      "xlsx"
+    );
+    assert.ok(buffer.length > 0);
+    assert.match(contentType, /spreadsheetml/);
+  });
+
+  it("rejects formats that are not its own keys", async () => {
+    await assert.rejects(render(table("Marks"), "constructor"));
+    await assert.rejects(render(table("Marks"), "toString"));
+  });
+});
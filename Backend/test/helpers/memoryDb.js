@@ -0,0 +1,136 @@
+const mongoose = require("mongoose");
+const mingo = require("mingo");
+const { updateOne, updateMany } = require("mingo/updater");
+
+// Backs the Mongoose models with in-memory collections so controllers and
+// services can be tested without a MongoDB server. Mongoose still casts,
+// populates and hydrates; only the driver calls are answered here, with
+// filters, projections, sorts and updates evaluated by mingo.
+
+// Copy stored documents so callers never share them with the store
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (
+    value === null ||
+    typeof value !== "object" ||
+    value instanceof mongoose.Types.ObjectId ||
+    Buffer.isBuffer(value)
+  ) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, clone(item)])
+  );
+};
+
+const cursorOf = (load) => {
+  const cursor = {
+    toArray: async () => load(),
+    // Mongoose closes cursors it is done with
+    close: async () => {},
+  };
+  return cursor;
+};
+
+class MemoryCollection {
+  constructor() {
+    this.docs = [];
+  }
+
+  select(filter = {}, options = {}) {
+    let cursor = mingo.find(this.docs, filter, options.projection);
+    if (options.sort) cursor = cursor.sort(options.sort);
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(options.limit);
+    return clone(cursor.all());
+  }
+
+  find(filter, options) {
+    return cursorOf(() => this.select(filter, options));
+  }
+
+  async findOne(filter, options = {}) {
+    return this.select(filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  async countDocuments(filter) {
+    return this.select(filter).length;
+  }
+
+  async distinct(field, filter) {
+    const values = this.select(filter).flatMap((doc) => {
+      const value = field
+        .split(".")
+        .reduce((item, key) => (item == null ? item : item[key]), doc);
+      return Array.isArray(value) ? value : [value];
+    });
+    return values.filter(
+      (value, index) =>
+        value !== undefined &&
+        values.findIndex((other) => String(other) === String(value)) === index
+    );
+  }
+
+  aggregate(pipeline) {
+    return cursorOf(() => clone(mingo.aggregate(this.docs, pipeline)));
+  }
+
+  async insertOne(doc) {
+    this.docs.push(clone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    docs.forEach((doc) => this.docs.push(clone(doc)));
+    return { acknowledged: true, insertedCount: docs.length };
+  }
+
+  async updateOne(filter, update) {
+    return updateOne(this.docs, filter, update);
+  }
+
+  async updateMany(filter, update) {
+    return updateMany(this.docs, filter, update);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [before] = this.select(filter, { limit: 1 });
+    if (!before) return null;
+    updateOne(this.docs, { _id: before._id }, update);
+    return options.returnDocument === "after"
+      ? this.findOne({ _id: before._id })
+      : before;
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) this.docs = this.docs.filter((item) => !item._id.equals(doc._id));
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const removed = new Set(this.select(filter).map((doc) => String(doc._id)));
+    this.docs = this.docs.filter((doc) => !removed.has(String(doc._id)));
+    return { acknowledged: true, deletedCount: removed.size };
+  }
+}
+
+// Point every registered model at an empty in-memory collection. Call again
+// to start from a clean store.
+const connect = () => {
+  mongoose.modelNames().forEach((name) => {
+    const { collection } = mongoose.model(name);
+    collection.buffer = false;
+    collection.collection = new MemoryCollection();
+  });
+};
+
+// Store documents built from the models, as if they had been saved
+const seed = async (...docs) => {
+  for (const doc of docs) {
+    await doc.constructor.collection.collection.insertOne(doc.toObject());
+  }
+};
+
+module.exports = { connect, seed };
@@ -0,0 +1,263 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const memoryDb = require("./helpers/memoryDb");
+const School = require("../src/models/school");
+const AcademicYear = require("../src/models/academicYear");
+const Teacher = require("../src/models/teacher");
+const Parent = require("../src/models/parent");
+const Student = require("../src/models/student");
+const Classroom = require("../src/models/classroom");
+const Exam = require("../src/models/exam");
+const Mark = require("../src/models/mark");
+const Attendance = require("../src/models/attendance");
+const Notification = require("../src/models/notification");
+const parentController = require("../src/controllers/parentController");
+const notificationRoutes = require("../src/routes/notificationRoutes");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// The handler of a route, past its auth middleware
+const routeHandler = (router, method, path) =>
+  router.stack
+    .find((layer) => layer.route?.path === path && layer.route.methods[method])
+    .route.stack.at(-1).handle;
+
+// Call a handler the way Express would and return the body as sent
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = JSON.parse(JSON.stringify(body));
+      return this;
+    },
+  };
+  await handler({ params: {}, query: {}, body: {}, ...req }, res);
+  return res;
+};
+
+// Two families with a child each in the same classroom. Parent A asks;
+// nothing of family B may come back.
+describe("parent responses", () => {
+  let teacher;
+  let familyA;
+  let familyB;
+  let classroom;
+  let notificationA;
+
+  const family = (name, admissionNumber, school) => {
+    const parent = new Parent({
+      name: `${name}'s parent`,
+      email: `${admissionNumber}@example.com`,
+      password: "password123",
+      phone: "9999999999",
+      language: "en",
+    });
+    const student = new Student({
+      name,
+      school,
+      admissionNumber,
+      parents: [{ parent: parent._id, relation: "mother" }],
+    });
+    parent.students = [student._id];
+    return { parent, student };
+  };
+
+  // Every id of family B that must never show up in A's responses
+  const leaked = (res) => {
+    const body = JSON.stringify(res.body);
+    return [familyB.student._id, familyB.parent._id]
+      .map(String)
+      .filter((value) => body.includes(value));
+  };
+
+  const assertScoped = (res) => {
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    assert.deepEqual(leaked(res), []);
+  };
+
+  before(async () => {
+    memoryDb.connect();
+
+    const school = new School({ name: "Kendriya Vidyalaya", code: "KV1" });
+    const academicYear = new AcademicYear({
+      school: school._id,
+      name: "2026-27",
+      startDate: new Date("2026-04-01"),
+      endDate: new Date("2027-03-31"),
+    });
+    teacher = new Teacher({
+      name: "Meena",
+      email: "meena@example.com",
+      password: "password123",
+      school: school._id,
+    });
+    familyA = family("Asha", "A1", school._id);
+    familyB = family("Ravi", "B1", school._id);
+
+    classroom = new Classroom({
+      grade: "7",
+      section: "B",
+      subject: "Science",
+      teacher: teacher._id,
+      school: school._id,
+      academicYear: academicYear._id,
+      classTeacher: true,
+      students: [familyA.student._id, familyB.student._id],
+      assignments: [
+        {
+          title: "Plant cells",
+          description: "Draw a plant cell",
+          dueDate: new Date("2026-10-20"),
+          editedAt: new Date(),
+          history: [{ editedBy: teacher._id, changes: [] }],
+        },
+      ],
+      announcements: [{ title: "Field trip", content: "Bring lunch" }],
+    });
+    familyA.student.classrooms = [classroom._id];
+    familyB.student.classrooms = [classroom._id];
+
+    const exam = new Exam({
+      classroom: classroom._id,
+      name: "Unit Test 1",
+      date: new Date("2026-07-10"),
+      maxMarks: 50,
+      status: "published",
+    });
+    await exam.validate();
+    const marks = [familyA, familyB].map(
+      ({ student }, index) =>
+        new Mark({
+          classroom: classroom._id,
+          student: student._id,
+          examId: exam._id,
+          exam: exam.name,
+          subject: classroom.subject,
+          marksObtained: 30 + index * 10,
+          totalMarks: 50,
+          date: exam.date,
+        })
+    );
+    const attendance = [familyA, familyB].map(
+      ({ student }) =>
+        new Attendance({
+          classroom: classroom._id,
+          studentId: student._id,
+          date: new Date("2026-10-16"),
+          status: "absent",
+        })
+    );
+
+    // One to the whole class that B has read, and one absence alert each
+    const classNotification = new Notification({
+      title: "Field trip",
+      message: "Bring lunch",
+      type: "announcement",
+      classroom: classroom._id,
+      recipients: [familyA.parent._id, familyB.parent._id],
+      read: [{ parent: familyB.parent._id }],
+    });
+    notificationA = new Notification({
+      title: "Absent today",
+      message: "Asha was marked absent",
+      type: "attendance",
+      classroom: classroom._id,
+      student: familyA.student._id,
+      recipients: [familyA.parent._id],
+    });
+    const notificationB = new Notification({
+      title: "Absent today",
+      message: "Ravi was marked absent",
+      type: "attendance",
+      classroom: classroom._id,
+      student: familyB.student._id,
+      recipients: [familyB.parent._id],
+    });
+
+    await memoryDb.seed(
+      school,
+      academicYear,
+      teacher,
+      familyA.parent,
+      familyA.student,
+      familyB.parent,
+      familyB.student,
+      classroom,
+      exam,
+      ...marks,
+      ...attendance,
+      classNotification,
+      notificationA,
+      notificationB
+    );
+  });
+
+  const asParentA = (req = {}) => ({ user: familyA.parent, ...req });
+
+  it("getProfile", async () => {
+    const res = await call(parentController.getProfile, asParentA());
+    assertScoped(res);
+    assert.equal(
+      res.body.parent.students[0].classrooms[0].attendance.length,
+      1
+    );
+  });
+
+  it("getClassroomDetails", async () => {
+    const res = await call(
+      parentController.getClassroomDetails,
+      asParentA({ params: { id: String(classroom._id) } })
+    );
+    assertScoped(res);
+    assert.equal(res.body.classroom.marks.length, 1);
+    assert.equal(res.body.classroom.students.length, 1);
+  });
+
+  it("getAllAssignments", async () => {
+    const res = await call(parentController.getAllAssignments, asParentA());
+    assertScoped(res);
+    assert.equal(res.body.assignments.length, 1);
+    assert.equal(res.body.assignments[0].history, undefined);
+  });
+
+  it("getAllMarks", async () => {
+    const res = await call(parentController.getAllMarks, asParentA());
+    assertScoped(res);
+    assert.equal(res.body.marks.length, 1);
+  });
+
+  it("getStudentAnalytics", async () => {
+    const res = await call(
+      parentController.getStudentAnalytics,
+      asParentA({ params: { id: String(familyA.student._id) } })
+    );
+    assertScoped(res);
+    assert.equal(res.body.analytics.subjects[0].percentage, 60);
+  });
+
+  it("lists notifications", async () => {
+    const res = await call(
+      routeHandler(notificationRoutes, "get", "/"),
+      asParentA()
+    );
+    assertScoped(res);
+    assert.equal(res.body.count, 2);
+    res.body.notifications.forEach((notification) =>
+      assert.equal(notification.isRead, false)
+    );
+  });
+
+  it("marks a notification as read", async () => {
+    const res = await call(
+      routeHandler(notificationRoutes, "post", "/:id/read"),
+      asParentA({ params: { id: String(notificationA._id) } })
+    );
+    assertScoped(res);
+    assert.equal(res.body.notification.isRead, true);
+  });
+});
@@ -0,0 +1,295 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const memoryDb = require("./helpers/memoryDb");
+const Classroom = require("../src/models/classroom");
+const Student = require("../src/models/student");
+const {
+  CLASSROOM_PERMISSIONS,
+  STUDENT_PERMISSIONS,
+  can,
+  canAccessStudent,
+} = require("../src/utils/policy");
+const {
+  authorizeClassroom,
+  requireEnrolled,
+} = require("../src/middlewares/authorize");
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+// Run middlewares like Express would, stopping at the first response
+const runMiddleware = async (middlewares, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  for (const middleware of middlewares) {
+    let passed = false;
+    await middleware(req, res, () => {
+      passed = true;
+    });
+    if (!passed) return res;
+  }
+  return res;
+};
+
+// Every action the policy knows about, so each one is checked both ways
+const CLASSROOM_ACTIONS = [
+  ...new Set(Object.values(CLASSROOM_PERMISSIONS).flat()),
+];
+const STUDENT_ACTIONS = [...new Set(Object.values(STUDENT_PERMISSIONS).flat())];
+
+const STAFF_ACTIONS = [
+  "classroom:view",
+  "assignment:view",
+  "assignment:create",
+  "assignment:edit",
+  "assignment:delete",
+  "assignment:grade",
+  "announcement:view",
+  "announcement:create",
+  "announcement:edit",
+  "announcement:delete",
+  "marks:view",
+  "marks:edit",
+  "attendance:view",
+  "attendance:mark",
+  "leave:review",
+  "remark:view",
+  "remark:write",
+  "timetable:view",
+  "timetable:edit",
+];
+
+// Expected results, written out rather than read from the policy
+const ALLOWED = {
+  owner: [
+    ...STAFF_ACTIONS,
+    "classroom:delete",
+    "student:add",
+    "student:remove",
+    "staff:manage",
+  ],
+  coTeacher: STAFF_ACTIONS,
+  substitute: [
+    "classroom:view",
+    "assignment:view",
+    "assignment:create",
+    "assignment:edit",
+    "announcement:view",
+    "announcement:create",
+    "announcement:edit",
+    "marks:view",
+    "attendance:view",
+    "attendance:mark",
+    "remark:view",
+    "timetable:view",
+  ],
+  expiredSubstitute: [],
+  classTeacher: [
+    "classroom:view",
+    "assignment:view",
+    "announcement:view",
+    "marks:view",
+    "attendance:view",
+    "remark:view",
+    "remark:write",
+    "timetable:view",
+  ],
+  schoolTeacher: [],
+  otherSchoolTeacher: [],
+  parent: [
+    "classroom:view",
+    "assignment:view",
+    "assignment:submit",
+    "announcement:view",
+    "marks:view",
+    "attendance:view",
+    "remark:view",
+    "remark:write",
+    "timetable:view",
+  ],
+  otherParent: [],
+};
+
+const STUDENT_ALLOWED = {
+  classTeacher: ["student:view", "student:edit", "student:delete"],
+  owner: ["student:view"],
+  schoolTeacher: ["student:view"],
+  otherSchoolTeacher: [],
+  parent: ["student:view", "leave:apply"],
+  otherParent: [],
+};
+
+describe("policy", () => {
+  const school = id();
+  const academicYear = id();
+  const teachers = {
+    owner: id(),
+    coTeacher: id(),
+    substitute: id(),
+    expiredSubstitute: id(),
+    classTeacher: id(),
+    schoolTeacher: id(),
+    otherSchoolTeacher: id(),
+  };
+  let classroom;
+  let archived;
+  let student;
+  let otherStudent;
+  let actors;
+
+  before(async () => {
+    memoryDb.connect();
+
+    const homeRoom = new Classroom({
+      grade: "7",
+      section: "B",
+      subject: "Class Teacher",
+      teacher: teachers.classTeacher,
+      school,
+      academicYear,
+      classTeacher: true,
+    });
+    student = new Student({
+      name: "Asha",
+      school,
+      admissionNumber: "A1",
+      classrooms: [homeRoom._id],
+    });
+    otherStudent = new Student({
+      name: "Ravi",
+      school,
+      admissionNumber: "A2",
+      classrooms: [homeRoom._id],
+    });
+    homeRoom.students = [student._id, otherStudent._id];
+
+    classroom = new Classroom({
+      grade: "7",
+      section: "B",
+      subject: "Science",
+      teacher: teachers.owner,
+      school,
+      academicYear,
+      students: [student._id],
+      staff: [
+        { teacher: teachers.coTeacher, role: "co-teacher" },
+        {
+          teacher: teachers.substitute,
+          role: "substitute",
+          expiresAt: new Date(Date.now() + DAY),
+        },
+        {
+          teacher: teachers.expiredSubstitute,
+          role: "substitute",
+          expiresAt: new Date(Date.now() - DAY),
+        },
+      ],
+    });
+    archived = new Classroom({
+      ...classroom.toObject(),
+      _id: id(),
+      archived: true,
+    });
+    await memoryDb.seed(homeRoom, classroom, archived, student, otherStudent);
+
+    actors = {
+      ...Object.fromEntries(
+        Object.entries(teachers).map(([name, teacherId]) => [
+          name,
+          {
+            id: teacherId,
+            role: "teacher",
+            school: name === "otherSchoolTeacher" ? id() : school,
+          },
+        ])
+      ),
+      parent: { id: id(), role: "parent", students: [student._id] },
+      otherParent: { id: id(), role: "parent", students: [otherStudent._id] },
+    };
+  });
+
+  describe("can", () => {
+    Object.entries(ALLOWED).forEach(([actor, allowed]) => {
+      it(`allows ${actor} exactly ${allowed.length} actions`, async () => {
+        for (const action of CLASSROOM_ACTIONS) {
+          assert.equal(
+            await can(actors[actor], action, classroom),
+            allowed.includes(action),
+            `${actor} ${action}`
+          );
+        }
+      });
+
+      it(`allows ${actor} only to view an archived classroom`, async () => {
+        for (const action of CLASSROOM_ACTIONS) {
+          assert.equal(
+            await can(actors[actor], action, archived),
+            allowed.includes(action) && action.endsWith(":view"),
+            `${actor} ${action}`
+          );
+        }
+      });
+    });
+
+    it("denies everything without an actor", async () => {
+      for (const action of CLASSROOM_ACTIONS) {
+        assert.equal(await can(null, action, classroom), false, action);
+      }
+    });
+  });
+
+  describe("canAccessStudent", () => {
+    Object.entries(STUDENT_ALLOWED).forEach(([actor, allowed]) => {
+      it(`allows ${actor} exactly ${allowed.length} actions`, async () => {
+        for (const action of STUDENT_ACTIONS) {
+          assert.equal(
+            await canAccessStudent(actors[actor], action, student),
+            allowed.includes(action),
+            `${actor} ${action}`
+          );
+        }
+      });
+    });
+  });
+
+  describe("requireEnrolled", () => {
+    const remarkRoute = [authorizeClassroom("remark:write"), requireEnrolled()];
+    const request = (studentId) => ({
+      params: { id: classroom._id.toString(), studentId },
+      user: { _id: teachers.owner, school },
+      userRole: "teacher",
+    });
+
+    it("lets staff through for an enrolled student", async () => {
+      const res = await runMiddleware(
+        remarkRoute,
+        request(student._id.toString())
+      );
+      assert.equal(res.statusCode, 200);
+    });
+
+    it("returns 404 for a student outside the classroom", async () => {
+      const res = await runMiddleware(
+        remarkRoute,
+        request(otherStudent._id.toString())
+      );
+      assert.equal(res.statusCode, 404);
+      assert.equal(res.body.success, false);
+    });
+
+    it("returns 400 for a malformed student id", async () => {
+      const res = await runMiddleware(remarkRoute, request("not-an-id"));
+      assert.equal(res.statusCode, 400);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { useAuth } from "../context/authContext";
+import axios from "axios";
+import { Input } from "~/components/ui/input";
+import { useTranslation } from "react-i18next";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const ForgotPassword = () => {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { role } = useAuth();
+  const [email, setEmail] = useState("");
+  const [channel, setChannel] = useState("email");
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      setError("Please enter a valid email");
+      return;
+    }
+
+    setError("");
+    setIsLoading(true);
+
+    try {
+      await axios.post(`${API_URL}/api/${role}/password-reset/request`, {
+        email: email.trim(),
+        channel,
+      });
+      router.push({
+        pathname: "/verifyResetCode",
+        params: { email: email.trim() },
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send reset code");
+      console.error("Password reset request error:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView behavior="padding" className="flex-1">
+      <ScrollView
+        className="flex-1 bg-white"
+        contentContainerStyle={{
+          flexGrow: 1,
+          alignItems: "center",
+          justifyContent: "center",
+          padding: 20,
+        }}
+      >
+        <View className="items-center w-full">
+          <Image
+            source={require("../../assets/images/logo.jpg")}
+            className="w-48 h-48 mb-8"
+          />
+
+          <Text className="text-3xl font-bold text-blue-600 mb-2">
+            {t("Forgot Password")}
+          </Text>
+          <Text className="text-base text-gray-600 mb-5 text-center">
+            {t("Enter your registered email to receive a reset code")}
+          </Text>
+
+          <View className="w-full">
+            <Text className="text-base font-medium mb-1">{t("Email")}</Text>
+            <Input
+              placeholder="Enter your email"
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+              value={email}
+              onChangeText={(value) => {
+                setError("");
+                setEmail(value);
+              }}
+              editable={!isLoading}
+              className="bg-white"
+            />
+          </View>
+
+          {role === "parent" && (
+            <View className="w-full flex-row mt-4 gap-x-3">
+              {["email", "sms"].map((option) => (
+                <TouchableOpacity
+                  key={option}
+                  onPress={() => setChannel(option)}
+                  className={`flex-1 py-2 rounded-md border items-center ${
+                    channel === option
+                      ? "bg-blue-600 border-blue-600"
+                      : "bg-white border-gray-300"
+                  }`}
+                >
+                  <Text
+                    className={
+                      channel === option ? "text-white" : "text-gray-700"
+                    }
+                  >
+                    {option === "email" ? t("Send by email") : t("Send by SMS")}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {error ? (
+            <Text className="text-red-500 mt-2 mb-2 text-center">
+              {t(error)}
+            </Text>
+          ) : null}
+
+          <TouchableOpacity
+            className={`bg-blue-600 py-3 px-5 rounded-md w-full items-center mt-4 ${
+              isLoading ? "opacity-70" : ""
+            }`}
+            onPress={handleSubmit}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text className="text-white text-lg font-bold">
+                {t("Send Code")}
+              </Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            onPress={() => router.back()}
+            className="mt-5"
+            disabled={isLoading}
+          >
+            <Text className="text-blue-600 font-bold">
+              {t("Back to Login")}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+export default ForgotPassword;
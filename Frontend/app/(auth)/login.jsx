@@ -70,17 +70,18 @@ const Login = () => {
           `${API_URL}/api/teacher/login`,
           formData
         );
-        const { user, token } = response.data;
-        await login(user, token);
+        const { user, token, refreshToken } = response.data;
+        await login(user, token, refreshToken);
+        await registerForPushNotifications(token, "teacher");
         router.replace("teacher/(tabs)/home");
       } else if (role === "parent") {
         const response = await axios.post(
           `${API_URL}/api/parent/login`,
           formData
         );
-        const { user, token } = response.data;
-        await login(user, token);
-        await registerForPushNotifications(token);
+        const { user, token, refreshToken } = response.data;
+        await login(user, token, refreshToken);
+        await registerForPushNotifications(token, "parent");
         router.replace("parent/(tabs)/home");
       }
     } catch (err) {
@@ -91,7 +92,7 @@ const Login = () => {
     }
   };
 
-  const registerForPushNotifications = async (authToken) => {
+  const registerForPushNotifications = async (authToken, userRole) => {
     try {
       // Set up Android notification channel first
       if (Platform.OS === "android") {
@@ -132,7 +133,7 @@ const Login = () => {
       // Save token to server - using the auth token passed from login response
       try {
         await axios.put(
-          `${API_URL}/api/parent/push-token`,
+          `${API_URL}/api/${userRole}/push-token`,
           { pushToken: tokenData.data },
           {
             headers: {
@@ -208,6 +209,16 @@ const Login = () => {
                 className="bg-white"
               />
             </View>
+
+            <TouchableOpacity
+              onPress={() => router.push("/forgotPassword")}
+              disabled={isLoading}
+              className="self-end"
+            >
+              <Text className="text-blue-600 font-medium">
+                {t("Forgot Password")}?
+              </Text>
+            </TouchableOpacity>
           </View>
 
           {error ? (
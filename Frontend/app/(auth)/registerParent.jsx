@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo } from "react";
+import React, { useState, useCallback } from "react";
 import {
   View,
   Text,
@@ -15,6 +15,7 @@ import { MaterialIcons } from "@expo/vector-icons";
 import axios from "axios";
 import CustomDropdown from "./components/customDropdown";
 import useDropdown from "./components/useDropdown";
+import { useSchools } from "../hook/useSchools";
 import * as Notifications from "expo-notifications";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { Input } from "~/components/ui/input";
@@ -56,66 +57,7 @@ const ParentRegistrationScreen = () => {
   const [error, setError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
 
-  const schools = useMemo(
-    () => [
-      {
-        label: "Kendriya Vidyalaya, RK Puram, Delhi",
-        value: "Kendriya Vidyalaya, RK Puram, Delhi",
-      },
-      {
-        label: "Jawahar Navodaya Vidyalaya, Mumbai, Maharashtra",
-        value: "Jawahar Navodaya Vidyalaya, Mumbai, Maharashtra",
-      },
-      {
-        label: "Government Model School, Bangalore, Karnataka",
-        value: "Government Model School, Bangalore, Karnataka",
-      },
-      {
-        label: "Sarvodaya Vidyalaya, Chennai, Tamil Nadu",
-        value: "Sarvodaya Vidyalaya, Chennai, Tamil Nadu",
-      },
-
-      {
-        label: "Municipal Corporation School, Kolkata, West Bengal",
-        value: "Municipal Corporation School, Kolkata, West Bengal",
-      },
-      {
-        label: "Government Higher Secondary School, Pune, Maharashtra",
-        value: "Government Higher Secondary School, Pune, Maharashtra",
-      },
-      {
-        label: "State Board School, Jaipur, Rajasthan",
-        value: "State Board School, Jaipur, Rajasthan",
-      },
-
-      {
-        label: "Kendriya Vidyalaya, Patna, Bihar",
-        value: "Kendriya Vidyalaya, Patna, Bihar",
-      },
-      {
-        label: "Government Senior Secondary School, Bhopal, Madhya Pradesh",
-        value: "Government Senior Secondary School, Bhopal, Madhya Pradesh",
-      },
-      {
-        label: "Jawahar Navodaya Vidyalaya, Chandigarh",
-        value: "Jawahar Navodaya Vidyalaya, Chandigarh",
-      },
-      {
-        label: "Government Higher Secondary School, Shimla, Himachal Pradesh",
-        value: "Government Higher Secondary School, Shimla, Himachal Pradesh",
-      },
-      {
-        label: "Kendriya Vidyalaya, Ranchi, Jharkhand",
-        value: "Kendriya Vidyalaya, Ranchi, Jharkhand",
-      },
-
-      {
-        label: "Navyug School, Imphal, Manipur",
-        value: "Navyug School, Imphal, Manipur",
-      },
-    ],
-    []
-  );
+  const { schools } = useSchools(API_URL);
 
   const handleChange = useCallback(
     (name) => (value) => {
@@ -302,9 +244,9 @@ const ParentRegistrationScreen = () => {
         `${API_URL}/api/parent/register`,
         formData
       );
-      const { user, token } = response.data;
+      const { user, token, refreshToken } = response.data;
 
-      await login(user, token);
+      await login(user, token, refreshToken);
       await registerForPushNotifications(token);
       router.replace("parent/(tabs)/home");
     } catch (err) {
@@ -7,12 +7,14 @@ import {
   ScrollView,
   ActivityIndicator,
   KeyboardAvoidingView,
+  Alert,
 } from "react-native";
 import { useRouter } from "expo-router";
 import { useAuth } from "../context/authContext";
 import axios from "axios";
 import CustomDropdown from "./components/customDropdown";
 import useDropdown from "./components/useDropdown";
+import { useSchools } from "../hook/useSchools";
 import { Input } from "~/components/ui/input";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
@@ -31,63 +33,7 @@ const RegisterScreen = () => {
 
   const schoolDropdown = useDropdown();
 
-  const schools = [
-    {
-      label: "Kendriya Vidyalaya, RK Puram, Delhi",
-      value: "Kendriya Vidyalaya, RK Puram, Delhi",
-    },
-    {
-      label: "Jawahar Navodaya Vidyalaya, Mumbai, Maharashtra",
-      value: "Jawahar Navodaya Vidyalaya, Mumbai, Maharashtra",
-    },
-    {
-      label: "Government Model School, Bangalore, Karnataka",
-      value: "Government Model School, Bangalore, Karnataka",
-    },
-    {
-      label: "Sarvodaya Vidyalaya, Chennai, Tamil Nadu",
-      value: "Sarvodaya Vidyalaya, Chennai, Tamil Nadu",
-    },
-
-    {
-      label: "Municipal Corporation School, Kolkata, West Bengal",
-      value: "Municipal Corporation School, Kolkata, West Bengal",
-    },
-    {
-      label: "Government Higher Secondary School, Pune, Maharashtra",
-      value: "Government Higher Secondary School, Pune, Maharashtra",
-    },
-    {
-      label: "State Board School, Jaipur, Rajasthan",
-      value: "State Board School, Jaipur, Rajasthan",
-    },
-
-    {
-      label: "Kendriya Vidyalaya, Patna, Bihar",
-      value: "Kendriya Vidyalaya, Patna, Bihar",
-    },
-    {
-      label: "Government Senior Secondary School, Bhopal, Madhya Pradesh",
-      value: "Government Senior Secondary School, Bhopal, Madhya Pradesh",
-    },
-    {
-      label: "Jawahar Navodaya Vidyalaya, Chandigarh",
-      value: "Jawahar Navodaya Vidyalaya, Chandigarh",
-    },
-    {
-      label: "Government Higher Secondary School, Shimla, Himachal Pradesh",
-      value: "Government Higher Secondary School, Shimla, Himachal Pradesh",
-    },
-    {
-      label: "Kendriya Vidyalaya, Ranchi, Jharkhand",
-      value: "Kendriya Vidyalaya, Ranchi, Jharkhand",
-    },
-
-    {
-      label: "Navyug School, Imphal, Manipur",
-      value: "Navyug School, Imphal, Manipur",
-    },
-  ];
+  const { schools } = useSchools(API_URL);
 
   const handleChange = (name) => (value) => {
     setError("");
@@ -132,9 +78,16 @@ const RegisterScreen = () => {
         formData
       );
       console.log("Registration response:", response.data);
-      const { user, token } = response.data;
+      const { user, token, refreshToken, pendingApproval } = response.data;
 
-      await login(user, token);
+      // The school admin has to approve new teachers before they can login
+      if (pendingApproval) {
+        Alert.alert("Registration successful", response.data.message);
+        router.replace("/login");
+        return;
+      }
+
+      await login(user, token, refreshToken);
       router.replace("teacher/(tabs)/home");
     } catch (err) {
       setError(err.response?.data?.message || "Registration failed");
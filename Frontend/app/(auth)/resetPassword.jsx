@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Alert,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useAuth } from "../context/authContext";
+import axios from "axios";
+import { Input } from "~/components/ui/input";
+import { useTranslation } from "react-i18next";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const ResetPassword = () => {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { resetToken } = useLocalSearchParams();
+  const { role } = useAuth();
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: "",
+  });
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleChange = (name) => (value) => {
+    setError("");
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const handleSubmit = async () => {
+    if (formData.password.length < 8) {
+      setError("Password must be at least 8 characters long");
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setError("");
+    setIsLoading(true);
+
+    try {
+      await axios.post(`${API_URL}/api/${role}/password-reset/confirm`, {
+        resetToken,
+        password: formData.password,
+      });
+      Alert.alert(
+        t("Password Updated"),
+        t("Please login with your new password")
+      );
+      router.replace("/login");
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not reset password");
+      console.error("Password reset error:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView behavior="padding" className="flex-1">
+      <ScrollView
+        className="flex-1 bg-white"
+        contentContainerStyle={{
+          flexGrow: 1,
+          alignItems: "center",
+          justifyContent: "center",
+          padding: 20,
+        }}
+      >
+        <View className="items-center w-full">
+          <Text className="text-3xl font-bold text-blue-600 mb-5">
+            {t("Set New Password")}
+          </Text>
+
+          <View className="w-full gap-y-2">
+            <View>
+              <Text className="text-base font-medium mb-1">
+                {t("New Password")}
+              </Text>
+              <Input
+                placeholder="Enter new password"
+                secureTextEntry
+                value={formData.password}
+                onChangeText={handleChange("password")}
+                editable={!isLoading}
+                className="bg-white"
+              />
+            </View>
+
+            <View>
+              <Text className="text-base font-medium mb-1">
+                {t("Confirm Password")}
+              </Text>
+              <Input
+                placeholder="Re-enter new password"
+                secureTextEntry
+                value={formData.confirmPassword}
+                onChangeText={handleChange("confirmPassword")}
+                editable={!isLoading}
+                className="bg-white"
+              />
+            </View>
+          </View>
+
+          {error ? (
+            <Text className="text-red-500 mt-2 mb-2 text-center">
+              {t(error)}
+            </Text>
+          ) : null}
+
+          <TouchableOpacity
+            className={`bg-blue-600 py-3 px-5 rounded-md w-full items-center mt-4 ${
+              isLoading ? "opacity-70" : ""
+            }`}
+            onPress={handleSubmit}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text className="text-white text-lg font-bold">
+                {t("Update Password")}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useAuth } from "../context/authContext";
+import axios from "axios";
+import { Input } from "~/components/ui/input";
+import { useTranslation } from "react-i18next";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const VerifyResetCode = () => {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const { email } = useLocalSearchParams();
+  const { role } = useAuth();
+  const [code, setCode] = useState("");
+  const [error, setError] = useState("");
+  const [info, setInfo] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleVerify = async () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      setError("Please enter the 6-digit code");
+      return;
+    }
+
+    setError("");
+    setIsLoading(true);
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/${role}/password-reset/verify`,
+        { email, code: code.trim() }
+      );
+      router.replace({
+        pathname: "/resetPassword",
+        params: { resetToken: response.data.resetToken },
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || "Invalid or expired code");
+      console.error("Reset code verification error:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setError("");
+    setInfo("");
+    try {
+      await axios.post(`${API_URL}/api/${role}/password-reset/request`, {
+        email,
+      });
+      setInfo("A new code has been sent");
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send reset code");
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView behavior="padding" className="flex-1">
+      <ScrollView
+        className="flex-1 bg-white"
+        contentContainerStyle={{
+          flexGrow: 1,
+          alignItems: "center",
+          justifyContent: "center",
+          padding: 20,
+        }}
+      >
+        <View className="items-center w-full">
+          <Text className="text-3xl font-bold text-blue-600 mb-2">
+            {t("Enter Code")}
+          </Text>
+          <Text className="text-base text-gray-600 mb-5 text-center">
+            {t("We sent a 6-digit code to")} {email}
+          </Text>
+
+          <View className="w-full">
+            <Input
+              placeholder="000000"
+              keyboardType="number-pad"
+              maxLength={6}
+              value={code}
+              onChangeText={(value) => {
+                setError("");
+                setCode(value);
+              }}
+              editable={!isLoading}
+              className="bg-white text-center text-2xl tracking-widest"
+            />
+          </View>
+
+          {error ? (
+            <Text className="text-red-500 mt-2 mb-2 text-center">
+              {t(error)}
+            </Text>
+          ) : null}
+          {info ? (
+            <Text className="text-green-600 mt-2 mb-2 text-center">
+              {t(info)}
+            </Text>
+          ) : null}
+
+          <TouchableOpacity
+            className={`bg-blue-600 py-3 px-5 rounded-md w-full items-center mt-4 ${
+              isLoading ? "opacity-70" : ""
+            }`}
+            onPress={handleVerify}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text className="text-white text-lg font-bold">
+                {t("Verify")}
+              </Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            onPress={handleResend}
+            className="mt-5"
+            disabled={isLoading}
+          >
+            <Text className="text-base text-gray-600">
+              {t("Didn't get a code?")}{" "}
+              <Text className="text-blue-600 font-bold">{t("Resend")}</Text>
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+export default VerifyResetCode;
@@ -1,4 +1,10 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+} from "react";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useRouter } from "expo-router";
 import axios from "axios";
@@ -7,6 +13,53 @@ const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
 export const AuthContext = createContext();
 
+// Set by AuthProvider: refreshes the session, or ends it when the refresh
+// token no longer works
+let renewSession = null;
+
+// fetch responses carry the server's message; download results only have
+// a status, and a 401 there can only be a stale token
+const hasExpiredToken = async (response) => {
+  if (response.status !== 401) return false;
+  if (typeof response.clone !== "function") return true;
+
+  try {
+    const data = await response.clone().json();
+    return data.message === "Token has expired";
+  } catch (error) {
+    return false;
+  }
+};
+
+// For requests that don't go through axios, which the interceptor below
+// can't see, e.g. multipart uploads with fetch and FileSystem downloads.
+// send(token) is called with the stored access token and, when that has
+// expired, once more with a refreshed one.
+export const withFreshToken = async (send) => {
+  const response = await send(await AsyncStorage.getItem("token"));
+  if (!renewSession || !(await hasExpiredToken(response))) {
+    return response;
+  }
+
+  try {
+    return await send(await renewSession());
+  } catch (error) {
+    return response;
+  }
+};
+
+// fetch with the access token, refreshed when it has expired
+export const authFetch = (url, options = {}) =>
+  withFreshToken((token) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${token}`,
+      },
+    })
+  );
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -21,11 +74,99 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [role, setRole] = useState(null);
   const router = useRouter();
+  const refreshPromise = useRef(null);
 
   useEffect(() => {
     loadStoredAuthData();
   }, []);
 
+  // Access tokens are short-lived: when a request fails because the token
+  // expired, swap the refresh token for a new pair and replay the request.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const originalRequest = error.config;
+
+        if (
+          error.response?.status !== 401 ||
+          error.response?.data?.message !== "Token has expired" ||
+          !originalRequest ||
+          originalRequest._retry
+        ) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+
+        try {
+          const newToken = await refreshSession();
+          originalRequest.headers = {
+            ...originalRequest.headers,
+            Authorization: `Bearer ${newToken}`,
+          };
+          return axios(originalRequest);
+        } catch (refreshError) {
+          await clearSession();
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  useEffect(() => {
+    renewSession = async () => {
+      try {
+        return await refreshSession();
+      } catch (error) {
+        await clearSession();
+        throw error;
+      }
+    };
+
+    return () => {
+      renewSession = null;
+    };
+  }, []);
+
+  const refreshSession = async () => {
+    // Several requests can expire at once; share a single refresh call
+    if (!refreshPromise.current) {
+      refreshPromise.current = (async () => {
+        const [storedRefreshToken, storedRole] = await AsyncStorage.multiGet([
+          "refreshToken",
+          "userRole",
+        ]);
+
+        if (!storedRefreshToken[1] || !storedRole[1]) {
+          throw new Error("No refresh token available");
+        }
+
+        const response = await axios.post(
+          `${API_URL}/api/${storedRole[1]}/refresh`,
+          { refreshToken: storedRefreshToken[1] },
+          { _retry: true }
+        );
+
+        const { token: newToken, refreshToken: newRefreshToken } =
+          response.data;
+        await AsyncStorage.multiSet([
+          ["token", newToken],
+          ["refreshToken", newRefreshToken],
+        ]);
+        setToken(newToken);
+        axios.defaults.headers.common["Authorization"] = `Bearer ${newToken}`;
+        return newToken;
+      })().finally(() => {
+        refreshPromise.current = null;
+      });
+    }
+
+    return refreshPromise.current;
+  };
+
   const loadStoredAuthData = async () => {
     try {
       const [storedUser, storedToken] = await AsyncStorage.multiGet([
@@ -63,11 +204,12 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const login = async (userData, userToken) => {
+  const login = async (userData, userToken, userRefreshToken) => {
     try {
       await AsyncStorage.multiSet([
         ["user", JSON.stringify(userData)],
         ["token", userToken],
+        ["refreshToken", userRefreshToken],
       ]);
       setUser(userData);
       setToken(userToken);
@@ -78,13 +220,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = async () => {
+  const clearSession = async () => {
+    setUser(null);
+    setToken(null);
+    setRole(null);
+    delete axios.defaults.headers.common["Authorization"];
+    await AsyncStorage.clear();
+    router.replace("/role");
+  };
+
+  const logout = async ({ allDevices = false } = {}) => {
     try {
-      // If the user is a parent, clear their push token on the server before logging out
-      if (role === "parent" && token) {
+      // Clear the push token on the server before logging out
+      if (role && token) {
         try {
           await axios.put(
-            `${API_URL}/api/parent/push-token`,
+            `${API_URL}/api/${role}/push-token`,
             { pushToken: null },
             {
               headers: {
@@ -98,13 +249,25 @@ export const AuthProvider = ({ children }) => {
         }
       }
 
-      setUser(null);
-      setToken(null);
-      setRole(null);
-      delete axios.defaults.headers.common["Authorization"];
-      await AsyncStorage.clear();
+      // Revoke the session server-side so the refresh token stops working
+      if (role && token) {
+        try {
+          await axios.post(
+            `${API_URL}/api/${role}/${allDevices ? "logout-all" : "logout"}`,
+            {},
+            {
+              headers: {
+                Authorization: `Bearer ${token}`,
+              },
+            }
+          );
+        } catch (revokeError) {
+          console.error("Error revoking session:", revokeError);
+        }
+      }
+
       console.log("Logging out...");
-      router.replace("/role");
+      await clearSession();
     } catch (error) {
       await AsyncStorage.clear();
       console.error("Error during logout:", error);
@@ -0,0 +1,44 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// Schools available at registration, shaped for CustomDropdown
+export const useSchools = (API_URL) => {
+  const [schools, setSchools] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchSchools = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/api/school`);
+        if (isMounted) {
+          setSchools(
+            response.data.schools.map((school) => ({
+              label: school.name,
+              value: school._id,
+            }))
+          );
+        }
+      } catch (err) {
+        console.error("Error fetching schools:", err);
+        if (isMounted) {
+          setError(err);
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchSchools();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [API_URL]);
+
+  return { schools, loading, error };
+};
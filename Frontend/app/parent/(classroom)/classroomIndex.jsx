@@ -16,6 +16,9 @@ import { useClassroom } from "../../hook/useClassroom";
 import MarksSection from "../components/MarksSection";
 import { useTranslation } from "react-i18next";
 import MarksSkeleton from "../components/MarksSkeleton";
+import { AssignmentSubmission } from "../components/AssignmentSubmission";
+import AttachmentList from "~/components/AttachmentList";
+import axios from "axios";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 const SECTION_HEIGHT = 300;
@@ -51,6 +54,43 @@ const ClassroomDetail = () => {
     API_URL
   );
 
+  // The child's submissions, by assignment id
+  const [submissions, setSubmissions] = useState({});
+
+  useEffect(() => {
+    if (!params.id || !currentStudentId) return;
+
+    const fetchSubmissions = async () => {
+      try {
+        const response = await axios.get(
+          `${API_URL}/api/parent/classroom/${params.id}/submissions`,
+          {
+            headers: { Authorization: `Bearer ${token}` },
+            params: { studentId: currentStudentId },
+          }
+        );
+        setSubmissions(
+          Object.fromEntries(
+            response.data.submissions.map((submission) => [
+              submission.assignment,
+              submission,
+            ])
+          )
+        );
+      } catch (error) {
+        console.error("Error fetching submissions:", error);
+      }
+    };
+    fetchSubmissions();
+  }, [params.id, currentStudentId, token]);
+
+  const handleSubmitted = useCallback((submission) => {
+    setSubmissions((current) => ({
+      ...current,
+      [submission.assignment]: submission,
+    }));
+  }, []);
+
   const handleSectionChange = useCallback((section) => {
     setActiveSection(section);
     if (section === "marks") {
@@ -119,7 +159,13 @@ const ClassroomDetail = () => {
               <Text className="text-gray-600">{announcement.content}</Text>
               <Text className="text-gray-400 text-sm mt-2">
                 {new Date(announcement.createdAt).toLocaleDateString()}
+                {announcement.editedAt ? ` · ${t("Edited")}` : ""}
               </Text>
+              <AttachmentList
+                attachments={announcement.attachments}
+                baseUrl={`${API_URL}/api/parent/classroom/${params.id}/announcement/${announcement._id}/attachments`}
+                token={token}
+              />
             </View>
           ))
         ) : (
@@ -129,7 +175,7 @@ const ClassroomDetail = () => {
         )}
       </ScrollView>
     ),
-    [classroom?.announcements, t]
+    [classroom?.announcements, params.id, token, t]
   );
 
   const renderAssignments = useMemo(
@@ -152,7 +198,22 @@ const ClassroomDetail = () => {
               </Text>
               <Text className="text-blue-600">
                 {t("Due")}: {new Date(assignment.dueDate).toLocaleDateString()}
+                {assignment.editedAt ? ` · ${t("Edited")}` : ""}
               </Text>
+              <AttachmentList
+                attachments={assignment.attachments}
+                baseUrl={`${API_URL}/api/parent/classroom/${params.id}/assignment/${assignment._id}/attachments`}
+                token={token}
+              />
+              {currentStudentId && (
+                <AssignmentSubmission
+                  classroomId={params.id}
+                  assignment={assignment}
+                  studentId={currentStudentId}
+                  submission={submissions[assignment._id]}
+                  onSubmitted={handleSubmitted}
+                />
+              )}
             </View>
           ))
         ) : (
@@ -162,7 +223,15 @@ const ClassroomDetail = () => {
         )}
       </ScrollView>
     ),
-    [classroom?.assignments, t]
+    [
+      classroom?.assignments,
+      submissions,
+      currentStudentId,
+      params.id,
+      token,
+      handleSubmitted,
+      t,
+    ]
   );
 
   const renderSection = useCallback(() => {
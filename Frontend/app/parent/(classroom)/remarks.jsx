@@ -338,8 +338,8 @@ const ParentRemark = () => {
   const playVoiceMessage = useCallback(
     async (content, messageId) => {
       try {
-        // Ensure content is a base64 audio data URI
-        if (!content.startsWith("data:audio")) {
+        // Voice messages come with a short-lived link to the recording
+        if (!/^(https?:|data:audio)/.test(content || "")) {
           throw new Error("Invalid audio content");
         }
 
@@ -388,7 +388,7 @@ const ParentRemark = () => {
           setPlaybackState("playing");
         }
 
-        // Create sound from base64 content
+        // Stream the recording from its link
         const { sound: newSound } = await Audio.Sound.createAsync(
           { uri: content },
           { progressUpdateIntervalMillis: 100 }
@@ -274,7 +274,7 @@ const ChatBot = () => {
           return {
             studentName: student.name || "Unknown",
             admissionNo: student.admissionNumber || "Unknown",
-            school: student.school || "Unknown",
+            school: student.school?.name || "Unknown",
             grade: classroom.grade || "Unknown",
             section: classroom.section || "Unknown",
             subject: classroom.subject || "Unknown",
@@ -7,7 +7,7 @@ import {
   ActivityIndicator,
   RefreshControl,
 } from "react-native";
-import { useRouter } from "expo-router";
+import { useRouter, useLocalSearchParams } from "expo-router";
 import { useAuth } from "../../context/authContext";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import NetInfo from "@react-native-community/netinfo";
@@ -15,6 +15,9 @@ import axios from "axios";
 import { ParentDashboardHeader } from "../components/ParentDashboardHeader";
 import { StudentDashboardTabs } from "../components/StudentDashboardTabs";
 import { ClassroomsList } from "../components/ClassroomsList";
+import { ReportCardButton } from "../components/ReportCardButton";
+import { LeaveSection } from "../components/LeaveSection";
+import { TodaySchedule } from "../components/TodaySchedule";
 import { useTranslation } from "react-i18next";
 import { useFocusEffect } from "@react-navigation/native";
 
@@ -23,13 +26,27 @@ const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 export default function HomeScreen() {
   const { t } = useTranslation();
   const router = useRouter();
+  const params = useLocalSearchParams();
   const { user, token } = useAuth();
   const [profileData, setProfileData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [currentStudentIndex, setCurrentStudentIndex] = useState(0);
   const [isOnline, setIsOnline] = useState(true);
-  const [activeTab, setActiveTab] = useState("timetable");
+  const [activeTab, setActiveTab] = useState(params.tab || "timetable");
+
+  // Opened from a notification about one child, e.g. an absence alert
+  useEffect(() => {
+    if (params.tab) {
+      setActiveTab(params.tab);
+    }
+    const index = profileData?.students?.findIndex(
+      (student) => student._id === params.studentId
+    );
+    if (params.studentId && index >= 0) {
+      setCurrentStudentIndex(index);
+    }
+  }, [params.tab, params.studentId, profileData?.students?.length]);
 
   // Initial load on mount
   useEffect(() => {
@@ -143,7 +160,7 @@ export default function HomeScreen() {
       (classroom) => classroom.classTeacher === true
     );
 
-    if (!classTeacherRoom?.timetable?.image) {
+    if (!classTeacherRoom?.timetable) {
       return (
         <View className="items-center justify-center p-8">
           <Text className="text-gray-500">{t("No timetable available")}</Text>
@@ -153,14 +170,15 @@ export default function HomeScreen() {
 
     return (
       <View className="">
-        <Image
-          source={{
-            uri: `data:image/jpeg;base64,${classTeacherRoom.timetable.image}`,
-          }}
-          className="w-full h-auto items-start self-start"
-          style={{ aspectRatio: 1.9 }}
-          resizeMode="contain"
-        />
+        <TodaySchedule student={student} token={token} />
+        {classTeacherRoom.timetable.imageUrl && (
+          <Image
+            source={{ uri: classTeacherRoom.timetable.imageUrl }}
+            className="w-full h-auto items-start self-start"
+            style={{ aspectRatio: 1.9 }}
+            resizeMode="contain"
+          />
+        )}
       </View>
     );
   };
@@ -211,6 +229,10 @@ export default function HomeScreen() {
       />
 
       <ClassroomsList student={currentStudent} router={router} />
+
+      <LeaveSection student={currentStudent} token={token} />
+
+      <ReportCardButton student={currentStudent} token={token} />
     </ScrollView>
   );
 }
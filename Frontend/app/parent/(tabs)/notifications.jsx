@@ -40,6 +40,10 @@ const NotificationItem = ({ notification, onPress }) => {
         );
       case "remark":
         return <MaterialIcons name="comment" size={24} color="#8b5cf6" />;
+      case "mark":
+        return <MaterialIcons name="grade" size={24} color="#ef4444" />;
+      case "leave":
+        return <MaterialIcons name="event-busy" size={24} color="#0ea5e9" />;
       default:
         return <MaterialIcons name="notifications" size={24} color="#6b7280" />;
     }
@@ -165,8 +169,29 @@ const NotificationsScreen = () => {
           section: notification.classroom.section,
           subject: notification.classroom.subject,
           activeSection: "assignments",
+          // Set when a child's submitted work was graded
+          studentId: notification.student,
         },
       });
+    } else if (notification.type === "mark" && notification.classroom?._id) {
+      router.push({
+        pathname: `../(classroom)/classroomIndex`,
+        params: {
+          id: notification.classroom._id,
+          grade: notification.classroom.grade,
+          section: notification.classroom.section,
+          subject: notification.classroom.subject,
+          activeSection: "marks",
+        },
+      });
+    } else if (
+      notification.type === "attendance" ||
+      notification.type === "leave"
+    ) {
+      router.push({
+        pathname: "./home",
+        params: { tab: "attendance", studentId: notification.student },
+      });
     } else if (notification.type === "remark" && notification.classroom?._id) {
       router.push({
         pathname: `../(classroom)/classroomIndex`,
@@ -133,12 +133,25 @@ const ProfileScreen = () => {
     }
   };
 
+  const handleLogoutAllDevices = async () => {
+    try {
+      await logout({ allDevices: true });
+    } catch (error) {
+      console.log("Logout error:", error);
+    }
+  };
+
   return (
     <ScrollView className="flex-1 bg-gray-50">
       {/* Profile Header */}
       <View className="bg-blue-500 pt-5 pb-8 rounded-b-3xl shadow-lg">
         {/* Top Bar with Logout */}
-        <View className="flex-row justify-end px-4 mb-4">
+        <View className="flex-row justify-end items-center px-4 mb-4">
+          <TouchableOpacity onPress={handleLogoutAllDevices} className="mr-3">
+            <Text className="text-white text-xs underline">
+              {t("Logout from all devices")}
+            </Text>
+          </TouchableOpacity>
           <TouchableOpacity
             onPress={handleLogout}
             className="flex-row items-center bg-red-500 px-4 py-2 rounded-full"
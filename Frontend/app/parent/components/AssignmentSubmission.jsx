@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import * as DocumentPicker from "expo-document-picker";
+import { useTranslation } from "react-i18next";
+import DownloadService from "../../services/DownloadService";
+import { authFetch } from "../../context/authContext";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const FILE_TYPES = ["image/*", "application/pdf", "audio/*"];
+const MAX_FILES = 5;
+
+const fileIcon = (mimetype) =>
+  mimetype.startsWith("image/")
+    ? "image"
+    : mimetype.startsWith("audio/")
+    ? "mic"
+    : "picture-as-pdf";
+
+// A child's work for one assignment: hand it in (photos, PDFs or voice
+// recordings) and see the teacher's grade and feedback
+export const AssignmentSubmission = ({
+  classroomId,
+  assignment,
+  studentId,
+  submission,
+  onSubmitted,
+}) => {
+  const { t } = useTranslation();
+  const [uploading, setUploading] = useState(false);
+
+  const graded = submission?.status === "graded";
+
+  const pickAndSubmit = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: FILE_TYPES,
+      multiple: true,
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled) return;
+
+    if (result.assets.length > MAX_FILES) {
+      Alert.alert(t("Error"), t("You can attach up to 5 files"));
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append("studentId", studentId);
+      result.assets.forEach((file) => {
+        formData.append("files", {
+          uri: file.uri,
+          type: file.mimeType,
+          name: file.name,
+        });
+      });
+
+      const response = await authFetch(
+        `${API_URL}/api/parent/classroom/${classroomId}/assignment/${assignment._id}/submission`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "multipart/form-data",
+          },
+          body: formData,
+        }
+      );
+      const data = await response.json();
+
+      if (!data.success) {
+        Alert.alert(t("Error"), data.message);
+        return;
+      }
+
+      Alert.alert(t("Success"), t("Work submitted to the teacher"));
+      onSubmitted(data.submission);
+    } catch (error) {
+      console.error("Error submitting work:", error);
+      Alert.alert(t("Error"), t("Failed to submit work"));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const openFile = async (file) => {
+    try {
+      await DownloadService.downloadFile({
+        url: `${API_URL}/api/parent/classroom/${classroomId}/submissions/${submission._id}/files/${file._id}`,
+        filename: file.name,
+        mimeType: file.mimetype,
+      });
+    } catch (error) {
+      console.error("Error opening file:", error);
+      Alert.alert(t("Error"), t("Failed to open file"));
+    }
+  };
+
+  return (
+    <View className="mt-3 pt-3 border-t border-blue-100">
+      {submission ? (
+        <>
+          <Text
+            className={`font-medium ${
+              submission.late ? "text-orange-600" : "text-green-700"
+            }`}
+          >
+            {submission.late ? t("Submitted late") : t("Submitted")}:{" "}
+            {new Date(submission.submittedAt).toLocaleDateString()}
+          </Text>
+          {submission.files.map((file) => (
+            <TouchableOpacity
+              key={file._id}
+              className="flex-row items-center py-1"
+              onPress={() => openFile(file)}
+            >
+              <MaterialIcons
+                name={fileIcon(file.mimetype)}
+                size={18}
+                color="#3b82f6"
+              />
+              <Text className="text-blue-600 ml-1 flex-1" numberOfLines={1}>
+                {file.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {graded && (
+            <View className="bg-white rounded-lg p-2 mt-2">
+              {submission.grade ? (
+                <Text className="text-gray-800 font-semibold">
+                  {t("Grade")}: {submission.grade}
+                </Text>
+              ) : null}
+              {submission.feedback ? (
+                <Text className="text-gray-600">
+                  {t("Teacher's feedback")}: {submission.feedback}
+                </Text>
+              ) : null}
+            </View>
+          )}
+        </>
+      ) : (
+        <Text className="text-gray-500 italic">{t("Not submitted yet")}</Text>
+      )}
+
+      {!graded && (
+        <TouchableOpacity
+          className="bg-blue-500 px-3 py-2 rounded-lg flex-row items-center justify-center mt-2"
+          onPress={pickAndSubmit}
+          disabled={uploading}
+        >
+          {uploading ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <>
+              <MaterialIcons name="upload-file" size={18} color="white" />
+              <Text className="text-white font-semibold ml-1">
+                {submission ? t("Resubmit Work") : t("Submit Work")}
+              </Text>
+            </>
+          )}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
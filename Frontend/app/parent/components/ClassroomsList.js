@@ -104,6 +104,52 @@ export const ClassroomsList = ({ student, router }) => {
           {t("No classrooms assigned yet")}
         </Text>
       )}
+
+      {/* Classrooms of earlier academic years, read-only */}
+      {student.history?.length > 0 && (
+        <View className="mt-4">
+          <Text className="text-base font-semibold text-blue-900 mb-2">
+            {t("Previous Years")}
+          </Text>
+
+          {[...student.history].reverse().map((year) => (
+            <View
+              key={year._id}
+              className="bg-white border border-gray-200 rounded-lg p-3 mb-2"
+            >
+              <Text className="font-semibold text-gray-800">
+                {year.academicYear?.name} · {t("Class")} {year.grade} -{" "}
+                {year.section}
+              </Text>
+
+              <View className="flex-row flex-wrap gap-2 mt-2">
+                {year.classrooms?.map((classroom) => (
+                  <TouchableOpacity
+                    key={classroom._id}
+                    className="px-3 py-1 bg-gray-100 rounded-full"
+                    onPress={() =>
+                      router.push({
+                        pathname: "../(classroom)/classroomIndex",
+                        params: {
+                          id: classroom._id,
+                          subject: classroom.subject,
+                          grade: classroom.grade,
+                          section: classroom.section,
+                          studentId: student._id,
+                        },
+                      })
+                    }
+                  >
+                    <Text className="text-sm text-gray-700">
+                      {t(classroom.subject)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          ))}
+        </View>
+      )}
     </View>
   );
 };
@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import * as DocumentPicker from "expo-document-picker";
+import axios from "axios";
+import { useTranslation } from "react-i18next";
+import { authFetch } from "../../context/authContext";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const ATTACHMENT_TYPES = ["image/png", "image/jpeg", "application/pdf"];
+
+// Requests shown on the dashboard
+const MAX_SHOWN = 5;
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+  cancelled: "bg-gray-100 text-gray-600",
+};
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  approved: "Approved",
+  rejected: "Rejected",
+  cancelled: "Cancelled",
+};
+
+const today = () => new Date().toISOString().split("T")[0];
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "short",
+  });
+
+const emptyForm = () => ({
+  startDate: today(),
+  endDate: today(),
+  reason: "",
+  attachment: null,
+});
+
+// Apply for a child's leave and follow the class teacher's decision
+export const LeaveSection = ({ student, token }) => {
+  const { t } = useTranslation();
+  const [leaveRequests, setLeaveRequests] = useState([]);
+  const [formVisible, setFormVisible] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (student?._id) fetchLeaveRequests();
+  }, [student?._id]);
+
+  const fetchLeaveRequests = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/parent/student/${student._id}/leave`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      setLeaveRequests(response.data.leaveRequests || []);
+    } catch (error) {
+      console.error("Error fetching leave requests:", error);
+    }
+  };
+
+  const pickAttachment = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ATTACHMENT_TYPES,
+      copyToCacheDirectory: true,
+    });
+    if (!result.canceled) {
+      setForm({ ...form, attachment: result.assets[0] });
+    }
+  };
+
+  const submit = async () => {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(form.startDate) || !datePattern.test(form.endDate)) {
+      Alert.alert(t("Error"), t("Please enter dates as YYYY-MM-DD"));
+      return;
+    }
+    if (!form.reason.trim()) {
+      Alert.alert(t("Error"), t("Please enter the reason for leave"));
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const formData = new FormData();
+      formData.append("startDate", form.startDate);
+      formData.append("endDate", form.endDate);
+      formData.append("reason", form.reason.trim());
+      if (form.attachment) {
+        formData.append("attachment", {
+          uri: form.attachment.uri,
+          type: form.attachment.mimeType,
+          name: form.attachment.name,
+        });
+      }
+
+      const response = await authFetch(
+        `${API_URL}/api/parent/student/${student._id}/leave`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "multipart/form-data",
+          },
+          body: formData,
+        }
+      );
+      const data = await response.json();
+
+      if (!data.success) {
+        Alert.alert(t("Error"), data.message);
+        return;
+      }
+
+      Alert.alert(t("Success"), t("Leave request sent to the class teacher"));
+      setFormVisible(false);
+      setForm(emptyForm());
+      fetchLeaveRequests();
+    } catch (error) {
+      console.error("Error applying for leave:", error);
+      Alert.alert(t("Error"), t("Failed to send leave request"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancelRequest = async (leave) => {
+    try {
+      await axios.put(
+        `${API_URL}/api/parent/student/${student._id}/leave/${leave._id}/cancel`,
+        {},
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      fetchLeaveRequests();
+    } catch (error) {
+      console.error("Error cancelling leave request:", error);
+      Alert.alert(t("Error"), t("Failed to cancel leave request"));
+    }
+  };
+
+  return (
+    <View className="mx-2 mb-4 bg-white rounded-lg p-3">
+      <View className="flex-row justify-between items-center mb-2">
+        <Text className="text-base font-medium text-gray-800">
+          {t("Leave Requests")}
+        </Text>
+        <TouchableOpacity
+          className="bg-blue-500 px-3 py-2 rounded-lg flex-row items-center"
+          onPress={() => setFormVisible(true)}
+        >
+          <MaterialIcons name="event-busy" size={18} color="white" />
+          <Text className="text-white font-semibold ml-1">
+            {t("Apply for Leave")}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {leaveRequests.length === 0 && (
+        <Text className="text-gray-500 italic">{t("No leave requests")}</Text>
+      )}
+      {leaveRequests.slice(0, MAX_SHOWN).map((leave) => (
+        <View key={leave._id} className="py-2 border-b border-gray-100">
+          <View className="flex-row justify-between items-center">
+            <Text className="text-gray-800 font-medium">
+              {formatDay(leave.startDate)}
+              {leave.endDate !== leave.startDate
+                ? ` - ${formatDay(leave.endDate)}`
+                : ""}
+            </Text>
+            <Text
+              className={`px-2 py-1 rounded-full text-xs ${
+                STATUS_STYLES[leave.status]
+              }`}
+            >
+              {t(STATUS_LABELS[leave.status])}
+            </Text>
+          </View>
+          <Text className="text-gray-600">{leave.reason}</Text>
+          {leave.reviewNote ? (
+            <Text className="text-gray-500 text-sm">
+              {t("Teacher's note")}: {leave.reviewNote}
+            </Text>
+          ) : null}
+          {leave.status === "pending" && (
+            <TouchableOpacity onPress={() => cancelRequest(leave)}>
+              <Text className="text-red-500 text-sm mt-1">
+                {t("Cancel Request")}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+
+      <Modal
+        transparent
+        visible={formVisible}
+        animationType="fade"
+        onRequestClose={() => setFormVisible(false)}
+      >
+        <View className="flex-1 justify-center items-center bg-black/50">
+          <View className="bg-white w-11/12 rounded-2xl p-5">
+            <Text className="text-xl font-bold text-blue-600 mb-3">
+              {t("Apply for Leave")}
+            </Text>
+
+            <Text className="text-gray-700 mb-1">{t("From")}</Text>
+            <TextInput
+              className="border border-gray-300 rounded-lg p-2 mb-2"
+              placeholder="YYYY-MM-DD"
+              value={form.startDate}
+              onChangeText={(text) => setForm({ ...form, startDate: text })}
+            />
+            <Text className="text-gray-700 mb-1">{t("To")}</Text>
+            <TextInput
+              className="border border-gray-300 rounded-lg p-2 mb-2"
+              placeholder="YYYY-MM-DD"
+              value={form.endDate}
+              onChangeText={(text) => setForm({ ...form, endDate: text })}
+            />
+            <Text className="text-gray-700 mb-1">{t("Reason")}</Text>
+            <TextInput
+              className="border border-gray-300 rounded-lg p-2 mb-2"
+              value={form.reason}
+              onChangeText={(text) => setForm({ ...form, reason: text })}
+              multiline
+            />
+
+            <TouchableOpacity
+              className="flex-row items-center py-2"
+              onPress={pickAttachment}
+            >
+              <MaterialIcons name="attach-file" size={20} color="#3b82f6" />
+              <Text className="text-blue-600 ml-1 flex-1" numberOfLines={1}>
+                {form.attachment
+                  ? form.attachment.name
+                  : t("Attach a document (optional)")}
+              </Text>
+            </TouchableOpacity>
+
+            <View className="flex-row justify-end gap-2 mt-3">
+              <TouchableOpacity
+                className="px-4 py-3 rounded-lg bg-gray-200"
+                onPress={() => setFormVisible(false)}
+              >
+                <Text className="text-gray-700 font-medium">{t("Cancel")}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                className="px-4 py-3 rounded-lg bg-blue-500"
+                onPress={submit}
+                disabled={submitting}
+              >
+                {submitting ? (
+                  <ActivityIndicator color="white" />
+                ) : (
+                  <Text className="text-white font-semibold">
+                    {t("Submit")}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
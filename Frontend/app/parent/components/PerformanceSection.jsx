@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { View, Text, ScrollView, Dimensions } from "react-native";
+import { LineChart, BarChart } from "react-native-chart-kit";
+import { useTranslation } from "react-i18next";
+import axios from "axios";
+import { useAuth } from "../../context/authContext";
+import MarksSkeleton from "./MarksSkeleton";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+const screenWidth = Dimensions.get("window").width - 40;
+
+// Only the most recent exams fit on a phone screen
+const MAX_TREND_POINTS = 8;
+
+const chartConfig = {
+  backgroundGradientFrom: "#ffffff",
+  backgroundGradientTo: "#ffffff",
+  color: (opacity = 1) => `rgba(59, 130, 246, ${opacity})`,
+  strokeWidth: 2,
+  barPercentage: 0.6,
+  decimalPlaces: 0,
+  labelColor: (opacity = 1) => `rgba(55, 65, 81, ${opacity})`,
+  propsForLabels: {
+    fontSize: 10,
+  },
+};
+
+const StatCard = ({ label, value, className }) => (
+  <View className={`flex-1 py-2 px-3 rounded-xl ${className}`}>
+    <Text className="text-gray-700 text-sm">{label}</Text>
+    <Text className="text-xl font-bold text-gray-900">{value}</Text>
+  </View>
+);
+
+export const PerformanceSection = ({ student }) => {
+  const { t } = useTranslation();
+  const { token } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [analytics, setAnalytics] = useState(null);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [student?._id]);
+
+  const fetchAnalytics = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/parent/student/${student._id}/analytics`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      setAnalytics(response.data.analytics);
+    } catch (error) {
+      console.error("Error fetching analytics:", error);
+      setAnalytics(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const trendData = useMemo(() => {
+    const points = (analytics?.trend || []).slice(-MAX_TREND_POINTS);
+    return {
+      labels: points.map((point) => point.subject.substring(0, 4)),
+      datasets: [
+        {
+          data: points.map((point) => point.percentage),
+          color: (opacity = 1) => `rgba(59, 130, 246, ${opacity})`,
+        },
+        {
+          data: points.map((point) => point.classAverage),
+          color: (opacity = 1) => `rgba(234, 88, 12, ${opacity})`,
+        },
+      ],
+    };
+  }, [analytics]);
+
+  const subjectData = useMemo(() => {
+    const subjects = (analytics?.subjects || []).filter(
+      (subject) => subject.percentage !== null
+    );
+    return {
+      labels: subjects.map((subject) => subject.subject.substring(0, 5)),
+      datasets: [{ data: subjects.map((subject) => subject.percentage) }],
+    };
+  }, [analytics]);
+
+  const distributionData = useMemo(
+    () => ({
+      // "0-9" -> "0" keeps ten labels readable
+      labels: (analytics?.distribution.labels || []).map(
+        (label) => label.split("-")[0]
+      ),
+      datasets: [{ data: analytics?.distribution.counts || [] }],
+    }),
+    [analytics]
+  );
+
+  if (loading) {
+    return <MarksSkeleton />;
+  }
+
+  if (!analytics || analytics.trend.length === 0) {
+    return (
+      <View className="items-center justify-center p-8">
+        <Text className="text-gray-500">{t("No results published yet")}</Text>
+      </View>
+    );
+  }
+
+  const { overall } = analytics;
+
+  return (
+    <ScrollView className="space-y-2">
+      {/* Summary */}
+      <View className="flex-row gap-2 mb-2">
+        <StatCard
+          label={t("Overall")}
+          value={`${overall.percentage}%${
+            overall.grade ? ` (${overall.grade})` : ""
+          }`}
+          className="bg-blue-100"
+        />
+        <StatCard
+          label={t("Class Average")}
+          value={`${overall.classAverage}%`}
+          className="bg-orange-100"
+        />
+        <StatCard
+          label={t("Percentile")}
+          value={overall.percentile}
+          className="bg-green-100"
+        />
+      </View>
+
+      {/* Trend */}
+      <Text className="text-base font-medium text-gray-800">
+        {t("Performance Trend")}
+      </Text>
+      <LineChart
+        data={trendData}
+        width={screenWidth}
+        height={180}
+        chartConfig={chartConfig}
+        yAxisSuffix="%"
+        fromZero
+        bezier
+        style={{ borderRadius: 8 }}
+      />
+      <View className="flex-row justify-center mb-2">
+        <View className="flex-row items-center mr-4">
+          <View className="w-3 h-3 bg-blue-600 rounded-full mr-1" />
+          <Text className="text-gray-600">{t("Your Score")} %</Text>
+        </View>
+        <View className="flex-row items-center">
+          <View className="w-3 h-3 bg-orange-600 rounded-full mr-1" />
+          <Text className="text-gray-600">{t("Class Average")} %</Text>
+        </View>
+      </View>
+
+      {/* Subjects */}
+      {subjectData.labels.length > 0 && (
+        <>
+          <Text className="text-base font-medium text-gray-800">
+            {t("Subject-wise Performance")}
+          </Text>
+          <BarChart
+            data={subjectData}
+            width={screenWidth}
+            height={180}
+            chartConfig={chartConfig}
+            yAxisSuffix="%"
+            fromZero
+            showValuesOnTopOfBars
+            style={{ borderRadius: 8 }}
+          />
+          {analytics.subjects
+            .filter((subject) => subject.percentage !== null)
+            .map((subject) => (
+              <View
+                key={subject.classroomId}
+                className="flex-row justify-between py-1 border-b border-gray-100"
+              >
+                <Text className="text-gray-800">{subject.subject}</Text>
+                <Text className="text-gray-600">
+                  {subject.percentage}%
+                  {subject.grade ? ` (${subject.grade})` : ""} ·{" "}
+                  {t("Percentile")} {subject.percentile}
+                </Text>
+              </View>
+            ))}
+        </>
+      )}
+
+      {/* Where the class stands */}
+      <Text className="text-base font-medium text-gray-800 mt-2">
+        {t("Class Distribution")}
+      </Text>
+      <BarChart
+        data={distributionData}
+        width={screenWidth}
+        height={160}
+        chartConfig={{
+          ...chartConfig,
+          color: (opacity = 1) => `rgba(16, 185, 129, ${opacity})`,
+        }}
+        fromZero
+        style={{ borderRadius: 8 }}
+      />
+      <Text className="text-xs text-gray-500 text-center">
+        {t("Students by overall percentage")}
+      </Text>
+    </ScrollView>
+  );
+};
@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import axios from "axios";
+import { useTranslation } from "react-i18next";
+import DownloadService from "../../services/DownloadService";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+export const ReportCardButton = ({ student, token }) => {
+  const { t } = useTranslation();
+  const [academicYears, setAcademicYears] = useState([]);
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const openPicker = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/parent/student/${student._id}/report-cards`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      setAcademicYears(response.data.academicYears || []);
+      setPickerVisible(true);
+    } catch (error) {
+      console.error("Error fetching report card terms:", error);
+      Alert.alert(t("Error"), t("Failed to download report card"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const download = async (academicYear, term) => {
+    setPickerVisible(false);
+    setLoading(true);
+    try {
+      const query = term
+        ? `academicYear=${academicYear._id}&term=${term._id}`
+        : `academicYear=${academicYear._id}`;
+
+      await DownloadService.downloadAndShare({
+        url: `${API_URL}/api/parent/student/${student._id}/report-card?${query}`,
+        filename: `report-card-${student.name}-${
+          term ? term.name : academicYear.name
+        }`.replace(/[^a-zA-Z0-9]+/g, "-"),
+        format: "pdf",
+      });
+    } catch (error) {
+      console.error("Error downloading report card:", error);
+      Alert.alert(t("Error"), t("Failed to download report card"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View className="mx-2 mb-6">
+      <TouchableOpacity
+        className="bg-blue-500 py-3 rounded-lg flex-row justify-center items-center"
+        onPress={openPicker}
+        disabled={loading}
+      >
+        {loading ? (
+          <ActivityIndicator color="white" />
+        ) : (
+          <>
+            <MaterialIcons name="description" size={20} color="white" />
+            <Text className="text-white font-semibold ml-2">
+              {t("Download Report Card")}
+            </Text>
+          </>
+        )}
+      </TouchableOpacity>
+
+      <Modal
+        transparent
+        visible={pickerVisible}
+        animationType="fade"
+        onRequestClose={() => setPickerVisible(false)}
+      >
+        <View className="flex-1 justify-center items-center bg-black/50">
+          <View className="bg-white w-11/12 rounded-2xl p-5 max-h-[70%]">
+            <Text className="text-xl font-bold text-blue-600 mb-3">
+              {t("Choose a term")}
+            </Text>
+
+            <ScrollView>
+              {academicYears.length === 0 && (
+                <Text className="text-gray-500 italic">
+                  {t("No report cards yet")}
+                </Text>
+              )}
+              {academicYears.map((academicYear) => (
+                <View key={academicYear._id} className="mb-3">
+                  <Text className="font-semibold text-gray-800 mb-1">
+                    {academicYear.name}
+                  </Text>
+                  {academicYear.terms.map((term) => (
+                    <TouchableOpacity
+                      key={term._id}
+                      className="py-2 px-3 bg-gray-100 rounded-lg mb-1"
+                      onPress={() => download(academicYear, term)}
+                    >
+                      <Text className="text-gray-700">{term.name}</Text>
+                    </TouchableOpacity>
+                  ))}
+                  <TouchableOpacity
+                    className="py-2 px-3 bg-gray-100 rounded-lg mb-1"
+                    onPress={() => download(academicYear)}
+                  >
+                    <Text className="text-gray-700">{t("Full Year")}</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </ScrollView>
+
+            <TouchableOpacity
+              className="mt-3 py-3 rounded-lg items-center bg-gray-200"
+              onPress={() => setPickerVisible(false)}
+            >
+              <Text className="text-gray-700 font-medium">{t("Cancel")}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
@@ -9,7 +9,11 @@ import {
 import { MaterialIcons, FontAwesome5 } from "@expo/vector-icons";
 import { useState, useEffect } from "react";
 import { AttendanceSkeleton } from "./AttendanceSkeleton";
+import { PerformanceSection } from "./PerformanceSection";
 import { useTranslation } from "react-i18next";
+import axios from "axios";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
 const TabButton = ({ title, icon, isActive, onPress, t }) => (
   <TouchableOpacity
@@ -33,17 +37,89 @@ const TabButton = ({ title, icon, isActive, onPress, t }) => (
   </TouchableOpacity>
 );
 
+// Share of a day each status counts as attended; holidays don't count.
+// Excused days follow the school's policy (see Backend attendanceService).
+const STATUS_CREDIT = { present: 1, late: 1, "half-day": 0.5, absent: 0 };
+
+const creditFor = (status, excusedPolicy) => {
+  if (status === "excused") {
+    if (excusedPolicy === "present") return 1;
+    if (excusedPolicy === "absent") return 0;
+    return null;
+  }
+  return status in STATUS_CREDIT ? STATUS_CREDIT[status] : null;
+};
+
+const STATUS_STYLES = {
+  present: { box: "bg-blue-50 border-blue-300", text: "text-blue-600" },
+  late: { box: "bg-yellow-50 border-yellow-300", text: "text-yellow-700" },
+  "half-day": {
+    box: "bg-orange-50 border-orange-300",
+    text: "text-orange-600",
+  },
+  excused: { box: "bg-purple-50 border-purple-300", text: "text-purple-600" },
+  holiday: { box: "bg-gray-50 border-gray-300", text: "text-gray-500" },
+  absent: { box: "bg-red-50 border-red-200", text: "text-red-600" },
+};
+
+const STATUS_LABELS = {
+  present: "Present",
+  absent: "Absent",
+  late: "Late",
+  excused: "Excused",
+  "half-day": "Half Day",
+  holiday: "Holiday",
+};
+
+const isOwnRecord = (record, student) =>
+  record.studentId?._id?.toString() === student._id?.toString() ||
+  record.studentId?.toString() === student._id?.toString();
+
+const dayKey = (date) => new Date(date).toDateString();
+
+// "YYYY-MM-DD" in the device's timezone, to match the school calendar
+const isoDay = (date) => {
+  const d = new Date(date);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
 const AttendanceChartSection = ({ student, t }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [attendanceData, setAttendanceData] = useState(null);
 
   useEffect(() => {
-    calculateAttendanceData();
+    loadAttendance();
   }, [student]);
 
-  const calculateAttendanceData = () => {
+  // Days the school calendar has as closed, by "YYYY-MM-DD"
+  const fetchHolidays = async () => {
+    const schoolId = student.school?._id;
+    if (!schoolId) return {};
+
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/school/${schoolId}/calendar`
+      );
+      return Object.fromEntries(
+        (response.data.holidays || []).map((holiday) => [
+          holiday.date,
+          holiday.name,
+        ])
+      );
+    } catch (error) {
+      console.error("Error fetching school calendar:", error);
+      return {};
+    }
+  };
+
+  const loadAttendance = async () => {
     setIsLoading(true);
+    const holidays = await fetchHolidays();
+    calculateAttendanceData(holidays);
+  };
 
+  const calculateAttendanceData = (holidays) => {
     // Get class teacher room and attendance data
     const classTeacherRoom = student.classrooms.find(
       (classroom) => classroom.classTeacher === true
@@ -56,20 +132,58 @@ const AttendanceChartSection = ({ student, t }) => {
 
     // Use setTimeout to prevent UI blocking
     setTimeout(() => {
-      // Filter attendance for current student
+      // Filter the daily roll call for current student. Roll calls on days
+      // the school calendar has as closed count as holidays.
       const studentAttendance = classTeacherRoom.attendance
-        .filter(
-          (record) =>
-            record.studentId?._id?.toString() === student._id?.toString() ||
-            record.studentId?.toString() === student._id?.toString()
+        .filter((record) => !record.period && isOwnRecord(record, student))
+        .map((record) =>
+          holidays[isoDay(record.date)]
+            ? {
+                ...record,
+                status: "holiday",
+                reason: holidays[isoDay(record.date)],
+              }
+            : record
         )
         .sort((a, b) => new Date(a.date) - new Date(b.date));
 
-      // Calculate attendance stats
-      const totalDays = studentAttendance.length;
-      const presentDays = studentAttendance.filter(
-        (record) => record.status === "present"
-      ).length;
+      // Periods missed in any subject, grouped by day
+      const missedPeriods = {};
+      student.classrooms.forEach((classroom) => {
+        (classroom.attendance || [])
+          .filter(
+            (record) =>
+              record.period &&
+              ["absent", "excused"].includes(record.status) &&
+              isOwnRecord(record, student)
+          )
+          .forEach((record) => {
+            const day = dayKey(record.date);
+            missedPeriods[day] = [
+              ...(missedPeriods[day] || []),
+              {
+                period: record.period,
+                subject: classroom.subject,
+                reason: record.reason,
+                date: record.date,
+              },
+            ].sort((a, b) => a.period - b.period);
+          });
+      });
+
+      // Calculate attendance stats over the days that count
+      const excusedPolicy =
+        student.school?.settings?.excusedAttendance || "exclude";
+      let totalDays = 0;
+      let presentDays = 0;
+      const statusCounts = {};
+      studentAttendance.forEach((record) => {
+        statusCounts[record.status] = (statusCounts[record.status] || 0) + 1;
+        const credit = creditFor(record.status, excusedPolicy);
+        if (credit === null) return;
+        totalDays += 1;
+        presentDays += credit;
+      });
       const attendancePercentage =
         totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
       const absentDays = totalDays - presentDays;
@@ -80,6 +194,8 @@ const AttendanceChartSection = ({ student, t }) => {
         presentDays,
         attendancePercentage,
         absentDays,
+        statusCounts,
+        missedPeriods,
       });
       setIsLoading(false);
     }, 100);
@@ -108,8 +224,17 @@ const AttendanceChartSection = ({ student, t }) => {
     return <AttendanceSkeleton />;
   }
 
-  const { studentAttendance, presentDays, attendancePercentage, absentDays } =
-    attendanceData;
+  const {
+    studentAttendance,
+    presentDays,
+    attendancePercentage,
+    absentDays,
+    statusCounts,
+    missedPeriods,
+  } = attendanceData;
+  const partialDays = Object.values(missedPeriods).sort(
+    (a, b) => new Date(b[0].date) - new Date(a[0].date)
+  );
 
   return (
     <ScrollView className="space-y-2">
@@ -152,6 +277,22 @@ const AttendanceChartSection = ({ student, t }) => {
         </View>
       </View>
 
+      {/* Other statuses */}
+      <View className="flex-row flex-wrap gap-2">
+        {["late", "half-day", "excused", "holiday"]
+          .filter((status) => statusCounts[status])
+          .map((status) => (
+            <View
+              key={status}
+              className={`px-3 py-1 rounded-full border ${STATUS_STYLES[status].box}`}
+            >
+              <Text className={`text-sm ${STATUS_STYLES[status].text}`}>
+                {t(STATUS_LABELS[status])}: {statusCounts[status]}
+              </Text>
+            </View>
+          ))}
+      </View>
+
       {/* Date Status Strip */}
       <View className="rounded-xl py-1">
         <Text className="text-base font-medium text-gray-800 mb-1">
@@ -164,40 +305,69 @@ const AttendanceChartSection = ({ student, t }) => {
         >
           {studentAttendance.map((record, index) => {
             const { day, month, weekday } = formatDate(record.date);
-            const isPresent = record.status === "present";
+            const style = STATUS_STYLES[record.status] || STATUS_STYLES.absent;
 
             return (
               <View
                 key={index}
-                className={`rounded-lg ${
-                  isPresent
-                    ? "bg-blue-50 border-blue-300 px-1 py-2"
-                    : "bg-red-50 border-red-200 p-2"
-                } mr-1 items-center border`}
+                className={`rounded-lg ${style.box} p-2 mr-1 items-center border`}
               >
                 <Text className="text-xs font-medium text-gray-600">
                   {month}
                 </Text>
-                <Text
-                  className={`font-bold ${
-                    isPresent ? "text-blue-600" : "text-red-600"
-                  }`}
-                >
-                  {day}
-                </Text>
+                <Text className={`font-bold ${style.text}`}>{day}</Text>
                 <Text className="text-xs text-gray-500">{weekday}</Text>
-                <Text
-                  className={`text-xs ${
-                    isPresent ? "text-blue-600" : "text-red-600"
-                  }`}
-                >
-                  {t(isPresent ? "Present" : "Absent")}
+                <Text className={`text-xs ${style.text}`}>
+                  {t(STATUS_LABELS[record.status] || "Absent")}
                 </Text>
+                {missedPeriods[dayKey(record.date)] ? (
+                  <Text className="text-xs text-orange-600">
+                    -{missedPeriods[dayKey(record.date)].length} {t("periods")}
+                  </Text>
+                ) : null}
+                {record.reason ? (
+                  <Text
+                    className="text-xs text-gray-500 max-w-[80px]"
+                    numberOfLines={1}
+                  >
+                    {record.reason}
+                  </Text>
+                ) : null}
               </View>
             );
           })}
         </ScrollView>
       </View>
+
+      {/* Partial-day absence */}
+      {partialDays.length > 0 && (
+        <View className="rounded-xl py-1">
+          <Text className="text-base font-medium text-gray-800 mb-1">
+            {t("Missed Periods")}
+          </Text>
+          {partialDays.map((periods) => {
+            const { day, month, weekday } = formatDate(periods[0].date);
+            return (
+              <View
+                key={dayKey(periods[0].date)}
+                className="flex-row py-2 border-b border-gray-100"
+              >
+                <Text className="w-24 text-gray-600">
+                  {weekday}, {day} {month}
+                </Text>
+                <View className="flex-1">
+                  {periods.map((missed) => (
+                    <Text key={missed.period} className="text-gray-800">
+                      {t("Period")} {missed.period} · {missed.subject}
+                      {missed.reason ? ` (${missed.reason})` : ""}
+                    </Text>
+                  ))}
+                </View>
+              </View>
+            );
+          })}
+        </View>
+      )}
     </ScrollView>
   );
 };
@@ -278,6 +448,19 @@ export const StudentDashboardTabs = ({
           onPress={() => setActiveTab("attendance")}
           t={t}
         />
+        <TabButton
+          title="Performance"
+          icon={
+            <MaterialIcons
+              name="insights"
+              size={20}
+              color={activeTab === "performance" ? "#ffffff" : "#2563eb"}
+            />
+          }
+          isActive={activeTab === "performance"}
+          onPress={() => setActiveTab("performance")}
+          t={t}
+        />
       </View>
 
       <View className="bg-white p-2">
@@ -285,6 +468,9 @@ export const StudentDashboardTabs = ({
         {activeTab === "attendance" && (
           <AttendanceChartSection student={student} t={t} />
         )}
+        {activeTab === "performance" && (
+          <PerformanceSection student={student} />
+        )}
       </View>
     </View>
   );
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from "react";
+import { View, Text, ActivityIndicator } from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import axios from "axios";
+import { useTranslation } from "react-i18next";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const STATUS_STYLES = {
+  done: "bg-gray-50 border-gray-200",
+  current: "bg-blue-50 border-blue-500",
+  upcoming: "bg-white border-gray-200",
+};
+
+// The child's periods today from the class timetable, with the one in
+// progress highlighted and the next one marked
+export const TodaySchedule = ({ student, token }) => {
+  const { t } = useTranslation();
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (student?._id) fetchSchedule();
+  }, [student?._id]);
+
+  const fetchSchedule = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${API_URL}/api/parent/student/${student._id}/schedule/today`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      setSchedule(response.data);
+    } catch (error) {
+      console.error("Error fetching today's schedule:", error);
+      setSchedule(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <ActivityIndicator className="py-4" color="#3b82f6" />;
+  }
+
+  if (!schedule) return null;
+
+  if (schedule.holiday) {
+    return (
+      <View className="flex-row items-center bg-green-50 rounded-lg p-3 mb-3">
+        <MaterialIcons name="celebration" size={20} color="#16a34a" />
+        <Text className="text-green-800 ml-2">
+          {t("No school today")}: {t(schedule.holiday.name)}
+        </Text>
+      </View>
+    );
+  }
+
+  if (schedule.periods.length === 0) return null;
+
+  const next = schedule.periods.find((period) => period.status === "upcoming");
+
+  return (
+    <View className="mb-3">
+      <Text className="text-lg font-bold text-gray-800 mb-2">
+        {t("Today's Schedule")}
+      </Text>
+      {schedule.periods.map((period) => (
+        <View
+          key={period._id}
+          className={`flex-row items-center rounded-lg border p-3 mb-2 ${
+            STATUS_STYLES[period.status]
+          }`}
+        >
+          <View className="w-24">
+            <Text
+              className={
+                period.status === "done"
+                  ? "text-gray-400"
+                  : "text-gray-800 font-medium"
+              }
+            >
+              {period.startTime} - {period.endTime}
+            </Text>
+            <Text className="text-gray-500 text-xs">
+              {t("Period")} {period.period}
+            </Text>
+          </View>
+          <View className="flex-1">
+            <Text
+              className={
+                period.status === "done"
+                  ? "text-gray-400"
+                  : "text-gray-800 font-medium"
+              }
+            >
+              {period.subject}
+            </Text>
+            <Text className="text-gray-500 text-xs">
+              {[
+                period.teacher?.name,
+                period.room && `${t("Room")} ${period.room}`,
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </Text>
+          </View>
+          {period.status === "current" && (
+            <Text className="text-blue-600 text-xs font-bold">{t("Now")}</Text>
+          )}
+          {period === next && (
+            <Text className="text-gray-600 text-xs font-bold">{t("Next")}</Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
@@ -0,0 +1,83 @@
+import { Alert } from "react-native";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { withFreshToken } from "../context/authContext";
+
+const MIME_TYPES = {
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+class DownloadService {
+  // Download an authenticated export and open the share sheet so the
+  // teacher can save it or send it to the school office
+  static async downloadAndShare({ url, filename, format }) {
+    const fileUri = `${FileSystem.cacheDirectory}${filename}.${format}`;
+
+    const result = await withFreshToken((token) =>
+      FileSystem.downloadAsync(url, fileUri, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+    );
+
+    if (result.status !== 200) {
+      throw new Error("Download failed");
+    }
+
+    if (!(await Sharing.isAvailableAsync())) {
+      Alert.alert("Downloaded", `Saved to ${result.uri}`);
+      return result.uri;
+    }
+
+    await Sharing.shareAsync(result.uri, {
+      mimeType: MIME_TYPES[format],
+      dialogTitle: filename,
+    });
+    return result.uri;
+  }
+
+  // Download an authenticated file that already has its name and type,
+  // e.g. an assignment attachment, and open the share sheet
+  static async downloadFile({ url, filename, mimeType }) {
+    const fileUri = `${FileSystem.cacheDirectory}${filename}`;
+
+    const result = await withFreshToken((token) =>
+      FileSystem.downloadAsync(url, fileUri, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+    );
+
+    if (result.status !== 200) {
+      throw new Error("Download failed");
+    }
+
+    if (!(await Sharing.isAvailableAsync())) {
+      Alert.alert("Downloaded", `Saved to ${result.uri}`);
+      return result.uri;
+    }
+
+    await Sharing.shareAsync(result.uri, { mimeType, dialogTitle: filename });
+    return result.uri;
+  }
+
+  // Ask which format to export in, then call onSelect(format)
+  static chooseFormat(title, onSelect) {
+    Alert.alert(
+      title,
+      "Choose a file format",
+      [
+        { text: "CSV", onPress: () => onSelect("csv") },
+        { text: "Excel", onPress: () => onSelect("xlsx") },
+        { text: "PDF", onPress: () => onSelect("pdf") },
+      ],
+      { cancelable: true }
+    );
+  }
+}
+
+export default DownloadService;
@@ -72,6 +72,18 @@ const ClassroomLayout = () => {
           headerTintColor: "white",
         }}
       />
+      <Stack.Screen
+        name="grades"
+        options={{
+          header: ({ navigation }) => (
+            <Header navigation={navigation} iconName="class" />
+          ),
+          headerStyle: {
+            height: 60,
+          },
+          headerTintColor: "white",
+        }}
+      />
       <Stack.Screen
         name="assignment"
         options={{
@@ -108,6 +120,18 @@ const ClassroomLayout = () => {
           headerTintColor: "white",
         }}
       />
+      <Stack.Screen
+        name="leave"
+        options={{
+          header: ({ navigation }) => (
+            <Header navigation={navigation} iconName="class" />
+          ),
+          headerStyle: {
+            height: 60,
+          },
+          headerTintColor: "white",
+        }}
+      />
       <Stack.Screen
         name="timetable"
         options={{
@@ -9,9 +9,12 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { useLocalSearchParams } from "expo-router";
-import { useAuth } from "../../context/authContext";
+import { useAuth, authFetch } from "../../context/authContext";
 import { MaterialIcons } from "@expo/vector-icons";
 import axios from "axios";
+import AttachmentPicker, { appendAttachments } from "../AttachmentPicker";
+import AttachmentList from "~/components/AttachmentList";
+import CustomModal from "../CustomModal";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
@@ -22,7 +25,11 @@ const Announcements = () => {
   const [announcements, setAnnouncements] = useState([]);
   const [announcementTitle, setAnnouncementTitle] = useState("");
   const [announcementContent, setAnnouncementContent] = useState("");
+  const [attachments, setAttachments] = useState([]);
   const [sending, setSending] = useState(false);
+  // Announcement open in the edit modal, null when none is
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
 
   useEffect(() => {
     fetchAnnouncements();
@@ -61,25 +68,34 @@ const Announcements = () => {
 
     setSending(true);
     try {
-      const response = await axios.post(
+      // Multipart so attachments can go with it
+      const formData = new FormData();
+      formData.append("title", announcementTitle);
+      formData.append("content", announcementContent);
+      appendAttachments(formData, attachments);
+
+      const response = await authFetch(
         `${API_URL}/api/classroom/${params.id}/announcement`,
         {
-          title: announcementTitle,
-          content: announcementContent,
-        },
-        {
+          method: "POST",
           headers: {
-            Authorization: `Bearer ${token}`,
+            "Content-Type": "multipart/form-data",
           },
+          body: formData,
         }
       );
+      const data = await response.json();
 
-      if (response.data.success) {
-        setAnnouncementTitle("");
-        setAnnouncementContent("");
-        Alert.alert("Success", "Announcement posted successfully");
-        fetchAnnouncements(); // Refresh the list to show the new announcement
+      if (!data.success) {
+        Alert.alert("Error", data.message || "Failed to post announcement");
+        return;
       }
+
+      setAnnouncementTitle("");
+      setAnnouncementContent("");
+      setAttachments([]);
+      Alert.alert("Success", "Announcement posted successfully");
+      fetchAnnouncements(); // Refresh the list to show the new announcement
     } catch (error) {
       console.error("Error posting announcement:", error);
       Alert.alert("Error", "Failed to post announcement");
@@ -88,6 +104,40 @@ const Announcements = () => {
     }
   };
 
+  const handleEditAnnouncement = async () => {
+    if (!editing.title.trim() || !editing.content.trim()) {
+      Alert.alert("Error", "Please fill both title and content");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/classroom/${params.id}/announcement/${editing._id}`,
+        { title: editing.title, content: editing.content },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      if (response.data.success) {
+        setEditing(null);
+        Alert.alert("Success", response.data.message);
+        fetchAnnouncements();
+      }
+    } catch (error) {
+      console.error("Error editing announcement:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to update announcement"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
   if (loading) {
     return (
       <View className="flex-1 justify-center items-center">
@@ -132,8 +182,10 @@ const Announcements = () => {
           textAlignVertical="top"
         />
 
+        <AttachmentPicker files={attachments} onChange={setAttachments} />
+
         <TouchableOpacity
-          className="bg-blue-500 p-3 rounded-lg"
+          className="bg-blue-500 p-3 rounded-lg mt-2"
           onPress={handleAddAnnouncement}
           disabled={sending}
         >
@@ -155,13 +207,33 @@ const Announcements = () => {
               key={announcement._id}
               className="bg-white p-4 rounded-lg mb-3 shadow-sm border-b border-gray-300"
             >
-              <Text className="text-lg font-semibold text-gray-800 mb-1">
-                {announcement.title}
-              </Text>
+              <View className="flex-row justify-between items-start">
+                <Text className="flex-1 text-lg font-semibold text-gray-800 mb-1">
+                  {announcement.title}
+                </Text>
+                <TouchableOpacity
+                  onPress={() =>
+                    setEditing({
+                      _id: announcement._id,
+                      title: announcement.title,
+                      content: announcement.content,
+                    })
+                  }
+                  className="p-1"
+                >
+                  <MaterialIcons name="edit" size={20} color="#3b82f6" />
+                </TouchableOpacity>
+              </View>
               <Text className="text-gray-600 mb-2">{announcement.content}</Text>
               <Text className="text-gray-400 text-sm">
                 {new Date(announcement.createdAt).toLocaleDateString()}
+                {announcement.editedAt ? " · Edited" : ""}
               </Text>
+              <AttachmentList
+                attachments={announcement.attachments}
+                baseUrl={`${API_URL}/api/classroom/${params.id}/announcement/${announcement._id}/attachments`}
+                token={token}
+              />
             </View>
           ))
         ) : (
@@ -172,6 +244,32 @@ const Announcements = () => {
           </View>
         )}
       </View>
+
+      <CustomModal
+        visible={!!editing}
+        onClose={() => setEditing(null)}
+        onSubmit={handleEditAnnouncement}
+        title="Edit Announcement"
+        description="Parents are notified if the title changes."
+        submitText="Save Changes"
+        isLoading={saving}
+      >
+        <TextInput
+          className="border border-gray-300 p-3 rounded-lg mb-3"
+          placeholder="Announcement Title"
+          value={editing?.title}
+          onChangeText={(title) => setEditing({ ...editing, title })}
+        />
+        <TextInput
+          className="border border-gray-300 p-3 rounded-lg mb-3"
+          placeholder="Announcement Content"
+          value={editing?.content}
+          onChangeText={(content) => setEditing({ ...editing, content })}
+          multiline
+          numberOfLines={4}
+          textAlignVertical="top"
+        />
+      </CustomModal>
     </ScrollView>
   );
 };
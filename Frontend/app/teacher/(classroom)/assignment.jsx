@@ -9,10 +9,13 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { useLocalSearchParams } from "expo-router";
-import { useAuth } from "../../context/authContext";
+import { useAuth, authFetch } from "../../context/authContext";
 import { MaterialIcons } from "@expo/vector-icons";
 import axios from "axios";
 import CustomModal from "../CustomModal";
+import SubmissionsModal from "../SubmissionsModal";
+import AttachmentPicker, { appendAttachments } from "../AttachmentPicker";
+import AttachmentList from "~/components/AttachmentList";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
@@ -22,18 +25,26 @@ const getIndianDate = () => {
   return istTime.toISOString().split("T")[0];
 };
 
+const emptyAssignment = () => ({
+  title: "",
+  description: "",
+  dueDate: getIndianDate(),
+  attachments: [],
+});
+
 const Assignments = () => {
   const params = useLocalSearchParams();
   const { token } = useAuth();
   const [loading, setLoading] = useState(true);
   const [assignments, setAssignments] = useState([]);
+  const [studentCount, setStudentCount] = useState(0);
+  // Assignment whose submissions are open
+  const [viewingAssignment, setViewingAssignment] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [newAssignment, setNewAssignment] = useState({
-    title: "",
-    description: "",
-    dueDate: getIndianDate(),
-  });
+  const [newAssignment, setNewAssignment] = useState(emptyAssignment());
+  // Assignment being edited in the modal, null when adding one
+  const [editingId, setEditingId] = useState(null);
 
   useEffect(() => {
     fetchAssignments();
@@ -55,6 +66,7 @@ const Assignments = () => {
           (a, b) => new Date(b.assignedDate) - new Date(a.assignedDate)
         );
         setAssignments(sortedAssignments);
+        setStudentCount(response.data.studentCount || 0);
       }
     } catch (error) {
       console.error("Error fetching assignments:", error);
@@ -76,9 +88,78 @@ const Assignments = () => {
 
     setIsSubmitting(true);
     try {
-      const response = await axios.post(
+      // Multipart so attachments can go with it
+      const formData = new FormData();
+      formData.append("title", newAssignment.title);
+      formData.append("description", newAssignment.description);
+      formData.append("dueDate", newAssignment.dueDate);
+      appendAttachments(formData, newAssignment.attachments);
+
+      const response = await authFetch(
         `${API_URL}/api/classroom/${params.id}/assignment`,
-        newAssignment,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "multipart/form-data",
+          },
+          body: formData,
+        }
+      );
+      const data = await response.json();
+
+      if (!data.success) {
+        Alert.alert("Error", data.message || "Failed to add assignment");
+        return;
+      }
+
+      // Reload for the submission counts
+      fetchAssignments();
+      closeModal();
+      Alert.alert("Success", "Assignment added successfully");
+    } catch (error) {
+      console.error("Error adding assignment:", error);
+      Alert.alert("Error", "Failed to add assignment");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const openEdit = (assignment) => {
+    setNewAssignment({
+      title: assignment.title,
+      description: assignment.description,
+      dueDate: assignment.dueDate.split("T")[0],
+      attachments: [],
+    });
+    setEditingId(assignment._id);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setEditingId(null);
+    setNewAssignment(emptyAssignment());
+  };
+
+  const handleEditAssignment = async () => {
+    if (
+      !newAssignment.title ||
+      !newAssignment.description ||
+      !newAssignment.dueDate
+    ) {
+      Alert.alert("Error", "Please fill all fields");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/classroom/${params.id}/assignment/${editingId}`,
+        {
+          title: newAssignment.title,
+          description: newAssignment.description,
+          dueDate: newAssignment.dueDate,
+        },
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -87,25 +168,15 @@ const Assignments = () => {
       );
 
       if (response.data.success) {
-        const newAssignments = response.data.classroom.assignments || [];
-        // Sort assignments by assignedDate in descending order
-        const sortedAssignments = newAssignments.sort(
-          (a, b) => new Date(b.assignedDate) - new Date(a.assignedDate)
-        );
-        setAssignments(sortedAssignments);
-        setModalVisible(false);
-        setNewAssignment({
-          title: "",
-          description: "",
-          dueDate: getIndianDate(),
-        });
-        Alert.alert("Success", "Assignment added successfully");
+        fetchAssignments();
+        closeModal();
+        Alert.alert("Success", response.data.message);
       }
     } catch (error) {
-      console.error("Error adding assignment:", error);
+      console.error("Error editing assignment:", error);
       Alert.alert(
         "Error",
-        error.response?.data?.message || "Failed to add assignment"
+        error.response?.data?.message || "Failed to update assignment"
       );
     } finally {
       setIsSubmitting(false);
@@ -191,14 +262,42 @@ const Assignments = () => {
                     <Text className="text-gray-500">
                       Assigned:{" "}
                       {new Date(assignment.assignedDate).toLocaleDateString()}
+                      {assignment.editedAt ? " · Edited" : ""}
                     </Text>
+                    <AttachmentList
+                      attachments={assignment.attachments}
+                      baseUrl={`${API_URL}/api/classroom/${params.id}/assignment/${assignment._id}/attachments`}
+                      token={token}
+                    />
+                    <TouchableOpacity
+                      onPress={() => setViewingAssignment(assignment)}
+                      className="flex-row items-center mt-2"
+                    >
+                      <MaterialIcons
+                        name="assignment-turned-in"
+                        size={18}
+                        color="#3b82f6"
+                      />
+                      <Text className="text-blue-600 font-medium ml-1">
+                        Submissions ({assignment.submissionCount || 0}/
+                        {studentCount})
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                  <View>
+                    <TouchableOpacity
+                      onPress={() => openEdit(assignment)}
+                      className="p-2"
+                    >
+                      <MaterialIcons name="edit" size={24} color="#3b82f6" />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => handleDeleteAssignment(assignment._id)}
+                      className="p-2"
+                    >
+                      <MaterialIcons name="delete" size={24} color="#ef4444" />
+                    </TouchableOpacity>
                   </View>
-                  <TouchableOpacity
-                    onPress={() => handleDeleteAssignment(assignment._id)}
-                    className="p-2"
-                  >
-                    <MaterialIcons name="delete" size={24} color="#ef4444" />
-                  </TouchableOpacity>
                 </View>
               </View>
             ))
@@ -224,20 +323,28 @@ const Assignments = () => {
         </TouchableOpacity>
       </View>
 
-      {/* Custom Modal for Adding Assignment */}
-      <CustomModal
-        visible={modalVisible}
+      <SubmissionsModal
+        classroomId={params.id}
+        assignment={viewingAssignment}
+        token={token}
         onClose={() => {
-          setModalVisible(false);
-          setNewAssignment({
-            title: "",
-            description: "",
-            dueDate: getIndianDate(),
-          });
+          setViewingAssignment(null);
+          fetchAssignments();
         }}
-        onSubmit={handleAddAssignment}
-        title="Add New Assignment"
-        submitText="Add Assignment"
+      />
+
+      {/* Custom Modal for Adding or Editing an Assignment */}
+      <CustomModal
+        visible={modalVisible}
+        onClose={closeModal}
+        onSubmit={editingId ? handleEditAssignment : handleAddAssignment}
+        title={editingId ? "Edit Assignment" : "Add New Assignment"}
+        description={
+          editingId
+            ? "Parents are notified if the title or due date changes."
+            : undefined
+        }
+        submitText={editingId ? "Save Changes" : "Add Assignment"}
         isLoading={isSubmitting}
       >
         <View className="mb-4">
@@ -282,6 +389,15 @@ const Assignments = () => {
             }
           />
         </View>
+
+        {!editingId && (
+          <AttachmentPicker
+            files={newAssignment.attachments}
+            onChange={(attachments) =>
+              setNewAssignment({ ...newAssignment, attachments })
+            }
+          />
+        )}
       </CustomModal>
     </View>
   );
@@ -6,11 +6,13 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Alert,
+  TextInput,
 } from "react-native";
 import { useLocalSearchParams } from "expo-router";
 import { useAuth } from "../../context/authContext";
 import axios from "axios";
 import { MaterialIcons } from "@expo/vector-icons";
+import DownloadService from "../../services/DownloadService";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
@@ -25,9 +27,38 @@ const formatDateForAPI = (date) => {
   return istDate.toISOString().split("T")[0];
 };
 
+// "2025-03-01" for a local date, without timezone shifts
+const toDayString = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+const STATUS_OPTIONS = [
+  { value: "present", label: "Present", color: "bg-green-500" },
+  { value: "absent", label: "Absent", color: "bg-red-500" },
+  { value: "late", label: "Late", color: "bg-yellow-500" },
+  { value: "half-day", label: "Half Day", color: "bg-orange-500" },
+  { value: "excused", label: "Excused", color: "bg-purple-500" },
+  { value: "holiday", label: "Holiday", color: "bg-gray-500" },
+];
+
+const statusOption = (status) =>
+  STATUS_OPTIONS.find((option) => option.value === status) || STATUS_OPTIONS[1];
+
+// Periods in a school day
+const PERIODS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Statuses that can carry a reason, e.g. "Medical leave"
+const needsReason = (status) =>
+  ["absent", "late", "half-day", "excused"].includes(status);
+
 const Attendance = () => {
   const params = useLocalSearchParams();
   const { token } = useAuth();
+  // Class teachers take the daily roll call; subject teachers mark periods
+  const isClassTeacher = params.classTeacher !== "false";
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [students, setStudents] = useState([]);
@@ -35,6 +66,14 @@ const Attendance = () => {
   const [attendanceRecords, setAttendanceRecords] = useState([]);
   // state for tracking local attendance before submission
   const [localAttendance, setLocalAttendance] = useState({});
+  const [localReasons, setLocalReasons] = useState({});
+  // null is the daily roll call
+  const [selectedPeriod, setSelectedPeriod] = useState(
+    isClassTeacher ? null : 1
+  );
+  const [markedPeriods, setMarkedPeriods] = useState([]);
+  // Periods each student missed across the section's subject classrooms
+  const [rollup, setRollup] = useState(null);
   const [stats, setStats] = useState({ present: 0, absent: 0, notMarked: 0 });
 
   useEffect(() => {
@@ -45,7 +84,7 @@ const Attendance = () => {
     if (students.length > 0) {
       fetchAttendanceForDate();
     }
-  }, [selectedDate]);
+  }, [selectedDate, selectedPeriod]);
 
   useEffect(() => {
     calculateStats();
@@ -74,16 +113,40 @@ const Attendance = () => {
     try {
       setLoading(true);
       setLocalAttendance({}); // Reset local attendance when date changes
+      setLocalReasons({});
       const formattedDate = formatDateForAPI(selectedDate);
       const response = await axios.get(
         `${API_URL}/api/classroom/${params.id}/attendance/${formattedDate}`,
         {
           headers: { Authorization: `Bearer ${token}` },
+          params: selectedPeriod ? { period: selectedPeriod } : {},
         }
       );
 
       if (response.data.success) {
         setAttendanceRecords(response.data.attendance || []);
+        setMarkedPeriods(response.data.periods || []);
+
+        // Students on approved leave start out excused
+        const leaves = response.data.leaves || [];
+        if (!response.data.attendance?.length && leaves.length > 0) {
+          setLocalAttendance(
+            Object.fromEntries(
+              leaves.map((leave) => [leave.student, "excused"])
+            )
+          );
+          setLocalReasons(
+            Object.fromEntries(
+              leaves.map((leave) => [leave.student, leave.reason])
+            )
+          );
+        }
+      }
+
+      if (isClassTeacher && selectedPeriod === null) {
+        fetchRollup(formattedDate);
+      } else {
+        setRollup(null);
       }
     } catch (error) {
       console.error("Error fetching attendance:", error);
@@ -93,41 +156,50 @@ const Attendance = () => {
     }
   };
 
-  const calculateStats = () => {
-    if (hasAttendanceForDate()) {
-      const presentCount = attendanceRecords.filter(
-        (record) => record.status === "present"
-      ).length;
-      const absentCount = attendanceRecords.filter(
-        (record) => record.status === "absent"
-      ).length;
-      setStats({
-        present: presentCount,
-        absent: absentCount,
-        notMarked: 0,
-      });
-    } else {
-      // Use local attendance for unsaved changes
-      const presentCount = Object.values(localAttendance).filter(
-        (status) => status === "present"
-      ).length;
-      const absentCount = Object.values(localAttendance).filter(
-        (status) => status === "absent"
-      ).length;
-      setStats({
-        present: presentCount,
-        absent: absentCount,
-        notMarked: students.length - (presentCount + absentCount),
-      });
+  const fetchRollup = async (formattedDate) => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/classroom/${params.id}/attendance/${formattedDate}/periods`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      setRollup(response.data.success ? response.data : null);
+    } catch (error) {
+      console.error("Error fetching period attendance:", error);
+      setRollup(null);
     }
   };
 
+  const getMissedPeriods = (studentId) =>
+    rollup?.students.find((entry) => entry.student._id === studentId)?.missed ||
+    [];
+
+  const calculateStats = () => {
+    // Use local attendance for unsaved changes
+    const statuses = hasAttendanceForDate()
+      ? attendanceRecords.map((record) => record.status)
+      : Object.values(localAttendance);
+    const presentCount = statuses.filter(
+      (status) => status === "present" || status === "late"
+    ).length;
+    const absentCount = statuses.filter((status) => status === "absent").length;
+    setStats({
+      present: presentCount,
+      absent: absentCount,
+      notMarked: hasAttendanceForDate() ? 0 : students.length - statuses.length,
+    });
+  };
+
+  const getStudentRecord = (studentId) =>
+    attendanceRecords.find(
+      (record) =>
+        record.studentId._id === studentId || record.studentId === studentId
+    );
+
   const getStudentAttendanceStatus = (studentId) => {
     if (hasAttendanceForDate()) {
-      const record = attendanceRecords.find(
-        (record) =>
-          record.studentId._id === studentId || record.studentId === studentId
-      );
+      const record = getStudentRecord(studentId);
       return record ? record.status : null;
     }
     return localAttendance[studentId] || null;
@@ -146,6 +218,15 @@ const Attendance = () => {
     }));
   };
 
+  // The whole class is off, e.g. an unplanned closure
+  const markAllHoliday = () => {
+    if (hasAttendanceForDate()) return;
+
+    setLocalAttendance(
+      Object.fromEntries(students.map((student) => [student._id, "holiday"]))
+    );
+  };
+
   const submitBulkAttendance = async () => {
     const unmarkedStudents = students.filter(
       (student) => !localAttendance[student._id]
@@ -168,6 +249,9 @@ const Attendance = () => {
         studentId: student._id,
         date: formattedDate,
         status: localAttendance[student._id],
+        reason: needsReason(localAttendance[student._id])
+          ? localReasons[student._id]?.trim() || undefined
+          : undefined,
       }));
 
       // Submit all attendance records in one request
@@ -175,6 +259,7 @@ const Attendance = () => {
         `${API_URL}/api/classroom/${params.id}/attendance/bulk`,
         {
           attendance: attendanceData,
+          period: selectedPeriod || undefined,
         },
         {
           headers: { Authorization: `Bearer ${token}` },
@@ -182,7 +267,17 @@ const Attendance = () => {
       );
 
       if (response.data.success) {
-        Alert.alert("Success", "Attendance submitted successfully");
+        const { sent = 0, corrected = 0 } = response.data.alerts || {};
+        Alert.alert(
+          "Success",
+          [
+            "Attendance submitted successfully",
+            sent > 0 && `Absence alerts sent for ${sent} student(s)`,
+            corrected > 0 && `Corrections sent for ${corrected} student(s)`,
+          ]
+            .filter(Boolean)
+            .join("\n")
+        );
         fetchAttendanceForDate(); // Refresh attendance data
       }
     } catch (error) {
@@ -193,6 +288,43 @@ const Attendance = () => {
     }
   };
 
+  // Export the whole month of the date being viewed
+  const handleExport = () => {
+    const monthStart = new Date(
+      selectedDate.getFullYear(),
+      selectedDate.getMonth(),
+      1
+    );
+    const monthEnd = new Date(
+      selectedDate.getFullYear(),
+      selectedDate.getMonth() + 1,
+      0
+    );
+    const monthName = selectedDate.toLocaleDateString("en-IN", {
+      month: "long",
+      year: "numeric",
+    });
+
+    DownloadService.chooseFormat(
+      `Export ${monthName} Attendance`,
+      async (format) => {
+        const startDate = toDayString(monthStart);
+        const endDate = toDayString(monthEnd);
+
+        try {
+          await DownloadService.downloadAndShare({
+            url: `${API_URL}/api/classroom/${params.id}/attendance/export?format=${format}&startDate=${startDate}&endDate=${endDate}`,
+            filename: `attendance-${params.grade}${params.section}-${startDate}`,
+            format,
+          });
+        } catch (error) {
+          console.error("Error exporting attendance:", error);
+          Alert.alert("Error", "Failed to export attendance");
+        }
+      }
+    );
+  };
+
   const changeDate = (days) => {
     const newDate = new Date(selectedDate);
     newDate.setDate(newDate.getDate() + days);
@@ -204,51 +336,60 @@ const Attendance = () => {
     const isAttendanceTaken = hasAttendanceForDate();
 
     if (isAttendanceTaken) {
-      return attendanceStatus ? (
-        <View
-          className={`px-4 py-2 rounded-lg ${
-            attendanceStatus === "present" ? "bg-green-500" : "bg-red-500"
-          }`}
-        >
-          <Text className="text-white font-semibold">
-            {attendanceStatus.charAt(0).toUpperCase() +
-              attendanceStatus.slice(1)}
-          </Text>
+      if (!attendanceStatus) return null;
+
+      const reason = getStudentRecord(student._id)?.reason;
+      return (
+        <View className="flex-row items-center mt-2">
+          <View
+            className={`px-4 py-2 rounded-lg ${
+              statusOption(attendanceStatus).color
+            }`}
+          >
+            <Text className="text-white font-semibold">
+              {statusOption(attendanceStatus).label}
+            </Text>
+          </View>
+          {reason ? (
+            <Text className="text-gray-600 ml-2 flex-1">{reason}</Text>
+          ) : null}
         </View>
-      ) : null;
+      );
     }
 
     return (
-      <View className="flex-row space-x-2 gap-2">
-        <TouchableOpacity
-          onPress={() => markAttendance(student._id, "present")}
-          className={`p-2 rounded-lg ${
-            attendanceStatus === "present" ? "bg-green-500" : "bg-gray-200"
-          }`}
-        >
-          <Text
-            className={`${
-              attendanceStatus === "present" ? "text-white" : "text-gray-600"
-            }`}
-          >
-            Present
-          </Text>
-        </TouchableOpacity>
-
-        <TouchableOpacity
-          onPress={() => markAttendance(student._id, "absent")}
-          className={`p-2 rounded-lg ${
-            attendanceStatus === "absent" ? "bg-red-500" : "bg-gray-200"
-          }`}
-        >
-          <Text
-            className={`${
-              attendanceStatus === "absent" ? "text-white" : "text-gray-600"
-            }`}
-          >
-            Absent
-          </Text>
-        </TouchableOpacity>
+      <View className="mt-2">
+        <View className="flex-row flex-wrap gap-2">
+          {STATUS_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.value}
+              onPress={() => markAttendance(student._id, option.value)}
+              className={`px-3 py-2 rounded-lg ${
+                attendanceStatus === option.value ? option.color : "bg-gray-200"
+              }`}
+            >
+              <Text
+                className={`${
+                  attendanceStatus === option.value
+                    ? "text-white"
+                    : "text-gray-600"
+                }`}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {needsReason(attendanceStatus) && (
+          <TextInput
+            className="border border-gray-300 rounded-lg p-2 mt-2"
+            placeholder="Reason (optional)"
+            value={localReasons[student._id] || ""}
+            onChangeText={(text) =>
+              setLocalReasons((prev) => ({ ...prev, [student._id]: text }))
+            }
+          />
+        )}
       </View>
     );
   };
@@ -285,6 +426,12 @@ const Attendance = () => {
               </Text>
               <Text className="text-white text-sm">Absent</Text>
             </View>
+            <TouchableOpacity
+              className="bg-white/20 p-2 rounded-lg self-center"
+              onPress={handleExport}
+            >
+              <MaterialIcons name="file-download" size={24} color="white" />
+            </TouchableOpacity>
           </View>
         </View>
       </View>
@@ -309,13 +456,54 @@ const Attendance = () => {
         </TouchableOpacity>
       </View>
 
+      {/* Period selector */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        className="bg-white border-b border-gray-300 px-2 py-2"
+      >
+        {[...(isClassTeacher ? [null] : []), ...PERIODS].map((period) => {
+          const isSelected = selectedPeriod === period;
+          const isMarked = period !== null && markedPeriods.includes(period);
+          return (
+            <TouchableOpacity
+              key={period ?? "day"}
+              onPress={() => setSelectedPeriod(period)}
+              className={`px-3 py-1 rounded-full mr-2 flex-row items-center ${
+                isSelected ? "bg-blue-600" : "bg-gray-200"
+              }`}
+            >
+              <Text className={isSelected ? "text-white" : "text-gray-700"}>
+                {period === null ? "Day" : `P${period}`}
+              </Text>
+              {isMarked && (
+                <MaterialIcons
+                  name="check"
+                  size={14}
+                  color={isSelected ? "white" : "#16a34a"}
+                />
+              )}
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
       {/* Students List */}
       <View className="p-2">
+        {students.length > 0 && !hasAttendanceForDate() && (
+          <TouchableOpacity
+            onPress={markAllHoliday}
+            className="self-end flex-row items-center bg-white border border-gray-300 px-3 py-2 rounded-lg mb-2"
+          >
+            <MaterialIcons name="beach-access" size={18} color="#6b7280" />
+            <Text className="text-gray-700 ml-1">Mark all as holiday</Text>
+          </TouchableOpacity>
+        )}
         {students.length > 0 ? (
           students.map((student, index) => (
             <View
               key={student._id}
-              className="bg-white p-2 rounded-lg mb-3 shadow-sm flex-row justify-between items-center border-b border-gray-200"
+              className="bg-white p-2 rounded-lg mb-3 shadow-sm flex-row border-b border-gray-200"
             >
               <View className="p-1 self-start">
                 <Text className="text-black">{index + 1}.</Text>
@@ -328,9 +516,16 @@ const Attendance = () => {
                 <Text className="text-gray-600">
                   Admission No: {student.admissionNumber}
                 </Text>
+                {renderStudentAttendance(student)}
+                {getMissedPeriods(student._id).length > 0 && (
+                  <Text className="text-orange-600 mt-1">
+                    Missed:{" "}
+                    {getMissedPeriods(student._id)
+                      .map((missed) => `P${missed.period} ${missed.subject}`)
+                      .join(", ")}
+                  </Text>
+                )}
               </View>
-
-              {renderStudentAttendance(student)}
             </View>
           ))
         ) : (
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { useLocalSearchParams } from "expo-router";
+import { useAuth } from "../../context/authContext";
+import axios from "axios";
+import { MaterialIcons } from "@expo/vector-icons";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const SCHEME_TYPES = [
+  { value: "percentage", label: "Percentage" },
+  { value: "letter", label: "Letter (A+ to F)" },
+  { value: "cbse", label: "CBSE (A1 to E)" },
+];
+
+const Grades = () => {
+  const params = useLocalSearchParams();
+  const { token } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [scheme, setScheme] = useState({ type: "percentage", categories: [] });
+  const [presets, setPresets] = useState({ bands: {}, categories: [] });
+  const [terms, setTerms] = useState([]);
+  const [selectedTerm, setSelectedTerm] = useState(null);
+  const [grades, setGrades] = useState([]);
+
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    fetchScheme();
+  }, []);
+
+  useEffect(() => {
+    fetchGrades();
+  }, [selectedTerm]);
+
+  const fetchScheme = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/classroom/${params.id}/grading-scheme`,
+        { headers }
+      );
+      if (response.data.success) {
+        const { type, categories, bands } = response.data.gradingScheme;
+        setScheme({
+          type,
+          bands,
+          categories: categories.map((category) => ({
+            name: category.name,
+            weight: String(category.weight),
+          })),
+        });
+        setPresets(response.data.presets);
+      }
+    } catch (error) {
+      console.error("Error fetching grading scheme:", error);
+      Alert.alert("Error", "Failed to fetch grading scheme");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchGrades = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/classroom/${params.id}/grades${
+          selectedTerm ? `?term=${selectedTerm._id}` : ""
+        }`,
+        { headers }
+      );
+      if (response.data.success) {
+        setGrades(response.data.grades);
+        setTerms(response.data.terms || []);
+      }
+    } catch (error) {
+      console.error("Error fetching grades:", error);
+      Alert.alert("Error", "Failed to fetch grades");
+    }
+  };
+
+  const updateCategory = (index, field, value) => {
+    const categories = [...scheme.categories];
+    categories[index] = { ...categories[index], [field]: value };
+    setScheme({ ...scheme, categories });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/classroom/${params.id}/grading-scheme`,
+        {
+          type: scheme.type,
+          categories: scheme.categories.map((category) => ({
+            name: category.name,
+            weight: Number(category.weight),
+          })),
+          // Custom bands only apply to the type they were made for
+          bands: scheme.type === "percentage" ? [] : scheme.bands || [],
+        },
+        { headers }
+      );
+      if (response.data.success) {
+        Alert.alert("Success", "Grading scheme saved");
+        fetchGrades();
+      }
+    } catch (error) {
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to save grading scheme"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View className="flex-1 justify-center items-center">
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </View>
+    );
+  }
+
+  const bands =
+    scheme.bands && scheme.bands.length > 0
+      ? scheme.bands
+      : presets.bands[scheme.type] || [];
+  const totalWeight = scheme.categories.reduce(
+    (sum, category) => sum + (Number(category.weight) || 0),
+    0
+  );
+
+  return (
+    <ScrollView className="flex-1 bg-gray-50">
+      {/* Header */}
+      <View className="bg-blue-600 p-6">
+        <Text className="text-2xl font-bold text-white">Grades</Text>
+        <Text className="text-white mt-2">
+          {params.subject} - Grade {params.grade} Section {params.section}
+        </Text>
+      </View>
+
+      {/* Grading Scheme */}
+      <View className="p-4 bg-white mb-4">
+        <Text className="text-lg font-bold mb-3">Grading Scheme</Text>
+        <View className="flex-row flex-wrap mb-3">
+          {SCHEME_TYPES.map((type) => (
+            <TouchableOpacity
+              key={type.value}
+              className={`px-3 py-2 rounded-full mr-2 mb-2 ${
+                scheme.type === type.value ? "bg-blue-500" : "bg-gray-200"
+              }`}
+              onPress={() =>
+                setScheme({ ...scheme, type: type.value, bands: [] })
+              }
+            >
+              <Text
+                className={
+                  scheme.type === type.value ? "text-white" : "text-gray-700"
+                }
+              >
+                {type.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {bands.length > 0 && (
+          <Text className="text-gray-600 mb-3">
+            {bands
+              .map((band) => `${band.grade} ≥ ${band.minPercentage}%`)
+              .join("   ")}
+          </Text>
+        )}
+
+        <Text className="font-semibold mb-2">Exam Categories</Text>
+        {scheme.categories.length === 0 && (
+          <Text className="text-gray-500 mb-2">
+            Without categories every exam counts equally.
+          </Text>
+        )}
+        {scheme.categories.map((category, index) => (
+          <View key={index} className="flex-row items-center mb-2">
+            <TextInput
+              className="border border-gray-300 p-2 rounded-lg flex-1 mr-2"
+              placeholder="Category (e.g., Unit Test)"
+              value={category.name}
+              onChangeText={(text) => updateCategory(index, "name", text)}
+            />
+            <TextInput
+              className="border border-gray-300 p-2 rounded-lg w-20 text-center mr-2"
+              placeholder="Weight"
+              keyboardType="numeric"
+              value={category.weight}
+              onChangeText={(text) => updateCategory(index, "weight", text)}
+            />
+            <TouchableOpacity
+              onPress={() =>
+                setScheme({
+                  ...scheme,
+                  categories: scheme.categories.filter((_, i) => i !== index),
+                })
+              }
+            >
+              <MaterialIcons name="delete" size={24} color="#ef4444" />
+            </TouchableOpacity>
+          </View>
+        ))}
+        {scheme.categories.length > 0 && (
+          <Text className="text-gray-500 mb-2">
+            Total weight: {totalWeight}
+          </Text>
+        )}
+
+        <View className="flex-row mb-4">
+          <TouchableOpacity
+            className="bg-gray-200 p-2 rounded-lg mr-2"
+            onPress={() =>
+              setScheme({
+                ...scheme,
+                categories: [...scheme.categories, { name: "", weight: "" }],
+              })
+            }
+          >
+            <Text className="text-gray-700">Add Category</Text>
+          </TouchableOpacity>
+          {scheme.categories.length === 0 && (
+            <TouchableOpacity
+              className="bg-gray-200 p-2 rounded-lg"
+              onPress={() =>
+                setScheme({
+                  ...scheme,
+                  categories: presets.categories.map((category) => ({
+                    name: category.name,
+                    weight: String(category.weight),
+                  })),
+                })
+              }
+            >
+              <Text className="text-gray-700">
+                Use Unit Test / Midterm / Final
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <TouchableOpacity
+          className="bg-blue-500 p-3 rounded-lg"
+          onPress={handleSave}
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text className="text-white text-center font-semibold">
+              Save Scheme
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {/* Term Grades */}
+      <View className="p-4">
+        <Text className="text-lg font-bold mb-3">Term Grades</Text>
+        <ScrollView horizontal className="mb-3">
+          {[null, ...terms].map((term) => (
+            <TouchableOpacity
+              key={term ? term._id : "year"}
+              className={`px-3 py-2 rounded-full mr-2 ${
+                selectedTerm?._id === term?._id ? "bg-blue-500" : "bg-gray-200"
+              }`}
+              onPress={() => setSelectedTerm(term)}
+            >
+              <Text
+                className={
+                  selectedTerm?._id === term?._id
+                    ? "text-white"
+                    : "text-gray-700"
+                }
+              >
+                {term ? term.name : "Full Year"}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {grades.length > 0 ? (
+          grades.map((result) => (
+            <View
+              key={result.student._id}
+              className="bg-white p-4 rounded-lg mb-3 border border-gray-300"
+            >
+              <View className="flex-row justify-between items-center">
+                <View className="flex-1">
+                  <Text className="font-semibold">{result.student.name}</Text>
+                  <Text className="text-gray-600">
+                    Adm: {result.student.admissionNumber}
+                  </Text>
+                </View>
+                {result.total > 0 ? (
+                  <View className="items-end">
+                    <Text className="font-bold text-lg text-blue-600">
+                      {result.grade || `${result.percentage}%`}
+                    </Text>
+                    {result.grade && (
+                      <Text className="text-gray-600">
+                        {result.percentage}%
+                        {result.gradePoint !== undefined &&
+                          ` · GP ${result.gradePoint}`}
+                      </Text>
+                    )}
+                  </View>
+                ) : (
+                  <Text className="text-gray-500">No marks</Text>
+                )}
+              </View>
+              {result.categories.length > 0 && (
+                <Text className="text-gray-500 mt-2">
+                  {result.categories
+                    .map(
+                      (category) => `${category.name}: ${category.percentage}%`
+                    )
+                    .join("   ")}
+                </Text>
+              )}
+            </View>
+          ))
+        ) : (
+          <Text className="text-gray-500 text-center">No students yet</Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+export default Grades;
@@ -6,10 +6,12 @@ import {
   TouchableOpacity,
   Alert,
   ActivityIndicator,
+  Modal,
 } from "react-native";
 import { useLocalSearchParams, useRouter } from "expo-router";
 import { useAuth } from "../../context/authContext";
 import axios from "axios";
+import DownloadService from "../../services/DownloadService";
 import {
   MaterialIcons,
   FontAwesome5,
@@ -26,6 +28,8 @@ const ClassroomDetail = () => {
   const { token } = useAuth();
   const [classroom, setClassroom] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [termPickerVisible, setTermPickerVisible] = useState(false);
+  const [downloading, setDownloading] = useState(false);
 
   useEffect(() => {
     if (!params.id) {
@@ -77,10 +81,33 @@ const ClassroomDetail = () => {
         subject: classroom.subject,
         grade: classroom.grade,
         section: classroom.section,
+        classTeacher: classroom.classTeacher ? "true" : "false",
       },
     });
   };
 
+  // One PDF with a report card for every student of the section
+  const downloadReportCards = async (term) => {
+    setTermPickerVisible(false);
+    setDownloading(true);
+    try {
+      await DownloadService.downloadAndShare({
+        url: `${API_URL}/api/classroom/${params.id}/report-cards${
+          term ? `?term=${term._id}` : ""
+        }`,
+        filename: `report-cards-${classroom.grade}${classroom.section}-${
+          term ? term.name : classroom.academicYear?.name
+        }`.replace(/[^a-zA-Z0-9]+/g, "-"),
+        format: "pdf",
+      });
+    } catch (error) {
+      console.error("Error downloading report cards:", error);
+      Alert.alert("Error", "Failed to generate report cards");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   if (loading) {
     return (
       <View className="flex-1 justify-center items-center">
@@ -142,20 +169,21 @@ const ClassroomDetail = () => {
           </View>
         </View>
 
-        {classroom.classTeacher && (
-          <TouchableOpacity
-            onPress={() => navigateToFeature("attendance")}
-            className="mt-4 bg-white/90 rounded-lg p-3 flex-row items-center justify-between"
-          >
-            <View className="flex-row items-center">
-              <MaterialIcons name="event-available" size={22} color="#1d4ed8" />
-              <Text className="ml-3 font-semibold text-blue-900">
-                Today's Attendance
-              </Text>
-            </View>
-            <Feather name="chevron-right" size={20} color="#1d4ed8" />
-          </TouchableOpacity>
-        )}
+        {/* Subject teachers mark attendance for their periods */}
+        <TouchableOpacity
+          onPress={() => navigateToFeature("attendance")}
+          className="mt-4 bg-white/90 rounded-lg p-3 flex-row items-center justify-between"
+        >
+          <View className="flex-row items-center">
+            <MaterialIcons name="event-available" size={22} color="#1d4ed8" />
+            <Text className="ml-3 font-semibold text-blue-900">
+              {classroom.classTeacher
+                ? "Today's Attendance"
+                : "Period Attendance"}
+            </Text>
+          </View>
+          <Feather name="chevron-right" size={20} color="#1d4ed8" />
+        </TouchableOpacity>
       </View>
 
       {/* Quick Actions Grid */}
@@ -262,8 +290,88 @@ const ClassroomDetail = () => {
               </Text>
             </View>
           </TouchableOpacity>
+
+          {/* Leave Requests - Only visible to class teacher */}
+          {classroom.classTeacher && (
+            <TouchableOpacity
+              className="bg-white w-full p-4 rounded-xl mb-4 shadow-sm border border-blue-200"
+              onPress={() => navigateToFeature("leave")}
+            >
+              <View className="items-center">
+                <MaterialIcons name="event-busy" size={28} color="#3b82f6" />
+                <Text className="text-center font-semibold mt-2">
+                  Leave Requests
+                </Text>
+                <Text className="text-center text-gray-500 text-sm">
+                  Approve absences from parents
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+
+          {/* Report Cards - Only visible to class teacher */}
+          {classroom.classTeacher && (
+            <TouchableOpacity
+              className="bg-white w-full p-4 rounded-xl mb-4 shadow-sm border border-blue-200"
+              onPress={() => setTermPickerVisible(true)}
+              disabled={downloading}
+            >
+              <View className="items-center">
+                {downloading ? (
+                  <ActivityIndicator color="#3b82f6" />
+                ) : (
+                  <MaterialIcons name="description" size={28} color="#3b82f6" />
+                )}
+                <Text className="text-center font-semibold mt-2">
+                  Report Cards
+                </Text>
+                <Text className="text-center text-gray-500 text-sm">
+                  Print for the whole section
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
+
+      {/* Term picker for report cards */}
+      <Modal
+        transparent
+        visible={termPickerVisible}
+        animationType="fade"
+        onRequestClose={() => setTermPickerVisible(false)}
+      >
+        <View className="flex-1 justify-center items-center bg-black/50">
+          <View className="bg-white w-11/12 rounded-2xl p-5">
+            <Text className="text-xl font-bold text-blue-600 mb-3">
+              Choose a term
+            </Text>
+            {classroom.academicYear?.terms?.map((term) => (
+              <TouchableOpacity
+                key={term._id}
+                className="py-3 px-3 bg-gray-100 rounded-lg mb-2"
+                onPress={() => downloadReportCards(term)}
+              >
+                <Text className="text-gray-700">{term.name}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              className="py-3 px-3 bg-gray-100 rounded-lg mb-2"
+              onPress={() => downloadReportCards()}
+            >
+              <Text className="text-gray-700">
+                Full Year {classroom.academicYear?.name}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              className="mt-2 py-3 rounded-lg items-center bg-gray-200"
+              onPress={() => setTermPickerVisible(false)}
+            >
+              <Text className="text-gray-700 font-medium">Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 };
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  TextInput,
+  Modal,
+} from "react-native";
+import { useLocalSearchParams } from "expo-router";
+import { useAuth } from "../../context/authContext";
+import axios from "axios";
+import { MaterialIcons } from "@expo/vector-icons";
+import DownloadService from "../../services/DownloadService";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const STATUS_FILTERS = [
+  { value: "pending", label: "Pending" },
+  { value: "approved", label: "Approved" },
+  { value: "rejected", label: "Rejected" },
+];
+
+const STATUS_COLORS = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+};
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "short",
+  });
+
+const leaveDays = (leave) =>
+  formatDay(leave.startDate) === formatDay(leave.endDate)
+    ? formatDay(leave.startDate)
+    : `${formatDay(leave.startDate)} - ${formatDay(leave.endDate)}`;
+
+// Class teacher's list of leave requests from parents
+const Leave = () => {
+  const params = useLocalSearchParams();
+  const { token } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState("pending");
+  const [leaveRequests, setLeaveRequests] = useState([]);
+  // Request being approved or rejected, with the teacher's note
+  const [reviewing, setReviewing] = useState(null);
+  const [note, setNote] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchLeaveRequests();
+  }, [status]);
+
+  const fetchLeaveRequests = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/classroom/${params.id}/leave-requests`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { status },
+        }
+      );
+      setLeaveRequests(response.data.leaveRequests || []);
+    } catch (error) {
+      console.error("Error fetching leave requests:", error);
+      Alert.alert("Error", "Failed to fetch leave requests");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAttachment = async (leave) => {
+    try {
+      await DownloadService.downloadFile({
+        url: `${API_URL}/api/classroom/${params.id}/leave-requests/${leave._id}/attachment`,
+        filename: leave.attachment.name || "attachment",
+        mimeType: leave.attachment.mimetype,
+      });
+    } catch (error) {
+      console.error("Error opening attachment:", error);
+      Alert.alert("Error", "Failed to open attachment");
+    }
+  };
+
+  const submitReview = async (decision) => {
+    setSubmitting(true);
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/classroom/${params.id}/leave-requests/${reviewing._id}`,
+        { status: decision, note: note.trim() || undefined },
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (response.data.success) {
+        Alert.alert(
+          "Success",
+          decision === "approved" && response.data.daysExcused > 0
+            ? `Leave approved. ${response.data.daysExcused} day(s) marked excused.`
+            : response.data.message
+        );
+        setReviewing(null);
+        setNote("");
+        fetchLeaveRequests();
+      }
+    } catch (error) {
+      console.error("Error reviewing leave request:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to review leave request"
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <View className="flex-1 bg-gray-50">
+      {/* Header */}
+      <View className="bg-blue-600 p-6">
+        <Text className="text-2xl font-bold text-white">Leave Requests</Text>
+        <Text className="text-white mt-2">
+          Class {params.grade} - {params.section}
+        </Text>
+      </View>
+
+      {/* Status filter */}
+      <View className="flex-row p-2 bg-white border-b border-gray-300">
+        {STATUS_FILTERS.map((filter) => (
+          <TouchableOpacity
+            key={filter.value}
+            onPress={() => setStatus(filter.value)}
+            className={`px-4 py-2 rounded-full mr-2 ${
+              status === filter.value ? "bg-blue-600" : "bg-gray-200"
+            }`}
+          >
+            <Text
+              className={
+                status === filter.value ? "text-white" : "text-gray-700"
+              }
+            >
+              {filter.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <View className="flex-1 justify-center items-center">
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : (
+        <ScrollView className="p-2">
+          {leaveRequests.length === 0 ? (
+            <View className="bg-white p-4 rounded-lg">
+              <Text className="text-gray-500 text-center">
+                No {status} leave requests
+              </Text>
+            </View>
+          ) : (
+            leaveRequests.map((leave) => (
+              <View
+                key={leave._id}
+                className="bg-white p-3 rounded-lg mb-3 shadow-sm border border-gray-200"
+              >
+                <View className="flex-row justify-between items-center">
+                  <Text className="text-lg font-semibold text-gray-800 flex-1">
+                    {leave.student?.name}
+                  </Text>
+                  <Text
+                    className={`px-2 py-1 rounded-full text-xs ${
+                      STATUS_COLORS[leave.status]
+                    }`}
+                  >
+                    {leave.status}
+                  </Text>
+                </View>
+                <Text className="text-gray-600">
+                  Admission No: {leave.student?.admissionNumber}
+                </Text>
+                <Text className="text-gray-800 mt-2 font-medium">
+                  {leaveDays(leave)}
+                </Text>
+                <Text className="text-gray-700 mt-1">{leave.reason}</Text>
+                <Text className="text-gray-500 text-sm mt-1">
+                  From {leave.parent?.name}
+                  {leave.parent?.phone ? ` · ${leave.parent.phone}` : ""}
+                </Text>
+                {leave.reviewNote ? (
+                  <Text className="text-gray-500 text-sm mt-1">
+                    Note: {leave.reviewNote}
+                  </Text>
+                ) : null}
+
+                <View className="flex-row mt-3 gap-2">
+                  {leave.attachment?.name && (
+                    <TouchableOpacity
+                      onPress={() => openAttachment(leave)}
+                      className="flex-row items-center bg-gray-100 px-3 py-2 rounded-lg"
+                    >
+                      <MaterialIcons
+                        name="attach-file"
+                        size={18}
+                        color="#374151"
+                      />
+                      <Text className="text-gray-700 ml-1">Attachment</Text>
+                    </TouchableOpacity>
+                  )}
+                  {leave.status === "pending" && (
+                    <TouchableOpacity
+                      onPress={() => setReviewing(leave)}
+                      className="bg-blue-600 px-4 py-2 rounded-lg"
+                    >
+                      <Text className="text-white font-semibold">Review</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            ))
+          )}
+        </ScrollView>
+      )}
+
+      {/* Approve / reject */}
+      <Modal
+        transparent
+        visible={!!reviewing}
+        animationType="fade"
+        onRequestClose={() => setReviewing(null)}
+      >
+        <View className="flex-1 bg-black/50 justify-center p-6">
+          <View className="bg-white rounded-xl p-4">
+            <Text className="text-lg font-bold mb-1">
+              {reviewing?.student?.name}
+            </Text>
+            <Text className="text-gray-600 mb-3">
+              {reviewing && leaveDays(reviewing)}: {reviewing?.reason}
+            </Text>
+            <TextInput
+              className="border border-gray-300 rounded-lg p-2 mb-4"
+              placeholder="Note to parent (optional)"
+              value={note}
+              onChangeText={setNote}
+              multiline
+            />
+            <View className="flex-row justify-end gap-2">
+              <TouchableOpacity
+                onPress={() => setReviewing(null)}
+                className="px-4 py-2 rounded-lg bg-gray-200"
+              >
+                <Text className="text-gray-700">Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => submitReview("rejected")}
+                disabled={submitting}
+                className="px-4 py-2 rounded-lg bg-red-500"
+              >
+                <Text className="text-white font-semibold">Reject</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => submitReview("approved")}
+                disabled={submitting}
+                className="px-4 py-2 rounded-lg bg-green-600"
+              >
+                <Text className="text-white font-semibold">Approve</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+export default Leave;
@@ -9,26 +9,33 @@ import {
   ActivityIndicator,
   Modal,
 } from "react-native";
-import { useLocalSearchParams } from "expo-router";
+import { useLocalSearchParams, useRouter } from "expo-router";
 import { useAuth } from "../../context/authContext";
 import axios from "axios";
+import { MaterialIcons } from "@expo/vector-icons";
+import DownloadService from "../../services/DownloadService";
+import ClassAnalytics from "../ClassAnalytics";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
 const Marks = () => {
   const params = useLocalSearchParams();
+  const router = useRouter();
   const { token } = useAuth();
   const [loading, setLoading] = useState(true);
   const [students, setStudents] = useState([]);
-  const [createdExams, setCreatedExams] = useState([]);
+  const [exams, setExams] = useState([]);
   const [previousMarks, setPreviousMarks] = useState([]);
   const [modalVisible, setModalVisible] = useState(false);
   const [selectedExam, setSelectedExam] = useState(null);
+  const [categories, setCategories] = useState([]);
 
   // For creating new exam
   const [newExam, setNewExam] = useState({
     name: "",
     totalMarks: "",
+    date: new Date().toISOString().split("T")[0],
+    category: "",
   });
 
   useEffect(() => {
@@ -37,33 +44,31 @@ const Marks = () => {
 
   const fetchData = async () => {
     try {
-      const response = await axios.get(
-        `${API_URL}/api/classroom/${params.id}/marks`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
+      const headers = { Authorization: `Bearer ${token}` };
+      const [response, examsResponse, schemeResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/classroom/${params.id}/marks`, { headers }),
+        axios.get(`${API_URL}/api/classroom/${params.id}/exams`, { headers }),
+        axios.get(`${API_URL}/api/classroom/${params.id}/grading-scheme`, {
+          headers,
+        }),
+      ]);
+      setCategories(schemeResponse.data.gradingScheme?.categories || []);
+
       if (response.data.success) {
         setStudents(response.data.students || []);
         setPreviousMarks(response.data.marks || []);
 
-        // Group previous marks by exam
-        const existingExams = {};
-        response.data.marks.forEach((mark) => {
-          if (!existingExams[mark.exam]) {
-            existingExams[mark.exam] = {
-              name: mark.exam,
-              totalMarks: mark.totalMarks,
-              hasMarks: true,
-              marks: [],
-            };
-          }
-          existingExams[mark.exam].marks.push(mark);
-        });
-
-        setCreatedExams(Object.values(existingExams));
+        // Attach each exam's marks
+        setExams(
+          examsResponse.data.exams.map((exam) => ({
+            ...exam,
+            totalMarks: exam.maxMarks,
+            hasMarks: exam.marksCount > 0,
+            marks: response.data.marks.filter(
+              (mark) => mark.examId === exam._id
+            ),
+          }))
+        );
       }
     } catch (error) {
       console.error("Error fetching data:", error);
@@ -73,32 +78,125 @@ const Marks = () => {
     }
   };
 
-  const handleCreateExam = () => {
+  const handleCreateExam = async () => {
     if (!newExam.name || !newExam.totalMarks) {
       Alert.alert("Error", "Please enter exam name and total marks");
       return;
     }
 
-    // Check if exam with same name exists
-    if (createdExams.some((exam) => exam.name === newExam.name)) {
-      Alert.alert("Error", "An exam with this name already exists");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(newExam.date)) {
+      Alert.alert("Error", "Please enter the exam date as YYYY-MM-DD");
       return;
     }
 
-    // Add to created exams (no API call yet)
-    setCreatedExams([
-      ...createdExams,
-      {
-        name: newExam.name,
-        totalMarks: Number(newExam.totalMarks),
-        hasMarks: false,
-        marks: [],
-      },
-    ]);
-
-    // Reset form
-    setNewExam({ name: "", totalMarks: "" });
-    Alert.alert("Success", "Exam created successfully");
+    if (categories.length > 0 && !newExam.category) {
+      Alert.alert("Error", "Please choose the exam category");
+      return;
+    }
+
+    try {
+      await axios.post(
+        `${API_URL}/api/classroom/${params.id}/exams`,
+        {
+          name: newExam.name,
+          maxMarks: Number(newExam.totalMarks),
+          date: newExam.date,
+          category: newExam.category || undefined,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      // Reset form
+      setNewExam({ ...newExam, name: "", totalMarks: "", category: "" });
+      Alert.alert("Success", "Exam created successfully");
+      fetchData();
+    } catch (error) {
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to create exam"
+      );
+    }
+  };
+
+  // Publishing shows the marks to parents
+  const handleToggleStatus = async () => {
+    const status = selectedExam.status === "published" ? "draft" : "published";
+    try {
+      await axios.put(
+        `${API_URL}/api/classroom/${params.id}/exams/${selectedExam._id}/status`,
+        { status },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      setModalVisible(false);
+      setSelectedExam(null);
+      fetchData();
+    } catch (error) {
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to update exam"
+      );
+    }
+  };
+
+  const handleDeleteExam = () => {
+    Alert.alert(
+      "Delete Exam",
+      `Delete ${selectedExam.name} and all of its marks?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await axios.delete(
+                `${API_URL}/api/classroom/${params.id}/exams/${selectedExam._id}`,
+                {
+                  headers: {
+                    Authorization: `Bearer ${token}`,
+                  },
+                }
+              );
+              setModalVisible(false);
+              setSelectedExam(null);
+              fetchData();
+            } catch (error) {
+              Alert.alert("Error", "Failed to delete exam");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Download one exam, or every exam when exam is omitted
+  const handleExport = (exam) => {
+    DownloadService.chooseFormat("Export Marks", async (format) => {
+      const query = exam
+        ? `format=${format}&examId=${exam._id}`
+        : `format=${format}`;
+
+      try {
+        await DownloadService.downloadAndShare({
+          url: `${API_URL}/api/classroom/${params.id}/marks/export?${query}`,
+          filename: `${params.subject}-${params.grade}${params.section}-${
+            exam ? exam.name : "marks"
+          }`.replace(/[^a-zA-Z0-9]+/g, "-"),
+          format,
+        });
+      } catch (error) {
+        console.error("Error exporting marks:", error);
+        Alert.alert("Error", "Failed to export marks");
+      }
+    });
   };
 
   const handleExamClick = (exam) => {
@@ -139,15 +237,12 @@ const Marks = () => {
     try {
       const marksData = selectedExam.students.map((student) => ({
         student: student._id,
-        exam: selectedExam.name,
-        subject: params.subject,
         marksObtained: Number(student.marksObtained),
-        totalMarks: Number(selectedExam.totalMarks),
       }));
 
       const response = await axios.post(
         `${API_URL}/api/classroom/${params.id}/marks`,
-        { marks: marksData },
+        { examId: selectedExam._id, marks: marksData },
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -156,13 +251,16 @@ const Marks = () => {
       );
 
       if (response.data.success) {
-        Alert.alert("Success", "Marks added successfully");
+        Alert.alert("Success", "Marks saved successfully");
         setModalVisible(false);
         setSelectedExam(null);
         fetchData(); // Refresh all data
       }
     } catch (error) {
-      Alert.alert("Error", "Failed to add marks");
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to add marks"
+      );
     }
   };
 
@@ -177,11 +275,34 @@ const Marks = () => {
   return (
     <ScrollView className="flex-1 bg-gray-50">
       {/* Header */}
-      <View className="bg-blue-600 p-6">
-        <Text className="text-2xl font-bold text-white">Marks</Text>
-        <Text className="text-white mt-2">
-          {params.subject} - Grade {params.grade} Section {params.section}
-        </Text>
+      <View className="bg-blue-600 p-6 flex-row justify-between items-center">
+        <View>
+          <Text className="text-2xl font-bold text-white">Marks</Text>
+          <Text className="text-white mt-2">
+            {params.subject} - Grade {params.grade} Section {params.section}
+          </Text>
+        </View>
+        <View className="flex-row">
+          <TouchableOpacity
+            className="bg-white/20 p-2 rounded-lg"
+            onPress={() =>
+              router.push({
+                pathname: "./grades",
+                params,
+              })
+            }
+          >
+            <MaterialIcons name="grade" size={24} color="white" />
+          </TouchableOpacity>
+          {previousMarks.length > 0 && (
+            <TouchableOpacity
+              className="bg-white/20 p-2 rounded-lg ml-2"
+              onPress={() => handleExport()}
+            >
+              <MaterialIcons name="file-download" size={24} color="white" />
+            </TouchableOpacity>
+          )}
+        </View>
       </View>
 
       {/* Create New Exam */}
@@ -200,6 +321,39 @@ const Marks = () => {
           value={newExam.totalMarks}
           onChangeText={(text) => setNewExam({ ...newExam, totalMarks: text })}
         />
+        <TextInput
+          className="border border-gray-300 p-2 rounded-lg mb-4"
+          placeholder="Exam Date (YYYY-MM-DD)"
+          value={newExam.date}
+          onChangeText={(text) => setNewExam({ ...newExam, date: text })}
+        />
+        {categories.length > 0 && (
+          <View className="flex-row flex-wrap mb-4">
+            {categories.map((category) => (
+              <TouchableOpacity
+                key={category.name}
+                className={`px-3 py-2 rounded-full mr-2 mb-2 ${
+                  newExam.category === category.name
+                    ? "bg-blue-500"
+                    : "bg-gray-200"
+                }`}
+                onPress={() =>
+                  setNewExam({ ...newExam, category: category.name })
+                }
+              >
+                <Text
+                  className={
+                    newExam.category === category.name
+                      ? "text-white"
+                      : "text-gray-700"
+                  }
+                >
+                  {category.name} ({category.weight})
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
         <TouchableOpacity
           className="bg-blue-500 p-3 rounded-lg"
           onPress={handleCreateExam}
@@ -213,19 +367,34 @@ const Marks = () => {
       {/* Exams List */}
       <View className="p-4">
         <Text className="text-lg font-bold mb-4">Exams</Text>
-        {createdExams.length > 0 ? (
-          createdExams.map((exam, index) => (
+        {exams.length > 0 ? (
+          exams.map((exam) => (
             <TouchableOpacity
-              key={index}
+              key={exam._id}
               className="bg-white p-4 rounded-lg mb-3 border border-gray-300"
               onPress={() => handleExamClick(exam)}
             >
-              <Text className="font-semibold">{exam.name}</Text>
+              <View className="flex-row justify-between items-center">
+                <Text className="font-semibold">{exam.name}</Text>
+                <Text
+                  className={`px-2 py-1 rounded-full text-xs ${
+                    exam.status === "published"
+                      ? "bg-green-100 text-green-700"
+                      : "bg-yellow-100 text-yellow-700"
+                  }`}
+                >
+                  {exam.status === "published" ? "Published" : "Draft"}
+                </Text>
+              </View>
+              {exam.category && (
+                <Text className="text-blue-600">{exam.category}</Text>
+              )}
               <Text className="text-gray-600">
-                Total Marks: {exam.totalMarks}
+                {new Date(exam.date).toLocaleDateString()} · Total Marks:{" "}
+                {exam.totalMarks}
               </Text>
               <Text className="text-gray-600">
-                Status: {exam.hasMarks ? "Marks Added" : "Pending"}
+                Marks entered: {exam.marksCount}/{students.length}
               </Text>
             </TouchableOpacity>
           ))
@@ -236,6 +405,12 @@ const Marks = () => {
         )}
       </View>
 
+      <ClassAnalytics
+        classroomId={params.id}
+        token={token}
+        refreshKey={previousMarks}
+      />
+
       {/* Marks Entry/View Modal */}
       <Modal
         animationType="slide"
@@ -248,11 +423,28 @@ const Marks = () => {
       >
         <View className="flex-1 bg-black/50 justify-center">
           <View className="bg-white m-4 rounded-lg max-h-[80%]">
-            <View className="p-4 border-b border-gray-200">
-              <Text className="text-xl font-bold">{selectedExam?.name}</Text>
-              <Text className="text-gray-600">
-                Total Marks: {selectedExam?.totalMarks}
-              </Text>
+            <View className="p-4 border-b border-gray-200 flex-row justify-between items-center">
+              <View>
+                <Text className="text-xl font-bold">{selectedExam?.name}</Text>
+                <Text className="text-gray-600">
+                  Total Marks: {selectedExam?.totalMarks}
+                </Text>
+              </View>
+              <View className="flex-row">
+                {selectedExam?.hasMarks && (
+                  <TouchableOpacity
+                    className="p-2"
+                    onPress={() => handleExport(selectedExam)}
+                  >
+                    <MaterialIcons name="share" size={24} color="#3b82f6" />
+                  </TouchableOpacity>
+                )}
+                {selectedExam?.status === "draft" && (
+                  <TouchableOpacity className="p-2" onPress={handleDeleteExam}>
+                    <MaterialIcons name="delete" size={24} color="#ef4444" />
+                  </TouchableOpacity>
+                )}
+              </View>
             </View>
 
             <ScrollView className="p-4">
@@ -268,7 +460,8 @@ const Marks = () => {
                         Adm: {student.admissionNumber}
                       </Text>
                     </View>
-                    {!selectedExam.hasMarks ? (
+                    {/* Marks can be changed until the exam is published */}
+                    {selectedExam.status === "draft" ? (
                       <TextInput
                         className="border border-gray-300 p-2 rounded-lg w-20 text-center"
                         placeholder="Marks"
@@ -310,16 +503,30 @@ const Marks = () => {
                 }}
               >
                 <Text className="text-white text-center font-semibold">
-                  {selectedExam?.hasMarks ? "Close" : "Cancel"}
+                  {selectedExam?.status === "draft" ? "Cancel" : "Close"}
                 </Text>
               </TouchableOpacity>
-              {!selectedExam?.hasMarks && (
+              {selectedExam?.status === "draft" && (
                 <TouchableOpacity
                   className="bg-green-500 p-3 rounded-lg flex-1"
                   onPress={handleSubmitMarks}
                 >
                   <Text className="text-white text-center font-semibold">
-                    Submit Marks
+                    Save Marks
+                  </Text>
+                </TouchableOpacity>
+              )}
+              {selectedExam?.hasMarks && (
+                <TouchableOpacity
+                  className={`${
+                    selectedExam.status === "draft"
+                      ? "bg-blue-500"
+                      : "bg-yellow-500"
+                  } p-3 rounded-lg flex-1`}
+                  onPress={handleToggleStatus}
+                >
+                  <Text className="text-white text-center font-semibold">
+                    {selectedExam.status === "draft" ? "Publish" : "Unpublish"}
                   </Text>
                 </TouchableOpacity>
               )}
@@ -16,6 +16,7 @@ import axios from "axios";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useRoute } from "@react-navigation/native";
 import * as FileSystem from "expo-file-system";
+import { authFetch } from "../../context/authContext";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
@@ -177,22 +178,12 @@ const Remark = () => {
         await sound.unloadAsync();
       }
 
-      // For base64 content with data URI prefix
-      if (content.startsWith("data:audio")) {
-        const { sound: newSound } = await Audio.Sound.createAsync({
-          uri: content,
-        });
-        setSound(newSound);
-        await newSound.playAsync();
-      }
-      // For backward compatibility with URL paths
-      else {
-        const { sound: newSound } = await Audio.Sound.createAsync({
-          uri: content,
-        });
-        setSound(newSound);
-        await newSound.playAsync();
-      }
+      // content is a short-lived link to the recording
+      const { sound: newSound } = await Audio.Sound.createAsync({
+        uri: content,
+      });
+      setSound(newSound);
+      await newSound.playAsync();
     } catch (error) {
       console.error("Error playing voice message:", error);
       Alert.alert("Error", "Failed to play voice message");
@@ -231,12 +222,11 @@ const Remark = () => {
       // Specify message type
       formData.append("type", "voice");
 
-      const response = await fetch(
+      const response = await authFetch(
         `${API_URL}/api/classroom/${params.id}/student/${selectedStudent._id}/remark`,
         {
           method: "POST",
           headers: {
-            Authorization: `Bearer ${token}`,
             "Content-Type": "multipart/form-data",
           },
           body: formData,
@@ -9,13 +9,28 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { useLocalSearchParams } from "expo-router";
-import { useAuth } from "../../context/authContext";
+import { useAuth, authFetch } from "../../context/authContext";
 import { MaterialIcons } from "@expo/vector-icons";
+import * as DocumentPicker from "expo-document-picker";
 import axios from "axios";
 import CustomModal from "../CustomModal";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
+const ROSTER_TYPES = [
+  "text/csv",
+  "text/comma-separated-values",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+// Rows that stop the import, or that the teacher should look at
+const ROW_STYLES = {
+  invalid: "text-red-600",
+  duplicate: "text-red-600",
+  existing: "text-amber-600",
+  enrolled: "text-gray-500",
+};
+
 const Student = () => {
   const params = useLocalSearchParams();
   const { token } = useAuth();
@@ -28,6 +43,8 @@ const Student = () => {
     name: "",
     admissionNumber: "",
   });
+  const [rosterFile, setRosterFile] = useState(null);
+  const [rosterPreview, setRosterPreview] = useState(null);
 
   useEffect(() => {
     fetchStudents();
@@ -90,6 +107,87 @@ const Student = () => {
     }
   };
 
+  // Send the picked roster to the preview or import endpoint
+  const uploadRoster = async (file, endpoint) => {
+    const formData = new FormData();
+    formData.append("file", {
+      uri: file.uri,
+      type: file.mimeType || "text/csv",
+      name: file.name,
+    });
+
+    const response = await authFetch(
+      `${API_URL}/api/classroom/${params.id}/students/${endpoint}`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "multipart/form-data",
+        },
+        body: formData,
+      }
+    );
+
+    return response.json();
+  };
+
+  const handlePickRoster = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ROSTER_TYPES,
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const file = result.assets[0];
+      setIsSubmitting(true);
+      const data = await uploadRoster(file, "import/preview");
+
+      if (!data.success) {
+        Alert.alert("Error", data.message || "Failed to read the file");
+        return;
+      }
+
+      setRosterFile(file);
+      setRosterPreview(data);
+    } catch (error) {
+      console.error("Error previewing roster:", error);
+      Alert.alert("Error", "Failed to read the file");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const closeRosterPreview = () => {
+    setRosterFile(null);
+    setRosterPreview(null);
+  };
+
+  const handleImportRoster = async () => {
+    if (rosterPreview.summary.errors > 0) {
+      Alert.alert("Error", "Fix the highlighted rows and upload again");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const data = await uploadRoster(rosterFile, "import");
+
+      if (!data.success) {
+        Alert.alert("Error", data.message || "Failed to import students");
+        return;
+      }
+
+      closeRosterPreview();
+      await fetchStudents();
+      Alert.alert("Success", data.message);
+    } catch (error) {
+      console.error("Error importing roster:", error);
+      Alert.alert("Error", "Failed to import students");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const handleRemoveStudent = async (studentId) => {
     Alert.alert(
       "Remove Student",
@@ -165,6 +263,13 @@ const Student = () => {
               onChangeText={setSearchQuery}
             />
           </View>
+          <TouchableOpacity
+            className="bg-blue-500 py-2 px-4 rounded-lg"
+            onPress={handlePickRoster}
+            disabled={isSubmitting}
+          >
+            <MaterialIcons name="upload-file" size={25} color="white" />
+          </TouchableOpacity>
           <TouchableOpacity
             className="bg-green-500 py-2 px-4 rounded-lg"
             onPress={() => setModalVisible(true)}
@@ -257,6 +362,52 @@ const Student = () => {
           </View>
         </View>
       </CustomModal>
+
+      {/* Roster import preview */}
+      <CustomModal
+        visible={!!rosterPreview}
+        onClose={closeRosterPreview}
+        onSubmit={handleImportRoster}
+        title="Import Students"
+        description={rosterFile?.name}
+        submitText="Import"
+        isLoading={isSubmitting}
+      >
+        {rosterPreview && (
+          <View>
+            <Text className="text-gray-700">
+              New: {rosterPreview.summary.new} · Existing:{" "}
+              {rosterPreview.summary.existing} · Already in class:{" "}
+              {rosterPreview.summary.enrolled}
+            </Text>
+            {rosterPreview.summary.errors > 0 && (
+              <Text className="text-red-600 mt-1">
+                {rosterPreview.summary.errors} rows need fixing before import
+              </Text>
+            )}
+
+            <ScrollView className="max-h-64 mt-3">
+              {rosterPreview.rows.map((row) => (
+                <View
+                  key={row.row}
+                  className="py-2 border-b border-gray-100 flex-row justify-between"
+                >
+                  <Text className="flex-1 text-gray-800" numberOfLines={1}>
+                    {row.row}. {row.name || "—"} ({row.admissionNumber || "—"})
+                  </Text>
+                  <Text
+                    className={`ml-2 text-xs ${
+                      ROW_STYLES[row.status] || "text-green-600"
+                    }`}
+                  >
+                    {row.message || row.status}
+                  </Text>
+                </View>
+              ))}
+            </ScrollView>
+          </View>
+        )}
+      </CustomModal>
     </ScrollView>
   );
 };
@@ -3,20 +3,63 @@ import {
   View,
   Text,
   Image,
+  TextInput,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
   ScrollView,
 } from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
 import { pickImageWithEdit } from "../../../utils/imagePicker";
 import { convertToBase64 } from "../../../utils/imageConversion";
 import axios from "axios";
 import { useLocalSearchParams } from "expo-router";
 import { useAuth } from "../../context/authContext";
+import CustomModal from "../CustomModal";
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
+// 0 is Sunday, as on the server
+const DAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+];
+
+const emptyPeriod = (day, periods) => {
+  const last = periods[periods.length - 1];
+  return {
+    day,
+    period: String(last ? last.period + 1 : 1),
+    startTime: last ? last.endTime : "",
+    endTime: "",
+    subject: "",
+    room: "",
+    teacher: null,
+  };
+};
+
+// As sent to the server: teachers by id
+const toRequest = (period) => ({
+  day: period.day,
+  period: Number(period.period),
+  startTime: period.startTime.trim(),
+  endTime: period.endTime.trim(),
+  subject: period.subject.trim(),
+  room: period.room ? period.room.trim() : undefined,
+  teacher: period.teacher ? period.teacher._id : undefined,
+});
+
 const Timetable = () => {
+  const [periods, setPeriods] = useState([]);
+  const [teachers, setTeachers] = useState([]);
+  const [selectedDay, setSelectedDay] = useState(1);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
   const [image, setImage] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -25,6 +68,64 @@ const Timetable = () => {
   const params = useLocalSearchParams();
   const { token } = useAuth();
 
+  const headers = { Authorization: `Bearer ${token}` };
+  const dayPeriods = periods.filter((period) => period.day === selectedDay);
+
+  const savePeriods = async (updated) => {
+    try {
+      setSaving(true);
+      const response = await axios.put(
+        `${API_URL}/api/classroom/${params.id}/timetable/periods`,
+        { periods: updated.map(toRequest) },
+        { headers }
+      );
+
+      if (response.data.success) {
+        setPeriods(response.data.periods);
+        return true;
+      }
+    } catch (error) {
+      console.error("Save timetable error:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to save timetable"
+      );
+    } finally {
+      setSaving(false);
+    }
+    return false;
+  };
+
+  const handleSavePeriod = async () => {
+    if (!editing.subject.trim()) {
+      Alert.alert("Error", "Please enter the subject");
+      return;
+    }
+
+    const updated = editing._id
+      ? periods.map((period) => (period._id === editing._id ? editing : period))
+      : [...periods, editing];
+    if (await savePeriods(updated)) {
+      setEditing(null);
+    }
+  };
+
+  const handleDeletePeriod = (period) => {
+    Alert.alert(
+      "Delete Period",
+      `Remove period ${period.period} (${period.subject})?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () =>
+            savePeriods(periods.filter((other) => other._id !== period._id)),
+        },
+      ]
+    );
+  };
+
   const handleImagePick = async () => {
     try {
       const imageUri = await pickImageWithEdit();
@@ -36,17 +137,13 @@ const Timetable = () => {
         const response = await axios.post(
           `${API_URL}/api/classroom/${params.id}/timetable`,
           { image: base64Image },
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { headers }
         );
 
         if (response.data.success) {
-          setImage(`data:image/jpeg;base64,${response.data.image}`);
+          setImage(response.data.imageUrl);
 
-          Alert.alert("Success", "Timetable uploaded successfully!");
+          Alert.alert("Success", "Timetable photo uploaded successfully!");
         }
       }
     } catch (error) {
@@ -63,6 +160,31 @@ const Timetable = () => {
     }
   };
 
+  const handleImageDelete = () => {
+    Alert.alert("Remove Photo", "Remove the timetable photo?", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await axios.delete(
+              `${API_URL}/api/classroom/${params.id}/timetable/image`,
+              { headers }
+            );
+            setImage(null);
+          } catch (error) {
+            console.error("Delete timetable photo error:", error);
+            Alert.alert(
+              "Error",
+              error.response?.data?.message || "Failed to remove photo"
+            );
+          }
+        },
+      },
+    ]);
+  };
+
   useEffect(() => {
     const fetchTimetable = async () => {
       try {
@@ -75,13 +197,22 @@ const Timetable = () => {
           return;
         }
 
-        const response = await axios.get(
-          `${API_URL}/api/classroom/${params.id}/timetable`
-        );
+        const [timetableResponse, teachersResponse] = await Promise.all([
+          axios.get(`${API_URL}/api/classroom/${params.id}/timetable`, {
+            headers,
+          }),
+          axios
+            .get(`${API_URL}/api/classroom/${params.id}/timetable/teachers`, {
+              headers,
+            })
+            .catch(() => ({ data: { teachers: [] } })),
+        ]);
 
-        if (response.data.success) {
-          setImage(`data:image/jpeg;base64,${response.data.image}`);
+        if (timetableResponse.data.success) {
+          setPeriods(timetableResponse.data.periods);
+          setImage(timetableResponse.data.imageUrl);
         }
+        setTeachers(teachersResponse.data.teachers || []);
       } catch (error) {
         console.error("Fetch timetable error:", error);
         setErrorMessage(
@@ -121,52 +252,257 @@ const Timetable = () => {
           </View>
         )}
 
-        {uploading ? (
-          <View className="justify-center items-center py-10">
-            <ActivityIndicator size="large" color="#3b82f6" />
-            <Text className="mt-3 text-base text-gray-600">
-              Uploading timetable...
-            </Text>
-          </View>
-        ) : (
-          <>
-            {image ? (
-              <View className="items-center">
-                <Image
-                  source={{ uri: image }}
-                  className="w-full aspect-auto h-96 rounded-lg mb-5"
-                  resizeMode="contain"
-                />
+        {/* Day picker */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {DAYS.map((day) => {
+            const count = periods.filter(
+              (period) => period.day === day.value
+            ).length;
+            return (
+              <TouchableOpacity
+                key={day.value}
+                className={`px-4 py-2 mr-2 rounded-full ${
+                  selectedDay === day.value ? "bg-blue-600" : "bg-gray-100"
+                }`}
+                onPress={() => setSelectedDay(day.value)}
+              >
+                <Text
+                  className={
+                    selectedDay === day.value
+                      ? "text-white font-medium"
+                      : "text-gray-700"
+                  }
+                >
+                  {day.label}
+                  {count > 0 ? ` (${count})` : ""}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
 
-                <View className="flex-row justify-center w-full mb-10">
-                  <TouchableOpacity
-                    className="bg-green-600 py-3 px-4 rounded-lg mx-2 flex-1 max-w-36"
-                    onPress={handleImagePick}
-                  >
-                    <Text className="text-white text-base font-bold text-center">
-                      Update
-                    </Text>
-                  </TouchableOpacity>
+        {/* Periods of the selected day */}
+        <View className="mt-4">
+          {dayPeriods.length === 0 ? (
+            <Text className="text-gray-500 text-center py-6">
+              No periods on this day
+            </Text>
+          ) : (
+            dayPeriods.map((period) => (
+              <TouchableOpacity
+                key={period._id}
+                className="flex-row items-center bg-gray-50 border border-gray-200 rounded-lg p-3 mb-2"
+                onPress={() =>
+                  setEditing({
+                    ...period,
+                    period: String(period.period),
+                    room: period.room || "",
+                  })
+                }
+              >
+                <View className="w-20">
+                  <Text className="text-blue-600 font-bold">
+                    Period {period.period}
+                  </Text>
+                  <Text className="text-gray-500 text-xs">
+                    {period.startTime} - {period.endTime}
+                  </Text>
+                </View>
+                <View className="flex-1 ml-2">
+                  <Text className="text-gray-800 font-medium">
+                    {period.subject}
+                  </Text>
+                  <Text className="text-gray-500 text-xs">
+                    {[period.teacher?.name, period.room]
+                      .filter(Boolean)
+                      .join(" · ") || "Classroom teacher"}
+                  </Text>
                 </View>
-              </View>
-            ) : (
-              <View className="justify-center items-center py-10">
-                <Text className="text-base text-gray-600 mb-5">
-                  No timetable uploaded yet
-                </Text>
                 <TouchableOpacity
-                  className="bg-blue-600 py-4 px-4 rounded-lg w-4/5 max-w-60"
+                  onPress={() => handleDeletePeriod(period)}
+                  className="p-2"
+                >
+                  <MaterialIcons name="delete" size={20} color="#ef4444" />
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))
+          )}
+
+          <TouchableOpacity
+            className="bg-blue-600 py-3 rounded-lg mt-2"
+            onPress={() => setEditing(emptyPeriod(selectedDay, dayPeriods))}
+          >
+            <Text className="text-white text-base font-bold text-center">
+              Add Period
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Optional photo of the printed timetable */}
+        <View className="mt-8 border-t border-gray-200 pt-5">
+          <Text className="text-lg font-bold text-gray-800 mb-1">
+            Timetable Photo
+          </Text>
+          <Text className="text-gray-500 mb-4">
+            Optional. Parents see it below the day's periods.
+          </Text>
+
+          {uploading ? (
+            <View className="justify-center items-center py-10">
+              <ActivityIndicator size="large" color="#3b82f6" />
+              <Text className="mt-3 text-base text-gray-600">
+                Uploading timetable...
+              </Text>
+            </View>
+          ) : image ? (
+            <View className="items-center">
+              <Image
+                source={{ uri: image }}
+                className="w-full aspect-auto h-96 rounded-lg mb-5"
+                resizeMode="contain"
+              />
+
+              <View className="flex-row justify-center w-full mb-10">
+                <TouchableOpacity
+                  className="bg-green-600 py-3 px-4 rounded-lg mx-2 flex-1 max-w-36"
                   onPress={handleImagePick}
                 >
                   <Text className="text-white text-base font-bold text-center">
-                    Upload Timetable
+                    Update
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  className="bg-red-500 py-3 px-4 rounded-lg mx-2 flex-1 max-w-36"
+                  onPress={handleImageDelete}
+                >
+                  <Text className="text-white text-base font-bold text-center">
+                    Remove
                   </Text>
                 </TouchableOpacity>
               </View>
-            )}
+            </View>
+          ) : (
+            <TouchableOpacity
+              className="border border-blue-600 py-3 px-4 rounded-lg mb-10"
+              onPress={handleImagePick}
+            >
+              <Text className="text-blue-600 text-base font-bold text-center">
+                Upload Photo
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      {/* Add or edit a period */}
+      <CustomModal
+        visible={!!editing}
+        onClose={() => setEditing(null)}
+        onSubmit={handleSavePeriod}
+        title={editing?._id ? "Edit Period" : "Add Period"}
+        description={DAYS.find((day) => day.value === editing?.day)?.label}
+        submitText="Save Period"
+        isLoading={saving}
+      >
+        {editing && (
+          <>
+            <View className="flex-row mb-4">
+              <View className="w-20 mr-2">
+                <Text className="text-gray-700 text-sm font-medium mb-1">
+                  Period
+                </Text>
+                <TextInput
+                  className="border border-gray-300 p-2 rounded-lg"
+                  keyboardType="number-pad"
+                  value={editing.period}
+                  onChangeText={(text) =>
+                    setEditing({ ...editing, period: text })
+                  }
+                />
+              </View>
+              <View className="flex-1 mr-2">
+                <Text className="text-gray-700 text-sm font-medium mb-1">
+                  Starts
+                </Text>
+                <TextInput
+                  className="border border-gray-300 p-2 rounded-lg"
+                  placeholder="09:00"
+                  value={editing.startTime}
+                  onChangeText={(text) =>
+                    setEditing({ ...editing, startTime: text })
+                  }
+                />
+              </View>
+              <View className="flex-1">
+                <Text className="text-gray-700 text-sm font-medium mb-1">
+                  Ends
+                </Text>
+                <TextInput
+                  className="border border-gray-300 p-2 rounded-lg"
+                  placeholder="09:45"
+                  value={editing.endTime}
+                  onChangeText={(text) =>
+                    setEditing({ ...editing, endTime: text })
+                  }
+                />
+              </View>
+            </View>
+
+            <View className="mb-4">
+              <Text className="text-gray-700 text-sm font-medium mb-1">
+                Subject
+              </Text>
+              <TextInput
+                className="border border-gray-300 p-2 rounded-lg"
+                placeholder="e.g. Mathematics"
+                value={editing.subject}
+                onChangeText={(text) =>
+                  setEditing({ ...editing, subject: text })
+                }
+              />
+            </View>
+
+            <View className="mb-4">
+              <Text className="text-gray-700 text-sm font-medium mb-1">
+                Room
+              </Text>
+              <TextInput
+                className="border border-gray-300 p-2 rounded-lg"
+                placeholder="Optional"
+                value={editing.room}
+                onChangeText={(text) => setEditing({ ...editing, room: text })}
+              />
+            </View>
+
+            <Text className="text-gray-700 text-sm font-medium mb-1">
+              Teacher
+            </Text>
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              className="mb-1"
+            >
+              {[null, ...teachers].map((teacher) => {
+                const selected =
+                  (editing.teacher?._id || null) === (teacher?._id || null);
+                return (
+                  <TouchableOpacity
+                    key={teacher?._id || "class-teacher"}
+                    className={`px-3 py-2 mr-2 rounded-full ${
+                      selected ? "bg-blue-600" : "bg-gray-100"
+                    }`}
+                    onPress={() => setEditing({ ...editing, teacher })}
+                  >
+                    <Text className={selected ? "text-white" : "text-gray-700"}>
+                      {teacher ? teacher.name : "Classroom teacher"}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
           </>
         )}
-      </View>
+      </CustomModal>
     </ScrollView>
   );
 };
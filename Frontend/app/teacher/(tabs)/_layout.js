@@ -52,6 +52,10 @@ const CustomTabBar = ({ state, descriptors, navigation }) => {
           switch (routeName) {
             case "home":
               return <FontAwesome name="home" size={size + 4} color={color} />;
+            case "schedule":
+              return (
+                <FontAwesome name="calendar" size={size - 2} color={color} />
+              );
             case "profile":
               return <FontAwesome name="user" size={size} color={color} />;
             default:
@@ -125,6 +129,12 @@ const TabLayout = () => {
           title: "Home",
         }}
       />
+      <Tabs.Screen
+        name="schedule"
+        options={{
+          title: "Schedule",
+        }}
+      />
       <Tabs.Screen
         name="profile"
         options={{
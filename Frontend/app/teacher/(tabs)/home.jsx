@@ -23,6 +23,47 @@ import {
 
 const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
 
+// Define color schemes
+const CARD_COLORS = [
+  {
+    bg: "bg-blue-50",
+    border: "border border-blue-500",
+    icon: "#4f46e5",
+    title: "text-blue-900",
+  },
+  {
+    bg: "bg-rose-50",
+    border: "border border-rose-500",
+    icon: "#e11d48",
+    title: "text-rose-900",
+  },
+  {
+    bg: "bg-amber-50",
+    border: "border border-amber-500",
+    icon: "#d97706",
+    title: "text-amber-900",
+  },
+  {
+    bg: "bg-emerald-50",
+    border: "border border-emerald-600",
+    icon: "#059669",
+    title: "text-emerald-900",
+  },
+];
+
+// Badge text for classrooms shared with the teacher
+const getStaffBadge = (classroom) => {
+  if (classroom.myRole === "co-teacher") {
+    return "Co-teacher";
+  }
+  if (classroom.myRole === "substitute") {
+    return `Substitute until ${new Date(
+      classroom.accessExpiresAt
+    ).toLocaleDateString()}`;
+  }
+  return null;
+};
+
 export default function HomeScreen() {
   const router = useRouter();
   const { user, token } = useAuth();
@@ -47,6 +88,16 @@ export default function HomeScreen() {
     (classroom) => !classroom.classTeacher
   );
 
+  // Classrooms the teacher created or co-owns
+  const ownClassrooms = classrooms.filter(
+    (classroom) => !classroom.myRole || classroom.myRole === "owner"
+  );
+
+  // Classrooms other teachers have shared as co-teacher or substitute
+  const sharedClassrooms = classrooms.filter(
+    (classroom) => classroom.myRole && classroom.myRole !== "owner"
+  );
+
   // Calculate unique students (prevent counting same student multiple times)
   const getUniqueStudentCount = () => {
     const uniqueStudentIds = new Set();
@@ -126,6 +177,70 @@ export default function HomeScreen() {
     }
   };
 
+  const renderClassroomCard = (classroom, index) => {
+    // Get color scheme based on index
+    const colorScheme = CARD_COLORS[index % CARD_COLORS.length];
+
+    // Get student count
+    const studentCount = classroom.students?.length || 0;
+
+    const staffBadge = getStaffBadge(classroom);
+
+    return (
+      <TouchableOpacity
+        key={classroom._id}
+        className={`w-[48.5%] h-32 ${colorScheme.bg} ${colorScheme.border} rounded-lg p-3 mb-3`}
+        onPress={() =>
+          router.push({
+            pathname: "../(classroom)",
+            params: { id: classroom._id },
+          })
+        }
+      >
+        <View className="h-full justify-between">
+          <View>
+            <View className="flex-row items-center justify-between">
+              <Text
+                numberOfLines={1}
+                className={`text-lg font-semibold ${colorScheme.title} flex-1 mr-2`}
+              >
+                {classroom.subject}
+              </Text>
+              <MaterialIcons
+                name="chevron-right"
+                size={20}
+                color={colorScheme.icon}
+              />
+            </View>
+
+            {(classroom.classTeacher || staffBadge) && (
+              <View
+                className={`px-2 py-1 bg-white ${colorScheme.border} rounded-full self-start mt-1`}
+              >
+                <Text
+                  numberOfLines={1}
+                  className={`text-xs font-medium ${colorScheme.title}`}
+                >
+                  {staffBadge || "Class Teacher"}
+                </Text>
+              </View>
+            )}
+
+            <Text className="text-gray-600 mt-1">
+              Class {classroom.grade} - {classroom.section}
+            </Text>
+          </View>
+
+          <Text className="text-gray-500 text-sm">
+            {staffBadge && classroom.teacher?.name
+              ? `By ${classroom.teacher.name}`
+              : `Students: ${studentCount}`}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
   if (loading) {
     return (
       <View className="flex-1 justify-center items-center bg-gray-50">
@@ -166,7 +281,7 @@ export default function HomeScreen() {
                   {user?.name?.split(" ")[0] || "Teacher"}
                 </Text>
                 <Text className="text-blue-100 text-md mt-1">
-                  {user?.school || "School"}
+                  {user?.school?.name || "School"}
                 </Text>
               </View>
             </View>
@@ -235,7 +350,7 @@ export default function HomeScreen() {
           </View>
 
           {/* Empty state */}
-          {classrooms.length === 0 && (
+          {ownClassrooms.length === 0 && (
             <View className="items-center justify-center py-12 px-5 bg-white rounded-xl border border-gray-100 shadow-sm">
               <View className="bg-blue-50 p-4 rounded-full mb-4">
                 <MaterialIcons name="book" size={42} color="#2563eb" />
@@ -249,100 +364,32 @@ export default function HomeScreen() {
             </View>
           )}
 
-          {/* All Classroom Cards - Improved styling */}
-          {/* All Classroom Cards - Improved styling */}
-          {/* All Classroom Cards - With student count at the bottom of the view */}
-          {classrooms.length > 0 && (
+          {ownClassrooms.length > 0 && (
             <View className="flex-row flex-wrap justify-between">
-              {classrooms.map((classroom, index) => {
-                // Define color schemes
-                const CARD_COLORS = [
-                  {
-                    bg: "bg-blue-50",
-                    border: "border border-blue-500",
-                    icon: "#4f46e5",
-                    title: "text-blue-900",
-                  },
-                  {
-                    bg: "bg-rose-50",
-                    border: "border border-rose-500",
-                    icon: "#e11d48",
-                    title: "text-rose-900",
-                  },
-                  {
-                    bg: "bg-amber-50",
-                    border: "border border-amber-500",
-                    icon: "#d97706",
-                    title: "text-amber-900",
-                  },
-                  {
-                    bg: "bg-emerald-50",
-                    border: "border border-emerald-600",
-                    icon: "#059669",
-                    title: "text-emerald-900",
-                  },
-                ];
-
-                // Get color scheme based on index
-                const colorScheme = CARD_COLORS[index % CARD_COLORS.length];
-
-                // Get student count
-                const studentCount = classroom.students?.length || 0;
-
-                return (
-                  <TouchableOpacity
-                    key={classroom._id}
-                    className={`w-[48.5%] h-32 ${colorScheme.bg} ${colorScheme.border} rounded-lg p-3 mb-3`}
-                    onPress={() =>
-                      router.push({
-                        pathname: "../(classroom)",
-                        params: { id: classroom._id },
-                      })
-                    }
-                  >
-                    <View className="h-full justify-between">
-                      <View>
-                        <View className="flex-row items-center justify-between">
-                          <Text
-                            numberOfLines={1}
-                            className={`text-lg font-semibold ${colorScheme.title} flex-1 mr-2`}
-                          >
-                            {classroom.subject}
-                          </Text>
-                          <MaterialIcons
-                            name="chevron-right"
-                            size={20}
-                            color={colorScheme.icon}
-                          />
-                        </View>
-
-                        {classroom.classTeacher && (
-                          <View
-                            className={`px-2 py-1 bg-white ${colorScheme.border} rounded-full self-start mt-1`}
-                          >
-                            <Text
-                              className={`text-xs font-medium ${colorScheme.title}`}
-                            >
-                              Class Teacher
-                            </Text>
-                          </View>
-                        )}
-
-                        <Text className="text-gray-600 mt-1">
-                          Class {classroom.grade} - {classroom.section}
-                        </Text>
-                      </View>
-
-                      <Text className="text-gray-500 text-sm">
-                        Students: {studentCount}
-                      </Text>
-                    </View>
-                  </TouchableOpacity>
-                );
-              })}
+              {ownClassrooms.map(renderClassroomCard)}
             </View>
           )}
         </View>
+
+        {/* Classrooms shared by other teachers */}
+        {sharedClassrooms.length > 0 && (
+          <View className="px-3 mt-2">
+            <View className="mb-4 flex-row items-center">
+              <MaterialCommunityIcons
+                name="account-multiple"
+                size={24}
+                color="#2563eb"
+              />
+              <Text className="text-blue-600 font-bold text-lg ml-2">
+                Shared With Me
+              </Text>
+            </View>
+
+            <View className="flex-row flex-wrap justify-between">
+              {sharedClassrooms.map(renderClassroomCard)}
+            </View>
+          </View>
+        )}
       </ScrollView>
 
       {/* Add Classroom Modal - improved styling */}
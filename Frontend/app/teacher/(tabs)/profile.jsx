@@ -14,6 +14,14 @@ export default function ProfileScreen() {
     }
   };
 
+  const handleLogoutAllDevices = async () => {
+    try {
+      await logout({ allDevices: true });
+    } catch (error) {
+      console.log("Logout error:", error);
+    }
+  };
+
   const teachingTips = [
     {
       id: 1,
@@ -62,6 +70,14 @@ export default function ProfileScreen() {
                     Logout
                   </Text>
                 </TouchableOpacity>
+                <TouchableOpacity
+                  className="mt-2 px-4"
+                  onPress={handleLogoutAllDevices}
+                >
+                  <Text className="text-red-400 text-xs">
+                    Logout from all devices
+                  </Text>
+                </TouchableOpacity>
               </View>
             </View>
           </View>
@@ -0,0 +1,155 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  RefreshControl,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { MaterialIcons } from "@expo/vector-icons";
+import { useAuth } from "../../context/authContext";
+import axios from "axios";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+// 0 is Sunday, as on the server
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const WEEK = [1, 2, 3, 4, 5, 6, 0];
+
+// The teacher's periods for the week across all their classrooms, from
+// each classroom's timetable
+export default function ScheduleScreen() {
+  const { token } = useAuth();
+  const [periods, setPeriods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const today = new Date().getDay();
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/classroom/schedule`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.data.success) {
+        setPeriods(response.data.periods);
+      }
+    } catch (error) {
+      console.error("Error fetching schedule:", error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchSchedule();
+    }, [token])
+  );
+
+  const days = WEEK.map((day) => ({
+    day,
+    periods: periods.filter((period) => period.day === day),
+  })).filter(({ day, periods }) => periods.length > 0 || day === today);
+
+  if (loading) {
+    return (
+      <View className="flex-1 justify-center items-center bg-white">
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView className="flex-1 bg-gray-50">
+      <View className="bg-blue-600 p-6 rounded-b-3xl">
+        <Text className="text-2xl font-bold text-white">My Schedule</Text>
+        <Text className="text-white mt-1">
+          Your periods this week across all classrooms
+        </Text>
+      </View>
+
+      <ScrollView
+        className="flex-1 p-4"
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={() => {
+              setRefreshing(true);
+              fetchSchedule();
+            }}
+          />
+        }
+      >
+        {periods.length === 0 ? (
+          <View className="items-center py-10">
+            <MaterialIcons name="event-note" size={48} color="#93c5fd" />
+            <Text className="text-gray-500 text-center mt-3">
+              No periods yet. Add them from a classroom's Timetable.
+            </Text>
+          </View>
+        ) : (
+          days.map(({ day, periods: dayPeriods }) => (
+            <View key={day} className="mb-5">
+              <Text
+                className={`text-lg font-bold mb-2 ${
+                  day === today ? "text-blue-600" : "text-gray-800"
+                }`}
+              >
+                {DAY_NAMES[day]}
+                {day === today ? " (Today)" : ""}
+              </Text>
+              {dayPeriods.length === 0 ? (
+                <Text className="text-gray-500">No periods</Text>
+              ) : (
+                dayPeriods.map((period) => (
+                  <View
+                    key={period._id}
+                    className={`flex-row bg-white rounded-lg p-3 mb-2 border ${
+                      period.clash ? "border-red-400" : "border-gray-200"
+                    }`}
+                  >
+                    <View className="w-24">
+                      <Text className="text-gray-800 font-medium">
+                        {period.startTime} - {period.endTime}
+                      </Text>
+                      <Text className="text-gray-500 text-xs">
+                        Period {period.period}
+                      </Text>
+                    </View>
+                    <View className="flex-1">
+                      <Text className="text-gray-800 font-medium">
+                        {period.subject}
+                      </Text>
+                      <Text className="text-gray-500 text-xs">
+                        Class {period.classroom.grade} -{" "}
+                        {period.classroom.section}
+                        {period.room ? ` · Room ${period.room}` : ""}
+                      </Text>
+                      {period.clash && (
+                        <Text className="text-red-500 text-xs mt-1">
+                          Overlaps another period
+                        </Text>
+                      )}
+                    </View>
+                  </View>
+                ))
+              )}
+            </View>
+          ))
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
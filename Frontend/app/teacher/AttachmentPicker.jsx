@@ -0,0 +1,83 @@
+import React from "react";
+import { View, Text, TouchableOpacity, Alert } from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import * as DocumentPicker from "expo-document-picker";
+
+// Same limits as the server
+const ATTACHMENT_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+];
+const MAX_FILES = 5;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Append picked files to a FormData as "attachments"
+export const appendAttachments = (formData, files) => {
+  files.forEach((file) => {
+    formData.append("attachments", {
+      uri: file.uri,
+      type: file.mimeType,
+      name: file.name,
+    });
+  });
+};
+
+// Pick worksheets, photos and PDFs to attach to an assignment or
+// announcement. files are DocumentPicker assets.
+const AttachmentPicker = ({ files, onChange }) => {
+  const pickFiles = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ATTACHMENT_TYPES,
+      multiple: true,
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled) return;
+
+    const picked = [...files, ...result.assets];
+    if (picked.length > MAX_FILES) {
+      Alert.alert("Error", `You can attach up to ${MAX_FILES} files`);
+      return;
+    }
+    const tooLarge = picked.find((file) => file.size > MAX_FILE_SIZE);
+    if (tooLarge) {
+      Alert.alert("Error", `${tooLarge.name} is larger than 10MB`);
+      return;
+    }
+    onChange(picked);
+  };
+
+  return (
+    <View className="mb-1">
+      {files.map((file, index) => (
+        <View key={file.uri} className="flex-row items-center py-1">
+          <MaterialIcons name="attach-file" size={18} color="#6b7280" />
+          <Text className="text-gray-700 ml-1 flex-1" numberOfLines={1}>
+            {file.name}
+          </Text>
+          <TouchableOpacity
+            onPress={() => onChange(files.filter((_, i) => i !== index))}
+            className="p-1"
+          >
+            <MaterialIcons name="close" size={18} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+      {files.length < MAX_FILES && (
+        <TouchableOpacity
+          className="flex-row items-center py-2"
+          onPress={pickFiles}
+        >
+          <MaterialIcons name="attach-file" size={20} color="#3b82f6" />
+          <Text className="text-blue-600 ml-1">
+            Attach worksheets, photos or PDFs
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+export default AttachmentPicker;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Dimensions,
+} from "react-native";
+import { LineChart, BarChart } from "react-native-chart-kit";
+import axios from "axios";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+const screenWidth = Dimensions.get("window").width - 32;
+
+const chartConfig = {
+  backgroundGradientFrom: "#ffffff",
+  backgroundGradientTo: "#ffffff",
+  color: (opacity = 1) => `rgba(59, 130, 246, ${opacity})`,
+  strokeWidth: 2,
+  barPercentage: 0.6,
+  decimalPlaces: 0,
+  labelColor: (opacity = 1) => `rgba(55, 65, 81, ${opacity})`,
+  propsForLabels: {
+    fontSize: 10,
+  },
+};
+
+// Exam averages, score distribution and student standings for a classroom.
+// Change refreshKey to reload after marks are saved.
+const ClassAnalytics = ({ classroomId, token, refreshKey }) => {
+  const [loading, setLoading] = useState(true);
+  const [analytics, setAnalytics] = useState(null);
+  // null shows the distribution of term results
+  const [selectedExamId, setSelectedExamId] = useState(null);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [classroomId, refreshKey]);
+
+  const fetchAnalytics = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/classroom/${classroomId}/analytics`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      setAnalytics(response.data.analytics);
+    } catch (error) {
+      console.error("Error fetching analytics:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const examsWithMarks = useMemo(
+    () => (analytics?.exams || []).filter((exam) => exam.count > 0),
+    [analytics]
+  );
+
+  const trendData = useMemo(
+    () => ({
+      labels: examsWithMarks.map((exam) => exam.name.substring(0, 6)),
+      datasets: [
+        {
+          data: examsWithMarks.map((exam) => exam.average),
+          color: (opacity = 1) => `rgba(59, 130, 246, ${opacity})`,
+        },
+        {
+          data: examsWithMarks.map((exam) => exam.highest),
+          color: (opacity = 1) => `rgba(16, 185, 129, ${opacity})`,
+        },
+        {
+          data: examsWithMarks.map((exam) => exam.lowest),
+          color: (opacity = 1) => `rgba(239, 68, 68, ${opacity})`,
+        },
+      ],
+    }),
+    [examsWithMarks]
+  );
+
+  const histogram = useMemo(() => {
+    const selected = examsWithMarks.find((exam) => exam._id === selectedExamId);
+    const source = selected ? selected.histogram : analytics?.distribution;
+    return {
+      labels: (source?.labels || []).map((label) => label.split("-")[0]),
+      datasets: [{ data: source?.counts || [] }],
+    };
+  }, [analytics, examsWithMarks, selectedExamId]);
+
+  if (loading) {
+    return (
+      <View className="p-4 items-center">
+        <ActivityIndicator color="#3b82f6" />
+      </View>
+    );
+  }
+
+  if (examsWithMarks.length === 0) {
+    return null;
+  }
+
+  const ranked = analytics.students
+    .filter((entry) => entry.percentage !== null)
+    .sort((a, b) => b.percentage - a.percentage);
+
+  return (
+    <View className="p-4 bg-white mb-4">
+      <Text className="text-lg font-bold mb-1">Class Analytics</Text>
+      <Text className="text-gray-600 mb-3">
+        Class average: {analytics.average}%
+      </Text>
+
+      {/* Exam averages */}
+      <Text className="font-semibold mb-1">Exam Trend</Text>
+      <LineChart
+        data={trendData}
+        width={screenWidth}
+        height={180}
+        chartConfig={chartConfig}
+        yAxisSuffix="%"
+        fromZero
+        style={{ borderRadius: 8 }}
+      />
+      <View className="flex-row justify-center mb-3">
+        <View className="flex-row items-center mr-3">
+          <View className="w-3 h-3 bg-blue-500 rounded-full mr-1" />
+          <Text className="text-gray-600">Average</Text>
+        </View>
+        <View className="flex-row items-center mr-3">
+          <View className="w-3 h-3 bg-green-500 rounded-full mr-1" />
+          <Text className="text-gray-600">Highest</Text>
+        </View>
+        <View className="flex-row items-center">
+          <View className="w-3 h-3 bg-red-500 rounded-full mr-1" />
+          <Text className="text-gray-600">Lowest</Text>
+        </View>
+      </View>
+
+      {/* Distribution */}
+      <Text className="font-semibold mb-2">Score Distribution</Text>
+      <ScrollView horizontal className="mb-2">
+        {[null, ...examsWithMarks].map((exam) => (
+          <TouchableOpacity
+            key={exam ? exam._id : "overall"}
+            className={`px-3 py-1 rounded-full mr-2 ${
+              selectedExamId === (exam ? exam._id : null)
+                ? "bg-blue-500"
+                : "bg-gray-200"
+            }`}
+            onPress={() => setSelectedExamId(exam ? exam._id : null)}
+          >
+            <Text
+              className={
+                selectedExamId === (exam ? exam._id : null)
+                  ? "text-white"
+                  : "text-gray-700"
+              }
+            >
+              {exam ? exam.name : "Overall"}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+      <BarChart
+        data={histogram}
+        width={screenWidth}
+        height={160}
+        chartConfig={{
+          ...chartConfig,
+          color: (opacity = 1) => `rgba(16, 185, 129, ${opacity})`,
+        }}
+        fromZero
+        showValuesOnTopOfBars
+        style={{ borderRadius: 8 }}
+      />
+      <Text className="text-xs text-gray-500 text-center mb-3">
+        Students by percentage
+      </Text>
+
+      {/* Standings */}
+      <Text className="font-semibold mb-2">Standings</Text>
+      {ranked.map((entry) => (
+        <View
+          key={entry.student._id}
+          className="flex-row justify-between py-2 border-b border-gray-100"
+        >
+          <Text className="flex-1">{entry.student.name}</Text>
+          <Text className="text-gray-700 w-20 text-right">
+            {entry.percentage}%{entry.grade ? ` ${entry.grade}` : ""}
+          </Text>
+          <Text className="text-gray-500 w-16 text-right">
+            P{entry.percentile}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+export default ClassAnalytics;
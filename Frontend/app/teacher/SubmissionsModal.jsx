@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import axios from "axios";
+import DownloadService from "../services/DownloadService";
+
+const API_URL = process.env.EXPO_PUBLIC_MY_API_URL;
+
+const fileIcon = (mimetype) =>
+  mimetype.startsWith("image/")
+    ? "image"
+    : mimetype.startsWith("audio/")
+    ? "mic"
+    : "picture-as-pdf";
+
+// Where a student stands on the assignment
+const statusOf = (student, assignment) => {
+  const { submission } = student;
+  if (submission?.status === "graded") {
+    return { label: "Graded", style: "bg-blue-100 text-blue-800" };
+  }
+  if (submission?.late) {
+    return { label: "Late", style: "bg-orange-100 text-orange-800" };
+  }
+  if (submission) {
+    return { label: "Submitted", style: "bg-green-100 text-green-800" };
+  }
+  return new Date(assignment.dueDate) < new Date()
+    ? { label: "Missing", style: "bg-red-100 text-red-800" }
+    : { label: "Not submitted", style: "bg-gray-100 text-gray-600" };
+};
+
+// Who has handed in an assignment, with their files, and a grade and
+// feedback for each submission
+const SubmissionsModal = ({ classroomId, assignment, token, onClose }) => {
+  const [loading, setLoading] = useState(true);
+  const [summary, setSummary] = useState(null);
+  const [students, setStudents] = useState([]);
+  // Student whose submission is open for grading
+  const [expandedId, setExpandedId] = useState(null);
+  const [form, setForm] = useState({ grade: "", feedback: "" });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (assignment) fetchSubmissions();
+  }, [assignment?._id]);
+
+  const fetchSubmissions = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/classroom/${classroomId}/assignment/${assignment._id}/submissions`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      setSummary(response.data.summary);
+      setStudents(response.data.students);
+    } catch (error) {
+      console.error("Error fetching submissions:", error);
+      Alert.alert("Error", "Failed to fetch submissions");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = (student) => {
+    if (expandedId === student._id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(student._id);
+    setForm({
+      grade: student.submission?.grade || "",
+      feedback: student.submission?.feedback || "",
+    });
+  };
+
+  const openFile = async (submission, file) => {
+    try {
+      await DownloadService.downloadFile({
+        url: `${API_URL}/api/classroom/${classroomId}/submissions/${submission._id}/files/${file._id}`,
+        filename: file.name,
+        mimeType: file.mimetype,
+      });
+    } catch (error) {
+      console.error("Error opening file:", error);
+      Alert.alert("Error", "Failed to open file");
+    }
+  };
+
+  const saveGrade = async (student) => {
+    if (!form.grade.trim() && !form.feedback.trim()) {
+      Alert.alert("Error", "Please enter a grade or feedback");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/classroom/${classroomId}/submissions/${student.submission._id}`,
+        {
+          grade: form.grade.trim() || undefined,
+          feedback: form.feedback.trim() || undefined,
+        },
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+
+      if (response.data.success) {
+        setExpandedId(null);
+        fetchSubmissions();
+      }
+    } catch (error) {
+      console.error("Error grading submission:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.message || "Failed to save grade"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      transparent
+      visible={!!assignment}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View className="flex-1 bg-black/50 justify-center p-4">
+        <View className="bg-white rounded-2xl max-h-[85%]">
+          <View className="px-4 pt-4 pb-2 flex-row justify-between items-start border-b border-gray-200">
+            <View className="flex-1 pr-4">
+              <Text className="text-xl font-bold text-blue-600">
+                {assignment?.title}
+              </Text>
+              {summary && (
+                <Text className="text-gray-500 mt-1">
+                  {summary.submitted}/{summary.total} submitted
+                  {summary.late ? ` · ${summary.late} late` : ""}
+                  {` · ${summary.graded} graded`}
+                </Text>
+              )}
+            </View>
+            <TouchableOpacity onPress={onClose} className="p-1">
+              <MaterialIcons name="close" size={24} color="#9ca3af" />
+            </TouchableOpacity>
+          </View>
+
+          {loading ? (
+            <View className="p-8 items-center">
+              <ActivityIndicator size="large" color="#3b82f6" />
+            </View>
+          ) : (
+            <ScrollView className="px-4">
+              {students.map((student) => {
+                const status = statusOf(student, assignment);
+                const { submission } = student;
+                return (
+                  <View
+                    key={student._id}
+                    className="py-3 border-b border-gray-100"
+                  >
+                    <TouchableOpacity
+                      className="flex-row justify-between items-center"
+                      onPress={() => submission && toggle(student)}
+                      disabled={!submission}
+                    >
+                      <View className="flex-1">
+                        <Text className="text-gray-800 font-medium">
+                          {student.name}
+                        </Text>
+                        {submission && (
+                          <Text className="text-gray-500 text-sm">
+                            {new Date(
+                              submission.submittedAt
+                            ).toLocaleDateString()}
+                            {submission.grade
+                              ? ` · Grade: ${submission.grade}`
+                              : ""}
+                          </Text>
+                        )}
+                      </View>
+                      <Text
+                        className={`px-2 py-1 rounded-full text-xs ${status.style}`}
+                      >
+                        {status.label}
+                      </Text>
+                    </TouchableOpacity>
+
+                    {expandedId === student._id && (
+                      <View className="mt-2">
+                        {submission.files.map((file) => (
+                          <TouchableOpacity
+                            key={file._id}
+                            className="flex-row items-center py-1"
+                            onPress={() => openFile(submission, file)}
+                          >
+                            <MaterialIcons
+                              name={fileIcon(file.mimetype)}
+                              size={18}
+                              color="#3b82f6"
+                            />
+                            <Text
+                              className="text-blue-600 ml-1 flex-1"
+                              numberOfLines={1}
+                            >
+                              {file.name}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                        <TextInput
+                          className="border border-gray-300 rounded-lg p-2 mt-2"
+                          placeholder="Grade (e.g. A or 8/10)"
+                          value={form.grade}
+                          onChangeText={(text) =>
+                            setForm({ ...form, grade: text })
+                          }
+                        />
+                        <TextInput
+                          className="border border-gray-300 rounded-lg p-2 mt-2"
+                          placeholder="Feedback for the parent"
+                          value={form.feedback}
+                          onChangeText={(text) =>
+                            setForm({ ...form, feedback: text })
+                          }
+                          multiline
+                        />
+                        <TouchableOpacity
+                          className="bg-blue-500 py-2 rounded-lg items-center mt-2"
+                          onPress={() => saveGrade(student)}
+                          disabled={saving}
+                        >
+                          <Text className="text-white font-semibold">
+                            {saving ? "Saving..." : "Save Grade"}
+                          </Text>
+                        </TouchableOpacity>
+                      </View>
+                    )}
+                  </View>
+                );
+              })}
+              {students.length === 0 && (
+                <Text className="text-gray-500 text-center p-4">
+                  No students in this classroom
+                </Text>
+              )}
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default SubmissionsModal;
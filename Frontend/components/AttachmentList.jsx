@@ -0,0 +1,77 @@
+import React from "react";
+import { View, Text, Image, TouchableOpacity, Alert } from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import { useTranslation } from "react-i18next";
+import DownloadService from "~/app/services/DownloadService";
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const fileIcon = (mimetype) =>
+  mimetype === "application/pdf" ? "picture-as-pdf" : "description";
+
+// Files attached to an assignment or announcement. Images show a
+// thumbnail; tapping any file downloads it and opens the share sheet.
+// baseUrl is the item's attachments endpoint, e.g.
+// `${API_URL}/api/classroom/${id}/assignment/${assignmentId}/attachments`.
+const AttachmentList = ({ attachments, baseUrl, token }) => {
+  const { t } = useTranslation();
+
+  if (!attachments || attachments.length === 0) return null;
+
+  const download = async (attachment) => {
+    try {
+      await DownloadService.downloadFile({
+        url: `${baseUrl}/${attachment._id}`,
+        filename: attachment.name,
+        mimeType: attachment.mimetype,
+      });
+    } catch (error) {
+      console.error("Error downloading attachment:", error);
+      Alert.alert(t("Error"), t("Failed to download attachment"));
+    }
+  };
+
+  return (
+    <View className="mt-2">
+      {attachments.map((attachment) => (
+        <TouchableOpacity
+          key={attachment._id}
+          className="flex-row items-center py-1"
+          onPress={() => download(attachment)}
+        >
+          {attachment.thumbnailKey ? (
+            <Image
+              source={{
+                uri: `${baseUrl}/${attachment._id}?thumbnail=true`,
+                headers: { Authorization: `Bearer ${token}` },
+              }}
+              style={{ width: 48, height: 48, borderRadius: 6 }}
+            />
+          ) : (
+            <View className="w-12 h-12 rounded-md bg-gray-100 items-center justify-center">
+              <MaterialIcons
+                name={fileIcon(attachment.mimetype)}
+                size={24}
+                color="#3b82f6"
+              />
+            </View>
+          )}
+          <View className="flex-1 ml-2">
+            <Text className="text-blue-600" numberOfLines={1}>
+              {attachment.name}
+            </Text>
+            <Text className="text-gray-400 text-xs">
+              {formatSize(attachment.size)}
+            </Text>
+          </View>
+          <MaterialIcons name="file-download" size={20} color="#6b7280" />
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+export default AttachmentList;